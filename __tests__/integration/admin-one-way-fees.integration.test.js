@@ -0,0 +1,110 @@
+/**
+ * Integration tests for /api/admin/one-way-fees.
+ *
+ * Covers the admin guards and payload validation of the one-way fee
+ * matrix. How fees are applied to bookings is tested alongside the other
+ * contract endpoints.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken() {
+  return jwt.sign(
+    { sub: 2, role: 'USER', email: 'u@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+describe('GET /api/admin/one-way-fees', () => {
+  it('rejects non-admin callers with 403', async () => {
+    const res = await request(harness.app)
+      .get('/api/admin/one-way-fees')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('lists fees from one city (200)', async () => {
+    harness.prisma.oneWayFee.findMany.mockResolvedValue([{ id: 1, fromCityId: 1, toCityId: 2, fee: 35 }]);
+    const res = await request(harness.app)
+      .get('/api/admin/one-way-fees?fromCityId=1')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(harness.prisma.oneWayFee.findMany.mock.calls[0][0].where).toEqual({ fromCityId: 1 });
+  });
+});
+
+describe('POST /api/admin/one-way-fees', () => {
+  it('creates a fee for a city pair (201)', async () => {
+    harness.prisma.oneWayFee.create.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+    const res = await request(harness.app)
+      .post('/api/admin/one-way-fees')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ fromCityId: 1, toCityId: 2, fee: 35 });
+    expect(res.status).toBe(201);
+    expect(harness.prisma.oneWayFee.create.mock.calls[0][0].data).toEqual({ fromCityId: 1, toCityId: 2, fee: 35 });
+  });
+
+  it('rejects a fee from a city to itself (400)', async () => {
+    const res = await request(harness.app)
+      .post('/api/admin/one-way-fees')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ fromCityId: 1, toCityId: 1, fee: 35 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/must differ/);
+  });
+
+  it('maps a duplicate city pair to 409', async () => {
+    harness.prisma.oneWayFee.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 'P2002' }));
+    const res = await request(harness.app)
+      .post('/api/admin/one-way-fees')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ fromCityId: 1, toCityId: 2, fee: 35 });
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('PUT /api/admin/one-way-fees/:id', () => {
+  it('updates the fee and active flag (200)', async () => {
+    harness.prisma.oneWayFee.update.mockImplementation(async ({ data }) => ({ id: 3, fromCityId: 1, toCityId: 2, ...data }));
+    const res = await request(harness.app)
+      .put('/api/admin/one-way-fees/3')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ fee: 40, isActive: false });
+    expect(res.status).toBe(200);
+    expect(harness.prisma.oneWayFee.update.mock.calls[0][0].data).toEqual({ fee: 40, isActive: false });
+  });
+
+  it('does not move a fee to another city pair (400)', async () => {
+    const res = await request(harness.app)
+      .put('/api/admin/one-way-fees/3')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ toCityId: 4 });
+    expect(res.status).toBe(400);
+  });
+});
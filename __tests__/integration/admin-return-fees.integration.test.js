@@ -0,0 +1,115 @@
+/**
+ * Integration tests for /api/admin/return-fee-policies.
+ *
+ * Covers the admin guards and payload validation of the return-fee policy
+ * CRUD. How policies are applied on completion is tested alongside the
+ * other contract endpoints.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken() {
+  return jwt.sign(
+    { sub: 2, role: 'USER', email: 'u@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+describe('GET /api/admin/return-fee-policies', () => {
+  it('rejects non-admin callers with 403', async () => {
+    const res = await request(harness.app)
+      .get('/api/admin/return-fee-policies')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('lists policies filtered by city (200)', async () => {
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([{ id: 1, name: 'Vilnius', cityId: 3 }]);
+    const res = await request(harness.app)
+      .get('/api/admin/return-fee-policies?cityId=3')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(harness.prisma.returnFeePolicy.findMany.mock.calls[0][0].where).toEqual({ cityId: 3 });
+  });
+});
+
+describe('POST /api/admin/return-fee-policies', () => {
+  it('creates a body-type policy (201)', async () => {
+    harness.prisma.returnFeePolicy.create.mockImplementation(async ({ data }) => ({ id: 7, ...data }));
+    const res = await request(harness.app)
+      .post('/api/admin/return-fee-policies')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ name: 'Vans', bodyType: 'VAN', kmAllowancePerDay: 300, extraKmFee: 0.2 });
+    expect(res.status).toBe(201);
+    expect(harness.prisma.returnFeePolicy.create.mock.calls[0][0].data).toEqual({
+      name: 'Vans',
+      bodyType: 'VAN',
+      kmAllowancePerDay: 300,
+      extraKmFee: 0.2,
+    });
+  });
+
+  it('rejects an unknown body type (400)', async () => {
+    const res = await request(harness.app)
+      .post('/api/admin/return-fee-policies')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ name: 'Trucks', bodyType: 'TRUCK' });
+    expect(res.status).toBe(400);
+    expect(harness.prisma.returnFeePolicy.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects negative rates (400)', async () => {
+    const res = await request(harness.app)
+      .post('/api/admin/return-fee-policies')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ name: 'EVs', batteryFeePerPct: -1 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/batteryFeePerPct/);
+  });
+});
+
+describe('PUT/DELETE /api/admin/return-fee-policies/:id', () => {
+  it('updates only the fields sent (200)', async () => {
+    harness.prisma.returnFeePolicy.update.mockImplementation(async ({ data }) => ({ id: 4, name: 'Default', ...data }));
+    const res = await request(harness.app)
+      .put('/api/admin/return-fee-policies/4')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ isActive: false });
+    expect(res.status).toBe(200);
+    expect(harness.prisma.returnFeePolicy.update.mock.calls[0][0].data).toEqual({ isActive: false });
+  });
+
+  it('returns 404 when deleting a missing policy', async () => {
+    harness.prisma.returnFeePolicy.delete.mockRejectedValue(Object.assign(new Error('missing'), { code: 'P2025' }));
+    const res = await request(harness.app)
+      .delete('/api/admin/return-fee-policies/99')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+});
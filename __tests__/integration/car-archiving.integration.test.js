@@ -0,0 +1,219 @@
+/**
+ * Integration tests for archiving cars: POST /cars/:id/archive and /restore, hiding archived
+ * cars from the catalogue and from bookings, and refusing a hard delete once a car has contracts.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+  harness.prisma.contract.findMany.mockResolvedValue([]);
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken() {
+  return jwt.sign(
+    { sub: 2, role: 'USER', email: 'user@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const car = { id: 5, make: 'Toyota', model: 'Corolla', state: 'AVAILABLE', archivedAt: null };
+const archivedCar = { ...car, archivedAt: new Date('2026-09-01T00:00:00Z') };
+
+describe('POST /cars/:id/archive', () => {
+  it('rejects non-admin users with 403', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/archive')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('archives a car without open bookings (200)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.contract.count.mockResolvedValue(0);
+    harness.prisma.car.update.mockImplementation(async ({ data }) => ({ ...car, ...data }));
+
+    const res = await request(harness.app)
+      .post('/cars/5/archive')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.archivedAt).toBeTruthy();
+    expect(harness.prisma.contract.count).toHaveBeenCalledWith({
+      where: { carId: 5, state: { in: ['DRAFT', 'ACTIVE'] } },
+    });
+    const args = harness.prisma.car.update.mock.calls[0][0];
+    expect(args.where).toEqual({ id: 5 });
+    expect(args.data.archivedAt).toBeInstanceOf(Date);
+  });
+
+  it('refuses a car with open bookings (409)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.contract.count.mockResolvedValue(2);
+
+    const res = await request(harness.app)
+      .post('/cars/5/archive')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/2 open booking/);
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses a car that is already archived (409)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(archivedCar);
+
+    const res = await request(harness.app)
+      .post('/cars/5/archive')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('returns 404 when the car is missing', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .post('/cars/999/archive')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /cars/:id/restore', () => {
+  it('clears archivedAt (200)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(archivedCar);
+    harness.prisma.car.update.mockImplementation(async ({ data }) => ({ ...archivedCar, ...data }));
+
+    const res = await request(harness.app)
+      .post('/cars/5/restore')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.archivedAt).toBeNull();
+    expect(harness.prisma.car.update.mock.calls[0][0].data).toEqual({ archivedAt: null });
+  });
+
+  it('refuses a car that is not archived (409)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+
+    const res = await request(harness.app)
+      .post('/cars/5/restore')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /cars/:id with contracts', () => {
+  it('refuses to delete a car that has contracts (409)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.contract.count.mockResolvedValue(3);
+
+    const res = await request(harness.app)
+      .delete('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/archive/);
+    expect(harness.prisma.contract.count).toHaveBeenCalledWith({ where: { carId: 5 } });
+    expect(harness.prisma.car.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('archived cars in the catalogue', () => {
+  it('leaves archived cars out of GET /cars', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([]);
+
+    const res = await request(harness.app).get('/cars');
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.car.findMany.mock.calls[0][0].where).toEqual({ archivedAt: null });
+  });
+
+  it('lists only archived cars for admins with ?archived=true', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([archivedCar]);
+    harness.prisma.carDocument.findMany.mockResolvedValue([]);
+
+    const res = await request(harness.app)
+      .get('/cars?archived=true')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.car.findMany.mock.calls[0][0].where).toEqual({ archivedAt: { not: null } });
+  });
+
+  it('ignores ?archived=true for non-admin callers', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([]);
+
+    await request(harness.app)
+      .get('/cars?archived=true')
+      .set('Authorization', `Bearer ${userToken()}`);
+
+    expect(harness.prisma.car.findMany.mock.calls[0][0].where).toEqual({ archivedAt: null });
+  });
+
+  it('hides an archived car from non-admin callers of GET /cars/:id (404)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(archivedCar);
+    const res = await request(harness.app).get('/cars/5');
+    expect(res.status).toBe(404);
+  });
+
+  it('still shows an archived car to admins (200)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(archivedCar);
+    const res = await request(harness.app)
+      .get('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body.archivedAt).toBeTruthy();
+  });
+});
+
+describe('booking an archived car', () => {
+  it('refuses POST /contracts (400)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ ...archivedCar, pricePerDay: 40, useDynamicPricing: false });
+
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .send({
+        carId: 5,
+        startDate: daysFromNow(7).toISOString(),
+        endDate: daysFromNow(10).toISOString(),
+        mileageStartKm: 10000,
+        fuelLevelStartPct: 80,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not available for booking/);
+    expect(harness.prisma.contract.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Integration tests for the per-car damage register: CRUD under
+ * /cars/:id/damages and the car going in and out of MAINTENANCE with
+ * open severe damage.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+  harness.prisma.car.findUnique.mockResolvedValue({
+    id: 5, make: 'Toyota', model: 'Corolla', year: 2022, state: 'AVAILABLE',
+  });
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+const record = {
+  id: 7,
+  carId: 5,
+  panel: 'HOOD',
+  severity: 'SEVERE',
+  repairStatus: 'OPEN',
+  photos: [{ id: 1, url: 'https://img/1.jpg', filename: 'damages/1' }],
+};
+
+describe('POST /cars/:id/damages', () => {
+  beforeEach(() => {
+    harness.prisma.damageRecord.create.mockImplementation(async ({ data }) => ({ id: 7, ...data }));
+  });
+
+  it('records damage linked to the contract and its customer (201)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 3, carId: 5, userId: 2 });
+    harness.prisma.damageRecord.count.mockResolvedValue(0);
+
+    const res = await request(harness.app)
+      .post('/cars/5/damages')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('panel', 'REAR_BUMPER')
+      .field('severity', 'MINOR')
+      .field('repairCostEstimate', '120.5')
+      .field('contractId', '3');
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.damageRecord.create.mock.calls[0][0].data).toEqual({
+      carId: 5,
+      panel: 'REAR_BUMPER',
+      severity: 'MINOR',
+      repairCostEstimate: 120.5,
+      contractId: 3,
+      userId: 2,
+      photos: { create: [] },
+    });
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('puts the car into MAINTENANCE for open severe damage', async () => {
+    harness.prisma.damageRecord.count.mockResolvedValueOnce(0).mockResolvedValue(1);
+
+    const res = await request(harness.app)
+      .post('/cars/5/damages')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('panel', 'WINDSHIELD')
+      .field('severity', 'SEVERE');
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { state: 'MAINTENANCE' } });
+  });
+
+  it("rejects a contract of another car (400)", async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 3, carId: 6, userId: 2 });
+    const res = await request(harness.app)
+      .post('/cars/5/damages')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('panel', 'HOOD')
+      .field('severity', 'MINOR')
+      .field('contractId', '3');
+    expect(res.status).toBe(400);
+    expect(harness.prisma.damageRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown severity (400)', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/damages')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('panel', 'HOOD')
+      .field('severity', 'CATASTROPHIC');
+    expect(res.status).toBe(400);
+  });
+
+  it('is admin only (403)', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/damages')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .field('panel', 'HOOD')
+      .field('severity', 'MINOR');
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /cars/:id/damages', () => {
+  it('filters by repair status', async () => {
+    harness.prisma.damageRecord.findMany.mockResolvedValue([record]);
+    const res = await request(harness.app)
+      .get('/cars/5/damages?status=open,in_repair')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(harness.prisma.damageRecord.findMany.mock.calls[0][0].where).toEqual({
+      carId: 5,
+      repairStatus: { in: ['OPEN', 'IN_REPAIR'] },
+    });
+  });
+
+  it('returns 404 for a record of another car', async () => {
+    harness.prisma.damageRecord.findFirst.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .get('/cars/5/damages/99')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /cars/:id/damages/:damageId', () => {
+  it('marks the damage repaired and releases the car from MAINTENANCE', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, state: 'MAINTENANCE' });
+    harness.prisma.damageRecord.findFirst.mockResolvedValue(record);
+    harness.prisma.damageRecord.count.mockResolvedValueOnce(1).mockResolvedValue(0);
+    harness.prisma.damageRecord.update.mockImplementation(async ({ data }) => ({ ...record, ...data }));
+
+    const res = await request(harness.app)
+      .put('/cars/5/damages/7')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ repairStatus: 'REPAIRED' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.repairStatus).toBe('REPAIRED');
+    expect(res.body.repairedAt).toEqual(expect.any(String));
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { state: 'AVAILABLE' } });
+  });
+
+  it('rejects an empty update (400)', async () => {
+    harness.prisma.damageRecord.findFirst.mockResolvedValue(record);
+    const res = await request(harness.app)
+      .put('/cars/5/damages/7')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /cars/:id/damages/:damageId', () => {
+  it('deletes the record (204)', async () => {
+    harness.prisma.damageRecord.findFirst.mockResolvedValue({ ...record, photos: [] });
+    harness.prisma.damageRecord.count.mockResolvedValue(0);
+    const res = await request(harness.app)
+      .delete('/cars/5/damages/7')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(204);
+    expect(harness.prisma.damageRecord.delete).toHaveBeenCalledWith({ where: { id: 7 } });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Integration tests for car documents (insurance, technical inspection, road tax):
+ * recording them and their expiry, the compliance column of the admin car list and
+ * refusing bookings that run past an expiry.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const car = { id: 5, make: 'Toyota', model: 'Corolla', year: 2022, state: 'AVAILABLE' };
+
+describe('POST /cars/:carId/documents', () => {
+  beforeEach(() => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.carDocument.create.mockImplementation(async ({ data }) => ({ id: 1, ...data }));
+  });
+
+  it('records a document from multipart fields (201)', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/documents')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('type', 'INSURANCE')
+      .field('number', 'POL-001')
+      .field('issuedAt', '2026-01-01')
+      .field('expiresAt', '2027-01-01');
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.carDocument.create.mock.calls[0][0].data).toEqual({
+      carId: 5,
+      type: 'INSURANCE',
+      number: 'POL-001',
+      issuedAt: new Date('2026-01-01'),
+      expiresAt: new Date('2027-01-01'),
+    });
+  });
+
+  it('rejects an unknown type (400)', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/documents')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('type', 'LEASE')
+      .field('expiresAt', '2027-01-01');
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects an expiry before the issue date (400)', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/documents')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('type', 'ROAD_TAX')
+      .field('issuedAt', '2027-01-01')
+      .field('expiresAt', '2026-01-01');
+    expect(res.status).toBe(400);
+  });
+
+  it('is admin only (403)', async () => {
+    const res = await request(harness.app)
+      .post('/cars/5/documents')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .field('type', 'INSURANCE')
+      .field('expiresAt', '2027-01-01');
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /cars/:carId/documents', () => {
+  it("lists the car's documents with its compliance status", async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.carDocument.findMany.mockResolvedValue([
+      { id: 1, carId: 5, type: 'INSURANCE', expiresAt: daysFromNow(10) },
+    ]);
+
+    const res = await request(harness.app)
+      .get('/cars/5/documents')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.documents).toHaveLength(1);
+    expect(res.body.compliance.status).toBe('MISSING');
+    expect(res.body.compliance.documents[0]).toMatchObject({ type: 'INSURANCE', status: 'EXPIRING' });
+  });
+});
+
+describe('PUT/DELETE /cars/:carId/documents/:documentId', () => {
+  beforeEach(() => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+  });
+
+  it('updates the expiry (200)', async () => {
+    harness.prisma.carDocument.findFirst.mockResolvedValue({ id: 1, carId: 5, type: 'ROAD_TAX', issuedAt: null, expiresAt: daysFromNow(5) });
+    harness.prisma.carDocument.update.mockImplementation(async ({ data }) => ({ id: 1, ...data }));
+
+    const res = await request(harness.app)
+      .put('/cars/5/documents/1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ expiresAt: '2027-12-31' });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.carDocument.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { expiresAt: new Date('2027-12-31') },
+    });
+  });
+
+  it('returns 404 for a document of another car', async () => {
+    harness.prisma.carDocument.findFirst.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .delete('/cars/5/documents/9')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+    expect(harness.prisma.carDocument.delete).not.toHaveBeenCalled();
+  });
+
+  it('deletes a document without a file (204)', async () => {
+    harness.prisma.carDocument.findFirst.mockResolvedValue({ id: 1, carId: 5, filename: null });
+    const res = await request(harness.app)
+      .delete('/cars/5/documents/1')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(204);
+    expect(harness.prisma.carDocument.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+  });
+});
+
+describe('GET /cars compliance column', () => {
+  beforeEach(() => {
+    harness.prisma.car.findMany.mockResolvedValue([{ id: 5, make: 'Toyota', model: 'Corolla' }]);
+    harness.prisma.contract.findMany.mockResolvedValue([]);
+    harness.prisma.carDocument.findMany.mockResolvedValue([
+      { carId: 5, type: 'INSURANCE', expiresAt: daysFromNow(-1) },
+    ]);
+  });
+
+  it("shows admins each car's compliance status", async () => {
+    const res = await request(harness.app)
+      .get('/cars')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body[0].compliance.status).toBe('EXPIRED');
+  });
+
+  it('leaves it out of the public list', async () => {
+    const res = await request(harness.app).get('/cars');
+    expect(res.status).toBe(200);
+    expect(res.body[0].compliance).toBeUndefined();
+    expect(harness.prisma.carDocument.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Integration tests for the odometer and state history of cars: the logs written by
+ * admin edits, inspections and contract transitions, refusing lower odometer readings
+ * and GET /cars/:id/history.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const car = {
+  id: 5,
+  cityId: 1,
+  make: 'Toyota',
+  model: 'Corolla',
+  bodyType: 'SEDAN',
+  fuelType: 'DIESEL',
+  state: 'LEASED',
+  odometerKm: 10500,
+  useDynamicPricing: false,
+};
+
+describe('GET /cars/:id/history', () => {
+  it('returns both logs for admins', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.carOdometerReading.findMany.mockResolvedValue([
+      { id: 1, carId: 5, odometerKm: 10000, previousKm: null, source: 'ADMIN_EDIT' },
+    ]);
+    harness.prisma.carStateChange.findMany.mockResolvedValue([
+      { id: 1, carId: 5, fromState: null, toState: 'AVAILABLE', source: 'ADMIN_EDIT' },
+    ]);
+
+    const res = await request(harness.app)
+      .get('/cars/5/history?contractId=3')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.odometerReadings).toHaveLength(1);
+    expect(res.body.stateChanges).toHaveLength(1);
+    expect(harness.prisma.carOdometerReading.findMany.mock.calls[0][0].where).toEqual({ carId: 5, contractId: 3 });
+  });
+
+  it('is admin only (403)', async () => {
+    const res = await request(harness.app)
+      .get('/cars/5/history')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('returns 404 for an unknown car', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .get('/cars/99/history')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /cars/:id history', () => {
+  beforeEach(() => {
+    harness.prisma.car.findUnique.mockResolvedValue({ ...car, state: 'AVAILABLE' });
+    harness.prisma.car.update.mockImplementation(async ({ data }) => ({ ...car, ...data }));
+  });
+
+  it('logs the new reading and state with the admin as actor', async () => {
+    const res = await request(harness.app)
+      .put('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ odometerKm: 10800, state: 'MAINTENANCE' });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.carOdometerReading.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5, odometerKm: 10800, previousKm: 10500, source: 'ADMIN_EDIT', contractId: null, inspectionId: null, actorId: 1,
+      },
+    });
+    expect(harness.prisma.carStateChange.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5, fromState: 'AVAILABLE', toState: 'MAINTENANCE', source: 'ADMIN_EDIT', contractId: null, actorId: 1, reason: null,
+      },
+    });
+  });
+
+  it('refuses to wind the odometer back (400)', async () => {
+    const res = await request(harness.app)
+      .put('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ odometerKm: 9000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/lower than the car's last reading of 10500 km/);
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('logs nothing for an edit that keeps the reading and state', async () => {
+    const res = await request(harness.app)
+      .put('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ odometerKm: 10500, state: 'AVAILABLE', colour: 'Red' });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.carOdometerReading.create).not.toHaveBeenCalled();
+    expect(harness.prisma.carStateChange.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('contract transitions', () => {
+  const active = {
+    id: 1,
+    userId: 2,
+    carId: 5,
+    state: 'ACTIVE',
+    startDate: daysFromNow(-3),
+    endDate: daysFromNow(-1),
+    mileageStartKm: 10000,
+    fuelLevelStartPct: 90,
+  };
+
+  beforeEach(() => {
+    harness.prisma.car.findUnique.mockResolvedValue(car);
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+  });
+
+  it('logs the return reading and the car becoming available on completion', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10700, fuelLevelEndPct: 90 });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.carOdometerReading.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5, odometerKm: 10700, previousKm: 10500, source: 'CONTRACT', contractId: 1, inspectionId: null, actorId: 1,
+      },
+    });
+    expect(harness.prisma.carStateChange.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5, fromState: 'LEASED', toState: 'AVAILABLE', source: 'CONTRACT', contractId: 1, actorId: 1, reason: null,
+      },
+    });
+  });
+
+  it('refuses a return reading below the car odometer (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10200, fuelLevelEndPct: 90 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual({ previousKm: 10500 });
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('logs the car being leased on activation', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, carId: 5, state: 'DRAFT' });
+    harness.prisma.car.findUnique.mockResolvedValue({ ...car, state: 'AVAILABLE' });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/activate')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.carStateChange.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5, fromState: 'AVAILABLE', toState: 'LEASED', source: 'CONTRACT', contractId: 1, actorId: 1, reason: null,
+      },
+    });
+    expect(harness.prisma.carOdometerReading.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('inspection readings', () => {
+  it('logs the pickup reading against the inspection and moves the car odometer', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, carId: 5, state: 'DRAFT', mileageStartKm: 10500 });
+    harness.prisma.car.findUnique.mockResolvedValue({ odometerKm: 10500 });
+    harness.prisma.inspection.create.mockImplementation(async ({ data }) => ({ id: 10, ...data, damages: [] }));
+
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'PICKUP', odometerKm: 10520, fuelLevelPct: 90, checklist: {} });
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.carOdometerReading.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5, odometerKm: 10520, previousKm: 10500, source: 'INSPECTION', contractId: 1, inspectionId: 10, actorId: 1,
+      },
+    });
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { odometerKm: 10520 } });
+  });
+});
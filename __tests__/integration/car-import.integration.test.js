@@ -0,0 +1,290 @@
+/**
+ * Integration tests for the fleet import and export: POST /cars/import with CSV and JSON
+ * bodies, dry runs with per-row errors, upserts by VIN, and GET /cars/export.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken() {
+  return jwt.sign(
+    { sub: 2, role: 'USER', email: 'user@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+const existingCar = {
+  id: 5,
+  vin: '1HGBH41JXMN109186',
+  numberPlate: 'ABC123',
+  make: 'Toyota',
+  model: 'Corolla',
+  year: 2022,
+  cityId: 1,
+  colour: 'White',
+  seatCount: 5,
+  fuelType: 'PETROL',
+  powerKW: 90,
+  engineCapacityL: 1.6,
+  bodyType: 'SEDAN',
+  gearbox: 'AUTOMATIC',
+  state: 'AVAILABLE',
+  odometerKm: 20000,
+  availableForLease: true,
+  availableForSale: false,
+  salePrice: null,
+  saleDescription: null,
+  pricePerDay: 40,
+  useDynamicPricing: false,
+  basePricePerDay: null,
+  minPricePerDay: null,
+  maxPricePerDay: null,
+  applyUtilizationPricing: true,
+  utilizationMultiplierOverride: null,
+};
+
+const HEADER = 'vin,numberPlate,make,model,year,cityId,fuelType,powerKW,bodyType,gearbox,pricePerDay,odometerKm,useDynamicPricing,basePricePerDay,minPricePerDay,maxPricePerDay';
+const NEW_ROW = 'WVWZZZ1JZXW000001,XYZ789,VW,Golf,2023,1,DIESEL,85,HATCHBACK,MANUAL,35,5000,yes,35,25,60';
+const UPDATE_ROW = '1HGBH41JXMN109186,ABC123,Toyota,Corolla,2022,1,PETROL,90,SEDAN,AUTOMATIC,45,21000,,,,';
+
+/** car.findMany answers the VIN lookup with `cars` and the plate lookup with their plates. */
+function mockFleet(cars = [existingCar]) {
+  harness.prisma.car.findMany.mockImplementation(async ({ where }) => {
+    if (where.vin) return cars.filter((c) => where.vin.in.includes(c.vin));
+    return cars.filter((c) => where.numberPlate.in.includes(c.numberPlate));
+  });
+  harness.prisma.city.findMany.mockResolvedValue([{ id: 1 }]);
+  harness.prisma.car.create.mockResolvedValue({ id: 9 });
+}
+
+function importCsv(csv, query = '') {
+  return request(harness.app)
+    .post(`/cars/import${query}`)
+    .set('Authorization', `Bearer ${adminToken()}`)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+}
+
+beforeEach(() => {
+  harness.reset();
+});
+
+describe('POST /cars/import', () => {
+  it('rejects non-admin users with 403', async () => {
+    const res = await request(harness.app)
+      .post('/cars/import')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .send([]);
+    expect(res.status).toBe(403);
+  });
+
+  it('creates new VINs and updates known ones from CSV (200)', async () => {
+    mockFleet();
+
+    const res = await importCsv(`${HEADER}\n${NEW_ROW}\n${UPDATE_ROW}\n`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: false, total: 2, created: 1, updated: 1, unchanged: 0, failed: 0 });
+    expect(res.body.rows).toEqual([
+      { row: 1, vin: 'WVWZZZ1JZXW000001', action: 'create', carId: 9 },
+      { row: 2, vin: '1HGBH41JXMN109186', action: 'update', carId: 5 },
+    ]);
+    expect(harness.prisma.car.create.mock.calls[0][0].data).toMatchObject({
+      vin: 'WVWZZZ1JZXW000001',
+      useDynamicPricing: true,
+      basePricePerDay: 35,
+      minPricePerDay: 25,
+      maxPricePerDay: 60,
+      availableForLease: true,
+    });
+    // only the changed columns; colour and the rest of the stored car are kept
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({
+      where: { id: 5 },
+      data: { pricePerDay: 45, odometerKm: 21000 },
+    });
+    expect(harness.prisma.carOdometerReading.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ carId: 5, previousKm: 20000, odometerKm: 21000, source: 'ADMIN_EDIT', actorId: 1 }),
+    });
+  });
+
+  it('reports every invalid row on a dry run without writing (200)', async () => {
+    mockFleet();
+    const csv = [
+      HEADER,
+      NEW_ROW,
+      'BADVIN,QQQ111,VW,Polo,2023,1,DIESEL,70,HATCHBACK,MANUAL,30,0,,,,',
+      'WVWZZZ1JZXW000002,QQQ222,VW,Polo,2023,1,STEAM,70,HATCHBACK,MANUAL,30,0,,,,',
+      'WVWZZZ1JZXW000003,QQQ333,VW,Polo,2023,1,DIESEL,70,HATCHBACK,MANUAL,30,0,true,30,,',
+      'WVWZZZ1JZXW000004,ABC123,VW,Polo,2023,1,DIESEL,70,HATCHBACK,MANUAL,30,0,,,,',
+      '1HGBH41JXMN109186,ABC123,Toyota,Corolla,2022,1,PETROL,90,SEDAN,AUTOMATIC,40,100,,,,',
+    ].join('\n');
+
+    const res = await importCsv(csv, '?dryRun=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, total: 6, created: 1, updated: 0, failed: 5 });
+    expect(res.body.rows.map((r) => r.error ?? r.action)).toEqual([
+      'create',
+      'vin must be a valid 17-character VIN (A-HJ-NPR-Z, 0-9, no I/O/Q)',
+      expect.stringMatching(/^fuelType must be one of/),
+      'Dynamic pricing requires basePricePerDay, minPricePerDay and maxPricePerDay',
+      'numberPlate already exists',
+      "odometerKm 100 is lower than the car's last reading of 20000 km",
+    ]);
+    expect(harness.prisma.car.create).not.toHaveBeenCalled();
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('imports nothing when a row is invalid (422)', async () => {
+    mockFleet();
+    const res = await importCsv(`${HEADER}\n${NEW_ROW}\n${NEW_ROW}\n`);
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toMatchObject({ code: 'CAR_IMPORT_INVALID', created: 1, failed: 1 });
+    expect(res.body.details.rows[1]).toEqual({
+      row: 2, vin: 'WVWZZZ1JZXW000001', action: 'error', error: 'VIN appears more than once in the import',
+    });
+    expect(harness.prisma.car.create).not.toHaveBeenCalled();
+  });
+
+  it('reports an unknown city and a row that is not an object', async () => {
+    mockFleet();
+    harness.prisma.city.findMany.mockResolvedValue([]);
+    const res = await request(harness.app)
+      .post('/cars/import?dryRun=true')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send([{ ...existingCar, cityId: 3 }, 'not a car']);
+
+    expect(res.status).toBe(200);
+    expect(res.body.rows).toEqual([
+      { row: 1, vin: '1HGBH41JXMN109186', action: 'error', error: 'Invalid cityId (city not found)' },
+      { row: 2, vin: null, action: 'error', error: 'row must be an object' },
+    ]);
+  });
+
+  it('refuses a row for an archived car instead of updating it (422)', async () => {
+    mockFleet([{ ...existingCar, archivedAt: new Date('2026-09-01T00:00:00Z') }]);
+    const res = await importCsv(`${HEADER}\n${UPDATE_ROW}\n`);
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.rows).toEqual([{
+      row: 1, vin: '1HGBH41JXMN109186', action: 'error', error: 'Car is archived; restore it first (POST /cars/:id/restore)',
+    }]);
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('accepts a JSON array and skips rows that change nothing (200)', async () => {
+    mockFleet();
+    const res = await request(harness.app)
+      .post('/cars/import')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send([{ vin: existingCar.vin, numberPlate: 'abc123', pricePerDay: 40 }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ updated: 0, unchanged: 1 });
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('accepts the VIN a car already has even with a wrong check digit (200)', async () => {
+    const legacy = { ...existingCar, id: 6, vin: '5YJ3E1EA7KF317000', numberPlate: 'EV777', make: 'Tesla' };
+    mockFleet([legacy]);
+    const res = await request(harness.app)
+      .post('/cars/import')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send([{ vin: legacy.vin, pricePerDay: 95 }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ updated: 1, failed: 0 });
+  });
+
+  it('rejects unknown CSV columns with 400', async () => {
+    const res = await importCsv('vin,wheels\n1HGBH41JXMN109186,4\n');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Unknown CSV columns: wheels');
+  });
+
+  it('rejects an empty import and a body that is neither CSV nor an array (400)', async () => {
+    const empty = await importCsv(`${HEADER}\n`);
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe('No cars to import');
+
+    const object = await request(harness.app)
+      .post('/cars/import')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ vin: existingCar.vin });
+    expect(object.status).toBe(400);
+  });
+});
+
+describe('export → import round trip', () => {
+  it('imports an unchanged export without errors, including cars stored before the VIN check (200)', async () => {
+    const fleet = [
+      { ...existingCar, saleDescription: 'Mint, one owner' },
+      { ...existingCar, id: 6, vin: '5YJ3E1EA7KF317000', numberPlate: 'EV777', make: 'Tesla', model: 'Model 3',
+        fuelType: 'ELECTRIC', engineCapacityL: null, useDynamicPricing: true, basePricePerDay: 95,
+        minPricePerDay: 80, maxPricePerDay: 120, utilizationMultiplierOverride: 1.2 },
+    ];
+    harness.prisma.car.findMany.mockResolvedValue(fleet);
+    const exported = await request(harness.app)
+      .get('/cars/export')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(exported.status).toBe(200);
+
+    mockFleet(fleet);
+    const res = await importCsv(exported.text);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 2, created: 0, updated: 0, unchanged: 2, failed: 0 });
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /cars/export', () => {
+  it('rejects non-admin users with 403', async () => {
+    const res = await request(harness.app)
+      .get('/cars/export')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('returns the fleet as CSV in the import format (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([{ ...existingCar, saleDescription: 'Mint, one owner' }]);
+
+    const res = await request(harness.app)
+      .get('/cars/export')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="cars.csv"');
+    const [header, line] = res.text.trim().split('\r\n');
+    expect(header.split(',')).toEqual(expect.arrayContaining([
+      'vin', 'pricePerDay', 'useDynamicPricing', 'basePricePerDay', 'minPricePerDay', 'maxPricePerDay',
+      'applyUtilizationPricing', 'utilizationMultiplierOverride',
+    ]));
+    expect(line).toContain('1HGBH41JXMN109186,ABC123,Toyota,Corolla,2022,1,White');
+    expect(line).toContain('"Mint, one owner"');
+    const args = harness.prisma.car.findMany.mock.calls[0][0];
+    expect(args.where).toEqual({ archivedAt: null });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Integration tests for VIN decoding: GET /cars/vin/:vin/decode, check digit validation on
+ * POST and PUT /cars (a car's stored VIN is exempt), and POST /cars prefilling make and year
+ * with warnings on mismatches.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken() {
+  return jwt.sign(
+    { sub: 2, role: 'USER', email: 'user@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+const teslaPayload = {
+  vin: '5YJ3E1EA2KF317000',
+  numberPlate: 'EV2019',
+  model: 'Model 3',
+  pricePerDay: 80,
+  cityId: 1,
+  fuelType: 'ELECTRIC',
+  powerKW: 211,
+  bodyType: 'SEDAN',
+  gearbox: 'AUTOMATIC',
+};
+
+function mockCreate() {
+  harness.prisma.city.findUnique.mockResolvedValue({ id: 1, name: 'Vilnius' });
+  harness.prisma.car.create.mockImplementation(async ({ data }) => ({ id: 42, ...data }));
+}
+
+describe('GET /cars/vin/:vin/decode', () => {
+  it('rejects non-admin users with 403', async () => {
+    const res = await request(harness.app)
+      .get('/cars/vin/5YJ3E1EA2KF317000/decode')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('decodes the manufacturer, model year and check digit (200)', async () => {
+    const res = await request(harness.app)
+      .get('/cars/vin/5yj3e1ea2kf317000/decode')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      vin: '5YJ3E1EA2KF317000',
+      wmi: '5YJ',
+      region: 'North America',
+      make: 'Tesla',
+      modelYear: 2019,
+      modelYearCandidates: [2019, 1989],
+      checkDigit: { expected: '2', actual: '2', valid: true, required: true },
+    });
+  });
+
+  it('decodes a VIN with a wrong check digit and reports it', async () => {
+    const res = await request(harness.app)
+      .get('/cars/vin/5YJ3E1EA7KF317000/decode')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.checkDigit).toEqual({ expected: '2', actual: '7', valid: false, required: true });
+  });
+
+  it('rejects a malformed VIN with 400', async () => {
+    const res = await request(harness.app)
+      .get('/cars/vin/NOT-A-VIN/decode')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /cars with VIN decoding', () => {
+  it('prefills make and year from the VIN (201)', async () => {
+    mockCreate();
+
+    const res = await request(harness.app)
+      .post('/cars')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send(teslaPayload);
+
+    expect(res.status).toBe(201);
+    expect(res.body.warnings).toBeUndefined();
+    expect(harness.prisma.car.create.mock.calls[0][0].data).toMatchObject({ make: 'Tesla', year: 2019 });
+  });
+
+  it('keeps submitted values and warns when they contradict the VIN (201)', async () => {
+    mockCreate();
+
+    const res = await request(harness.app)
+      .post('/cars')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ ...teslaPayload, make: 'Toyota', year: 2023 });
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.car.create.mock.calls[0][0].data).toMatchObject({ make: 'Toyota', year: 2023 });
+    expect(res.body.warnings).toEqual([
+      expect.objectContaining({ field: 'make', submitted: 'Toyota', decoded: 'Tesla' }),
+      expect.objectContaining({ field: 'year', submitted: 2023, decoded: 2019 }),
+    ]);
+  });
+
+  it('rejects a North American VIN with a wrong check digit (400)', async () => {
+    mockCreate();
+
+    const res = await request(harness.app)
+      .post('/cars')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ ...teslaPayload, vin: '5YJ3E1EA7KF317000' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('vin check digit (9th character) must be 2');
+    expect(harness.prisma.car.create).not.toHaveBeenCalled();
+  });
+
+  it('still requires make when the VIN manufacturer is unknown (400)', async () => {
+    mockCreate();
+
+    const res = await request(harness.app)
+      .post('/cars')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ ...teslaPayload, vin: '9BWZZZ377VT004251', fuelType: 'PETROL' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('make must be a non-empty string');
+  });
+});
+
+describe('PUT /cars/:id with a new VIN', () => {
+  it('rejects a wrong check digit (400)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, vin: '5YJ3E1EA2KF317000' });
+
+    const res = await request(harness.app)
+      .put('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ vin: '5YJ3E1EA7KF317000' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('vin check digit (9th character) must be 2');
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('accepts the VIN the car already has, even with a wrong check digit (200)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, vin: '5YJ3E1EA7KF317000', odometerKm: 0, state: 'AVAILABLE' });
+    harness.prisma.car.update.mockImplementation(async ({ data }) => ({ id: 5, ...data }));
+
+    const res = await request(harness.app)
+      .put('/cars/5')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ vin: '5yj3e1ea7kf317000', pricePerDay: 90 });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.car.update).toHaveBeenCalled();
+  });
+});
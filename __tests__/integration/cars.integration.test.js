@@ -85,6 +85,128 @@ describe('GET /cars', () => {
     expect(res.status).toBe(400);
     expect(res.body.error).toMatch(/cityId/);
   });
+
+  it('applies catalogue filters and sorting to the query (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([]);
+    const res = await request(harness.app).get(
+      '/cars?make=toyota&minYear=2018&fuelType=DIESEL,HYBRID_HEV&minSeats=5&maxPrice=60&sortBy=price&sortOrder=desc'
+    );
+    expect(res.status).toBe(200);
+    const args = harness.prisma.car.findMany.mock.calls[0][0];
+    expect(args.where.make).toEqual({ equals: 'toyota', mode: 'insensitive' });
+    expect(args.where.year).toEqual({ gte: 2018 });
+    expect(args.where.fuelType).toEqual({ in: ['DIESEL', 'HYBRID_HEV'] });
+    expect(args.where.seatCount).toEqual({ gte: 5 });
+    expect(args.where.pricePerDay).toEqual({ lte: 60 });
+    expect(args.orderBy).toEqual([{ pricePerDay: 'desc' }, { id: 'asc' }]);
+  });
+
+  it('returns a paginated envelope with totals when page is given (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([{ id: 3 }, { id: 4 }]);
+    harness.prisma.car.count.mockResolvedValue(12);
+    const res = await request(harness.app).get('/cars?page=2&pageSize=2');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 12, page: 2, pageSize: 2, totalPages: 6 });
+    expect(res.body.items).toHaveLength(2);
+    const args = harness.prisma.car.findMany.mock.calls[0][0];
+    expect(args).toMatchObject({ skip: 2, take: 2 });
+  });
+
+  it('returns nextCursor when more rows exist in cursor mode (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([{ id: 5 }, { id: 6 }, { id: 7 }]);
+    harness.prisma.car.count.mockResolvedValue(10);
+    const res = await request(harness.app).get('/cars?cursor=4&limit=2');
+    expect(res.status).toBe(200);
+    expect(res.body.items.map((c) => c.id)).toEqual([5, 6]);
+    expect(res.body.nextCursor).toBe(6);
+    const args = harness.prisma.car.findMany.mock.calls[0][0];
+    expect(args).toMatchObject({ take: 3, skip: 1, cursor: { id: 4 } });
+  });
+
+  it('rejects an unknown enum value with 400', async () => {
+    const res = await request(harness.app).get('/cars?gearbox=CVT');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/gearbox/);
+  });
+});
+
+describe('GET /cars/for-sale', () => {
+  it('filters price on salePrice (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([]);
+    const res = await request(harness.app).get('/cars/for-sale?minPrice=5000&sortBy=price');
+    expect(res.status).toBe(200);
+    const args = harness.prisma.car.findMany.mock.calls[0][0];
+    expect(args.where).toMatchObject({ availableForSale: true, salePrice: { gte: 5000 } });
+    expect(args.orderBy[0]).toEqual({ salePrice: 'asc' });
+  });
+});
+
+describe('GET /cars/for-lease', () => {
+  it('returns only cars free for the requested range, each with a price quote (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([{ id: 1, make: 'Toyota' }]);
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1,
+      pricePerDay: 40,
+      useDynamicPricing: false,
+      availableForLease: true,
+      state: 'AVAILABLE',
+    });
+    const res = await request(harness.app).get(
+      '/cars/for-lease?startDate=2026-06-01T10:00:00Z&endDate=2026-06-04T10:00:00Z'
+    );
+    expect(res.status).toBe(200);
+    expect(res.body.map((c) => c.id)).toEqual([1]);
+    expect(res.body[0].quote).toEqual({ pricePerDay: 40, totalPrice: 120 });
+    const where = harness.prisma.car.findMany.mock.calls[0][0].where;
+    expect(where.contracts.none.state).toEqual({ in: ['DRAFT', 'ACTIVE'] });
+    expect(where.prepBlocks.none).toBeDefined();
+  });
+
+  it('finds cars by where they will be at startDate, following one-way drop-offs (200)', async () => {
+    // car 1 is based in city 1 but a booking leaves it in city 2; car 3 is dropped off in city 1;
+    // car 4's latest booking has no drop-off city, so it stays where that booking started
+    harness.prisma.car.findMany
+      .mockResolvedValueOnce([{ id: 1, cityId: 1 }, { id: 2, cityId: 1 }, { id: 3, cityId: 2 }, { id: 4, cityId: 2 }])
+      .mockResolvedValue([]);
+    harness.prisma.contract.findMany.mockResolvedValue([
+      { carId: 1, pickupCityId: 1, dropoffCityId: 2 },
+      { carId: 3, pickupCityId: 2, dropoffCityId: 1 },
+      { carId: 4, pickupCityId: 1, dropoffCityId: null },
+    ]);
+    const res = await request(harness.app).get(
+      '/cars/for-lease?cityId=1&startDate=2026-06-01T10:00:00Z&endDate=2026-06-04T10:00:00Z'
+    );
+    expect(res.status).toBe(200);
+
+    // candidates are the cars free for the range, in any city
+    const candidates = harness.prisma.car.findMany.mock.calls[0][0].where;
+    expect(candidates.cityId).toBeUndefined();
+    expect(candidates.availableForLease).toBe(true);
+    expect(candidates.contracts.none).toBeDefined();
+    // only each candidate's latest booking before startDate is read
+    expect(harness.prisma.contract.findMany.mock.calls[0][0]).toMatchObject({
+      where: { carId: { in: [1, 2, 3, 4] }, endDate: { lte: new Date('2026-06-01T10:00:00Z') } },
+      orderBy: [{ carId: 'asc' }, { endDate: 'desc' }],
+      distinct: ['carId'],
+    });
+
+    const where = harness.prisma.car.findMany.mock.calls[1][0].where;
+    expect(where.cityId).toBeUndefined();
+    expect(where.id).toEqual({ in: [2, 3, 4] });
+  });
+
+  it('requires startDate and endDate together (400)', async () => {
+    const res = await request(harness.app).get('/cars/for-lease?startDate=2026-06-01');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/together/);
+  });
+
+  it('lists lease cars without quotes when no dates are given (200)', async () => {
+    harness.prisma.car.findMany.mockResolvedValue([{ id: 1, make: 'Toyota' }]);
+    const res = await request(harness.app).get('/cars/for-lease');
+    expect(res.status).toBe(200);
+    expect(res.body[0].quote).toBeUndefined();
+  });
 });
 
 describe('GET /cars/:id', () => {
@@ -121,6 +243,54 @@ describe('GET /cars/:id', () => {
   });
 });
 
+describe('GET /cars/:id/availability', () => {
+  it('returns occupied intervals with reasons and the free windows between them (200)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, state: 'AVAILABLE' });
+    harness.prisma.contract.findMany.mockResolvedValue([
+      { id: 10, state: 'ACTIVE', startDate: new Date('2026-06-05'), endDate: new Date('2026-06-08') },
+    ]);
+    harness.prisma.carPrepBlock.findMany.mockResolvedValue([
+      { id: 3, startDate: new Date('2026-06-08'), endDate: new Date('2026-06-09') },
+    ]);
+    const res = await request(harness.app).get(
+      '/cars/1/availability?from=2026-06-01T00:00:00Z&to=2026-06-15T00:00:00Z'
+    );
+    expect(res.status).toBe(200);
+    expect(res.body.occupied.map((i) => i.reason)).toEqual(['RENTAL', 'PREP']);
+    expect(res.body.occupied[0].contractId).toBeUndefined();
+    expect(res.body.free).toEqual([
+      { startDate: '2026-06-01T00:00:00.000Z', endDate: '2026-06-05T00:00:00.000Z' },
+      { startDate: '2026-06-09T00:00:00.000Z', endDate: '2026-06-15T00:00:00.000Z' },
+    ]);
+  });
+
+  it('includes contract ids for admins', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, state: 'AVAILABLE' });
+    harness.prisma.contract.findMany.mockResolvedValue([
+      { id: 10, state: 'DRAFT', startDate: new Date('2026-06-05'), endDate: new Date('2026-06-08') },
+    ]);
+    harness.prisma.carPrepBlock.findMany.mockResolvedValue([]);
+    const res = await request(harness.app)
+      .get('/cars/1/availability?from=2026-06-01T00:00:00Z&to=2026-06-15T00:00:00Z')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body.occupied[0]).toMatchObject({ reason: 'RESERVATION', contractId: 10 });
+  });
+
+  it('rejects a range where to is not after from (400)', async () => {
+    const res = await request(harness.app).get(
+      '/cars/1/availability?from=2026-06-10T00:00:00Z&to=2026-06-01T00:00:00Z'
+    );
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 404 when the car is missing', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app).get('/cars/999/availability');
+    expect(res.status).toBe(404);
+  });
+});
+
 describe('POST /cars', () => {
   it('rejects unauthenticated requests with 401', async () => {
     const res = await request(harness.app).post('/cars').send(validCarPayload);
@@ -128,3 +128,22 @@ describe('POST /cities', () => {
     expect(res.status).toBe(409);
   });
 });
+
+describe('GET /cities/:id/cars', () => {
+  it('returns 404 when the city does not exist', async () => {
+    harness.prisma.city.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app).get('/cities/99/cars');
+    expect(res.status).toBe(404);
+  });
+
+  it('applies catalogue filters within the city (200)', async () => {
+    harness.prisma.city.findUnique.mockResolvedValue({ id: 1 });
+    harness.prisma.car.findMany.mockResolvedValue([{ id: 1, cityId: 1 }]);
+    const res = await request(harness.app).get('/cities/1/cars?bodyType=SUV&sortBy=year');
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    const args = harness.prisma.car.findMany.mock.calls[0][0];
+    expect(args.where).toEqual({ archivedAt: null, cityId: 1, bodyType: { in: ['SUV'] } });
+    expect(args.orderBy[0]).toEqual({ year: 'asc' });
+  });
+});
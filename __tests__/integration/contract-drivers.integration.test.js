@@ -0,0 +1,443 @@
+/**
+ * Integration tests for additional drivers on a contract: naming and
+ * removing them with their eligibility checks and per-day fee, and the
+ * read-only access named registered users get to the contract.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+let config;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+  // Imported after the harness sets JWT_SECRET, which config.js reads at load time.
+  ({ config } = await import('../../src/config.js'));
+});
+
+beforeEach(() => {
+  harness.reset();
+  config.additionalDriverFeePerDay = 5;
+});
+
+afterEach(() => {
+  config.additionalDriverFeePerDay = 0;
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+function nextWeek(daysOffset = 7) {
+  const d = new Date();
+  d.setDate(d.getDate() + daysOffset);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const draft = {
+  id: 1,
+  userId: 2,
+  carId: 5,
+  state: 'DRAFT',
+  startDate: nextWeek(7),
+  endDate: nextWeek(10),
+  totalPrice: 120,
+  additionalDriversTotal: 0,
+};
+const car = { id: 5, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE', powerKW: 90, bodyType: 'SEDAN' };
+const licence = {
+  dateOfBirth: '1988-02-10',
+  licenceNumber: 'LT5550001',
+  licenceCountry: 'LT',
+  licenceIssuedAt: '2008-03-01',
+  licenceExpiresAt: '2039-03-01',
+};
+
+/** The row Prisma would return, resolving { increment } and { decrement } against the stored values. */
+function applyUpdate(contract, data) {
+  const row = { ...contract };
+  for (const [key, value] of Object.entries(data)) {
+    if (value?.increment !== undefined) row[key] = Math.round((row[key] + value.increment) * 100) / 100;
+    else if (value?.decrement !== undefined) row[key] = Math.round((row[key] - value.decrement) * 100) / 100;
+    else row[key] = value;
+  }
+  return row;
+}
+
+function stubContract(contract = draft) {
+  harness.prisma.contract.findUnique.mockResolvedValue(contract);
+  harness.prisma.car.findUnique.mockResolvedValue(car);
+  harness.prisma.contract.update.mockImplementation(async ({ data }) => applyUpdate(contract, data));
+}
+
+describe('POST /contracts/:id/drivers', () => {
+  it('names an inline driver and adds the day fee to the price (201)', async () => {
+    stubContract();
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ firstName: 'Petras', lastName: 'Petraitis', ...licence });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ totalPrice: 135, additionalDriversTotal: 15 });
+    // applied by the database, so concurrent changes to the contract are not overwritten
+    expect(harness.prisma.contract.update.mock.calls[0][0].data).toEqual({
+      additionalDriversTotal: { increment: 15 },
+      totalPrice: { increment: 15 },
+    });
+    expect(harness.prisma.contractDriver.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        contractId: 1, userId: null, firstName: 'Petras', licenceNumber: 'LT5550001', feePerDay: 5, fee: 15,
+      }),
+    });
+  });
+
+  it('names a registered user by email, checked against their driver profile (201)', async () => {
+    stubContract();
+    harness.prisma.user.findUnique.mockResolvedValue({ id: 7, email: 'ona@example.com', firstName: 'Ona', lastName: null });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({
+      userId: 7,
+      dateOfBirth: new Date('1990-01-01T00:00:00Z'),
+      licenceIssuedAt: new Date('2010-01-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2040-01-01T00:00:00Z'),
+    });
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ email: ' Ona@Example.com ' });
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.user.findUnique.mock.calls[0][0]).toEqual({
+      where: { email: 'ona@example.com' },
+      select: { id: true, firstName: true, lastName: true },
+    });
+    // the licence stays on the user's profile, not on the contract
+    expect(harness.prisma.contractDriver.create.mock.calls[0][0].data).toEqual({
+      contractId: 1, userId: 7, feePerDay: 5, fee: 15,
+    });
+  });
+
+  it('rejects a registered user without a driver profile (422)', async () => {
+    stubContract();
+    harness.prisma.user.findUnique.mockResolvedValue({ id: 7, firstName: 'Ona', lastName: null });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ email: 'ona@example.com' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toEqual({ additionalDriverId: null, driver: 'Ona', code: 'DRIVER_NOT_ELIGIBLE' });
+    expect(harness.prisma.contractDriver.create).not.toHaveBeenCalled();
+  });
+
+  it('does not tell why a registered user is not eligible (422)', async () => {
+    stubContract();
+    harness.prisma.user.findUnique.mockResolvedValue({ id: 7, firstName: 'Ona', lastName: null });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({
+      userId: 7,
+      dateOfBirth: new Date('2008-01-01T00:00:00Z'),
+      licenceIssuedAt: new Date('2026-01-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2040-01-01T00:00:00Z'),
+    });
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ email: 'ona@example.com' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.code).toBe('DRIVER_NOT_ELIGIBLE');
+    expect(res.body.details.reasons).toBeUndefined();
+    expect(res.body.error).not.toMatch(/years|age|licence/i);
+  });
+
+  it('refuses renters naming by email the same way whether or not the account exists (403)', async () => {
+    stubContract();
+    harness.prisma.user.findUnique.mockResolvedValueOnce({ id: 7, firstName: 'Ona', lastName: null });
+    const known = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ email: 'ona@example.com' });
+    const unknown = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ email: 'nobody@example.com' });
+
+    expect(known.status).toBe(403);
+    expect(unknown.status).toBe(403);
+    expect(unknown.body).toEqual(known.body);
+    expect(harness.prisma.user.findUnique).not.toHaveBeenCalled();
+    expect(harness.prisma.contractDriver.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to look users up by id (400)', async () => {
+    stubContract();
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ userId: 7 });
+
+    expect(res.status).toBe(400);
+    expect(harness.prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('applies the main driver rules to inline drivers (422)', async () => {
+    stubContract();
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ firstName: 'Jonas', lastName: 'Naujokas', ...licence, licenceIssuedAt: new Date().toISOString() });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.code).toBe('LICENCE_TENURE_TOO_SHORT');
+    expect(res.body.details.driver).toBe('Jonas Naujokas');
+  });
+
+  it('validates the body and refuses the customer as their own additional driver (400)', async () => {
+    stubContract();
+    const empty = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({});
+    expect(empty.status).toBe(400);
+
+    harness.prisma.user.findUnique.mockResolvedValue({ id: 2, email: 'u2@example.com' });
+    const self = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ email: 'u2@example.com' });
+    expect(self.status).toBe(400);
+    expect(self.body.error).toMatch(/main driver/);
+  });
+
+  it('returns 409 for a user already named on the contract', async () => {
+    stubContract();
+    harness.prisma.user.findUnique.mockResolvedValue({ id: 7, email: 'ona@example.com' });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({
+      dateOfBirth: new Date('1990-01-01T00:00:00Z'),
+      licenceIssuedAt: new Date('2010-01-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2040-01-01T00:00:00Z'),
+    });
+    harness.prisma.contractDriver.create.mockRejectedValue(Object.assign(new Error('unique'), { code: 'P2002' }));
+    const res = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ email: 'ona@example.com' });
+    expect(res.status).toBe(409);
+  });
+
+  it('only lets the owner or an admin change drivers, and only before completion', async () => {
+    stubContract();
+    const stranger = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(3)}`)
+      .send({ firstName: 'Petras', lastName: 'Petraitis', ...licence });
+    expect(stranger.status).toBe(403);
+
+    stubContract({ ...draft, state: 'COMPLETED' });
+    const completed = await request(harness.app)
+      .post('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ firstName: 'Petras', lastName: 'Petraitis', ...licence });
+    expect(completed.status).toBe(409);
+  });
+});
+
+describe('DELETE /contracts/:id/drivers/:driverId', () => {
+  it('removes the driver and takes their fee off the price (200)', async () => {
+    stubContract({ ...draft, totalPrice: 135, additionalDriversTotal: 15 });
+    harness.prisma.contractDriver.findFirst.mockResolvedValue({
+      id: 4, contractId: 1, feePerDay: 5, fee: 15, createdAt: new Date(),
+    });
+    harness.prisma.contractAmendment.findMany.mockResolvedValue([]);
+    const res = await request(harness.app)
+      .delete('/contracts/1/drivers/4')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalPrice: 120, additionalDriversTotal: 0 });
+    expect(harness.prisma.contract.update.mock.calls[0][0].data).toEqual({
+      additionalDriversTotal: { decrement: 15 },
+      totalPrice: { decrement: 15 },
+    });
+    expect(harness.prisma.contractDriver.delete).toHaveBeenCalledWith({ where: { id: 4 } });
+  });
+
+  it('also refunds the days later extensions charged for the driver (200)', async () => {
+    const namedAt = new Date();
+    // 3 booked days, then extended by 2 days and by 1 day: 3 x 5 fee plus 3 x 5 in the extensions
+    stubContract({ ...draft, state: 'ACTIVE', endDate: nextWeek(13), totalPrice: 240, additionalDriversTotal: 15 });
+    harness.prisma.contractDriver.findFirst.mockResolvedValue({
+      id: 4, contractId: 1, feePerDay: 5, fee: 15, createdAt: namedAt,
+    });
+    harness.prisma.contractAmendment.findMany.mockResolvedValue([
+      { previousEndDate: nextWeek(10), newEndDate: nextWeek(12) },
+      { previousEndDate: nextWeek(12), newEndDate: nextWeek(13) },
+    ]);
+
+    const res = await request(harness.app)
+      .delete('/contracts/1/drivers/4')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalPrice: 210, additionalDriversTotal: 0 });
+    expect(harness.prisma.contractAmendment.findMany.mock.calls[0][0].where).toEqual({
+      contractId: 1, type: 'EXTENSION', createdAt: { gt: namedAt },
+    });
+  });
+
+  it('returns 404 for a driver of another contract', async () => {
+    stubContract();
+    harness.prisma.contractDriver.findFirst.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .delete('/contracts/1/drivers/4')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(404);
+    expect(harness.prisma.contractDriver.findFirst.mock.calls[0][0].where).toEqual({ id: 4, contractId: 1 });
+  });
+});
+
+describe('read-only access for named drivers', () => {
+  it('lists contracts naming the caller in /contracts/my, flagged as such', async () => {
+    harness.prisma.contract.findMany
+      .mockResolvedValueOnce([{ id: 10, userId: 7, startDate: nextWeek(1) }])
+      .mockResolvedValueOnce([{ id: 11, userId: 2, startDate: nextWeek(5) }]);
+    const res = await request(harness.app)
+      .get('/contracts/my')
+      .set('Authorization', `Bearer ${userToken(7)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((c) => [c.id, c.isAdditionalDriver])).toEqual([[11, true], [10, false]]);
+    expect(harness.prisma.contract.findMany.mock.calls[1][0].where).toMatchObject({
+      drivers: { some: { userId: 7 } },
+    });
+  });
+
+  it('hides inline drivers\u2019 licence and date of birth from named drivers, not from the owner', async () => {
+    const inline = { id: 5, userId: null, firstName: 'Petras', lastName: 'Petraitis', dateOfBirth: '1988-02-10T00:00:00.000Z',
+      licenceNumber: 'LT5550001', licenceCountry: 'LT', licenceIssuedAt: '2008-03-01T00:00:00.000Z',
+      licenceExpiresAt: '2039-03-01T00:00:00.000Z', fee: 15 };
+    const named = { ...draft, drivers: [{ id: 4, userId: 7, user: { id: 7, firstName: 'Ona', lastName: null }, fee: 15 }, inline] };
+    harness.prisma.contract.findUnique.mockResolvedValue(named);
+
+    const asDriver = await request(harness.app)
+      .get('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(7)}`);
+    expect(asDriver.status).toBe(200);
+    expect(asDriver.body.drivers[1]).toEqual({ id: 5, userId: null, firstName: 'Petras', lastName: 'Petraitis', fee: 15 });
+
+    const asOwner = await request(harness.app)
+      .get('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(asOwner.body.drivers[1]).toMatchObject({ licenceNumber: 'LT5550001', dateOfBirth: '1988-02-10T00:00:00.000Z' });
+
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2, drivers: named.drivers });
+    const list = await request(harness.app)
+      .get('/contracts/1/drivers')
+      .set('Authorization', `Bearer ${userToken(7)}`);
+    expect(list.status).toBe(200);
+    expect(list.body[1].licenceNumber).toBeUndefined();
+
+    harness.prisma.contract.findMany
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ ...named, startDate: nextWeek(5) }]);
+    const my = await request(harness.app)
+      .get('/contracts/my')
+      .set('Authorization', `Bearer ${userToken(7)}`);
+    expect(my.body[0].drivers[1].licenceNumber).toBeUndefined();
+    expect(my.body[0].drivers[1].dateOfBirth).toBeUndefined();
+  });
+
+  it('lets a named driver read the contract but not change it', async () => {
+    const named = { ...draft, drivers: [{ id: 4, userId: 7, fee: 15 }] };
+    harness.prisma.contract.findUnique.mockResolvedValue(named);
+    const read = await request(harness.app)
+      .get('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(7)}`);
+    expect(read.status).toBe(200);
+
+    const write = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(7)}`)
+      .send({ notes: 'mine now' });
+    expect(write.status).toBe(403);
+  });
+});
+
+describe('additional drivers on booking changes', () => {
+  const driver = { id: 4, contractId: 1, userId: null, firstName: 'Petras', lastName: 'Petraitis',
+    dateOfBirth: new Date('1988-02-10T00:00:00Z'), licenceIssuedAt: new Date('2008-03-01T00:00:00Z'),
+    licenceExpiresAt: new Date('2039-03-01T00:00:00Z'), feePerDay: 5, fee: 15 };
+
+  beforeEach(() => {
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({
+      dateOfBirth: new Date('1985-01-01T00:00:00Z'),
+      licenceIssuedAt: new Date('2005-01-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2045-01-01T00:00:00Z'),
+    });
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.contractDriver.findMany.mockResolvedValue([driver]);
+  });
+
+  it('charges the driver fee for the added days of an extension', async () => {
+    const active = { ...draft, state: 'ACTIVE', totalPrice: 135, additionalDriversTotal: 15 };
+    stubContract(active);
+    harness.prisma.contractAmendment.create.mockImplementation(async ({ data }) => ({ id: 9, ...data }));
+    const res = await request(harness.app)
+      .post('/contracts/1/extend')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(12).toISOString() });
+
+    expect(res.status).toBe(200);
+    // 2 days × 40 for the car + 2 days × 5 for the driver
+    expect(res.body.totalPrice).toBe(225);
+    expect(res.body.amendment.priceDifference).toBe(90);
+  });
+
+  it('re-prices the drivers when the dates change', async () => {
+    stubContract({ ...draft, totalPrice: 135, additionalDriversTotal: 15 });
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(11).toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ totalPrice: 180, additionalDriversTotal: 20 });
+    expect(res.body.drivers).toEqual({ update: [{ where: { id: 4 }, data: { fee: 20 } }] });
+  });
+
+  it('re-checks the drivers against the new end date (422)', async () => {
+    stubContract({ ...draft, state: 'ACTIVE', totalPrice: 135, additionalDriversTotal: 15 });
+    harness.prisma.contractDriver.findMany.mockResolvedValue([
+      { ...driver, licenceExpiresAt: nextWeek(11) },
+    ]);
+    const res = await request(harness.app)
+      .post('/contracts/1/extend')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(12).toISOString() });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details).toMatchObject({ code: 'LICENCE_EXPIRES_BEFORE_END', additionalDriverId: 4 });
+  });
+});
@@ -3,7 +3,8 @@
  *
  * Covers the booking lifecycle: listing (admin only), fetching "my"
  * contracts, creating a reservation with static pricing and rejecting
- * calendar conflicts / missing cars, plus the admin-only activation flow.
+ * calendar conflicts / missing cars, plus the admin-only activation flow,
+ * the state history recorded for every transition and cancellation fees.
  */
 import {
   describe,
@@ -22,8 +23,19 @@ beforeAll(async () => {
   harness = await setupTestApp();
 });
 
+// Passes the default driver rules for every car, including the stricter ones.
+const eligibleDriver = {
+  userId: 2,
+  dateOfBirth: new Date('1985-04-12T00:00:00Z'),
+  licenceNumber: 'LT1234567',
+  licenceCountry: 'LT',
+  licenceIssuedAt: new Date('2005-06-01T00:00:00Z'),
+  licenceExpiresAt: new Date('2040-06-01T00:00:00Z'),
+};
+
 beforeEach(() => {
   harness.reset();
+  harness.prisma.driverProfile.findUnique.mockResolvedValue(eligibleDriver);
 });
 
 function adminToken() {
@@ -47,6 +59,10 @@ function nextWeek(daysOffset = 7) {
   return d;
 }
 
+function inHours(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+}
+
 describe('GET /contracts', () => {
   it('rejects unauthenticated requests with 401', async () => {
     const res = await request(harness.app).get('/contracts');
@@ -73,6 +89,35 @@ describe('GET /contracts', () => {
   });
 });
 
+describe('GET /contracts/overdue', () => {
+  it('rejects non-admin users with 403', async () => {
+    const res = await request(harness.app)
+      .get('/contracts/overdue')
+      .set('Authorization', `Bearer ${userToken()}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('lists late ACTIVE rentals with the next booking they endanger (200)', async () => {
+    const endDate = new Date(Date.now() - 3 * 60 * 60 * 1000);
+    harness.prisma.contract.findMany.mockResolvedValue([
+      { id: 4, carId: 5, userId: 2, state: 'ACTIVE', endDate, overdueAt: null, car: { id: 5, make: 'VW', model: 'Golf', numberPlate: 'ABC123' } },
+    ]);
+    harness.prisma.contract.findFirst.mockResolvedValue({
+      id: 8, userId: 3, state: 'DRAFT', startDate: new Date(Date.now() + 2 * 60 * 60 * 1000), endDate: nextWeek(3),
+    });
+
+    const res = await request(harness.app)
+      .get('/contracts/overdue')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({ id: 4, conflictsWithNextBooking: true, nextBooking: { id: 8 } });
+    expect(res.body[0].hoursOverdue).toBeCloseTo(3, 1);
+    expect(harness.prisma.contract.findMany.mock.calls[0][0].where.state).toBe('ACTIVE');
+  });
+});
+
 describe('GET /contracts/my', () => {
   it('returns 401 without a token', async () => {
     const res = await request(harness.app).get('/contracts/my');
@@ -179,6 +224,959 @@ describe('POST /contracts', () => {
     expect(res.status).toBe(201);
     expect(res.body.id).toBe(100);
     expect(res.body.state).toBe('DRAFT');
+    expect(harness.prisma.contractEvent.create).toHaveBeenCalledWith({
+      data: { contractId: 100, fromState: null, toState: 'DRAFT', actorId: 2, reason: null },
+    });
+  });
+
+  it('asks for a driver profile before booking (422)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE', powerKW: 90, bodyType: 'SEDAN',
+    });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(validBody);
+    expect(res.status).toBe(422);
+    expect(res.body.details.code).toBe('DRIVER_PROFILE_MISSING');
+    expect(harness.prisma.contract.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses a booking that ends after the car's insurance expires (422)", async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE', powerKW: 90, bodyType: 'SEDAN',
+    });
+    harness.prisma.carDocument.findMany.mockResolvedValue([
+      { type: 'INSURANCE', expiresAt: nextWeek(8) },
+      { type: 'ROAD_TAX', expiresAt: nextWeek(60) },
+    ]);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(validBody);
+    expect(res.status).toBe(422);
+    expect(res.body.details.code).toBe('CAR_DOCUMENTS_EXPIRE');
+    expect(res.body.details.documents).toEqual([{ type: 'INSURANCE', expiresAt: nextWeek(8).toISOString() }]);
+    expect(harness.prisma.contract.create).not.toHaveBeenCalled();
+  });
+
+  it('applies the stricter age rule to vans (422)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE', powerKW: 90, bodyType: 'VAN',
+    });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({
+      ...eligibleDriver,
+      dateOfBirth: new Date(Date.now() - 23 * 365.25 * 24 * 3600 * 1000),
+    });
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(validBody);
+    expect(res.status).toBe(422);
+    expect(res.body.details.code).toBe('DRIVER_TOO_YOUNG');
+    expect(res.body.details.reasons).toHaveLength(1);
+    expect(res.body.error).toMatch(/25 years/);
+  });
+});
+
+describe('PUT /contracts/:id', () => {
+  const existing = {
+    id: 1,
+    userId: 2,
+    carId: 1,
+    state: 'DRAFT',
+    startDate: nextWeek(7),
+    endDate: nextWeek(10),
+    totalPrice: 120,
+    mileageStartKm: 10000,
+  };
+
+  it('reprices a dynamic-pricing car through the engine and returns the difference (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(existing);
+    const dynamicCar = {
+      id: 1,
+      pricePerDay: 40,
+      basePricePerDay: 40,
+      minPricePerDay: 20,
+      maxPricePerDay: 100,
+      useDynamicPricing: true,
+      availableForLease: true,
+      applyUtilizationPricing: false,
+      cityId: 1,
+      state: 'AVAILABLE',
+      city: { id: 1, name: 'Vilnius' },
+    };
+    harness.prisma.car.findUnique.mockResolvedValue(dynamicCar);
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.car.count.mockResolvedValue(10);
+    harness.prisma.contract.count.mockResolvedValue(0);
+    harness.prisma.contract.findMany.mockResolvedValue([]);
+    harness.prisma.seasonalFactor.findMany.mockResolvedValue([]);
+    harness.prisma.pricingRule.findMany.mockResolvedValue([]);
+    harness.prisma.pricingSnapshot.create.mockResolvedValue({ id: 55 });
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...existing, ...data }));
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(14).toISOString() });
+
+    expect(res.status).toBe(200);
+    const data = harness.prisma.contract.update.mock.calls[0][0].data;
+    expect(data.pricingSnapshotId).toBe(55);
+    expect(data.finalPrice).toBeGreaterThan(0);
+    expect(data.totalPrice).toBeCloseTo(data.finalPrice * 7, 2);
+    expect(data.demandMultiplier).not.toBeNull();
+    expect(res.body.priceChange).toEqual({
+      previousTotalPrice: 120,
+      totalPrice: data.totalPrice,
+      difference: Math.round((data.totalPrice - 120) * 100) / 100,
+    });
+  });
+
+  it('keeps the stored quote when only notes change (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(existing);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE' });
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...existing, ...data }));
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ notes: 'Child seat please' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.priceChange).toBeNull();
+    expect(harness.prisma.contract.update.mock.calls[0][0].data.totalPrice).toBeUndefined();
+  });
+
+  it('refuses to move the dates of an ACTIVE contract and points to the amendment endpoints (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...existing, state: 'ACTIVE' });
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'LEASED' });
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(14).toISOString() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/\/extend .*\/early-return/);
+    expect(res.body.details).toEqual({ state: 'ACTIVE' });
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to move an ACTIVE contract to another car (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...existing, state: 'ACTIVE' });
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 2, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE' });
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ carId: 2 });
+
+    expect(res.status).toBe(409);
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('still takes notes on an ACTIVE contract (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...existing, state: 'ACTIVE' });
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'LEASED' });
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...existing, state: 'ACTIVE', ...data }));
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ notes: 'Returning to the airport' });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.contract.update.mock.calls[0][0].data.notes).toBe('Returning to the airport');
+  });
+
+  it('refuses any edit of a COMPLETED contract (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...existing, state: 'COMPLETED' });
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE' });
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ notes: 'Fixed after invoicing' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('A COMPLETED contract can no longer be edited');
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects reopening a completed contract through state (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...existing, state: 'COMPLETED' });
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE' });
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ state: 'ACTIVE' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual({ allowed: [] });
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('does not let the customer activate their own draft (403)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(existing);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE' });
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ state: 'ACTIVE' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('points COMPLETED requests at the complete endpoint (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...existing, state: 'ACTIVE' });
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'LEASED' });
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ state: 'COMPLETED' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/complete/);
+  });
+
+  it('records a history event when the owner cancels through state (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(existing);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE' });
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...existing, ...data }));
+    harness.prisma.payment.findMany.mockResolvedValue([]);
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ state: 'CANCELLED', reason: 'Plans changed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.state).toBe('CANCELLED');
+    expect(harness.prisma.contractEvent.create).toHaveBeenCalledWith({
+      data: { contractId: 1, fromState: 'DRAFT', toState: 'CANCELLED', actorId: 2, reason: 'Plans changed' },
+    });
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('marks the new car as rented when a draft is activated and moved in one edit (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(existing);
+    harness.prisma.car.findUnique.mockImplementation(async ({ where }) => ({
+      id: where.id, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE', odometerKm: 5000, cityId: 1,
+    }));
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...existing, ...data }));
+
+    const res = await request(harness.app)
+      .put('/contracts/1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ carId: 2, state: 'ACTIVE' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ carId: 2, state: 'ACTIVE' });
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({ where: { id: 2 }, data: { state: 'LEASED' } });
+    expect(harness.prisma.carStateChange.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ carId: 2, fromState: 'AVAILABLE', toState: 'LEASED', contractId: 1 }),
+    });
+  });
+});
+
+describe('DELETE /contracts/:id', () => {
+  const draft = { id: 1, userId: 2, carId: 1, state: 'DRAFT', totalPrice: 120 };
+
+  it('deletes an unpaid draft with its history (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(draft);
+    harness.prisma.invoice.count.mockResolvedValue(0);
+    harness.prisma.payment.count.mockResolvedValue(0);
+
+    const res = await request(harness.app)
+      .delete('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.contractEvent.deleteMany).toHaveBeenCalledWith({ where: { contractId: 1 } });
+    expect(harness.prisma.contract.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+  });
+
+  it('refuses to delete a completed contract, even for an admin (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...draft, state: 'COMPLETED' });
+
+    const res = await request(harness.app)
+      .delete('/contracts/1')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(harness.prisma.contract.delete).not.toHaveBeenCalled();
+  });
+
+  it('refuses to delete a draft with payments (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(draft);
+    harness.prisma.invoice.count.mockResolvedValue(0);
+    harness.prisma.payment.count.mockResolvedValue(1);
+
+    const res = await request(harness.app)
+      .delete('/contracts/1')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/invoices or payments/);
+    expect(harness.prisma.contract.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /contracts/:id/history', () => {
+  it('returns 403 for another user\u2019s contract', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 99 });
+    const res = await request(harness.app)
+      .get('/contracts/1/history')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('returns 404 when the contract does not exist', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .get('/contracts/999/history')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+
+  it('lists state changes oldest first with the actor (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2 });
+    harness.prisma.contractEvent.findMany.mockResolvedValue([
+      { id: 1, contractId: 1, fromState: null, toState: 'DRAFT', actorId: 2, reason: null, actor: { id: 2, firstName: 'Ona', lastName: 'K' } },
+      { id: 2, contractId: 1, fromState: 'DRAFT', toState: 'ACTIVE', actorId: 1, reason: null, actor: { id: 1, firstName: 'Admin', lastName: null } },
+    ]);
+    const res = await request(harness.app)
+      .get('/contracts/1/history')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(200);
+    expect(res.body.map((e) => e.toState)).toEqual(['DRAFT', 'ACTIVE']);
+    expect(harness.prisma.contractEvent.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { contractId: 1 },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    }));
+  });
+});
+
+describe('POST /contracts/:id/complete', () => {
+  const active = {
+    id: 1,
+    userId: 2,
+    carId: 5,
+    state: 'ACTIVE',
+    startDate: nextWeek(-3),
+    endDate: nextWeek(-1),
+    mileageStartKm: 10000,
+    fuelLevelStartPct: 90,
+  };
+
+  it('charges an EV on battery percentage using its policy and returns the breakdown (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'HATCHBACK', fuelType: 'ELECTRIC' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([
+      { id: 3, name: 'EVs in Vilnius', carId: null, bodyType: null, cityId: 1, isActive: true,
+        kmAllowancePerDay: 150, extraKmFee: 0.2, fuelFeePerPct: 1, batteryFeePerPct: 0.5 },
+    ]);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10400, fuelLevelEndPct: 50, damageFee: 30, returnedAt: active.endDate.toISOString() });
+
+    expect(res.status).toBe(200);
+    const data = harness.prisma.contract.update.mock.calls[0][0].data;
+    expect(data.extraFeeBreakdown.policy).toEqual({ id: 3, name: 'EVs in Vilnius' });
+    expect(data.extraFeeBreakdown.items.map((i) => [i.code, i.amount])).toEqual([
+      ['EXTRA_KM', 20],
+      ['BATTERY', 20],
+      ['DAMAGE', 30],
+    ]);
+    expect(data.extraFees).toBe(70);
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({
+      where: { id: 5 },
+      data: { odometerKm: 10400, state: 'AVAILABLE' },
+    });
+  });
+
+  it('does not let the renter backdate the return to avoid late fees (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ mileageEndKm: 10400, fuelLevelEndPct: 90, returnedAt: active.endDate.toISOString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('returnedAt cannot be in the past; ask an admin to record an earlier return');
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('issues an invoice with the next number of the year', async () => {
+    const completed = { ...active, state: 'COMPLETED', totalPrice: 80, finalPrice: null, durationDiscount: null, extraFees: 0 };
+    harness.prisma.contract.findUnique
+      .mockResolvedValueOnce(active)
+      .mockResolvedValue(completed);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 42 });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10100, fuelLevelEndPct: 90, returnedAt: active.endDate.toISOString() });
+
+    expect(res.status).toBe(200);
+    const { data } = harness.prisma.invoice.create.mock.calls[0][0];
+    const year = harness.prisma.invoiceSequence.upsert.mock.calls[0][0].where.year;
+    expect(data.number).toBe(`INV-${year}-000042`);
+    expect(data.sequence).toBe(42);
+    expect(data.contractId).toBe(1);
+    expect(data.userId).toBe(2);
+    expect(data.total).toBe(80);
+    expect(data.lines.create).toEqual([
+      expect.objectContaining({ position: 1, code: 'RENTAL', quantity: 2, unitPrice: 40, amount: 80 }),
+    ]);
+  });
+
+  it('charges late fees from returnedAt and books the prep day after the real return', async () => {
+    const booked = {
+      ...active,
+      startDate: new Date('2026-06-01T08:00:00Z'),
+      endDate: new Date('2026-06-04T08:00:00Z'), // 11:00 in Vilnius, no prep day needed
+    };
+    harness.prisma.contract.findUnique.mockResolvedValue(booked);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...booked, ...data }));
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10100, fuelLevelEndPct: 90, returnedAt: '2026-06-04T12:30:00Z' }); // 15:30 local
+
+    expect(res.status).toBe(200);
+    const data = harness.prisma.contract.update.mock.calls[0][0].data;
+    expect(data.returnedAt).toEqual(new Date('2026-06-04T12:30:00Z'));
+    expect(data.extraFeeBreakdown.items).toEqual([
+      { code: 'LATE_HOUR', description: 'Returned 5 hours late', quantity: 5, unitPrice: 10, amount: 50 },
+    ]);
+    expect(harness.prisma.carPrepBlock.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5,
+        startDate: new Date('2026-06-04T21:00:00Z'),
+        endDate: new Date('2026-06-05T21:00:00Z'),
+      },
+    });
+  });
+
+  it('counts the car as returned now when no returnedAt is given, charging the late day', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+
+    const before = Date.now();
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ mileageEndKm: 10100, fuelLevelEndPct: 90 });
+
+    expect(res.status).toBe(200);
+    const data = harness.prisma.contract.update.mock.calls[0][0].data;
+    expect(data.returnedAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(data.extraFeeBreakdown.items.map((i) => i.code)).toContain('LATE_DAY');
+  });
+
+  it('rejects a returnedAt in the future (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10100, fuelLevelEndPct: 90, returnedAt: nextWeek(3).toISOString() });
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 409 for a contract that is not ACTIVE', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...active, state: 'DRAFT' });
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ mileageEndKm: 10400, fuelLevelEndPct: 50 });
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('one-way rentals', () => {
+  const body = {
+    carId: 1,
+    startDate: nextWeek(7).toISOString(),
+    endDate: nextWeek(10).toISOString(),
+    mileageStartKm: 10000,
+    fuelLevelStartPct: 80,
+    pickupCityId: 1,
+    dropoffCityId: 2,
+  };
+
+  beforeEach(() => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, cityId: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE',
+    });
+    harness.prisma.contract.count.mockResolvedValue(0);
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.contract.create.mockImplementation(async ({ data }) => ({ id: 100, ...data }));
+  });
+
+  it('adds the one-way fee for the city pair to the price (201)', async () => {
+    harness.prisma.oneWayFee.findUnique.mockResolvedValue({ id: 1, fromCityId: 1, toCityId: 2, fee: 35, isActive: true });
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ pickupCityId: 1, dropoffCityId: 2, oneWayFee: 35, totalPrice: 155 });
+    expect(harness.prisma.oneWayFee.findUnique).toHaveBeenCalledWith({
+      where: { fromCityId_toCityId: { fromCityId: 1, toCityId: 2 } },
+    });
+  });
+
+  it('rejects a pair without an active fee (400)', async () => {
+    harness.prisma.oneWayFee.findUnique.mockResolvedValue({ id: 1, fromCityId: 1, toCityId: 2, fee: 35, isActive: false });
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not offered/);
+  });
+
+  it('picks the car up where an earlier one-way booking leaves it (400 elsewhere)', async () => {
+    // no overlap (checked before and under the lock), then a previous booking ending in city 2
+    harness.prisma.contract.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ dropoffCityId: 2 })
+      .mockResolvedValue(null);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ ...body, dropoffCityId: 1 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not in the pickup city/);
+    expect(harness.prisma.contract.create).not.toHaveBeenCalled();
+  });
+
+  it('takes the latest earlier booking even without a drop-off city, like the city search (400 elsewhere)', async () => {
+    // the latest booking is a round trip from city 2 stored before drop-off cities were recorded
+    harness.prisma.contract.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ pickupCityId: 2, dropoffCityId: null })
+      .mockResolvedValue(null);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ ...body, dropoffCityId: 1 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not in the pickup city/);
+    const previousLookup = harness.prisma.contract.findFirst.mock.calls[2][0];
+    expect(previousLookup.where).not.toHaveProperty('dropoffCityId');
+    expect(previousLookup.select).toEqual({ pickupCityId: true, dropoffCityId: true });
+  });
+
+  it('moves the car to the drop-off city on completion', async () => {
+    const active = {
+      id: 1, userId: 2, carId: 5, state: 'ACTIVE',
+      startDate: nextWeek(-3), endDate: nextWeek(-1),
+      mileageStartKm: 10000, fuelLevelStartPct: 90,
+      pickupCityId: 1, dropoffCityId: 2, oneWayFee: 35,
+    };
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 10300, fuelLevelEndPct: 90 });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({
+      where: { id: 5 },
+      data: { odometerKm: 10300, cityId: 2, state: 'AVAILABLE' },
+    });
+  });
+});
+
+describe('rental extras', () => {
+  const body = {
+    carId: 1,
+    startDate: nextWeek(7).toISOString(),
+    endDate: nextWeek(10).toISOString(),
+    mileageStartKm: 10000,
+    fuelLevelStartPct: 80,
+    extras: [{ extraId: 1, quantity: 2 }, { extraId: 2 }],
+  };
+  const childSeat = {
+    id: 1, code: 'CHILD_SEAT', name: 'Child seat', pricing: 'PER_DAY', price: 5,
+    maxQuantity: 3, bodyTypes: [], stockLimited: true, isActive: true,
+  };
+  const insurance = {
+    id: 2, code: 'FULL_INSURANCE', name: 'Full insurance', pricing: 'PER_RENTAL', price: 30,
+    maxQuantity: 1, bodyTypes: ['SEDAN'], stockLimited: false, isActive: true,
+  };
+
+  beforeEach(() => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, cityId: 1, bodyType: 'SEDAN', pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE',
+    });
+    harness.prisma.contract.count.mockResolvedValue(0);
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.extra.findMany.mockResolvedValue([childSeat, insurance]);
+    harness.prisma.extraStock.findUnique.mockResolvedValue({ quantity: 5 });
+    harness.prisma.contract.create.mockImplementation(async ({ data }) => ({ id: 100, ...data }));
+  });
+
+  // child seats other contracts picked up in city 1, held over [startDay, endDay) of nextWeek
+  const seatsTaken = (...bookings) => harness.prisma.contractExtra.findMany.mockResolvedValue(
+    bookings.map(([quantity, startDay, endDay, dropoffCityId = null]) => ({
+      quantity,
+      contract: { startDate: nextWeek(startDay), endDate: nextWeek(endDay), dropoffCityId },
+    })),
+  );
+
+  it('books extras as line items and adds them to the total (201)', async () => {
+    seatsTaken([3, 6, 11]);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(201);
+    // 3 days × 40 + child seats 2 × 3 × 5 + insurance 30
+    expect(res.body).toMatchObject({ totalPrice: 180, extrasTotal: 60 });
+    const { data } = harness.prisma.contract.create.mock.calls[0][0];
+    expect(data.extras.create).toEqual([
+      { extraId: 1, cityId: 1, quantity: 2, pricing: 'PER_DAY', unitPrice: 15, totalPrice: 30 },
+      { extraId: 2, cityId: 1, quantity: 1, pricing: 'PER_RENTAL', unitPrice: 30, totalPrice: 30 },
+    ]);
+    // only the stock-limited child seat is counted, against overlapping open contracts
+    expect(harness.prisma.contractExtra.findMany).toHaveBeenCalledTimes(1);
+    const { where } = harness.prisma.contractExtra.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({ extraId: 1, cityId: 1 });
+    expect(where.contract.state).toEqual({ in: ['DRAFT', 'ACTIVE'] });
+  });
+
+  it('counts the most seats out at once, not every booking in the range (201)', async () => {
+    // 3 seats back on day 8 and 3 out again from day 8: never more than 3 of 5 taken
+    seatsTaken([3, 5, 8], [3, 8, 12]);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(201);
+  });
+
+  it('keeps seats taken to another city by a one-way rental out for the rest of the booking (400)', async () => {
+    // dropped off in city 2 on day 8, so from day 9 both bookings hold seats of city 1
+    seatsTaken([3, 5, 8, 2], [2, 9, 12]);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual({ extraId: 1, requested: 2, available: 0 });
+  });
+
+  it('rejects the booking when the city runs out of a stock-limited extra (400)', async () => {
+    seatsTaken([4, 6, 11]);
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Not enough Child seat/);
+    expect(res.body.details).toEqual({ extraId: 1, requested: 2, available: 1 });
+    expect(harness.prisma.contract.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an extra that does not fit the body type (400)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, cityId: 1, bodyType: 'VAN', pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE',
+    });
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not offered for this car/);
+  });
+});
+
+describe('POST /contracts/:id/extend', () => {
+  const active = {
+    id: 1,
+    userId: 2,
+    carId: 5,
+    state: 'ACTIVE',
+    startDate: nextWeek(-2),
+    endDate: nextWeek(2),
+    totalPrice: 160,
+  };
+
+  it('prices only the added days and records an EXTENSION amendment (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, pricePerDay: 45, useDynamicPricing: false, state: 'LEASED' });
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+    harness.prisma.contractAmendment.create.mockImplementation(async ({ data }) => ({ id: 9, ...data }));
+
+    const res = await request(harness.app)
+      .post('/contracts/1/extend')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(4).toISOString(), reason: 'Staying longer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalPrice).toBe(250);
+    expect(res.body.amendment).toMatchObject({
+      type: 'EXTENSION',
+      previousTotalPrice: 160,
+      newTotalPrice: 250,
+      priceDifference: 90,
+      actorId: 2,
+      reason: 'Staying longer',
+    });
+    // Only the added range is checked, ignoring the contract itself
+    const where = harness.prisma.contract.findFirst.mock.calls[0][0].where;
+    expect(where.id).toEqual({ not: 1 });
+    expect(where.AND).toEqual([{ startDate: { lt: nextWeek(4) } }, { endDate: { gt: nextWeek(2) } }]);
+    expect(harness.prisma.$executeRaw).toHaveBeenCalled();
+  });
+
+  describe('with booked extras', () => {
+    const gps = { id: 3, name: 'GPS', pricing: 'PER_DAY', price: 5, stockLimited: true };
+    const seat = { id: 4, name: 'Child seat', pricing: 'PER_RENTAL', price: 20, stockLimited: false };
+
+    beforeEach(() => {
+      harness.prisma.contract.findUnique.mockResolvedValue({ ...active, totalPrice: 200, extrasTotal: 40 });
+      harness.prisma.car.findUnique.mockResolvedValue({ id: 5, pricePerDay: 45, useDynamicPricing: false, state: 'LEASED' });
+      harness.prisma.contract.findFirst.mockResolvedValue(null);
+      harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+      harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+      harness.prisma.contractAmendment.create.mockImplementation(async ({ data }) => ({ id: 9, ...data }));
+      harness.prisma.extraStock.findUnique.mockResolvedValue({ quantity: 2 });
+    });
+
+    // the contract's own extras, and `taken` GPS units other contracts hold over the added days
+    const bookedExtras = (taken) => harness.prisma.contractExtra.findMany.mockImplementation(async ({ where }) => (
+      where.contractId === 1
+        ? [
+          { id: 11, extraId: 3, cityId: 1, quantity: 1, pricing: 'PER_DAY', unitPrice: 20, totalPrice: 20, extra: gps },
+          { id: 12, extraId: 4, cityId: 1, quantity: 1, pricing: 'PER_RENTAL', unitPrice: 20, totalPrice: 20, extra: seat },
+        ]
+        : [{ quantity: taken, contract: { startDate: nextWeek(1), endDate: nextWeek(5), dropoffCityId: null } }]
+    ));
+
+    it('charges PER_DAY extras for the added days (200)', async () => {
+      bookedExtras(1);
+
+      const res = await request(harness.app)
+        .post('/contracts/1/extend')
+        .set('Authorization', `Bearer ${userToken(2)}`)
+        .send({ endDate: nextWeek(4).toISOString() });
+
+      expect(res.status).toBe(200);
+      // 2 days × 45 for the car + 2 days × 5 for the GPS; the child seat is paid once
+      expect(res.body.amendment.priceDifference).toBe(100);
+      expect(harness.prisma.contract.update.mock.calls[0][0].data).toEqual({ endDate: nextWeek(4), totalPrice: 300 });
+      expect(harness.prisma.contractExtra.findMany.mock.calls[1][0].where).toMatchObject({
+        extraId: 3,
+        cityId: 1,
+        contract: { id: { not: 1 }, AND: [{ startDate: { lt: nextWeek(4) } }, { endDate: { gt: nextWeek(2) } }] },
+      });
+    });
+
+    it('refuses the extension when a stock-limited extra is taken for the added days (400)', async () => {
+      bookedExtras(2);
+
+      const res = await request(harness.app)
+        .post('/contracts/1/extend')
+        .set('Authorization', `Bearer ${userToken(2)}`)
+        .send({ endDate: nextWeek(4).toISOString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Not enough GPS available for the selected dates');
+      expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+    });
+  });
+
+  it('returns 400 when the added days are booked by someone else', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, pricePerDay: 45, useDynamicPricing: false, state: 'LEASED' });
+    harness.prisma.contract.findFirst.mockResolvedValue({ id: 2 });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/extend')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(4).toISOString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/overlap/i);
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects an end date that is not later (400) and non-ACTIVE contracts (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    const earlier = await request(harness.app)
+      .post('/contracts/1/extend')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(1).toISOString() });
+    expect(earlier.status).toBe(400);
+
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...active, state: 'DRAFT' });
+    const draft = await request(harness.app)
+      .post('/contracts/1/extend')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ endDate: nextWeek(4).toISOString() });
+    expect(draft.status).toBe(409);
+  });
+});
+
+describe('POST /contracts/:id/early-return', () => {
+  const active = {
+    id: 1,
+    userId: 2,
+    carId: 5,
+    state: 'ACTIVE',
+    startDate: new Date('2026-06-01T10:00:00Z'),
+    endDate: new Date('2026-06-08T10:00:00Z'),
+    totalPrice: 350,
+  };
+
+  it('moves endDate to the return time and prorates the price (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+    harness.prisma.contractAmendment.create.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+
+    const res = await request(harness.app)
+      .post('/contracts/1/early-return')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ returnedAt: '2026-06-03T15:30:00Z' });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.contract.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { endDate: new Date('2026-06-03T15:30:00Z'), totalPrice: 150 },
+    });
+    expect(res.body.amendment).toMatchObject({ type: 'EARLY_RETURN', priceDifference: -200, actorId: 1 });
+  });
+
+  it('rejects a return time outside the rental (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    const res = await request(harness.app)
+      .post('/contracts/1/early-return')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ returnedAt: '2026-06-09T10:00:00Z' });
+    expect(res.status).toBe(400);
+  });
+
+  it('does not let the renter backdate the return (400)', async () => {
+    const running = { ...active, startDate: nextWeek(-5), endDate: nextWeek(2) };
+    harness.prisma.contract.findUnique.mockResolvedValue(running);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...running, ...data }));
+    harness.prisma.contractAmendment.create.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+
+    const backdated = await request(harness.app)
+      .post('/contracts/1/early-return')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ returnedAt: nextWeek(-3).toISOString() });
+    expect(backdated.status).toBe(400);
+    expect(backdated.body.error).toMatch(/admin/);
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+
+    const justNow = await request(harness.app)
+      .post('/contracts/1/early-return')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ returnedAt: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+    expect(justNow.status).toBe(200);
+  });
+});
+
+describe('GET /contracts/:id/invoice', () => {
+  const invoice = {
+    id: 3,
+    number: 'INV-2026-000003',
+    contractId: 1,
+    userId: 2,
+    currency: 'EUR',
+    netTotal: 99.17,
+    vatRate: 0.21,
+    vatAmount: 20.83,
+    total: 120,
+    issuedAt: new Date('2026-06-04T12:00:00Z'),
+    lines: [{ position: 1, code: 'RENTAL', description: 'Car rental, 3 days', quantity: 3, unitPrice: 40, amount: 120 }],
+    contract: { id: 1, car: { make: 'Toyota', model: 'Yaris', numberPlate: 'ABC123' } },
+  };
+
+  it('returns 403 for another user\u2019s contract', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 99, state: 'COMPLETED' });
+    const res = await request(harness.app)
+      .get('/contracts/1/invoice')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('returns 404 before the contract is completed', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2, state: 'ACTIVE' });
+    harness.prisma.invoice.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .get('/contracts/1/invoice')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatch(/completed/);
+  });
+
+  it('returns the invoice as JSON by default (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2, state: 'COMPLETED' });
+    harness.prisma.invoice.findUnique.mockResolvedValue(invoice);
+    harness.prisma.user.findUnique.mockResolvedValue({ id: 2, email: 'u2@example.com', firstName: 'Ona', lastName: 'K' });
+    const res = await request(harness.app)
+      .get('/contracts/1/invoice')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(200);
+    expect(res.body.number).toBe('INV-2026-000003');
+    expect(res.body.lines).toHaveLength(1);
+    expect(res.body.customer.firstName).toBe('Ona');
+  });
+
+  it('renders HTML when asked (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2, state: 'COMPLETED' });
+    harness.prisma.invoice.findUnique.mockResolvedValue(invoice);
+    harness.prisma.user.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .get('/contracts/1/invoice?format=html')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.text).toContain('INV-2026-000003');
   });
 });
 
@@ -225,6 +1223,41 @@ describe('POST /contracts/:id/activate', () => {
       .set('Authorization', `Bearer ${adminToken()}`);
     expect(res.status).toBe(200);
     expect(res.body.state).toBe('ACTIVE');
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { state: 'LEASED' } });
+    expect(harness.prisma.contractEvent.create).toHaveBeenCalledWith({
+      data: { contractId: 1, fromState: 'DRAFT', toState: 'ACTIVE', actorId: 1, reason: null },
+    });
+  });
+
+  it('refuses to activate while the car is grounded in MAINTENANCE (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, carId: 5, state: 'DRAFT' });
+    harness.prisma.car.findUnique.mockResolvedValue({ state: 'MAINTENANCE', odometerKm: 5000, archivedAt: null });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/activate')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      error: 'The car is in maintenance and cannot be leased',
+      details: { carId: 5, carState: 'MAINTENANCE' },
+    });
+    expect(harness.prisma.$queryRaw).toHaveBeenCalledTimes(2);
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses to activate on an archived car (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, carId: 5, state: 'DRAFT' });
+    harness.prisma.car.findUnique.mockResolvedValue({ state: 'AVAILABLE', odometerKm: 5000, archivedAt: new Date('2026-10-01') });
+
+    const res = await request(harness.app)
+      .post('/contracts/1/activate')
+      .set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('The car is archived and cannot be leased');
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
   });
 });
 
@@ -253,6 +1286,19 @@ describe('POST /contracts/:id/cancel', () => {
     expect(res.status).toBe(409);
   });
 
+  it('returns 409 when the contract changed state after it was read', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2, state: 'DRAFT' });
+    harness.prisma.$queryRaw.mockResolvedValue([{ state: 'ACTIVE' }]);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/cancel')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: 'Contract is ACTIVE now, not DRAFT', details: { state: 'ACTIVE' } });
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
   it('cancels a DRAFT contract owned by the caller (200)', async () => {
     harness.prisma.contract.findUnique.mockResolvedValue({
       id: 1,
@@ -263,10 +1309,183 @@ describe('POST /contracts/:id/cancel', () => {
       id: 1,
       state: 'CANCELLED',
     });
+    harness.prisma.payment.findMany.mockResolvedValue([]);
     const res = await request(harness.app)
       .post('/contracts/1/cancel')
       .set('Authorization', `Bearer ${userToken(2)}`);
     expect(res.status).toBe(200);
     expect(res.body.state).toBe('CANCELLED');
   });
+
+  // payments as stored: rows created during the request show up in later reads
+  const ledger = (rows) => {
+    const payments = rows.map((p) => ({ ...p }));
+    harness.prisma.payment.findMany.mockImplementation(async () => payments.map((p) => ({ ...p })));
+    harness.prisma.payment.create.mockImplementation(async ({ data }) => {
+      const row = { id: 20 + payments.length, ...data };
+      payments.push(row);
+      return row;
+    });
+    return payments;
+  };
+
+  const activeWithGatewayPayments = () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({
+      id: 1, userId: 2, carId: 5, state: 'ACTIVE', totalPrice: 120, startDate: inHours(10 * 24),
+    });
+    harness.prisma.contract.update.mockResolvedValue({ id: 1, state: 'CANCELLED' });
+    ledger([
+      { id: 10, type: 'DEPOSIT_HOLD', status: 'AUTHORIZED', amount: 300, provider: 'fake', providerRef: 'fake_hold_1', currency: 'EUR' },
+      { id: 11, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 120, provider: 'fake', providerRef: 'fake_charge_2', currency: 'EUR' },
+      { id: 12, type: 'REFUND', status: 'CAPTURED', amount: 20, provider: 'fake', refundOfId: 11, currency: 'EUR' },
+    ]);
+  };
+
+  it('refunds captured payments and releases the deposit hold of an ACTIVE contract', async () => {
+    activeWithGatewayPayments();
+
+    const res = await request(harness.app)
+      .post('/contracts/1/cancel')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ reason: 'Car broke down' });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.payment.create).toHaveBeenCalledTimes(1);
+    expect(harness.prisma.payment.create.mock.calls[0][0].data).toMatchObject({
+      contractId: 1,
+      type: 'REFUND',
+      status: 'PENDING',
+      amount: 100,
+      refundOfId: 11,
+      note: 'Car broke down',
+      createdById: 1,
+    });
+    expect(harness.prisma.payment.update).toHaveBeenCalledWith({ where: { id: 10 }, data: { status: 'RELEASED' } });
+    expect(harness.prisma.payment.update).toHaveBeenCalledWith({
+      where: { id: 23 },
+      data: { status: 'CAPTURED', providerRef: expect.stringMatching(/^fake_refund_/), capturedAt: expect.any(Date) },
+    });
+  });
+
+  it('calls the gateway only after the cancellation has committed', async () => {
+    const { setPaymentProvider } = await import('../../src/services/paymentProviders/index.js');
+    let inTransaction = false;
+    const calledInTransaction = [];
+    setPaymentProvider({
+      name: 'fake',
+      release: async ({ providerRef }) => { calledInTransaction.push(inTransaction); return { providerRef }; },
+      refund: async () => { calledInTransaction.push(inTransaction); return { providerRef: 'fake_refund_1' }; },
+    });
+    harness.prisma.$transaction.mockImplementation(async (fn) => {
+      inTransaction = true;
+      try {
+        return await fn(harness.prisma);
+      } finally {
+        inTransaction = false;
+      }
+    });
+    activeWithGatewayPayments();
+
+    try {
+      const res = await request(harness.app)
+        .post('/contracts/1/cancel')
+        .set('Authorization', `Bearer ${adminToken()}`);
+
+      expect(res.status).toBe(200);
+      expect(calledInTransaction).toEqual([false, false]);
+    } finally {
+      setPaymentProvider(null);
+    }
+  });
+
+  it('records gateway failures on release and refund instead of failing the cancellation', async () => {
+    const { setPaymentProvider } = await import('../../src/services/paymentProviders/index.js');
+    setPaymentProvider({
+      name: 'fake',
+      release: async () => { throw new Error('hold not found'); },
+      refund: async () => { throw new Error('gateway timeout'); },
+    });
+    activeWithGatewayPayments();
+
+    try {
+      const res = await request(harness.app)
+        .post('/contracts/1/cancel')
+        .set('Authorization', `Bearer ${adminToken()}`);
+
+      expect(res.status).toBe(200);
+      expect(harness.prisma.payment.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { status: 'FAILED', note: 'Release failed: hold not found' },
+      });
+      expect(harness.prisma.payment.update).toHaveBeenCalledWith({
+        where: { id: 23 },
+        data: { status: 'FAILED', note: 'Refund failed: gateway timeout' },
+      });
+    } finally {
+      setPaymentProvider(null);
+    }
+  });
+
+  it('keeps the cancellation fee of the tier that applies and refunds the rest', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({
+      id: 1, userId: 2, carId: 5, state: 'DRAFT', totalPrice: 200, startDate: inHours(24),
+    });
+    harness.prisma.contract.update.mockResolvedValue({ id: 1, state: 'CANCELLED' });
+    harness.prisma.payment.findMany.mockResolvedValue([
+      { id: 11, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 200, provider: 'manual', currency: 'EUR' },
+    ]);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/cancel')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.contract.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { cancellationFee: 100, refundableAmount: 100, state: 'CANCELLED' },
+    });
+    expect(harness.prisma.payment.create.mock.calls[0][0].data).toMatchObject({ type: 'REFUND', amount: 100, refundOfId: 11 });
+  });
+});
+
+describe('GET /contracts/:id/cancellation-quote', () => {
+  it('quotes a 75% refund between 48 hours and 7 days before the start (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({
+      id: 1, userId: 2, state: 'DRAFT', totalPrice: 200, startDate: inHours(72),
+    });
+    harness.prisma.payment.findMany.mockResolvedValue([
+      { id: 11, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 200 },
+    ]);
+
+    const res = await request(harness.app)
+      .get('/contracts/1/cancellation-quote')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      contractId: 1,
+      tier: { minHoursBeforeStart: 48, refundPct: 75 },
+      refundPct: 75,
+      cancellationFee: 50,
+      paid: 200,
+      refundableAmount: 150,
+    });
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when the contract can no longer be cancelled', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 2, state: 'CANCELLED' });
+    const res = await request(harness.app)
+      .get('/contracts/1/cancellation-quote')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(409);
+  });
+
+  it('returns 403 for another user’s contract', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, userId: 99, state: 'DRAFT' });
+    const res = await request(harness.app)
+      .get('/contracts/1/cancellation-quote')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(403);
+  });
 });
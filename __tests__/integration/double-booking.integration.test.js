@@ -0,0 +1,155 @@
+/**
+ * Integration test for concurrent bookings of the same car.
+ *
+ * The mocked Prisma client is backed by an in-memory contract table with
+ * a small delay on every query, so concurrent requests interleave the way
+ * they would against Postgres. `pg_advisory_xact_lock` is emulated as a
+ * per-key mutex held until the surrounding `$transaction` finishes, which
+ * is the guarantee lockCarCalendar relies on.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+function userToken(id) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+function nextWeek(daysOffset = 7) {
+  const d = new Date();
+  d.setDate(d.getDate() + daysOffset);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+/** In-memory stand-in for the Contract table plus Postgres advisory locks. */
+function installFakeDatabase(prisma) {
+  const contracts = [];
+  const lockTails = new Map();
+  const currentTx = new AsyncLocalStorage();
+
+  prisma.$transaction.mockImplementation(async (fn) => {
+    const releases = [];
+    try {
+      return await currentTx.run({ releases }, () => fn(prisma));
+    } finally {
+      releases.forEach((release) => release());
+    }
+  });
+
+  // tx.$executeRaw`SELECT pg_advisory_xact_lock(${ns}::int, ${carId}::int)`
+  prisma.$executeRaw.mockImplementation(async (strings, ...values) => {
+    const key = values.join(':');
+    const previous = lockTails.get(key) ?? Promise.resolve();
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    lockTails.set(key, previous.then(() => held));
+    await previous;
+    currentTx.getStore().releases.push(release);
+    return 1;
+  });
+
+  prisma.car.findUnique.mockImplementation(async ({ where }) => ({
+    id: where.id,
+    pricePerDay: 40,
+    useDynamicPricing: false,
+    state: 'AVAILABLE',
+  }));
+  prisma.contract.count.mockResolvedValue(0);
+  prisma.driverProfile.findUnique.mockResolvedValue({
+    dateOfBirth: new Date('1985-04-12T00:00:00Z'),
+    licenceIssuedAt: new Date('2005-06-01T00:00:00Z'),
+    licenceExpiresAt: new Date('2040-06-01T00:00:00Z'),
+  });
+  prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+  prisma.contractEvent.create.mockResolvedValue({});
+
+  prisma.contract.findFirst.mockImplementation(async ({ where }) => {
+    await tick();
+    // neighbouring-booking lookups for one-way routes; these bookings are all round trips
+    if (!where.AND) return null;
+    const [{ startDate: { lt: end } }, { endDate: { gt: start } }] = where.AND;
+    return contracts.find((c) => c.carId === where.carId
+      && where.state.in.includes(c.state)
+      && c.startDate < end
+      && c.endDate > start) ?? null;
+  });
+
+  prisma.contract.create.mockImplementation(async ({ data }) => {
+    await tick();
+    const row = { id: contracts.length + 1, ...data };
+    contracts.push(row);
+    return row;
+  });
+
+  return contracts;
+}
+
+describe('concurrent POST /contracts for the same car', () => {
+  let contracts;
+
+  beforeEach(() => {
+    harness.reset();
+    contracts = installFakeDatabase(harness.prisma);
+  });
+
+  const booking = (carId, from, to) => ({
+    carId,
+    startDate: nextWeek(from).toISOString(),
+    endDate: nextWeek(to).toISOString(),
+    mileageStartKm: 10000,
+    fuelLevelStartPct: 80,
+  });
+
+  it('lets only one of several simultaneous overlapping bookings through', async () => {
+    const responses = await Promise.all([2, 3, 4, 5, 6].map((userId, i) => request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(userId)}`)
+      .send(booking(1, 7 + (i % 2), 10))));
+
+    const statuses = responses.map((r) => r.status).sort();
+    expect(statuses).toEqual([201, 400, 400, 400, 400]);
+    responses
+      .filter((r) => r.status === 400)
+      .forEach((r) => expect(r.body.error).toMatch(/overlap/i));
+    expect(contracts).toHaveLength(1);
+  });
+
+  it('does not block bookings of different cars', async () => {
+    const responses = await Promise.all([1, 2, 3].map((carId) => request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(booking(carId, 7, 10))));
+
+    expect(responses.map((r) => r.status)).toEqual([201, 201, 201]);
+    expect(contracts).toHaveLength(3);
+  });
+
+  it('accepts back-to-back bookings that only touch at the boundary', async () => {
+    const responses = await Promise.all([[7, 10], [10, 12]].map(([from, to], i) => request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken(2 + i)}`)
+      .send(booking(1, from, to))));
+
+    expect(responses.map((r) => r.status)).toEqual([201, 201]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Integration tests for the rental extras catalogue: the public /extras
+ * list and the admin CRUD and stock endpoints. Booking extras is tested
+ * alongside the other contract endpoints.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken() {
+  return jwt.sign(
+    { sub: 2, role: 'USER', email: 'u@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+describe('GET /extras', () => {
+  it('lists only the extras that fit the car (200)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 1, bodyType: 'VAN' });
+    harness.prisma.extra.findMany.mockResolvedValue([
+      { id: 1, code: 'GPS', bodyTypes: [] },
+      { id: 2, code: 'CHILD_SEAT', bodyTypes: ['SEDAN', 'SUV'] },
+    ]);
+    const res = await request(harness.app).get('/extras?carId=1');
+    expect(res.status).toBe(200);
+    expect(res.body.map((e) => e.code)).toEqual(['GPS']);
+    expect(harness.prisma.extra.findMany.mock.calls[0][0].where).toEqual({ isActive: true });
+  });
+});
+
+describe('POST /api/admin/extras', () => {
+  it('rejects non-admin callers with 403', async () => {
+    const res = await request(harness.app)
+      .post('/api/admin/extras')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .send({});
+    expect(res.status).toBe(403);
+  });
+
+  it('creates a per-day extra limited to some body types (201)', async () => {
+    harness.prisma.extra.create.mockImplementation(async ({ data }) => ({ id: 5, ...data }));
+    const res = await request(harness.app)
+      .post('/api/admin/extras')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ code: 'ROOF_BOX', name: 'Roof box', pricing: 'PER_DAY', price: 8, bodyTypes: ['WAGON', 'SUV'], stockLimited: true });
+    expect(res.status).toBe(201);
+    expect(harness.prisma.extra.create.mock.calls[0][0].data).toEqual({
+      code: 'ROOF_BOX', name: 'Roof box', pricing: 'PER_DAY', price: 8, bodyTypes: ['WAGON', 'SUV'], stockLimited: true,
+    });
+  });
+
+  it('validates pricing and body types (400)', async () => {
+    const res = await request(harness.app)
+      .post('/api/admin/extras')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ code: 'X', name: 'X', pricing: 'PER_WEEK', price: 1 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/pricing must be one of/);
+
+    const res2 = await request(harness.app)
+      .post('/api/admin/extras')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ code: 'X', name: 'X', pricing: 'PER_DAY', price: 1, bodyTypes: ['TRUCK'] });
+    expect(res2.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/admin/extras/:id', () => {
+  it('refuses to delete an extra that has been booked (409)', async () => {
+    harness.prisma.extra.delete.mockRejectedValue(Object.assign(new Error('fk'), { code: 'P2003' }));
+    const res = await request(harness.app)
+      .delete('/api/admin/extras/1')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('PUT /api/admin/extras/:id/stock/:cityId', () => {
+  it('sets the units a city keeps (200)', async () => {
+    harness.prisma.extraStock.upsert.mockImplementation(async ({ create }) => ({ id: 1, ...create }));
+    const res = await request(harness.app)
+      .put('/api/admin/extras/1/stock/2')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ quantity: 6 });
+    expect(res.status).toBe(200);
+    expect(harness.prisma.extraStock.upsert).toHaveBeenCalledWith({
+      where: { extraId_cityId: { extraId: 1, cityId: 2 } },
+      create: { extraId: 1, cityId: 2, quantity: 6 },
+      update: { quantity: 6 },
+    });
+  });
+
+  it('rejects a negative quantity (400)', async () => {
+    const res = await request(harness.app)
+      .put('/api/admin/extras/1/stock/2')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ quantity: -1 });
+    expect(res.status).toBe(400);
+  });
+});
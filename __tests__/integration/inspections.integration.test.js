@@ -0,0 +1,312 @@
+/**
+ * Integration tests for pickup and return inspections: recording readings and
+ * checklists, damage markers, the damage diff and how completion charges new
+ * damage found by the return inspection.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const active = {
+  id: 1,
+  userId: 2,
+  carId: 5,
+  state: 'ACTIVE',
+  startDate: daysFromNow(-3),
+  endDate: daysFromNow(-1),
+  mileageStartKm: 10000,
+  fuelLevelStartPct: 90,
+};
+
+const pickup = {
+  id: 10,
+  contractId: 1,
+  type: 'PICKUP',
+  odometerKm: 10000,
+  fuelLevelPct: 90,
+  damages: [{ id: 1, panel: 'FRONT_BUMPER', severity: 'MINOR', photos: [] }],
+};
+
+const returned = {
+  id: 11,
+  contractId: 1,
+  type: 'RETURN',
+  odometerKm: 10300,
+  fuelLevelPct: 80,
+  damages: [
+    { id: 2, panel: 'FRONT_BUMPER', severity: 'MINOR', photos: [] },
+    { id: 3, panel: 'REAR_LEFT_DOOR', severity: 'MODERATE', photos: [] },
+  ],
+};
+
+describe('POST /contracts/:id/inspections', () => {
+  const body = {
+    type: 'PICKUP',
+    odometerKm: 10020,
+    fuelLevelPct: 85,
+    checklist: { tyres: true, exteriorClean: false },
+  };
+
+  beforeEach(() => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...active, state: 'DRAFT' });
+    harness.prisma.inspection.create.mockImplementation(async ({ data }) => ({ id: 10, ...data, damages: [] }));
+  });
+
+  it('records a pickup inspection and takes its readings as the start readings (201)', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.inspection.create.mock.calls[0][0].data).toMatchObject({
+      contractId: 1, type: 'PICKUP', odometerKm: 10020, fuelLevelPct: 85, inspectorId: 1,
+    });
+    expect(harness.prisma.contract.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { mileageStartKm: 10020, fuelLevelStartPct: 85 },
+    });
+  });
+
+  it('is admin only (403)', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(body);
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects unknown checklist items (400)', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ ...body, checklist: { sunroof: true } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/sunroof/);
+  });
+
+  it('records a return inspection only for an ACTIVE contract (409)', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ ...body, type: 'RETURN' });
+    expect(res.status).toBe(409);
+  });
+
+  it('rejects a return odometer below the pickup mileage (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ ...body, type: 'RETURN', odometerKm: 9000 });
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 409 when the contract already has that inspection', async () => {
+    harness.prisma.inspection.create.mockRejectedValue(Object.assign(new Error('unique'), { code: 'P2002' }));
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send(body);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('inspection damage markers', () => {
+  beforeEach(() => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, state: 'ACTIVE' });
+    harness.prisma.inspection.findFirst.mockResolvedValue({ id: 11, contractId: 1, type: 'RETURN' });
+  });
+
+  it('adds a marker from multipart fields (201)', async () => {
+    harness.prisma.inspectionDamage.create.mockImplementation(async ({ data }) => ({ id: 3, ...data, photos: [] }));
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections/11/damages')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('panel', 'REAR_LEFT_DOOR')
+      .field('severity', 'MODERATE')
+      .field('description', 'Dent below the handle');
+
+    expect(res.status).toBe(201);
+    expect(harness.prisma.inspectionDamage.create.mock.calls[0][0].data).toEqual({
+      inspectionId: 11,
+      panel: 'REAR_LEFT_DOOR',
+      severity: 'MODERATE',
+      description: 'Dent below the handle',
+      photos: { create: [] },
+    });
+  });
+
+  it('rejects an unknown panel (400)', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/inspections/11/damages')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .field('panel', 'SPOILER')
+      .field('severity', 'MINOR');
+    expect(res.status).toBe(400);
+  });
+
+  it('keeps pickup markers fixed once the rental is completed (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ id: 1, state: 'COMPLETED' });
+    harness.prisma.inspection.findFirst.mockResolvedValue({ id: 10, contractId: 1, type: 'PICKUP' });
+    const res = await request(harness.app)
+      .delete('/contracts/1/inspections/10/damages/1')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(409);
+    expect(harness.prisma.inspectionDamage.delete).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a marker of another inspection', async () => {
+    harness.prisma.inspectionDamage.findFirst.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .delete('/contracts/1/inspections/11/damages/99')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /contracts/:id/inspections/damage-diff', () => {
+  it('lists return damage not seen at pickup with its policy fee', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.inspection.findMany.mockResolvedValue([pickup, returned]);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+
+    const res = await request(harness.app)
+      .get('/contracts/1/inspections/damage-diff')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ pickupInspectionId: 10, returnInspectionId: 11, damageFee: 200 });
+    expect(res.body.newDamages).toEqual([expect.objectContaining({ id: 3, panel: 'REAR_LEFT_DOOR', fee: 200 })]);
+  });
+
+  it("is not shown to other users (403)", async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    const res = await request(harness.app)
+      .get('/contracts/1/inspections/damage-diff')
+      .set('Authorization', `Bearer ${userToken(3)}`);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('completing an inspected contract', () => {
+  beforeEach(() => {
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.inspection.findMany.mockResolvedValue([pickup, returned]);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.contract.update.mockImplementation(async ({ data }) => ({ ...active, ...data }));
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+  });
+
+  it('uses the return readings and charges each new damage marker', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ returnedAt: active.endDate.toISOString() });
+
+    expect(res.status).toBe(200);
+    const data = harness.prisma.contract.update.mock.calls[0][0].data;
+    expect(data).toMatchObject({ mileageEndKm: 10300, fuelLevelEndPct: 80 });
+    expect(data.extraFeeBreakdown.items).toEqual([
+      { code: 'FUEL', description: '10% fuel missing', quantity: 10, unitPrice: 1, amount: 10 },
+      {
+        code: 'DAMAGE',
+        description: 'New damage: rear left door (moderate)',
+        quantity: 1,
+        unitPrice: 200,
+        amount: 200,
+      },
+    ]);
+    expect(data.extraFees).toBe(210);
+  });
+
+  it('adds new damage to the car register and grounds the car for severe damage', async () => {
+    const severe = { ...returned, damages: [{ id: 4, panel: 'WINDSHIELD', severity: 'SEVERE', photos: [] }] };
+    harness.prisma.inspection.findMany.mockResolvedValue([pickup, severe]);
+    harness.prisma.damageRecord.count.mockResolvedValue(1);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ returnedAt: active.endDate.toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.damageRecord.create).toHaveBeenCalledWith({
+      data: {
+        carId: 5,
+        panel: 'WINDSHIELD',
+        severity: 'SEVERE',
+        description: null,
+        contractId: 1,
+        userId: 2,
+        inspectionDamageId: 4,
+      },
+    });
+    expect(harness.prisma.car.update).toHaveBeenLastCalledWith({ where: { id: 5 }, data: { state: 'MAINTENANCE' } });
+  });
+
+  it('does not charge damage still open in the register from an earlier rental', async () => {
+    harness.prisma.damageRecord.findMany.mockResolvedValue([
+      { id: 20, carId: 5, panel: 'REAR_LEFT_DOOR', severity: 'MODERATE', repairStatus: 'OPEN', contractId: 9 },
+    ]);
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ returnedAt: active.endDate.toISOString() });
+
+    expect(res.status).toBe(200);
+    const data = harness.prisma.contract.update.mock.calls[0][0].data;
+    expect(data.extraFeeBreakdown.items.map((i) => i.code)).toEqual(['FUEL']);
+    expect(harness.prisma.damageRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a manual damageFee once a return inspection exists (400)', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ damageFee: 50 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/damageFee/);
+  });
+});
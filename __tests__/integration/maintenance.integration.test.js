@@ -0,0 +1,253 @@
+/**
+ * Integration tests for maintenance tasks: scheduling workshop windows on the
+ * booking calendar, completing tasks (counters and maintenanceScore) and the
+ * due-task check after a rental is completed.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+});
+
+beforeEach(() => {
+  harness.reset();
+  harness.prisma.car.findUnique.mockResolvedValue({
+    id: 5, odometerKm: 44500, lastMaintenanceDate: null, nextMaintenanceKm: 45000, maintenanceScore: 90,
+  });
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  d.setHours(10, 0, 0, 0);
+  return d;
+}
+
+const dueTask = { id: 3, carId: 5, type: 'SERVICE', status: 'DUE', dueKm: 45000 };
+
+describe('PUT /cars/:id/maintenance/:taskId/schedule', () => {
+  const window = { scheduledStart: daysFromNow(5).toISOString(), scheduledEnd: daysFromNow(6).toISOString() };
+
+  it('books the workshop window under the calendar lock', async () => {
+    harness.prisma.maintenanceTask.findFirst
+      .mockResolvedValueOnce(dueTask)
+      .mockResolvedValue(null);
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.maintenanceTask.update.mockImplementation(async ({ data }) => ({ ...dueTask, ...data }));
+
+    const res = await request(harness.app)
+      .put('/cars/5/maintenance/3/schedule')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send(window);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('SCHEDULED');
+    expect(harness.prisma.$executeRaw).toHaveBeenCalled();
+    expect(harness.prisma.maintenanceTask.findFirst.mock.calls[1][0].where).toMatchObject({
+      carId: 5, status: 'SCHEDULED', id: { not: 3 },
+    });
+  });
+
+  it('rejects a window over a booking (400)', async () => {
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue(dueTask);
+    harness.prisma.contract.findFirst.mockResolvedValue({ id: 12 });
+
+    const res = await request(harness.app)
+      .put('/cars/5/maintenance/3/schedule')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send(window);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/booking 12/);
+    expect(harness.prisma.maintenanceTask.update).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 for a completed task', async () => {
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue({ ...dueTask, status: 'COMPLETED' });
+    const res = await request(harness.app)
+      .put('/cars/5/maintenance/3/schedule')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send(window);
+    expect(res.status).toBe(409);
+  });
+
+  it('is admin only (403)', async () => {
+    const res = await request(harness.app)
+      .put('/cars/5/maintenance/3/schedule')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .send(window);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /cars/:id/maintenance/:taskId/complete', () => {
+  it('completes the task and resets the service counters', async () => {
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue(dueTask);
+    harness.prisma.maintenanceTask.update.mockImplementation(async ({ data }) => ({ ...dueTask, ...data }));
+
+    const res = await request(harness.app)
+      .post('/cars/5/maintenance/3/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ odometerKm: 44600, cost: 240 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.task).toMatchObject({ status: 'COMPLETED', odometerKm: 44600, cost: 240 });
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({
+      where: { id: 5 },
+      data: { lastMaintenanceDate: expect.any(Date), nextMaintenanceKm: 59600, odometerKm: 44600 },
+    });
+    expect(harness.prisma.carOdometerReading.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ carId: 5, previousKm: 44500, odometerKm: 44600, source: 'ADMIN_EDIT', actorId: 1 }),
+    });
+    // the score is recomputed in the same transaction
+    expect(harness.prisma.car.findMany.mock.calls[0][0].where).toEqual({ id: 5 });
+  });
+
+  it('leaves the service date alone when completing another task type', async () => {
+    const tyres = { ...dueTask, type: 'TYRES' };
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue(tyres);
+    harness.prisma.maintenanceTask.update.mockImplementation(async ({ data }) => ({ ...tyres, ...data }));
+
+    const res = await request(harness.app)
+      .post('/cars/5/maintenance/3/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ odometerKm: 44700 });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.car.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { odometerKm: 44700 } });
+  });
+
+  it('does not touch the odometer when the reading is not higher', async () => {
+    const tyres = { ...dueTask, type: 'TYRES' };
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue(tyres);
+    harness.prisma.maintenanceTask.update.mockImplementation(async ({ data }) => ({ ...tyres, ...data }));
+
+    const res = await request(harness.app)
+      .post('/cars/5/maintenance/3/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.task.odometerKm).toBe(44500);
+    expect(harness.prisma.car.update).not.toHaveBeenCalled();
+    expect(harness.prisma.carOdometerReading.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a completion date in the future (400)', async () => {
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue(dueTask);
+    const res = await request(harness.app)
+      .post('/cars/5/maintenance/3/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ completedAt: daysFromNow(2).toISOString() });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('maintenance windows on the booking calendar', () => {
+  it('blocks a booking over a scheduled window (400)', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({
+      id: 1, cityId: 1, pricePerDay: 40, useDynamicPricing: false, state: 'AVAILABLE', bodyType: 'SEDAN',
+    });
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({
+      dateOfBirth: new Date('1985-04-12T00:00:00Z'),
+      licenceIssuedAt: new Date('2005-06-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2035-06-01T00:00:00Z'),
+    });
+    harness.prisma.contract.count.mockResolvedValue(0);
+    harness.prisma.contract.findFirst.mockResolvedValue(null);
+    harness.prisma.carPrepBlock.findFirst.mockResolvedValue(null);
+    harness.prisma.maintenanceTask.findFirst.mockResolvedValue({ id: 4, status: 'SCHEDULED' });
+
+    const res = await request(harness.app)
+      .post('/contracts')
+      .set('Authorization', `Bearer ${userToken()}`)
+      .send({
+        carId: 1,
+        startDate: daysFromNow(7).toISOString(),
+        endDate: daysFromNow(10).toISOString(),
+        mileageStartKm: 10000,
+        fuelLevelStartPct: 80,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not available/);
+    expect(harness.prisma.contract.create).not.toHaveBeenCalled();
+  });
+
+  it('shows the window in the availability calendar', async () => {
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, state: 'AVAILABLE' });
+    harness.prisma.contract.findMany.mockResolvedValue([]);
+    harness.prisma.carPrepBlock.findMany.mockResolvedValue([]);
+    harness.prisma.maintenanceTask.findMany.mockResolvedValue([
+      { id: 4, scheduledStart: daysFromNow(3), scheduledEnd: daysFromNow(4) },
+    ]);
+
+    const res = await request(harness.app)
+      .get('/cars/5/availability')
+      .set('Authorization', `Bearer ${userToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.occupied).toEqual([
+      { startDate: daysFromNow(3).toISOString(), endDate: daysFromNow(4).toISOString(), reason: 'MAINTENANCE' },
+    ]);
+  });
+});
+
+describe('completing a rental', () => {
+  it('creates the maintenance tasks the new odometer reading makes due', async () => {
+    const active = {
+      id: 1, userId: 2, carId: 5, state: 'ACTIVE',
+      startDate: daysFromNow(-3), endDate: daysFromNow(-1),
+      mileageStartKm: 44000, fuelLevelStartPct: 90,
+    };
+    harness.prisma.contract.findUnique.mockResolvedValue(active);
+    harness.prisma.car.findUnique.mockResolvedValue({ id: 5, cityId: 1, bodyType: 'SEDAN', fuelType: 'DIESEL' });
+    harness.prisma.returnFeePolicy.findMany.mockResolvedValue([]);
+    harness.prisma.invoiceSequence.upsert.mockResolvedValue({ year: 2026, lastNumber: 1 });
+    harness.prisma.car.findMany.mockResolvedValue([{
+      id: 5,
+      odometerKm: 44600,
+      nextMaintenanceKm: 45000,
+      lastMaintenanceDate: daysFromNow(-100),
+      maintenanceScore: 90,
+      createdAt: daysFromNow(-400),
+      maintenanceTasks: [],
+    }]);
+    harness.prisma.maintenanceTask.create.mockImplementation(async ({ data }) => ({ id: 9, ...data }));
+
+    const res = await request(harness.app)
+      .post('/contracts/1/complete')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ mileageEndKm: 44600, fuelLevelEndPct: 90 });
+
+    expect(res.status).toBe(200);
+    expect(harness.prisma.maintenanceTask.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ carId: 5, type: 'SERVICE', dueKm: 45000 }),
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Integration tests for the contract payment endpoints
+ * (/contracts/:id/payments and the deposit capture/release actions),
+ * plus the optional deposit requirement on activation.
+ *
+ * Gateway calls go to the in-memory fake provider.
+ */
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+} from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { setupTestApp } from './helpers/testApp.js';
+
+let harness;
+let config;
+
+beforeAll(async () => {
+  harness = await setupTestApp();
+  // Imported after the harness sets JWT_SECRET, which config.js reads at load time.
+  ({ config } = await import('../../src/config.js'));
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+function adminToken() {
+  return jwt.sign(
+    { sub: 1, role: 'ADMIN', email: 'admin@example.com' },
+    process.env.JWT_SECRET
+  );
+}
+
+function userToken(id = 2) {
+  return jwt.sign(
+    { sub: id, role: 'USER', email: `u${id}@example.com` },
+    process.env.JWT_SECRET
+  );
+}
+
+const contract = { id: 1, userId: 2, carId: 5, state: 'DRAFT', totalPrice: 200, extraFees: 15 };
+
+describe('GET /contracts/:id/payments', () => {
+  it('returns 403 for another user’s contract', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue({ ...contract, userId: 99 });
+    const res = await request(harness.app)
+      .get('/contracts/1/payments')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('returns the ledger with totalPrice + extraFees − payments as balance (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.findMany.mockResolvedValue([
+      { id: 1, type: 'DEPOSIT_HOLD', status: 'AUTHORIZED', amount: 300 },
+      { id: 2, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 200 },
+      { id: 3, type: 'REFUND', status: 'CAPTURED', amount: 50, refundOfId: 2 },
+    ]);
+    const res = await request(harness.app)
+      .get('/contracts/1/payments')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(200);
+    expect(res.body.payments).toHaveLength(3);
+    expect(res.body.balance).toEqual({ totalDue: 215, paid: 200, refunded: 50, depositHeld: 300, balance: 65 });
+  });
+});
+
+describe('POST /contracts/:id/payments', () => {
+  it('rejects non-admin callers with 403', async () => {
+    const res = await request(harness.app)
+      .post('/contracts/1/payments')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ type: 'RENTAL_CHARGE', amount: 200 });
+    expect(res.status).toBe(403);
+  });
+
+  it('places a deposit hold through the provider (201)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.create.mockImplementation(async ({ data }) => ({ id: 7, ...data }));
+    const res = await request(harness.app)
+      .post('/contracts/1/payments')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'DEPOSIT_HOLD', amount: 300 });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ type: 'DEPOSIT_HOLD', status: 'AUTHORIZED', amount: 300, provider: 'fake', createdById: 1 });
+    expect(res.body.providerRef).toMatch(/^fake_hold_/);
+  });
+
+  it('records a payment taken outside the gateway as manual (201)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.create.mockImplementation(async ({ data }) => ({ id: 8, ...data }));
+    const res = await request(harness.app)
+      .post('/contracts/1/payments')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'RENTAL_CHARGE', amount: 200, reference: 'POS-4411' });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ status: 'CAPTURED', provider: 'manual', providerRef: 'POS-4411' });
+  });
+
+  it('refuses gateway payments while the fake provider may not take them, but records manual ones', async () => {
+    const { setPaymentProvider } = await import('../../src/services/paymentProviders/index.js');
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.create.mockImplementation(async ({ data }) => ({ id: 9, ...data }));
+    config.fakePaymentsAllowed = false;
+    setPaymentProvider(null);
+    try {
+      const gateway = await request(harness.app)
+        .post('/contracts/1/payments')
+        .set('Authorization', `Bearer ${adminToken()}`)
+        .send({ type: 'DEPOSIT_HOLD', amount: 300 });
+      expect(gateway.status).toBe(503);
+      expect(gateway.body.error).toMatch(/PAYMENT_PROVIDER/);
+
+      const manual = await request(harness.app)
+        .post('/contracts/1/payments')
+        .set('Authorization', `Bearer ${adminToken()}`)
+        .send({ type: 'RENTAL_CHARGE', amount: 200, reference: 'POS-4412' });
+      expect(manual.status).toBe(201);
+      expect(harness.prisma.payment.create).toHaveBeenCalledTimes(1);
+    } finally {
+      config.fakePaymentsAllowed = true;
+      setPaymentProvider(null);
+    }
+  });
+
+  it('rejects refunds and non-positive amounts (400)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    const refund = await request(harness.app)
+      .post('/contracts/1/payments')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'REFUND', amount: 10 });
+    expect(refund.status).toBe(400);
+
+    const zero = await request(harness.app)
+      .post('/contracts/1/payments')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ type: 'RENTAL_CHARGE', amount: 0 });
+    expect(zero.status).toBe(400);
+  });
+});
+
+describe('POST /contracts/:id/payments/:paymentId/capture', () => {
+  it('captures part of a deposit hold (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.findUnique.mockResolvedValue({
+      id: 4, contractId: 1, type: 'DEPOSIT_HOLD', status: 'AUTHORIZED', amount: 300, provider: 'manual',
+    });
+    harness.prisma.payment.update.mockImplementation(async ({ data }) => ({ id: 4, ...data }));
+    const res = await request(harness.app)
+      .post('/contracts/1/payments/4/capture')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ amount: 80 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'CAPTURED', amount: 80 });
+  });
+
+  it('returns 409 for a payment that is not an open hold', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.findUnique.mockResolvedValue({
+      id: 4, contractId: 1, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 200, provider: 'fake',
+    });
+    const res = await request(harness.app)
+      .post('/contracts/1/payments/4/capture')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(409);
+  });
+
+  it('returns 404 for a payment of another contract', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.findUnique.mockResolvedValue({ id: 4, contractId: 2 });
+    const res = await request(harness.app)
+      .post('/contracts/1/payments/4/release')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /contracts/:id/activate with REQUIRE_DEPOSIT_FOR_ACTIVATION', () => {
+  beforeEach(() => { config.requireDepositForActivation = true; });
+  afterEach(() => { config.requireDepositForActivation = false; });
+
+  it('refuses activation until a deposit is recorded (409)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.findMany.mockResolvedValue([]);
+    const res = await request(harness.app)
+      .post('/contracts/1/activate')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/deposit/i);
+    expect(harness.prisma.contract.update).not.toHaveBeenCalled();
+  });
+
+  it('activates once a deposit hold exists (200)', async () => {
+    harness.prisma.contract.findUnique.mockResolvedValue(contract);
+    harness.prisma.payment.findMany.mockResolvedValue([{ id: 1, type: 'DEPOSIT_HOLD', status: 'AUTHORIZED', amount: 300 }]);
+    harness.prisma.contract.update.mockResolvedValue({ ...contract, state: 'ACTIVE' });
+    const res = await request(harness.app)
+      .post('/contracts/1/activate')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body.state).toBe('ACTIVE');
+  });
+});
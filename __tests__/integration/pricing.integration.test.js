@@ -103,6 +103,40 @@ describe('POST /api/pricing/calculate', () => {
     expect(res.status).toBe(400);
     expect(res.body.error).toMatch(/after start/i);
   });
+
+  it('adds selected extras to the quote and reports free stock (200)', async () => {
+    harness.prisma.car.findUnique
+      .mockResolvedValueOnce({ id: 1, pricePerDay: 40, useDynamicPricing: false, availableForLease: true, state: 'AVAILABLE' })
+      .mockResolvedValue({ id: 1, bodyType: 'SEDAN', cityId: 1 });
+    harness.prisma.extra.findMany.mockResolvedValue([
+      { id: 1, code: 'CHILD_SEAT', name: 'Child seat', pricing: 'PER_DAY', price: 5,
+        maxQuantity: 2, bodyTypes: [], stockLimited: true, isActive: true },
+    ]);
+    harness.prisma.extraStock.findUnique.mockResolvedValue({ quantity: 4 });
+    harness.prisma.contractExtra.findMany.mockResolvedValue([
+      { quantity: 3, contract: { startDate: new Date('2026-05-30T10:00:00Z'), endDate: new Date('2026-06-02T10:00:00Z'), dropoffCityId: null } },
+    ]);
+
+    const res = await request(harness.app)
+      .post('/api/pricing/calculate')
+      .send({
+        carId: 1,
+        startDate: '2026-06-01T10:00:00Z',
+        endDate: '2026-06-04T10:00:00Z',
+        extras: [{ extraId: 1, quantity: 2 }],
+      });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ rentalPrice: 120, extrasTotal: 30, totalPrice: 150 });
+    expect(res.body.extras[0]).toMatchObject({ code: 'CHILD_SEAT', quantity: 2, availableUnits: 1 });
+  });
+
+  it('rejects a malformed extras list with 400', async () => {
+    const res = await request(harness.app)
+      .post('/api/pricing/calculate')
+      .send({ carId: 1, startDate: '2026-06-01', endDate: '2026-06-04', extras: [{ extraId: 'x' }] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/extraId/);
+  });
 });
 
 describe('GET /api/pricing/preview/:carId', () => {
@@ -164,3 +164,55 @@ describe('DELETE /users/:id (admin)', () => {
     expect(harness.prisma.user.delete).toHaveBeenCalledWith({ where: { id: 2 } });
   });
 });
+
+describe('/users/me/driver-profile', () => {
+  const profileBody = {
+    dateOfBirth: '1990-05-01',
+    licenceNumber: ' LT7654321 ',
+    licenceCountry: 'lt',
+    licenceIssuedAt: '2010-06-01',
+    licenceExpiresAt: '2035-06-01',
+  };
+
+  it('returns 404 until the profile is saved', async () => {
+    harness.prisma.driverProfile.findUnique.mockResolvedValue(null);
+    const res = await request(harness.app)
+      .get('/users/me/driver-profile')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(res.status).toBe(404);
+  });
+
+  it('rejects a licence issued before the date of birth (400)', async () => {
+    const res = await request(harness.app)
+      .put('/users/me/driver-profile')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send({ ...profileBody, licenceIssuedAt: '1989-01-01' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/licenceIssuedAt/);
+    expect(harness.prisma.driverProfile.upsert).not.toHaveBeenCalled();
+  });
+
+  it('creates or replaces the caller’s profile (200)', async () => {
+    harness.prisma.driverProfile.upsert.mockImplementation(async ({ create }) => ({ id: 5, ...create }));
+    const res = await request(harness.app)
+      .put('/users/me/driver-profile')
+      .set('Authorization', `Bearer ${userToken(2)}`)
+      .send(profileBody);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ userId: 2, licenceNumber: 'LT7654321', licenceCountry: 'LT' });
+    expect(harness.prisma.driverProfile.upsert.mock.calls[0][0].where).toEqual({ userId: 2 });
+  });
+
+  it('lets only admins read another user’s profile', async () => {
+    harness.prisma.driverProfile.findUnique.mockResolvedValue({ id: 5, userId: 3 });
+    const forbidden = await request(harness.app)
+      .get('/users/3/driver-profile')
+      .set('Authorization', `Bearer ${userToken(2)}`);
+    expect(forbidden.status).toBe(403);
+    const res = await request(harness.app)
+      .get('/users/3/driver-profile')
+      .set('Authorization', `Bearer ${adminToken()}`);
+    expect(res.status).toBe(200);
+    expect(res.body.userId).toBe(3);
+  });
+});
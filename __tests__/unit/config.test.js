@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the startup checks in src/config.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  cancellationTiersFromEnv,
+  driverRulesFromEnv,
+  fakePaymentsAllowedFromEnv,
+  paymentProviderFromEnv,
+} from '../../src/config.js';
+
+describe('paymentProviderFromEnv', () => {
+  it('defaults to the fake provider', () => {
+    expect(paymentProviderFromEnv({ NODE_ENV: 'test' })).toBe('fake');
+    expect(paymentProviderFromEnv({ PAYMENT_PROVIDER: '' })).toBe('fake');
+  });
+
+  it('returns a configured provider as given', () => {
+    expect(paymentProviderFromEnv({ NODE_ENV: 'production', PAYMENT_PROVIDER: ' "stripe" ' })).toBe('stripe');
+  });
+});
+
+describe('fakePaymentsAllowedFromEnv', () => {
+  it('allows fake payments in test and development', () => {
+    expect(fakePaymentsAllowedFromEnv({ NODE_ENV: 'test' })).toBe(true);
+    expect(fakePaymentsAllowedFromEnv({ NODE_ENV: 'development' })).toBe(true);
+  });
+
+  it('refuses them elsewhere, including when NODE_ENV is unset, without failing to load', () => {
+    expect(fakePaymentsAllowedFromEnv({})).toBe(false);
+    expect(fakePaymentsAllowedFromEnv({ NODE_ENV: 'production', ALLOW_FAKE_PAYMENTS: '0' })).toBe(false);
+  });
+
+  it('allows them anywhere with ALLOW_FAKE_PAYMENTS=1', () => {
+    expect(fakePaymentsAllowedFromEnv({ NODE_ENV: 'production', ALLOW_FAKE_PAYMENTS: '1' })).toBe(true);
+    expect(fakePaymentsAllowedFromEnv({ ALLOW_FAKE_PAYMENTS: 'true' })).toBe(true);
+  });
+});
+
+describe('cancellationTiersFromEnv', () => {
+  it('returns null when unset', () => {
+    expect(cancellationTiersFromEnv({})).toBeNull();
+    expect(cancellationTiersFromEnv({ CANCELLATION_TIERS: '' })).toBeNull();
+  });
+
+  it('parses and sorts the tiers', () => {
+    expect(cancellationTiersFromEnv({
+      CANCELLATION_TIERS: '[{"minHoursBeforeStart":0,"refundPct":25},{"minHoursBeforeStart":72,"refundPct":100}]',
+    })).toEqual([
+      { minHoursBeforeStart: 72, refundPct: 100 },
+      { minHoursBeforeStart: 0, refundPct: 25 },
+    ]);
+  });
+
+  it('names the variable when the value is not JSON', () => {
+    expect(() => cancellationTiersFromEnv({ CANCELLATION_TIERS: '[{minHours:1}' })).toThrow(/^CANCELLATION_TIERS is invalid/);
+  });
+
+  it('names the variable when a tier is out of range', () => {
+    expect(() => cancellationTiersFromEnv({ CANCELLATION_TIERS: '[{"minHoursBeforeStart":24,"refundPct":150}]' }))
+      .toThrow('CANCELLATION_TIERS is invalid: Cancellation tier refundPct must be between 0 and 100');
+    expect(() => cancellationTiersFromEnv({ CANCELLATION_TIERS: '{"refundPct":50}' })).toThrow(/CANCELLATION_TIERS/);
+  });
+});
+
+describe('driverRulesFromEnv', () => {
+  it('returns null when unset', () => {
+    expect(driverRulesFromEnv({})).toBeNull();
+  });
+
+  it('merges the overrides into the defaults', () => {
+    const rules = driverRulesFromEnv({ DRIVER_RULES: '{"minAge":23,"strict":{"minPowerKW":120}}' });
+    expect(rules.minAge).toBe(23);
+    expect(rules.strict.minPowerKW).toBe(120);
+    expect(Array.isArray(rules.strict.bodyTypes)).toBe(true);
+  });
+
+  it('names the variable when the value is not JSON', () => {
+    expect(() => driverRulesFromEnv({ DRIVER_RULES: '{minAge:23}' })).toThrow(/^DRIVER_RULES is invalid/);
+  });
+
+  it('names the variable when a rule has the wrong type', () => {
+    expect(() => driverRulesFromEnv({ DRIVER_RULES: '{"minAge":"23"}' }))
+      .toThrow('DRIVER_RULES is invalid: Driver rule minAge must be a number >= 0');
+    expect(() => driverRulesFromEnv({ DRIVER_RULES: '[]' })).toThrow(/DRIVER_RULES/);
+    expect(() => driverRulesFromEnv({ DRIVER_RULES: 'null' })).toThrow(/DRIVER_RULES/);
+  });
+});
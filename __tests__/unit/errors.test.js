@@ -11,6 +11,7 @@ import {
   HttpError,
   notFound,
   badRequest,
+  conflict,
   unprocessable,
   errorHandler,
 } from '../../src/errors.js';
@@ -51,6 +52,13 @@ describe('HttpError factory helpers', () => {
     expect(err.details).toEqual({ field: 'email' });
   });
 
+  it('conflict defaults to 409 and keeps details', () => {
+    const err = conflict(undefined, { allowed: [] });
+    expect(err.status).toBe(409);
+    expect(err.message).toBe('Conflict');
+    expect(err.details).toEqual({ allowed: [] });
+  });
+
   it('unprocessable defaults to 422', () => {
     const err = unprocessable();
     expect(err.status).toBe(422);
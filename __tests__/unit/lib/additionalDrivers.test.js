@@ -0,0 +1,34 @@
+/**
+ * Unit tests for src/lib/additionalDrivers.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  additionalDriverName,
+  additionalDriversTotal,
+  priceAdditionalDriver,
+} from '../../../src/lib/additionalDrivers.js';
+
+describe('priceAdditionalDriver', () => {
+  it('charges the day fee for every started rental day', () => {
+    expect(priceAdditionalDriver(7.5, '2026-06-01T10:00:00Z', '2026-06-04T10:00:00Z')).toBe(22.5);
+    expect(priceAdditionalDriver(7.5, '2026-06-01T10:00:00Z', '2026-06-04T11:00:00Z')).toBe(30);
+    expect(priceAdditionalDriver(0, '2026-06-01T10:00:00Z', '2026-06-04T10:00:00Z')).toBe(0);
+  });
+});
+
+describe('additionalDriversTotal', () => {
+  it('sums the driver fees', () => {
+    expect(additionalDriversTotal([{ fee: 10.1 }, { fee: 20.2 }])).toBe(30.3);
+    expect(additionalDriversTotal([])).toBe(0);
+  });
+});
+
+describe('additionalDriverName', () => {
+  it('names registered drivers after their user and inline ones after the record', () => {
+    expect(additionalDriverName({ userId: 3, user: { firstName: 'Ona', lastName: null, email: 'o@example.com' } }))
+      .toBe('Ona');
+    expect(additionalDriverName({ userId: 3, user: { email: 'o@example.com' } })).toBe('o@example.com');
+    expect(additionalDriverName({ userId: 3 })).toBe('User #3');
+    expect(additionalDriverName({ userId: null, firstName: 'Petras', lastName: 'Petraitis' })).toBe('Petras Petraitis');
+  });
+});
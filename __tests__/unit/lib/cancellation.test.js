@@ -0,0 +1,85 @@
+/**
+ * Unit tests for src/lib/cancellation.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_CANCELLATION_TIERS,
+  normalizeCancellationTiers,
+  selectCancellationTier,
+  quoteCancellation,
+} from '../../../src/lib/cancellation.js';
+
+const tiers = normalizeCancellationTiers(DEFAULT_CANCELLATION_TIERS);
+const now = new Date('2026-06-01T10:00:00Z');
+const startingIn = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+describe('normalizeCancellationTiers', () => {
+  it('sorts tiers by threshold, largest first', () => {
+    expect(normalizeCancellationTiers([
+      { minHoursBeforeStart: 0, refundPct: 10 },
+      { minHoursBeforeStart: 24, refundPct: 90 },
+    ])).toEqual([
+      { minHoursBeforeStart: 24, refundPct: 90 },
+      { minHoursBeforeStart: 0, refundPct: 10 },
+    ]);
+  });
+
+  it('rejects empty lists and out-of-range values', () => {
+    expect(() => normalizeCancellationTiers([])).toThrow();
+    expect(() => normalizeCancellationTiers([{ minHoursBeforeStart: -1, refundPct: 50 }])).toThrow();
+    expect(() => normalizeCancellationTiers([{ minHoursBeforeStart: 0, refundPct: 120 }])).toThrow();
+  });
+});
+
+describe('selectCancellationTier', () => {
+  it('picks the largest threshold that still applies', () => {
+    expect(selectCancellationTier(tiers, 200).refundPct).toBe(100);
+    expect(selectCancellationTier(tiers, 168).refundPct).toBe(100);
+    expect(selectCancellationTier(tiers, 100).refundPct).toBe(75);
+    expect(selectCancellationTier(tiers, 1).refundPct).toBe(50);
+  });
+
+  it('refunds nothing once the rental has started', () => {
+    expect(selectCancellationTier(tiers, -0.5)).toBeNull();
+  });
+});
+
+describe('quoteCancellation', () => {
+  it('takes the fee from the price and refunds the rest of what was paid', () => {
+    const quote = quoteCancellation({
+      contract: { startDate: startingIn(24), totalPrice: 300 },
+      paid: 300,
+      tiers,
+      now,
+    });
+    expect(quote).toEqual({
+      hoursBeforeStart: 24,
+      tier: { minHoursBeforeStart: 0, refundPct: 50 },
+      refundPct: 50,
+      cancellationFee: 150,
+      paid: 300,
+      refundableAmount: 150,
+    });
+  });
+
+  it('never refunds more than was paid', () => {
+    const quote = quoteCancellation({
+      contract: { startDate: startingIn(24), totalPrice: 300 },
+      paid: 100,
+      tiers,
+      now,
+    });
+    expect(quote.cancellationFee).toBe(150);
+    expect(quote.refundableAmount).toBe(0);
+  });
+
+  it('charges the full price after the start', () => {
+    const quote = quoteCancellation({
+      contract: { startDate: startingIn(-2), totalPrice: 80 },
+      paid: 80,
+      tiers,
+      now,
+    });
+    expect(quote).toMatchObject({ tier: null, refundPct: 0, cancellationFee: 80, refundableAmount: 0 });
+  });
+});
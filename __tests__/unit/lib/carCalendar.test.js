@@ -0,0 +1,121 @@
+/**
+ * Unit tests for src/lib/carCalendar.js
+ *
+ * Pure interval arithmetic behind the availability calendar: merging
+ * contracts and prep blocks into one timeline and deriving free windows.
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  rangesOverlap,
+  buildOccupiedIntervals,
+  computeFreeWindows,
+  OccupancyReason,
+} from '../../../src/lib/carCalendar.js';
+
+const d = (iso) => new Date(iso);
+
+describe('rangesOverlap', () => {
+  it('treats ranges as half-open (touching ranges do not overlap)', () => {
+    expect(rangesOverlap(d('2026-06-01'), d('2026-06-03'), d('2026-06-03'), d('2026-06-05'))).toBe(false);
+  });
+
+  it('detects partial overlap', () => {
+    expect(rangesOverlap(d('2026-06-01'), d('2026-06-04'), d('2026-06-03'), d('2026-06-05'))).toBe(true);
+  });
+});
+
+describe('buildOccupiedIntervals', () => {
+  it('labels contracts by state and prep blocks as PREP, sorted by start', () => {
+    const intervals = buildOccupiedIntervals({
+      contracts: [
+        { id: 2, state: 'ACTIVE', startDate: d('2026-06-10'), endDate: d('2026-06-12') },
+        { id: 1, state: 'DRAFT', startDate: d('2026-06-01'), endDate: d('2026-06-03') },
+      ],
+      prepBlocks: [{ id: 7, startDate: d('2026-06-12'), endDate: d('2026-06-13') }],
+    });
+
+    expect(intervals.map((i) => i.reason)).toEqual([
+      OccupancyReason.RESERVATION,
+      OccupancyReason.RENTAL,
+      OccupancyReason.PREP,
+    ]);
+    expect(intervals[0].contractId).toBe(1);
+    expect(intervals[2].prepBlockId).toBe(7);
+  });
+
+  it('includes scheduled maintenance windows', () => {
+    const intervals = buildOccupiedIntervals({
+      maintenanceTasks: [{ id: 4, scheduledStart: d('2026-06-20'), scheduledEnd: d('2026-06-21') }],
+    });
+    expect(intervals).toEqual([{
+      startDate: d('2026-06-20'),
+      endDate: d('2026-06-21'),
+      reason: OccupancyReason.MAINTENANCE,
+      maintenanceTaskId: 4,
+    }]);
+  });
+
+  it('returns an empty list when there is nothing booked', () => {
+    expect(buildOccupiedIntervals()).toEqual([]);
+  });
+});
+
+describe('computeFreeWindows', () => {
+  it('returns the whole window when nothing is occupied', () => {
+    const free = computeFreeWindows([], d('2026-06-01'), d('2026-06-30'));
+    expect(free).toEqual([{ startDate: d('2026-06-01'), endDate: d('2026-06-30') }]);
+  });
+
+  it('returns the gaps between occupied intervals', () => {
+    const free = computeFreeWindows(
+      [
+        { startDate: d('2026-06-05'), endDate: d('2026-06-08') },
+        { startDate: d('2026-06-15'), endDate: d('2026-06-20') },
+      ],
+      d('2026-06-01'),
+      d('2026-06-30')
+    );
+    expect(free).toEqual([
+      { startDate: d('2026-06-01'), endDate: d('2026-06-05') },
+      { startDate: d('2026-06-08'), endDate: d('2026-06-15') },
+      { startDate: d('2026-06-20'), endDate: d('2026-06-30') },
+    ]);
+  });
+
+  it('merges overlapping and touching intervals into one busy stretch', () => {
+    const free = computeFreeWindows(
+      [
+        { startDate: d('2026-06-05'), endDate: d('2026-06-10') },
+        { startDate: d('2026-06-08'), endDate: d('2026-06-12') },
+        { startDate: d('2026-06-12'), endDate: d('2026-06-13') },
+      ],
+      d('2026-06-01'),
+      d('2026-06-20')
+    );
+    expect(free).toEqual([
+      { startDate: d('2026-06-01'), endDate: d('2026-06-05') },
+      { startDate: d('2026-06-13'), endDate: d('2026-06-20') },
+    ]);
+  });
+
+  it('clips intervals that extend beyond the requested window', () => {
+    const free = computeFreeWindows(
+      [
+        { startDate: d('2026-05-25'), endDate: d('2026-06-03') },
+        { startDate: d('2026-06-25'), endDate: d('2026-07-05') },
+      ],
+      d('2026-06-01'),
+      d('2026-06-30')
+    );
+    expect(free).toEqual([{ startDate: d('2026-06-03'), endDate: d('2026-06-25') }]);
+  });
+
+  it('returns no free windows when the range is fully booked', () => {
+    const free = computeFreeWindows(
+      [{ startDate: d('2026-05-01'), endDate: d('2026-07-01') }],
+      d('2026-06-01'),
+      d('2026-06-30')
+    );
+    expect(free).toEqual([]);
+  });
+});
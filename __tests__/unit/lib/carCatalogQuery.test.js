@@ -0,0 +1,85 @@
+/**
+ * Unit tests for src/lib/carCatalogQuery.js
+ *
+ * Covers the translation of catalogue query params into Prisma arguments
+ * and the 400 errors raised for invalid combinations.
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseCarCatalogQuery,
+  paginationArgs,
+  MAX_PAGE_SIZE,
+} from '../../../src/lib/carCatalogQuery.js';
+import { HttpError } from '../../../src/errors.js';
+
+describe('parseCarCatalogQuery', () => {
+  it('returns an empty filter, id ordering and no pagination by default', () => {
+    expect(parseCarCatalogQuery({})).toEqual({
+      where: {},
+      orderBy: [{ id: 'asc' }],
+      pagination: null,
+    });
+  });
+
+  it('builds year and price ranges', () => {
+    const { where } = parseCarCatalogQuery({ minYear: '2015', maxYear: '2020', minPrice: '30', maxPrice: '80' });
+    expect(where.year).toEqual({ gte: 2015, lte: 2020 });
+    expect(where.pricePerDay).toEqual({ gte: 30, lte: 80 });
+  });
+
+  it('uses the given price field for price filters and sorting', () => {
+    const { where, orderBy } = parseCarCatalogQuery(
+      { minPrice: '1000', sortBy: 'price', sortOrder: 'desc' },
+      { priceField: 'salePrice' }
+    );
+    expect(where.salePrice).toEqual({ gte: 1000 });
+    expect(orderBy).toEqual([{ salePrice: 'desc' }, { id: 'asc' }]);
+  });
+
+  it('maps sortBy=power to powerKW', () => {
+    expect(parseCarCatalogQuery({ sortBy: 'power' }).orderBy[0]).toEqual({ powerKW: 'asc' });
+  });
+
+  it('accepts comma-separated enum lists case-insensitively', () => {
+    const { where } = parseCarCatalogQuery({ bodyType: 'suv,wagon', gearbox: 'AUTOMATIC' });
+    expect(where.bodyType).toEqual({ in: ['SUV', 'WAGON'] });
+    expect(where.gearbox).toEqual({ in: ['AUTOMATIC'] });
+  });
+
+  it.each([
+    [{ fuelType: 'STEAM' }, /fuelType/],
+    [{ minYear: '2020', maxYear: '2010' }, /minYear/],
+    [{ minPrice: '-5' }, /minPrice/],
+    [{ sortBy: 'colour' }, /sortBy/],
+    [{ sortOrder: 'up' }, /sortOrder/],
+    [{ page: '0' }, /page/],
+    [{ page: '1', cursor: '3' }, /either/],
+  ])('rejects %j with 400', (query, message) => {
+    expect(() => parseCarCatalogQuery(query)).toThrow(HttpError);
+    expect(() => parseCarCatalogQuery(query)).toThrow(message);
+  });
+
+  it('caps the page size', () => {
+    const { pagination } = parseCarCatalogQuery({ page: '1', pageSize: '1000' });
+    expect(pagination).toEqual({ mode: 'offset', page: 1, pageSize: MAX_PAGE_SIZE });
+  });
+});
+
+describe('paginationArgs', () => {
+  it('returns no paging args when unpaginated', () => {
+    expect(paginationArgs(null)).toEqual({});
+  });
+
+  it('computes skip/take for offset pagination', () => {
+    expect(paginationArgs({ mode: 'offset', page: 3, pageSize: 10 })).toEqual({ skip: 20, take: 10 });
+  });
+
+  it('fetches one extra row in cursor mode and skips the cursor row', () => {
+    expect(paginationArgs({ mode: 'cursor', cursor: 9, limit: 5 })).toEqual({
+      take: 6,
+      cursor: { id: 9 },
+      skip: 1,
+    });
+    expect(paginationArgs({ mode: 'cursor', cursor: null, limit: 5 })).toEqual({ take: 6 });
+  });
+});
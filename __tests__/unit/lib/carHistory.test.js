@@ -0,0 +1,21 @@
+/**
+ * Unit tests for src/lib/carHistory.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { odometerReadingError } from '../../../src/lib/carHistory.js';
+
+describe('odometerReadingError', () => {
+  it('accepts a reading at or above the previous one', () => {
+    expect(odometerReadingError(10000, 10000)).toBeNull();
+    expect(odometerReadingError(10000, 10250)).toBeNull();
+  });
+
+  it('refuses a lower reading', () => {
+    expect(odometerReadingError(10000, 9990)).toBe("odometerKm 9990 is lower than the car's last reading of 10000 km");
+  });
+
+  it('accepts the first reading of a car', () => {
+    expect(odometerReadingError(null, 0)).toBeNull();
+    expect(odometerReadingError(undefined, 500)).toBeNull();
+  });
+});
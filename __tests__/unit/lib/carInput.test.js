@@ -0,0 +1,91 @@
+/**
+ * Unit tests for src/lib/carInput.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { carInputFromCsv, parseCarInput } from '../../../src/lib/carInput.js';
+
+const body = {
+  vin: '1hgbh41jxmn109186',
+  numberPlate: ' abc123 ',
+  make: 'Toyota',
+  model: 'Corolla',
+  year: '2022',
+  pricePerDay: '40',
+  cityId: '1',
+  fuelType: 'PETROL',
+  powerKW: '90',
+  bodyType: 'SEDAN',
+  gearbox: 'AUTOMATIC',
+};
+
+describe('parseCarInput', () => {
+  it('normalizes a car and applies the POST /cars defaults', () => {
+    expect(parseCarInput(body)).toEqual({
+      vin: '1HGBH41JXMN109186',
+      numberPlate: 'ABC123',
+      make: 'Toyota',
+      model: 'Corolla',
+      year: 2022,
+      pricePerDay: 40,
+      availableForLease: true,
+      availableForSale: false,
+      useDynamicPricing: false,
+      basePricePerDay: null,
+      minPricePerDay: null,
+      maxPricePerDay: null,
+      applyUtilizationPricing: true,
+      utilizationMultiplierOverride: null,
+      salePrice: null,
+      saleDescription: null,
+      colour: null,
+      cityId: 1,
+      seatCount: 5,
+      fuelType: 'PETROL',
+      powerKW: 90,
+      engineCapacityL: null,
+      bodyType: 'SEDAN',
+      gearbox: 'AUTOMATIC',
+      state: 'AVAILABLE',
+      odometerKm: 0,
+    });
+  });
+
+  it('refuses an invalid VIN, plate or enum value', () => {
+    expect(() => parseCarInput({ ...body, vin: 'SHORT' })).toThrow(/vin must be a valid/);
+    expect(() => parseCarInput({ ...body, numberPlate: 'A' })).toThrow(/numberPlate must be/);
+    expect(() => parseCarInput({ ...body, gearbox: 'CVT' })).toThrow(/gearbox must be one of/);
+  });
+
+  it('refuses a wrong check digit unless the VIN is the one already stored', () => {
+    const tesla = { ...body, vin: '5yj3e1ea7kf317000' };
+    expect(() => parseCarInput(tesla)).toThrow('vin check digit (9th character) must be 2');
+    expect(() => parseCarInput(tesla, { storedVin: '5YJ3E1EA2KF317000' })).toThrow(/check digit/);
+    expect(parseCarInput(tesla, { storedVin: '5YJ3E1EA7KF317000' }).vin).toBe('5YJ3E1EA7KF317000');
+  });
+
+  it('checks the dynamic pricing range', () => {
+    const dynamic = { ...body, useDynamicPricing: true, basePricePerDay: 40, minPricePerDay: 30 };
+    expect(() => parseCarInput(dynamic)).toThrow('Dynamic pricing requires basePricePerDay, minPricePerDay and maxPricePerDay');
+    expect(() => parseCarInput({ ...dynamic, maxPricePerDay: 35 })).toThrow('maxPricePerDay cannot be lower than basePricePerDay');
+    expect(parseCarInput({ ...dynamic, maxPricePerDay: 60 })).toMatchObject({
+      useDynamicPricing: true, basePricePerDay: 40, minPricePerDay: 30, maxPricePerDay: 60,
+    });
+  });
+
+  it('refuses an engine capacity for an ELECTRIC car', () => {
+    expect(() => parseCarInput({ ...body, fuelType: 'ELECTRIC', engineCapacityL: 1.6 }))
+      .toThrow('engineCapacityL must be null for ELECTRIC');
+  });
+});
+
+describe('carInputFromCsv', () => {
+  it('drops empty cells and parses the boolean columns', () => {
+    expect(carInputFromCsv({
+      vin: ' 1HGBH41JXMN109186 ', colour: '', useDynamicPricing: 'Yes', availableForSale: '0', pricePerDay: '40',
+    })).toEqual({ vin: '1HGBH41JXMN109186', useDynamicPricing: true, availableForSale: false, pricePerDay: '40' });
+  });
+
+  it('refuses a boolean column that is not true or false', () => {
+    expect(() => carInputFromCsv({ availableForLease: 'maybe' })).toThrow('availableForLease must be true or false');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for src/lib/compliance.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { complianceStatus, currentExpiries, documentsLapsingBefore } from '../../../src/lib/compliance.js';
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+const documents = [
+  { type: 'INSURANCE', expiresAt: new Date('2026-03-01T00:00:00Z') },
+  { type: 'INSURANCE', expiresAt: new Date('2027-03-01T00:00:00Z') },
+  { type: 'TECHNICAL_INSPECTION', expiresAt: new Date('2026-06-20T00:00:00Z') },
+  { type: 'ROAD_TAX', expiresAt: new Date('2026-12-31T00:00:00Z') },
+];
+
+describe('currentExpiries', () => {
+  it('takes the latest expiry of each type and null for missing ones', () => {
+    expect(currentExpiries(documents.slice(0, 2))).toEqual({
+      INSURANCE: new Date('2027-03-01T00:00:00Z'),
+      TECHNICAL_INSPECTION: null,
+      ROAD_TAX: null,
+    });
+  });
+});
+
+describe('complianceStatus', () => {
+  it('flags a document expiring within the warning period', () => {
+    const result = complianceStatus(documents, { now, warningDays: 30 });
+    expect(result.status).toBe('EXPIRING');
+    expect(result.documents).toEqual([
+      { type: 'INSURANCE', expiresAt: new Date('2027-03-01T00:00:00Z'), status: 'OK' },
+      { type: 'TECHNICAL_INSPECTION', expiresAt: new Date('2026-06-20T00:00:00Z'), status: 'EXPIRING' },
+      { type: 'ROAD_TAX', expiresAt: new Date('2026-12-31T00:00:00Z'), status: 'OK' },
+    ]);
+  });
+
+  it('is OK when nothing expires within the warning period', () => {
+    expect(complianceStatus(documents, { now, warningDays: 7 }).status).toBe('OK');
+  });
+
+  it('reports the worst status: expired before missing', () => {
+    const expired = [{ type: 'ROAD_TAX', expiresAt: new Date('2026-05-01T00:00:00Z') }];
+    expect(complianceStatus(expired, { now, warningDays: 30 }).status).toBe('EXPIRED');
+    expect(complianceStatus([], { now, warningDays: 30 }).status).toBe('MISSING');
+  });
+});
+
+describe('documentsLapsingBefore', () => {
+  it('lists documents in force that expire before the end date, earliest first', () => {
+    expect(documentsLapsingBefore(documents, new Date('2027-01-10T00:00:00Z'))).toEqual([
+      { type: 'TECHNICAL_INSPECTION', expiresAt: new Date('2026-06-20T00:00:00Z') },
+      { type: 'ROAD_TAX', expiresAt: new Date('2026-12-31T00:00:00Z') },
+    ]);
+  });
+
+  it('ignores renewed and missing documents', () => {
+    expect(documentsLapsingBefore(documents.slice(0, 2), new Date('2026-06-10T00:00:00Z'))).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for src/lib/contractAmendments.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  EarlyReturnPolicy,
+  earlyReturnPrice,
+  originalBooking,
+  rentalDays,
+} from '../../../src/lib/contractAmendments.js';
+
+const contract = {
+  startDate: new Date('2026-06-01T10:00:00Z'),
+  endDate: new Date('2026-06-08T10:00:00Z'),
+  totalPrice: 350,
+};
+
+describe('rentalDays', () => {
+  it('counts started days, at least one', () => {
+    expect(rentalDays(contract.startDate, contract.endDate)).toBe(7);
+    expect(rentalDays(contract.startDate, new Date('2026-06-03T11:00:00Z'))).toBe(3);
+    expect(rentalDays(contract.startDate, new Date('2026-06-01T12:00:00Z'))).toBe(1);
+  });
+});
+
+describe('earlyReturnPrice', () => {
+  it('prorates to the started days when the policy is prorate', () => {
+    expect(earlyReturnPrice({
+      contract,
+      returnedAt: new Date('2026-06-03T09:00:00Z'),
+      policy: EarlyReturnPolicy.PRORATE,
+    })).toEqual({ bookedDays: 7, usedDays: 2, totalPrice: 100 });
+  });
+
+  it('keeps the booked price when the policy is keep', () => {
+    expect(earlyReturnPrice({
+      contract,
+      returnedAt: new Date('2026-06-03T09:00:00Z'),
+      policy: EarlyReturnPolicy.KEEP,
+    }).totalPrice).toBe(350);
+  });
+
+  it('does not change the price when the last day has already started', () => {
+    expect(earlyReturnPrice({
+      contract,
+      returnedAt: new Date('2026-06-08T08:00:00Z'),
+      policy: EarlyReturnPolicy.PRORATE,
+    }).totalPrice).toBe(350);
+  });
+
+  it('prorates the rental but charges a one-way fee, extras and additional drivers in full', () => {
+    expect(earlyReturnPrice({
+      contract: { ...contract, totalPrice: 385, oneWayFee: 35 },
+      returnedAt: new Date('2026-06-03T09:00:00Z'),
+      policy: EarlyReturnPolicy.PRORATE,
+    }).totalPrice).toBe(135);
+    expect(earlyReturnPrice({
+      contract: { ...contract, totalPrice: 400, oneWayFee: 35, extrasTotal: 15 },
+      returnedAt: new Date('2026-06-03T09:00:00Z'),
+      policy: EarlyReturnPolicy.PRORATE,
+    }).totalPrice).toBe(150);
+    expect(earlyReturnPrice({
+      contract: { ...contract, totalPrice: 420, oneWayFee: 35, extrasTotal: 15, additionalDriversTotal: 20 },
+      returnedAt: new Date('2026-06-03T09:00:00Z'),
+      policy: EarlyReturnPolicy.PRORATE,
+    }).totalPrice).toBe(170);
+  });
+});
+
+describe('originalBooking', () => {
+  it('returns the contract itself when it was never amended', () => {
+    expect(originalBooking(contract, [])).toEqual({ endDate: contract.endDate, totalPrice: 350 });
+  });
+
+  it('undoes every amendment price change and takes the first previous end date', () => {
+    const amendments = [
+      { previousEndDate: new Date('2026-06-05T10:00:00Z'), priceDifference: 150.5 },
+      { previousEndDate: new Date('2026-06-10T10:00:00Z'), priceDifference: -50 },
+    ];
+    expect(originalBooking({ ...contract, totalPrice: 300.5 }, amendments)).toEqual({
+      endDate: new Date('2026-06-05T10:00:00Z'),
+      totalPrice: 200,
+    });
+  });
+});
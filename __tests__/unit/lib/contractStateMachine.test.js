@@ -0,0 +1,73 @@
+/**
+ * Unit tests for src/lib/contractStateMachine.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  allowedTransitions,
+  canTransition,
+  assertTransition,
+  carStateForTransition,
+} from '../../../src/lib/contractStateMachine.js';
+
+const admin = { isAdmin: true, isOwner: false };
+const owner = { isAdmin: false, isOwner: true };
+const stranger = { isAdmin: false, isOwner: false };
+
+describe('allowedTransitions / canTransition', () => {
+  it('lists the forward moves of open contracts', () => {
+    expect(allowedTransitions('DRAFT').sort()).toEqual(['ACTIVE', 'CANCELLED']);
+    expect(allowedTransitions('ACTIVE').sort()).toEqual(['CANCELLED', 'COMPLETED']);
+  });
+
+  it('treats COMPLETED and CANCELLED as terminal', () => {
+    expect(allowedTransitions('COMPLETED')).toEqual([]);
+    expect(allowedTransitions('CANCELLED')).toEqual([]);
+    expect(canTransition('COMPLETED', 'ACTIVE')).toBe(false);
+    expect(canTransition('CANCELLED', 'DRAFT')).toBe(false);
+  });
+
+  it('returns no transitions for unknown states', () => {
+    expect(allowedTransitions('NOPE')).toEqual([]);
+    expect(canTransition('NOPE', 'ACTIVE')).toBe(false);
+  });
+});
+
+describe('assertTransition', () => {
+  it('throws 409 with the allowed targets for a move outside the table', () => {
+    expect.assertions(3);
+    try {
+      assertTransition('COMPLETED', 'ACTIVE', admin);
+    } catch (err) {
+      expect(err.status).toBe(409);
+      expect(err.message).toBe('Cannot change contract state from COMPLETED to ACTIVE');
+      expect(err.details).toEqual({ allowed: [] });
+    }
+  });
+
+  it('lets only admins activate a draft', () => {
+    expect(() => assertTransition('DRAFT', 'ACTIVE', admin)).not.toThrow();
+    expect(() => assertTransition('DRAFT', 'ACTIVE', owner)).toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  it('lets the owner or an admin cancel, but nobody else', () => {
+    expect(() => assertTransition('ACTIVE', 'CANCELLED', owner)).not.toThrow();
+    expect(() => assertTransition('ACTIVE', 'CANCELLED', admin)).not.toThrow();
+    expect(() => assertTransition('DRAFT', 'CANCELLED', stranger)).toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  it('skips the role check when no actor is given', () => {
+    expect(() => assertTransition('DRAFT', 'ACTIVE')).not.toThrow();
+  });
+});
+
+describe('carStateForTransition', () => {
+  it('leases the car on activation and frees it when an active rental ends', () => {
+    expect(carStateForTransition('DRAFT', 'ACTIVE')).toBe('LEASED');
+    expect(carStateForTransition('ACTIVE', 'COMPLETED')).toBe('AVAILABLE');
+    expect(carStateForTransition('ACTIVE', 'CANCELLED')).toBe('AVAILABLE');
+  });
+
+  it('leaves the car alone when a draft is cancelled', () => {
+    expect(carStateForTransition('DRAFT', 'CANCELLED')).toBeNull();
+  });
+});
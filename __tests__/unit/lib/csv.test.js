@@ -0,0 +1,50 @@
+/**
+ * Unit tests for src/lib/csv.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { parseCsv, toCsv } from '../../../src/lib/csv.js';
+
+describe('parseCsv', () => {
+  it('reads records keyed by the trimmed header', () => {
+    const { header, records } = parseCsv('vin, make\nAAA,Toyota\nBBB,BMW\n');
+    expect(header).toEqual(['vin', 'make']);
+    expect(records).toEqual([{ vin: 'AAA', make: 'Toyota' }, { vin: 'BBB', make: 'BMW' }]);
+  });
+
+  it('handles quoted fields with commas, quotes and line breaks', () => {
+    const { records } = parseCsv('make,saleDescription\r\nVW,"Low km, ""mint""\r\nno dents"\r\n');
+    expect(records).toEqual([{ make: 'VW', saleDescription: 'Low km, "mint"\r\nno dents' }]);
+  });
+
+  it('skips blank lines, ignores a byte order mark and reads a last line without a newline', () => {
+    const { records } = parseCsv('\uFEFFvin,make\n\nAAA,Toyota\n\nBBB,');
+    expect(records).toEqual([{ vin: 'AAA', make: 'Toyota' }, { vin: 'BBB', make: '' }]);
+  });
+
+  it('fills missing trailing fields with empty strings', () => {
+    expect(parseCsv('a,b,c\n1\n').records).toEqual([{ a: '1', b: '', c: '' }]);
+  });
+
+  it('returns no records for an empty text', () => {
+    expect(parseCsv('')).toEqual({ header: [], records: [] });
+  });
+
+  it('throws on an unterminated quoted field', () => {
+    expect(() => parseCsv('a\n"oops\n')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes the header and one line per row, quoting where needed', () => {
+    const csv = toCsv(['vin', 'colour', 'notes'], [
+      { vin: 'AAA', colour: null, notes: 'says "hi", twice' },
+      { vin: 'BBB', colour: 'Red' },
+    ]);
+    expect(csv).toBe('vin,colour,notes\r\nAAA,,"says ""hi"", twice"\r\nBBB,Red,\r\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [{ a: 'x,y', b: 'line\nbreak' }, { a: '1', b: '"q"' }];
+    expect(parseCsv(toCsv(['a', 'b'], rows)).records).toEqual(rows);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Unit tests for src/lib/damageRecords.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { carStateForDamage, isGroundingDamage } from '../../../src/lib/damageRecords.js';
+
+describe('isGroundingDamage', () => {
+  it('is true only for severe damage that is not repaired', () => {
+    expect(isGroundingDamage({ severity: 'SEVERE', repairStatus: 'OPEN' })).toBe(true);
+    expect(isGroundingDamage({ severity: 'SEVERE', repairStatus: 'IN_REPAIR' })).toBe(true);
+    expect(isGroundingDamage({ severity: 'SEVERE', repairStatus: 'REPAIRED' })).toBe(false);
+    expect(isGroundingDamage({ severity: 'MODERATE', repairStatus: 'OPEN' })).toBe(false);
+  });
+});
+
+describe('carStateForDamage', () => {
+  it('takes an available car off the road for open severe damage', () => {
+    expect(carStateForDamage('AVAILABLE', { wasGrounded: false, isGrounded: true })).toBe('MAINTENANCE');
+  });
+
+  it('leaves a rented car alone', () => {
+    expect(carStateForDamage('LEASED', { wasGrounded: false, isGrounded: true })).toBeNull();
+  });
+
+  it('releases the car when the last severe damage is resolved', () => {
+    expect(carStateForDamage('MAINTENANCE', { wasGrounded: true, isGrounded: false })).toBe('AVAILABLE');
+  });
+
+  it('keeps maintenance that was not caused by damage', () => {
+    expect(carStateForDamage('MAINTENANCE', { wasGrounded: false, isGrounded: false })).toBeNull();
+    expect(carStateForDamage('MAINTENANCE', { wasGrounded: true, isGrounded: true })).toBeNull();
+  });
+});
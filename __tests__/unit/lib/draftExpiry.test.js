@@ -0,0 +1,40 @@
+/**
+ * Unit tests for src/lib/draftExpiry.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { draftExpiryReason, draftHoldCutoff } from '../../../src/lib/draftExpiry.js';
+
+const now = new Date('2026-06-10T12:00:00Z');
+const hoursAgo = (h) => new Date(now.getTime() - h * 60 * 60 * 1000);
+const draft = (overrides = {}) => ({
+  state: 'DRAFT',
+  createdAt: hoursAgo(1),
+  startDate: new Date('2026-06-20T10:00:00Z'),
+  ...overrides,
+});
+
+describe('draftHoldCutoff', () => {
+  it('goes back holdHours from now', () => {
+    expect(draftHoldCutoff(now, 48)).toEqual(new Date('2026-06-08T12:00:00Z'));
+  });
+});
+
+describe('draftExpiryReason', () => {
+  it('keeps a fresh draft', () => {
+    expect(draftExpiryReason(draft(), { now, holdHours: 48 })).toBeNull();
+  });
+
+  it('expires a draft older than the hold time', () => {
+    expect(draftExpiryReason(draft({ createdAt: hoursAgo(49) }), { now, holdHours: 48 }))
+      .toBe('Expired: not activated within 48 hours');
+  });
+
+  it('expires a draft whose start date has passed, even if it is fresh', () => {
+    expect(draftExpiryReason(draft({ startDate: hoursAgo(0.5) }), { now, holdHours: 48 }))
+      .toMatch(/start date passed/);
+  });
+
+  it('ignores contracts that are no longer drafts', () => {
+    expect(draftExpiryReason(draft({ state: 'ACTIVE', createdAt: hoursAgo(100) }), { now, holdHours: 48 })).toBeNull();
+  });
+});
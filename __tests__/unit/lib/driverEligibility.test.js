@@ -0,0 +1,83 @@
+/**
+ * Unit tests for src/lib/driverEligibility.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_DRIVER_RULES,
+  EligibilityReason,
+  checkDriverEligibility,
+  fullYearsBetween,
+  normalizeDriverRules,
+  rulesForCar,
+} from '../../../src/lib/driverEligibility.js';
+
+const startDate = new Date('2026-07-01T10:00:00Z');
+const endDate = new Date('2026-07-05T10:00:00Z');
+const sedan = { powerKW: 90, bodyType: 'SEDAN' };
+const van = { powerKW: 100, bodyType: 'VAN' };
+const profile = {
+  dateOfBirth: new Date('2003-06-15T00:00:00Z'),     // 23 at startDate
+  licenceIssuedAt: new Date('2022-03-01T00:00:00Z'), // 4 years
+  licenceExpiresAt: new Date('2030-03-01T00:00:00Z'),
+};
+const codes = (reasons) => reasons.map((r) => r.code);
+
+describe('fullYearsBetween', () => {
+  it('counts a year only once the anniversary is reached', () => {
+    expect(fullYearsBetween('2000-07-01', '2026-06-30')).toBe(25);
+    expect(fullYearsBetween('2000-07-01', '2026-07-01')).toBe(26);
+  });
+});
+
+describe('rulesForCar', () => {
+  it('uses the strict rules for powerful cars and listed body types', () => {
+    expect(rulesForCar(DEFAULT_DRIVER_RULES, sedan)).toEqual({ minAge: 21, minLicenceYears: 2, strict: false });
+    expect(rulesForCar(DEFAULT_DRIVER_RULES, van).strict).toBe(true);
+    expect(rulesForCar(DEFAULT_DRIVER_RULES, { powerKW: 200, bodyType: 'COUPE' }))
+      .toEqual({ minAge: 25, minLicenceYears: 3, strict: true });
+  });
+});
+
+describe('normalizeDriverRules', () => {
+  it('merges overrides over the defaults', () => {
+    const rules = normalizeDriverRules({ minAge: 23, strict: { minPowerKW: 120 } });
+    expect(rules.minAge).toBe(23);
+    expect(rules.minLicenceYears).toBe(2);
+    expect(rules.strict).toMatchObject({ minPowerKW: 120, minAge: 25 });
+  });
+
+  it('rejects invalid values', () => {
+    expect(() => normalizeDriverRules({ minAge: -1 })).toThrow(/minAge/);
+    expect(() => normalizeDriverRules({ strict: { bodyTypes: 'VAN' } })).toThrow(/bodyTypes/);
+  });
+});
+
+describe('checkDriverEligibility', () => {
+  it('passes a driver who meets the rules of the car', () => {
+    expect(checkDriverEligibility({ profile, car: sedan, startDate, endDate })).toEqual([]);
+  });
+
+  it('asks for a profile when there is none', () => {
+    expect(codes(checkDriverEligibility({ profile: null, car: sedan, startDate, endDate })))
+      .toEqual([EligibilityReason.DRIVER_PROFILE_MISSING]);
+  });
+
+  it('applies the stricter age to vans', () => {
+    const reasons = checkDriverEligibility({ profile, car: van, startDate, endDate });
+    expect(codes(reasons)).toEqual([EligibilityReason.DRIVER_TOO_YOUNG]);
+    expect(reasons[0].message).toMatch(/25 years old for this car/);
+  });
+
+  it('reports every failed check', () => {
+    const novice = {
+      dateOfBirth: new Date('2006-01-01T00:00:00Z'),
+      licenceIssuedAt: new Date('2025-12-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2026-07-03T00:00:00Z'),
+    };
+    expect(codes(checkDriverEligibility({ profile: novice, car: sedan, startDate, endDate }))).toEqual([
+      EligibilityReason.DRIVER_TOO_YOUNG,
+      EligibilityReason.LICENCE_TENURE_TOO_SHORT,
+      EligibilityReason.LICENCE_EXPIRES_BEFORE_END,
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for src/lib/extras.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { extraFitsCar, peakExtraUsage, priceExtra, quoteExtras } from '../../../src/lib/extras.js';
+
+const childSeat = {
+  id: 1, code: 'CHILD_SEAT', name: 'Child seat', pricing: 'PER_DAY', price: 5,
+  maxQuantity: 2, bodyTypes: [], stockLimited: true, isActive: true,
+};
+const insurance = {
+  id: 2, code: 'FULL_INSURANCE', name: 'Full insurance', pricing: 'PER_RENTAL', price: 30,
+  maxQuantity: 1, bodyTypes: ['SEDAN', 'HATCHBACK'], stockLimited: false, isActive: true,
+};
+const start = new Date('2026-06-01T10:00:00Z');
+const end = new Date('2026-06-04T10:00:00Z');
+
+describe('extraFitsCar', () => {
+  it('accepts any car without body types and only the listed ones otherwise', () => {
+    expect(extraFitsCar(childSeat, { bodyType: 'VAN' })).toBe(true);
+    expect(extraFitsCar(insurance, { bodyType: 'SEDAN' })).toBe(true);
+    expect(extraFitsCar(insurance, { bodyType: 'VAN' })).toBe(false);
+  });
+});
+
+describe('priceExtra', () => {
+  it('charges per-day extras for every rental day and per-rental extras once', () => {
+    expect(priceExtra(childSeat, 2, 3)).toEqual({ unitPrice: 15, totalPrice: 30 });
+    expect(priceExtra(insurance, 1, 3)).toEqual({ unitPrice: 30, totalPrice: 30 });
+  });
+});
+
+describe('quoteExtras', () => {
+  it('prices each selection and sums them', () => {
+    const quote = quoteExtras({
+      extras: [childSeat, insurance],
+      selections: [{ extraId: 1, quantity: 2 }, { extraId: 2, quantity: 1 }],
+      car: { bodyType: 'SEDAN' },
+      start,
+      end,
+    });
+    expect(quote.total).toBe(60);
+    expect(quote.items[0]).toMatchObject({ extraId: 1, code: 'CHILD_SEAT', quantity: 2, unitPrice: 15, stockLimited: true });
+  });
+
+  it('rejects unknown, inactive and ineligible extras and too many units', () => {
+    const quote = (extras, selections, bodyType = 'SEDAN') => quoteExtras({ extras, selections, car: { bodyType }, start, end });
+    expect(quote([], [{ extraId: 9, quantity: 1 }]).error).toMatch(/not available/);
+    expect(quote([{ ...childSeat, isActive: false }], [{ extraId: 1, quantity: 1 }]).error).toMatch(/not available/);
+    expect(quote([insurance], [{ extraId: 2, quantity: 1 }], 'VAN').error).toMatch(/not offered for this car/);
+    expect(quote([childSeat], [{ extraId: 1, quantity: 3 }]).error).toMatch(/At most 2/);
+  });
+});
+
+describe('peakExtraUsage', () => {
+  const day = (d) => new Date(`2026-06-0${d}T10:00:00Z`);
+
+  it('counts bookings that follow each other once', () => {
+    const bookings = [
+      { quantity: 2, start: day(1), end: day(2) },
+      { quantity: 2, start: day(2), end: day(4) },
+    ];
+    expect(peakExtraUsage(bookings, start, end)).toBe(2);
+  });
+
+  it('adds up bookings that overlap and ignores time outside the range', () => {
+    const bookings = [
+      { quantity: 1, start: new Date('2026-05-20T10:00:00Z'), end: day(3) },
+      { quantity: 2, start: day(2), end: day(5) },
+      { quantity: 4, start: day(4), end: day(6) },
+    ];
+    expect(peakExtraUsage(bookings, start, end)).toBe(3);
+  });
+
+  it('keeps units that do not come back until the end of the range', () => {
+    const bookings = [
+      { quantity: 1, start: day(1), end: null },
+      { quantity: 2, start: day(3), end: day(4) },
+    ];
+    expect(peakExtraUsage(bookings, start, end)).toBe(3);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for src/lib/inspections.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { newDamages, validateChecklist } from '../../../src/lib/inspections.js';
+
+const marker = (panel, severity) => ({ panel, severity });
+
+describe('newDamages', () => {
+  it('treats every return marker as new without a pickup inspection', () => {
+    const after = [marker('HOOD', 'MINOR'), marker('ROOF', 'SEVERE')];
+    expect(newDamages([], after)).toEqual(after);
+  });
+
+  it('ignores damage already marked at pickup on the same panel', () => {
+    const after = [marker('HOOD', 'MINOR'), marker('TRUNK', 'MINOR')];
+    expect(newDamages([marker('HOOD', 'MODERATE')], after)).toEqual([after[1]]);
+  });
+
+  it('counts damage that got worse as new', () => {
+    const after = [marker('HOOD', 'SEVERE')];
+    expect(newDamages([marker('HOOD', 'MINOR')], after)).toEqual(after);
+  });
+
+  it('matches each pickup marker to one return marker', () => {
+    const after = [marker('FRONT_LEFT_DOOR', 'MODERATE'), marker('FRONT_LEFT_DOOR', 'MINOR')];
+    expect(newDamages([marker('FRONT_LEFT_DOOR', 'MODERATE')], after)).toEqual([after[0]]);
+  });
+});
+
+describe('validateChecklist', () => {
+  it('accepts known items with boolean results and defaults to empty', () => {
+    expect(validateChecklist({ tyres: true, lights: false })).toEqual({ checklist: { tyres: true, lights: false } });
+    expect(validateChecklist(undefined)).toEqual({ checklist: {} });
+  });
+
+  it('rejects unknown items and non-boolean results', () => {
+    expect(validateChecklist({ sunroof: true }).error).toMatch(/sunroof/);
+    expect(validateChecklist({ tyres: 'ok' }).error).toMatch(/boolean/);
+    expect(validateChecklist([]).error).toMatch(/object/);
+  });
+});
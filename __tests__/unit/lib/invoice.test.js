@@ -0,0 +1,175 @@
+/**
+ * Unit tests for src/lib/invoice.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  formatInvoiceNumber,
+  buildInvoice,
+  renderInvoiceHtml,
+} from '../../../src/lib/invoice.js';
+
+const sum = (lines) => Math.round(lines.reduce((s, l) => s + l.amount, 0) * 100) / 100;
+
+const staticContract = {
+  id: 1,
+  startDate: new Date('2026-06-01T10:00:00Z'),
+  endDate: new Date('2026-06-04T10:00:00Z'),
+  totalPrice: 120,
+  finalPrice: null,
+  durationDiscount: null,
+  extraFees: 0,
+  extraFeeBreakdown: null,
+};
+
+describe('formatInvoiceNumber', () => {
+  it('pads the yearly sequence', () => {
+    expect(formatInvoiceNumber(2026, 42)).toBe('INV-2026-000042');
+  });
+});
+
+describe('buildInvoice', () => {
+  it('bills a static-price rental as one line and splits out VAT', () => {
+    const invoice = buildInvoice({ contract: staticContract, vatRate: 0.21 });
+    expect(invoice.lines).toEqual([
+      { position: 1, code: 'RENTAL', description: 'Car rental, 3 days', quantity: 3, unitPrice: 40, amount: 120 },
+    ]);
+    expect(invoice.total).toBe(120);
+    expect(invoice.netTotal).toBe(99.17);
+    expect(invoice.vatAmount).toBe(20.83);
+  });
+
+  it('lists duration and loyalty discounts against the list price and still sums to totalPrice', () => {
+    const contract = {
+      ...staticContract,
+      endDate: new Date('2026-06-11T10:00:00Z'),
+      finalPrice: 38.47,
+      totalPrice: 384.7,
+      durationDiscount: 0.9,
+    };
+    const invoice = buildInvoice({ contract, customerMultiplier: 0.95, vatRate: 0.21 });
+    expect(invoice.lines.map((l) => l.code)).toEqual(['RENTAL', 'DURATION_DISCOUNT', 'LOYALTY_DISCOUNT']);
+    expect(invoice.lines[0]).toMatchObject({ quantity: 10, unitPrice: 44.99 });
+    expect(invoice.lines[1].amount).toBeLessThan(0);
+    expect(invoice.lines[2].amount).toBeLessThan(0);
+    expect(sum(invoice.lines)).toBe(384.7);
+    expect(invoice.total).toBe(384.7);
+  });
+
+  it('copies itemised return fees, or falls back to the extraFees total', () => {
+    const withBreakdown = buildInvoice({
+      contract: {
+        ...staticContract,
+        extraFees: 35,
+        extraFeeBreakdown: {
+          items: [
+            { code: 'EXTRA_KM', description: '100 km over', quantity: 100, unitPrice: 0.1, amount: 10 },
+            { code: 'DAMAGE', description: 'Damage', quantity: 1, unitPrice: 25, amount: 25 },
+          ],
+        },
+      },
+      vatRate: 0.21,
+    });
+    expect(withBreakdown.lines.map((l) => [l.position, l.code])).toEqual([[1, 'RENTAL'], [2, 'EXTRA_KM'], [3, 'DAMAGE']]);
+    expect(withBreakdown.total).toBe(155);
+
+    const legacy = buildInvoice({ contract: { ...staticContract, extraFees: 12.5 }, vatRate: 0.21 });
+    expect(legacy.lines[1]).toMatchObject({ code: 'EXTRA_FEES', amount: 12.5 });
+  });
+
+  it('bills the original booking and adds one line per extension or early return', () => {
+    const contract = { ...staticContract, endDate: new Date('2026-06-05T18:00:00Z'), totalPrice: 190 };
+    const invoice = buildInvoice({
+      contract,
+      vatRate: 0.21,
+      amendments: [
+        {
+          type: 'EXTENSION',
+          previousEndDate: new Date('2026-06-04T10:00:00Z'),
+          newEndDate: new Date('2026-06-07T10:00:00Z'),
+          priceDifference: 150,
+        },
+        {
+          type: 'EARLY_RETURN',
+          previousEndDate: new Date('2026-06-07T10:00:00Z'),
+          newEndDate: new Date('2026-06-05T18:00:00Z'),
+          priceDifference: -80,
+        },
+      ],
+    });
+    expect(invoice.lines).toEqual([
+      { position: 1, code: 'RENTAL', description: 'Car rental, 3 days', quantity: 3, unitPrice: 40, amount: 120 },
+      { position: 2, code: 'EXTENSION', description: 'Extension to 2026-06-07, 3 extra day(s)', quantity: 1, unitPrice: 150, amount: 150 },
+      { position: 3, code: 'EARLY_RETURN', description: 'Early return on 2026-06-05', quantity: 1, unitPrice: -80, amount: -80 },
+    ]);
+    expect(invoice.total).toBe(190);
+  });
+
+  it('bills the one-way fee as its own line, outside the per-day rental', () => {
+    const invoice = buildInvoice({ contract: { ...staticContract, totalPrice: 155, oneWayFee: 35 }, vatRate: 0.21 });
+    expect(invoice.lines).toEqual([
+      { position: 1, code: 'RENTAL', description: 'Car rental, 3 days', quantity: 3, unitPrice: 40, amount: 120 },
+      { position: 2, code: 'ONE_WAY_FEE', description: 'One-way rental fee', quantity: 1, unitPrice: 35, amount: 35 },
+    ]);
+    expect(invoice.total).toBe(155);
+  });
+
+  it('adds one line per booked extra after the rental', () => {
+    const contract = {
+      ...staticContract,
+      totalPrice: 150,
+      extrasTotal: 30,
+      extras: [{ quantity: 2, unitPrice: 15, totalPrice: 30, extra: { name: 'Child seat' } }],
+    };
+    const invoice = buildInvoice({ contract, vatRate: 0.21 });
+    expect(invoice.lines).toEqual([
+      { position: 1, code: 'RENTAL', description: 'Car rental, 3 days', quantity: 3, unitPrice: 40, amount: 120 },
+      { position: 2, code: 'EXTRA', description: 'Child seat', quantity: 2, unitPrice: 15, amount: 30 },
+    ]);
+    expect(invoice.total).toBe(150);
+  });
+
+  it('adds one line per additional driver with a fee, named after the user or the inline record', () => {
+    const contract = {
+      ...staticContract,
+      totalPrice: 150,
+      additionalDriversTotal: 30,
+      drivers: [
+        { userId: 7, fee: 15, user: { firstName: 'Ona', lastName: 'Jonaitė', email: 'ona@example.com' } },
+        { userId: null, firstName: 'Petras', lastName: 'Petraitis', fee: 15 },
+        { userId: null, firstName: 'Free', lastName: 'Driver', fee: 0 },
+      ],
+    };
+    const invoice = buildInvoice({ contract, vatRate: 0.21 });
+    expect(invoice.lines.map((l) => [l.code, l.description, l.amount])).toEqual([
+      ['RENTAL', 'Car rental, 3 days', 120],
+      ['ADDITIONAL_DRIVER', 'Additional driver: Ona Jonaitė', 15],
+      ['ADDITIONAL_DRIVER', 'Additional driver: Petras Petraitis', 15],
+    ]);
+    expect(invoice.total).toBe(150);
+  });
+});
+
+describe('renderInvoiceHtml', () => {
+  it('renders the number, lines and totals and escapes user data', () => {
+    const html = renderInvoiceHtml({
+      number: 'INV-2026-000001',
+      issuedAt: new Date('2026-06-04T12:00:00Z'),
+      contractId: 1,
+      userId: 2,
+      currency: 'EUR',
+      netTotal: 99.17,
+      vatRate: 0.21,
+      vatAmount: 20.83,
+      total: 120,
+      lines: [{ description: 'Car rental, 3 days', quantity: 3, unitPrice: 40, amount: 120 }],
+      customer: { firstName: '<b>Ona</b>', lastName: 'K' },
+      contract: { car: { make: 'Toyota', model: 'Yaris', numberPlate: 'ABC123' } },
+    });
+    expect(html).toContain('Invoice INV-2026-000001');
+    expect(html).toContain('Car rental, 3 days');
+    expect(html).toContain('VAT 21%');
+    expect(html).toContain('120.00 EUR');
+    expect(html).toContain('&lt;b&gt;Ona&lt;/b&gt; K');
+    expect(html).not.toContain('<b>Ona</b>');
+  });
+});
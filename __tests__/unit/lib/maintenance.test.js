@@ -0,0 +1,78 @@
+/**
+ * Unit tests for src/lib/maintenance.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeMaintenanceScore,
+  isMaintenanceDue,
+  lastCompletedByType,
+  nextMaintenanceDue,
+} from '../../../src/lib/maintenance.js';
+
+const d = (iso) => new Date(iso);
+const car = { nextMaintenanceKm: 45000, lastMaintenanceDate: d('2026-01-10'), createdAt: d('2024-03-01') };
+
+describe('nextMaintenanceDue', () => {
+  it('takes the service km trigger from the car and the date from its last maintenance', () => {
+    expect(nextMaintenanceDue('SERVICE', { car })).toEqual({
+      type: 'SERVICE', dueKm: 45000, dueDate: d('2027-01-10'),
+    });
+  });
+
+  it('counts from the last completed task of the type', () => {
+    const lastCompleted = { odometerKm: 20000, completedAt: d('2025-05-01') };
+    expect(nextMaintenanceDue('TYRES', { car, lastCompleted })).toEqual({ type: 'TYRES', dueKm: 60000, dueDate: null });
+    expect(nextMaintenanceDue('INSPECTION', { car, lastCompleted })).toEqual({
+      type: 'INSPECTION', dueKm: null, dueDate: d('2027-05-01'),
+    });
+  });
+
+  it('has no km trigger before the first completed task', () => {
+    expect(nextMaintenanceDue('TYRES', { car }).dueKm).toBeNull();
+    expect(nextMaintenanceDue('INSPECTION', { car }).dueDate).toEqual(d('2026-03-01'));
+  });
+});
+
+describe('isMaintenanceDue', () => {
+  const due = { dueKm: 45000, dueDate: d('2027-01-10') };
+
+  it('fires within the lead of the km trigger', () => {
+    expect(isMaintenanceDue(due, { odometerKm: 43999, now: d('2026-06-01') })).toBe(false);
+    expect(isMaintenanceDue(due, { odometerKm: 44000, now: d('2026-06-01') })).toBe(true);
+  });
+
+  it('fires within the lead of the date trigger', () => {
+    expect(isMaintenanceDue(due, { odometerKm: 0, now: d('2026-12-26') })).toBe(false);
+    expect(isMaintenanceDue(due, { odometerKm: 0, now: d('2026-12-27') })).toBe(true);
+  });
+});
+
+describe('lastCompletedByType', () => {
+  it('keeps the newest completed task per type', () => {
+    const tasks = [
+      { id: 1, type: 'SERVICE', status: 'COMPLETED', completedAt: d('2025-01-01') },
+      { id: 2, type: 'SERVICE', status: 'COMPLETED', completedAt: d('2026-01-01') },
+      { id: 3, type: 'TYRES', status: 'DUE', completedAt: null },
+    ];
+    expect(lastCompletedByType(tasks)).toEqual({ SERVICE: tasks[1] });
+  });
+});
+
+describe('computeMaintenanceScore', () => {
+  const now = d('2026-06-01');
+
+  it('is 100 while every interval is less than half used', () => {
+    const dues = [
+      { type: 'SERVICE', dueKm: 45000, dueDate: d('2027-01-10') },
+      { type: 'TYRES', dueKm: null, dueDate: null },
+    ];
+    expect(computeMaintenanceScore(dues, { odometerKm: 32000, now })).toBe(100);
+  });
+
+  it('drops towards the trigger and more once overdue', () => {
+    const nearly = [{ type: 'SERVICE', dueKm: 45000, dueDate: null }];
+    expect(computeMaintenanceScore(nearly, { odometerKm: 41250, now })).toBe(95); // 75% used
+    const overdue = [{ type: 'SERVICE', dueKm: 45000, dueDate: null }, { type: 'INSPECTION', dueKm: null, dueDate: d('2026-05-01') }];
+    expect(computeMaintenanceScore(overdue, { odometerKm: 48000, now })).toBeLessThan(60);
+  });
+});
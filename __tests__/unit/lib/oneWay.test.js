@@ -0,0 +1,47 @@
+/**
+ * Unit tests for src/lib/oneWay.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { carCityAt, planRoute } from '../../../src/lib/oneWay.js';
+
+const VILNIUS = 1;
+const KAUNAS = 2;
+
+describe('carCityAt', () => {
+  it("is the car's city without an earlier one-way booking", () => {
+    expect(carCityAt({ cityId: VILNIUS }, null)).toBe(VILNIUS);
+  });
+
+  it('is the drop-off city of the previous booking', () => {
+    expect(carCityAt({ cityId: VILNIUS }, { dropoffCityId: KAUNAS })).toBe(KAUNAS);
+  });
+
+  it('falls back to the pickup city, then the car\'s city, when the previous booking has no drop-off', () => {
+    expect(carCityAt({ cityId: VILNIUS }, { pickupCityId: KAUNAS, dropoffCityId: null })).toBe(KAUNAS);
+    expect(carCityAt({ cityId: VILNIUS }, { pickupCityId: null, dropoffCityId: null })).toBe(VILNIUS);
+  });
+});
+
+describe('planRoute', () => {
+  it('defaults to a round trip from where the car is', () => {
+    expect(planRoute({ locationCityId: KAUNAS }))
+      .toEqual({ pickupCityId: KAUNAS, dropoffCityId: KAUNAS, isOneWay: false });
+  });
+
+  it('marks different pickup and drop-off cities as one-way', () => {
+    expect(planRoute({ locationCityId: VILNIUS, pickupCityId: VILNIUS, dropoffCityId: KAUNAS }))
+      .toEqual({ pickupCityId: VILNIUS, dropoffCityId: KAUNAS, isOneWay: true });
+  });
+
+  it('rejects a pickup city the car will not be in', () => {
+    expect(planRoute({ locationCityId: KAUNAS, pickupCityId: VILNIUS }).error)
+      .toMatch(/not in the pickup city/);
+  });
+
+  it('requires the drop-off to be where the next booking picks the car up', () => {
+    expect(planRoute({ locationCityId: VILNIUS, dropoffCityId: KAUNAS, nextPickupCityId: VILNIUS }).error)
+      .toMatch(/next booking/);
+    expect(planRoute({ locationCityId: VILNIUS, dropoffCityId: KAUNAS, nextPickupCityId: KAUNAS }).isOneWay)
+      .toBe(true);
+  });
+});
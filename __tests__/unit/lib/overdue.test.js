@@ -0,0 +1,32 @@
+/**
+ * Unit tests for src/lib/overdue.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import { isOverdue, overdueStatus } from '../../../src/lib/overdue.js';
+
+const now = new Date('2026-06-10T12:00:00Z');
+const contract = { state: 'ACTIVE', endDate: new Date('2026-06-10T09:30:00Z') };
+
+describe('isOverdue', () => {
+  it('is true for ACTIVE contracts past endDate only', () => {
+    expect(isOverdue(contract, now)).toBe(true);
+    expect(isOverdue({ ...contract, endDate: new Date('2026-06-10T13:00:00Z') }, now)).toBe(false);
+    expect(isOverdue({ ...contract, state: 'COMPLETED' }, now)).toBe(false);
+  });
+});
+
+describe('overdueStatus', () => {
+  it('reports hours overdue and no conflict without a next booking', () => {
+    expect(overdueStatus({ contract, nextBooking: null, now, conflictWindowHours: 24 }))
+      .toEqual({ hoursOverdue: 2.5, conflictsWithNextBooking: false });
+  });
+
+  it('flags a next booking that starts within the window or has already started', () => {
+    const soon = { startDate: new Date('2026-06-11T08:00:00Z') };
+    const started = { startDate: new Date('2026-06-10T10:00:00Z') };
+    const later = { startDate: new Date('2026-06-12T08:00:00Z') };
+    expect(overdueStatus({ contract, nextBooking: soon, now, conflictWindowHours: 24 }).conflictsWithNextBooking).toBe(true);
+    expect(overdueStatus({ contract, nextBooking: started, now, conflictWindowHours: 24 }).conflictsWithNextBooking).toBe(true);
+    expect(overdueStatus({ contract, nextBooking: later, now, conflictWindowHours: 24 }).conflictsWithNextBooking).toBe(false);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for src/lib/payments.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeContractBalance,
+  refundableAmount,
+  hasDeposit,
+} from '../../../src/lib/payments.js';
+
+describe('computeContractBalance', () => {
+  it('owes the full price when nothing is paid', () => {
+    expect(computeContractBalance({ totalPrice: 120, extraFees: 0 }, [])).toEqual({
+      totalDue: 120, paid: 0, refunded: 0, depositHeld: 0, balance: 120,
+    });
+  });
+
+  it('counts captured charges and deposits, subtracts refunds and ignores holds and failures', () => {
+    const balance = computeContractBalance({ totalPrice: 200, extraFees: 40.5 }, [
+      { type: 'DEPOSIT_HOLD', status: 'CAPTURED', amount: 40.5 },
+      { type: 'DEPOSIT_HOLD', status: 'AUTHORIZED', amount: 300 },
+      { type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 200 },
+      { type: 'EXTRA_FEES', status: 'FAILED', amount: 40.5 },
+      { type: 'REFUND', status: 'CAPTURED', amount: 10 },
+    ]);
+    expect(balance).toEqual({ totalDue: 240.5, paid: 240.5, refunded: 10, depositHeld: 300, balance: 10 });
+  });
+
+  it('goes negative when the customer is owed money', () => {
+    expect(computeContractBalance({ totalPrice: 100 }, [
+      { type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 150 },
+    ]).balance).toBe(-50);
+  });
+});
+
+describe('refundableAmount', () => {
+  it('subtracts earlier captured refunds of the same charge only', () => {
+    const charge = { id: 1, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 100 };
+    const payments = [
+      charge,
+      { id: 2, type: 'REFUND', status: 'CAPTURED', amount: 30, refundOfId: 1 },
+      { id: 3, type: 'REFUND', status: 'FAILED', amount: 70, refundOfId: 1 },
+      { id: 4, type: 'REFUND', status: 'CAPTURED', amount: 5, refundOfId: 9 },
+    ];
+    expect(refundableAmount(charge, payments)).toBe(70);
+  });
+
+  it('counts a pending refund as already refunded', () => {
+    const charge = { id: 1, type: 'RENTAL_CHARGE', status: 'CAPTURED', amount: 100 };
+    expect(refundableAmount(charge, [charge, { id: 2, type: 'REFUND', status: 'PENDING', amount: 60, refundOfId: 1 }])).toBe(40);
+  });
+});
+
+describe('hasDeposit', () => {
+  it('accepts held or captured deposits but not released ones', () => {
+    expect(hasDeposit([{ type: 'DEPOSIT_HOLD', status: 'AUTHORIZED' }])).toBe(true);
+    expect(hasDeposit([{ type: 'DEPOSIT_HOLD', status: 'CAPTURED' }])).toBe(true);
+    expect(hasDeposit([{ type: 'DEPOSIT_HOLD', status: 'RELEASED' }])).toBe(false);
+    expect(hasDeposit([{ type: 'RENTAL_CHARGE', status: 'CAPTURED' }])).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for src/lib/returnFees.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_RETURN_FEE_POLICY,
+  selectReturnFeePolicy,
+  computeReturnFees,
+  lateReturnDuration,
+} from '../../../src/lib/returnFees.js';
+
+const van = { id: 10, bodyType: 'VAN', cityId: 1, fuelType: 'DIESEL' };
+
+describe('selectReturnFeePolicy', () => {
+  const everywhere = { id: 1, name: 'Global', carId: null, bodyType: null, cityId: null, isActive: true };
+  const vilnius = { id: 2, name: 'Vilnius', carId: null, bodyType: null, cityId: 1, isActive: true };
+  const vans = { id: 3, name: 'Vans', carId: null, bodyType: 'VAN', cityId: null, isActive: true };
+  const thisVan = { id: 4, name: 'Van 10', carId: 10, bodyType: null, cityId: null, isActive: true };
+
+  it('falls back to the built-in defaults when nothing matches', () => {
+    expect(selectReturnFeePolicy([], van)).toBe(DEFAULT_RETURN_FEE_POLICY);
+    expect(selectReturnFeePolicy([{ ...vilnius, cityId: 2 }], van)).toBe(DEFAULT_RETURN_FEE_POLICY);
+  });
+
+  it('prefers car over body type over city over global', () => {
+    expect(selectReturnFeePolicy([everywhere, vilnius], van)).toBe(vilnius);
+    expect(selectReturnFeePolicy([everywhere, vilnius, vans], van)).toBe(vans);
+    expect(selectReturnFeePolicy([everywhere, vilnius, vans, thisVan], van)).toBe(thisVan);
+  });
+
+  it('ignores inactive policies and breaks ties by newest id', () => {
+    const newerVans = { ...vans, id: 9 };
+    expect(selectReturnFeePolicy([vans, newerVans], van)).toBe(newerVans);
+    expect(selectReturnFeePolicy([vans, { ...thisVan, isActive: false }], van)).toBe(vans);
+  });
+});
+
+describe('computeReturnFees', () => {
+  const base = {
+    policy: DEFAULT_RETURN_FEE_POLICY,
+    car: van,
+    rentalDays: 2,
+    drivenKm: 500,
+    startLevelPct: 80,
+    endLevelPct: 60,
+  };
+
+  it('itemises extra km, fuel and damage with the default rates', () => {
+    const fees = computeReturnFees({ ...base, damageFee: 25 });
+    expect(fees.items.map((i) => [i.code, i.quantity, i.amount])).toEqual([
+      ['EXTRA_KM', 100, 10],
+      ['FUEL', 20, 20],
+      ['DAMAGE', 1, 25],
+    ]);
+    expect(fees.total).toBe(55);
+    expect(fees.policy).toEqual({ id: null, name: 'Default' });
+  });
+
+  it('charges electric cars on battery percentage', () => {
+    const policy = { ...DEFAULT_RETURN_FEE_POLICY, id: 5, name: 'EV', fuelFeePerPct: 1, batteryFeePerPct: 0.3 };
+    const fees = computeReturnFees({ ...base, policy, car: { ...van, fuelType: 'ELECTRIC' }, drivenKm: 100 });
+    expect(fees.items).toEqual([
+      { code: 'BATTERY', description: '20% battery charge missing', quantity: 20, unitPrice: 0.3, amount: 6 },
+    ]);
+    expect(fees.total).toBe(6);
+  });
+
+  it('returns no items when the car comes back within the allowance and topped up', () => {
+    const fees = computeReturnFees({ ...base, drivenKm: 400, endLevelPct: 90 });
+    expect(fees.items).toEqual([]);
+    expect(fees.total).toBe(0);
+  });
+
+  it('adds late-return lines when returnedAt is past endDate', () => {
+    const endDate = new Date('2026-06-04T10:00:00Z');
+    const fees = computeReturnFees({
+      ...base,
+      drivenKm: 400,
+      endLevelPct: 90,
+      endDate,
+      returnedAt: new Date('2026-06-05T13:10:00Z'),
+    });
+    expect(fees.items.map((i) => [i.code, i.quantity, i.amount])).toEqual([
+      ['LATE_DAY', 1, 60],
+      ['LATE_HOUR', 4, 40],
+    ]);
+    expect(fees.total).toBe(100);
+  });
+
+  it('charges each new damage marker at the policy rate for its severity', () => {
+    const policy = { ...DEFAULT_RETURN_FEE_POLICY, id: 7, name: 'Vans', damageModerateFee: 150 };
+    const fees = computeReturnFees({
+      ...base,
+      policy,
+      drivenKm: 400,
+      endLevelPct: 90,
+      damages: [
+        { panel: 'REAR_LEFT_DOOR', severity: 'MODERATE' },
+        { panel: 'WINDSHIELD', severity: 'SEVERE' },
+      ],
+    });
+    expect(fees.items).toEqual([
+      { code: 'DAMAGE', description: 'New damage: rear left door (moderate)', quantity: 1, unitPrice: 150, amount: 150 },
+      { code: 'DAMAGE', description: 'New damage: windshield (severe)', quantity: 1, unitPrice: 600, amount: 600 },
+    ]);
+    expect(fees.total).toBe(750);
+  });
+});
+
+describe('lateReturnDuration', () => {
+  const endDate = new Date('2026-06-04T10:00:00Z');
+  const after = (minutes) => new Date(endDate.getTime() + minutes * 60 * 1000);
+
+  it('charges nothing within the grace period or for early returns', () => {
+    expect(lateReturnDuration(DEFAULT_RETURN_FEE_POLICY, endDate, after(60))).toEqual({ minutesLate: 60, days: 0, hours: 0 });
+    expect(lateReturnDuration(DEFAULT_RETURN_FEE_POLICY, endDate, after(-30))).toEqual({ minutesLate: 0, days: 0, hours: 0 });
+  });
+
+  it('counts started hours past the grace period', () => {
+    expect(lateReturnDuration(DEFAULT_RETURN_FEE_POLICY, endDate, after(61))).toMatchObject({ days: 0, hours: 2 });
+  });
+
+  it('turns a part day into a full day once the hours cost as much', () => {
+    expect(lateReturnDuration(DEFAULT_RETURN_FEE_POLICY, endDate, after(4 * 60 + 30))).toMatchObject({ days: 0, hours: 5 });
+    expect(lateReturnDuration(DEFAULT_RETURN_FEE_POLICY, endDate, after(5 * 60 + 30))).toMatchObject({ days: 1, hours: 0 });
+    expect(lateReturnDuration(DEFAULT_RETURN_FEE_POLICY, endDate, after(26 * 60))).toMatchObject({ days: 1, hours: 2 });
+  });
+
+  it('bills every hour when the policy has no daily rate', () => {
+    const hourly = { ...DEFAULT_RETURN_FEE_POLICY, lateFeePerDay: 0 };
+    expect(lateReturnDuration(hourly, endDate, after(30 * 60))).toMatchObject({ days: 0, hours: 30 });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for src/lib/vin.js
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  decodeVin,
+  isVinFormat,
+  makeMatches,
+  vinCheckDigit,
+  vinCheckDigitError,
+  vinContradictions,
+  vinModelYear,
+} from '../../../src/lib/vin.js';
+
+const now = new Date('2026-10-18T00:00:00Z');
+
+describe('isVinFormat', () => {
+  it('accepts 17 allowed characters in any case', () => {
+    expect(isVinFormat('1hgbh41jxmn109186')).toBe(true);
+  });
+
+  it('refuses I, O and Q and other lengths', () => {
+    expect(isVinFormat('1HGBH41JXMN10918O')).toBe(false);
+    expect(isVinFormat('1HGBH41JXMN10918')).toBe(false);
+  });
+});
+
+describe('vinCheckDigit', () => {
+  it('computes the 9th character, X for a remainder of 10', () => {
+    expect(vinCheckDigit('1HGBH41JXMN109186')).toBe('X');
+    expect(vinCheckDigit('5YJ3E1EA7KF317000')).toBe('2');
+  });
+});
+
+describe('vinCheckDigitError', () => {
+  it('refuses a wrong check digit on North American and Chinese VINs', () => {
+    expect(vinCheckDigitError('5YJ3E1EA7KF317000')).toBe('vin check digit (9th character) must be 2');
+    expect(vinCheckDigitError('LSVAB4181C2000001')).toBe('vin check digit (9th character) must be 0');
+  });
+
+  it('accepts a correct check digit', () => {
+    expect(vinCheckDigitError('5YJ3E1EA2KF317000')).toBeNull();
+  });
+
+  it('does not refuse European VINs, which need not carry one', () => {
+    expect(vinCheckDigitError('WVWZZZ1JZXW000001')).toBeNull();
+  });
+});
+
+describe('vinModelYear', () => {
+  it('uses the 7th character to pick the cycle of North American VINs', () => {
+    expect(vinModelYear('1HGBH41JXMN109186', { now })).toEqual({ modelYear: 1991, modelYearCandidates: [2021, 1991] });
+    expect(vinModelYear('5YJ3E1EA2KF317000', { now })).toEqual({ modelYear: 2019, modelYearCandidates: [2019, 1989] });
+  });
+
+  it('takes the latest year not past next year elsewhere', () => {
+    expect(vinModelYear('LSVAB4180C2000001', { now })).toEqual({ modelYear: 2012, modelYearCandidates: [2012, 1982] });
+    expect(vinModelYear('WVWZZZ1JZXW000001', { now })).toEqual({ modelYear: 1999, modelYearCandidates: [1999] });
+    expect(vinModelYear('WBADT43452G000888', { now }).modelYear).toBe(2002);
+  });
+
+  it('returns no year for a character that is not a year code', () => {
+    expect(vinModelYear('WF0XXXGCDZ1000001', { now })).toEqual({ modelYear: null, modelYearCandidates: [] });
+  });
+});
+
+describe('decodeVin', () => {
+  it('decodes manufacturer, region, model year and check digit', () => {
+    expect(decodeVin('1hgbh41jxmn109186', { now })).toEqual({
+      vin: '1HGBH41JXMN109186',
+      wmi: '1HG',
+      region: 'North America',
+      make: 'Honda',
+      modelYear: 1991,
+      modelYearCandidates: [2021, 1991],
+      checkDigit: { expected: 'X', actual: 'X', valid: true, required: true },
+    });
+  });
+
+  it('reports an optional check digit that does not match', () => {
+    expect(decodeVin('WVWZZZ1JZXW000001', { now })).toMatchObject({
+      region: 'Europe',
+      make: 'Volkswagen',
+      checkDigit: { expected: '0', actual: 'Z', valid: false, required: false },
+    });
+  });
+
+  it('leaves make null for a WMI that is not in the table', () => {
+    expect(decodeVin('9BWZZZ377VT004251', { now })).toMatchObject({ wmi: '9BW', region: 'South America', make: null });
+  });
+});
+
+describe('makeMatches', () => {
+  it('ignores case, punctuation and accents and allows aliases', () => {
+    expect(makeMatches('mercedes benz', 'Mercedes-Benz')).toBe(true);
+    expect(makeMatches('Mercedes', 'Mercedes-Benz')).toBe(true);
+    expect(makeMatches('VW', 'Volkswagen')).toBe(true);
+    expect(makeMatches('Citroën', 'Citroen')).toBe(true);
+    expect(makeMatches('Toyota', 'Honda')).toBe(false);
+  });
+});
+
+describe('vinContradictions', () => {
+  const decoded = decodeVin('5YJ3E1EA2KF317000', { now });
+
+  it('accepts matching values and a production year one below the model year', () => {
+    expect(vinContradictions({ make: 'tesla', year: 2019 }, decoded)).toEqual([]);
+    expect(vinContradictions({ make: 'Tesla', year: 2018 }, decoded)).toEqual([]);
+  });
+
+  it('warns about a different make or year', () => {
+    expect(vinContradictions({ make: 'Toyota', year: 2022 }, decoded)).toEqual([
+      { field: 'make', submitted: 'Toyota', decoded: 'Tesla', message: 'make "Toyota" does not match the VIN manufacturer Tesla' },
+      { field: 'year', submitted: 2022, decoded: 2019, message: 'year 2022 does not match the VIN model year 2019 or 1989' },
+    ]);
+  });
+
+  it('skips fields that were not submitted or not decoded', () => {
+    expect(vinContradictions({ make: null, year: null }, decoded)).toEqual([]);
+    expect(vinContradictions({ make: 'Anything', year: 2000 }, decodeVin('9BWZZZ377VT004251', { now }))).toEqual([
+      expect.objectContaining({ field: 'year' }),
+    ]);
+  });
+});
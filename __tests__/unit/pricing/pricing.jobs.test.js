@@ -0,0 +1,101 @@
+/**
+ * Unit tests for src/pricing/pricing.jobs.js
+ *
+ * The calculators and services behind each job are module mocks; the tests check that
+ * every job is scheduled and that the manual trigger runs all of them.
+ */
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const prismaMock = {
+  city: { findMany: jest.fn() },
+  pricingSnapshot: { deleteMany: jest.fn() },
+};
+
+const updateAllCarUtilizationRates = jest.fn();
+const getCityDemandMetrics = jest.fn();
+const expireStaleDrafts = jest.fn();
+const flagOverdueContracts = jest.fn();
+const createDueMaintenanceTasks = jest.fn();
+const notifyExpiringCarDocuments = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => prismaMock),
+}));
+jest.unstable_mockModule('../../../src/pricing/calculators/utilization.calculator.js', () => ({
+  updateAllCarUtilizationRates,
+}));
+jest.unstable_mockModule('../../../src/pricing/calculators/demand.calculator.js', () => ({
+  getCityDemandMetrics,
+}));
+jest.unstable_mockModule('../../../src/services/draftExpiry.service.js', () => ({ expireStaleDrafts }));
+jest.unstable_mockModule('../../../src/services/overdue.service.js', () => ({ flagOverdueContracts }));
+jest.unstable_mockModule('../../../src/services/maintenance.service.js', () => ({ createDueMaintenanceTasks }));
+jest.unstable_mockModule('../../../src/services/compliance.service.js', () => ({ notifyExpiringCarDocuments }));
+
+let jobs;
+beforeAll(async () => {
+  jobs = await import('../../../src/pricing/pricing.jobs.js');
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  prismaMock.city.findMany.mockResolvedValue([]);
+  prismaMock.pricingSnapshot.deleteMany.mockResolvedValue({ count: 0 });
+  expireStaleDrafts.mockResolvedValue({ expired: [], failed: [] });
+  flagOverdueContracts.mockResolvedValue({ flagged: [], conflicts: [] });
+  createDueMaintenanceTasks.mockResolvedValue({ created: [], rescored: [] });
+  notifyExpiringCarDocuments.mockResolvedValue({ documents: 0, notified: 0 });
+});
+
+describe('initializePricingJobs', () => {
+  it('registers every job with the scheduler', async () => {
+    const scheduler = { schedule: jest.fn() };
+
+    jobs.initializePricingJobs(scheduler);
+
+    expect(scheduler.schedule.mock.calls.map(([expression]) => expression)).toEqual([
+      '*/15 * * * *',
+      '0 2 * * *',
+      '0 3 * * *',
+      '*/15 * * * *',
+      '*/15 * * * *',
+      '0 4 * * *',
+      '0 7 * * *',
+    ]);
+
+    for (const [, task] of scheduler.schedule.mock.calls) task();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(prismaMock.city.findMany).toHaveBeenCalled();
+    expect(updateAllCarUtilizationRates).toHaveBeenCalled();
+    expect(prismaMock.pricingSnapshot.deleteMany).toHaveBeenCalled();
+    expect(expireStaleDrafts).toHaveBeenCalled();
+    expect(flagOverdueContracts).toHaveBeenCalled();
+    expect(createDueMaintenanceTasks).toHaveBeenCalled();
+    expect(notifyExpiringCarDocuments).toHaveBeenCalled();
+  });
+});
+
+describe('runAllPricingJobs', () => {
+  it('runs the contract, maintenance and compliance jobs along with the pricing ones', async () => {
+    await jobs.runAllPricingJobs();
+
+    expect(updateAllCarUtilizationRates).toHaveBeenCalledTimes(1);
+    expect(prismaMock.pricingSnapshot.deleteMany).toHaveBeenCalledTimes(1);
+    expect(expireStaleDrafts).toHaveBeenCalledTimes(1);
+    expect(flagOverdueContracts).toHaveBeenCalledTimes(1);
+    expect(createDueMaintenanceTasks).toHaveBeenCalledTimes(1);
+    expect(notifyExpiringCarDocuments).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps going when one job fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    flagOverdueContracts.mockRejectedValue(new Error('db down'));
+
+    await jobs.runAllPricingJobs();
+
+    expect(createDueMaintenanceTasks).toHaveBeenCalledTimes(1);
+    expect(notifyExpiringCarDocuments).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for src/services/compliance.service.js
+ *
+ * Prisma and the email service are mocked.
+ */
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { mockDeep, mockReset } from 'jest-mock-extended';
+
+const prismaMock = mockDeep();
+const sendCarDocumentsExpiringEmail = jest.fn();
+
+jest.unstable_mockModule('../../../src/models/db.js', () => ({ default: prismaMock, prisma: prismaMock }));
+jest.unstable_mockModule('../../../src/services/email.service.js', () => ({ sendCarDocumentsExpiringEmail }));
+
+let notifyExpiringCarDocuments;
+let assertCarCompliant;
+
+beforeAll(async () => {
+  ({ notifyExpiringCarDocuments, assertCarCompliant } = await import('../../../src/services/compliance.service.js'));
+});
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+const car = {
+  id: 5,
+  make: 'Toyota',
+  model: 'Corolla',
+  numberPlate: 'ABC123',
+  documents: [
+    { type: 'INSURANCE', expiresAt: new Date('2026-06-10T00:00:00Z') },
+    { type: 'ROAD_TAX', expiresAt: new Date('2026-05-20T00:00:00Z') },
+    { type: 'TECHNICAL_INSPECTION', expiresAt: new Date('2027-05-20T00:00:00Z') },
+  ],
+};
+
+beforeEach(() => {
+  mockReset(prismaMock);
+  sendCarDocumentsExpiringEmail.mockReset();
+  sendCarDocumentsExpiringEmail.mockResolvedValue(true);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('notifyExpiringCarDocuments', () => {
+  it('emails every admin the expired and expiring documents, earliest first', async () => {
+    prismaMock.car.findMany.mockResolvedValue([car]);
+    prismaMock.user.findMany.mockResolvedValue([{ email: 'a@example.com' }, { email: 'b@example.com' }]);
+
+    const result = await notifyExpiringCarDocuments({ now, withinDays: 30 });
+
+    expect(result).toEqual({ documents: 2, notified: 2 });
+    expect(prismaMock.car.findMany.mock.calls[0][0].where).toEqual({
+      archivedAt: null,
+      documents: { some: { expiresAt: { lte: new Date('2026-07-01T00:00:00Z') } } },
+    });
+    expect(prismaMock.user.findMany).toHaveBeenCalledWith({ where: { role: 'ADMIN' }, select: { email: true } });
+    expect(sendCarDocumentsExpiringEmail).toHaveBeenCalledWith({
+      to: 'a@example.com',
+      withinDays: 30,
+      documents: [
+        { carId: 5, carName: 'Toyota Corolla', numberPlate: 'ABC123', type: 'ROAD_TAX', expiresAt: new Date('2026-05-20T00:00:00Z') },
+        { carId: 5, carName: 'Toyota Corolla', numberPlate: 'ABC123', type: 'INSURANCE', expiresAt: new Date('2026-06-10T00:00:00Z') },
+      ],
+    });
+  });
+
+  it('does not email when a renewal replaced the expiring document', async () => {
+    prismaMock.car.findMany.mockResolvedValue([{
+      ...car,
+      documents: [
+        { type: 'INSURANCE', expiresAt: new Date('2026-06-10T00:00:00Z') },
+        { type: 'INSURANCE', expiresAt: new Date('2027-06-10T00:00:00Z') },
+      ],
+    }]);
+
+    const result = await notifyExpiringCarDocuments({ now, withinDays: 30 });
+
+    expect(result).toEqual({ documents: 0, notified: 0 });
+    expect(prismaMock.user.findMany).not.toHaveBeenCalled();
+    expect(sendCarDocumentsExpiringEmail).not.toHaveBeenCalled();
+  });
+
+  it('carries on when one admin cannot be emailed', async () => {
+    prismaMock.car.findMany.mockResolvedValue([car]);
+    prismaMock.user.findMany.mockResolvedValue([{ email: 'a@example.com' }, { email: 'b@example.com' }]);
+    sendCarDocumentsExpiringEmail.mockRejectedValueOnce(new Error('down'));
+
+    const result = await notifyExpiringCarDocuments({ now, withinDays: 30 });
+
+    expect(result).toEqual({ documents: 2, notified: 1 });
+    expect(sendCarDocumentsExpiringEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not count admins who were not emailed because mail is not configured', async () => {
+    prismaMock.car.findMany.mockResolvedValue([car]);
+    prismaMock.user.findMany.mockResolvedValue([{ email: 'a@example.com' }]);
+    sendCarDocumentsExpiringEmail.mockResolvedValue(false);
+
+    const result = await notifyExpiringCarDocuments({ now, withinDays: 30 });
+
+    expect(result).toEqual({ documents: 2, notified: 0 });
+  });
+});
+
+describe('assertCarCompliant', () => {
+  it('throws 422 naming the documents that lapse before the booking ends', async () => {
+    prismaMock.carDocument.findMany.mockResolvedValue(car.documents);
+
+    await expect(assertCarCompliant(5, new Date('2026-06-15T00:00:00Z'))).rejects.toMatchObject({
+      status: 422,
+      details: {
+        code: 'CAR_DOCUMENTS_EXPIRE',
+        documents: [
+          { type: 'ROAD_TAX', expiresAt: new Date('2026-05-20T00:00:00Z') },
+          { type: 'INSURANCE', expiresAt: new Date('2026-06-10T00:00:00Z') },
+        ],
+      },
+    });
+  });
+
+  it('passes a car without recorded documents', async () => {
+    prismaMock.carDocument.findMany.mockResolvedValue([]);
+    await expect(assertCarCompliant(5, new Date('2026-06-15T00:00:00Z'))).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for src/services/draftExpiry.service.js
+ *
+ * Prisma and the email service are mocked; the contract transition itself
+ * runs for real against the mocked transaction client.
+ */
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { mockDeep, mockReset } from 'jest-mock-extended';
+
+const prismaMock = mockDeep();
+const sendReservationExpiredEmail = jest.fn();
+
+jest.unstable_mockModule('../../../src/models/db.js', () => ({ default: prismaMock, prisma: prismaMock }));
+jest.unstable_mockModule('../../../src/services/email.service.js', () => ({ sendReservationExpiredEmail }));
+
+let expireStaleDrafts;
+
+beforeAll(async () => {
+  ({ expireStaleDrafts } = await import('../../../src/services/draftExpiry.service.js'));
+});
+
+const now = new Date('2026-06-10T12:00:00Z');
+
+const staleDraft = {
+  id: 7,
+  userId: 3,
+  carId: 5,
+  state: 'DRAFT',
+  totalPrice: 150,
+  createdAt: new Date('2026-06-07T09:00:00Z'),
+  startDate: new Date('2026-06-20T10:00:00Z'),
+  endDate: new Date('2026-06-22T10:00:00Z'),
+  car: { make: 'Toyota', model: 'Corolla' },
+};
+
+beforeEach(() => {
+  mockReset(prismaMock);
+  sendReservationExpiredEmail.mockReset();
+  prismaMock.$transaction.mockImplementation(async (fn) => fn(prismaMock));
+  prismaMock.payment.findMany.mockResolvedValue([]);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('expireStaleDrafts', () => {
+  it('cancels stale drafts without a fee, records the reason and emails the customer', async () => {
+    prismaMock.contract.findMany.mockResolvedValue([staleDraft]);
+    prismaMock.contract.update.mockResolvedValue({ ...staleDraft, state: 'CANCELLED' });
+    prismaMock.user.findUnique.mockResolvedValue({ email: 'c@example.com' });
+
+    const result = await expireStaleDrafts({ now, holdHours: 48 });
+
+    expect(result).toEqual({ expired: [7], failed: [] });
+    expect(prismaMock.$queryRaw).toHaveBeenCalledTimes(1);
+    expect(prismaMock.contract.findMany.mock.calls[0][0].where).toEqual({
+      state: 'DRAFT',
+      OR: [
+        { startDate: { lte: now } },
+        { createdAt: { lt: new Date('2026-06-08T12:00:00Z') } },
+      ],
+    });
+    expect(prismaMock.contract.update).toHaveBeenCalledWith({
+      where: { id: 7 },
+      data: { cancellationFee: 0, refundableAmount: 0, state: 'CANCELLED' },
+    });
+    expect(prismaMock.contractEvent.create).toHaveBeenCalledWith({
+      data: {
+        contractId: 7,
+        fromState: 'DRAFT',
+        toState: 'CANCELLED',
+        actorId: null,
+        reason: 'Expired: not activated within 48 hours',
+      },
+    });
+    expect(sendReservationExpiredEmail).toHaveBeenCalledWith({
+      to: 'c@example.com',
+      contract: staleDraft,
+      carName: 'Toyota Corolla',
+    });
+  });
+
+  it('skips a draft that fails to cancel and carries on', async () => {
+    const second = { ...staleDraft, id: 8 };
+    prismaMock.contract.findMany.mockResolvedValue([staleDraft, second]);
+    prismaMock.contract.update
+      .mockRejectedValueOnce(new Error('serialization failure'))
+      .mockResolvedValueOnce({ ...second, state: 'CANCELLED' });
+    prismaMock.user.findUnique.mockResolvedValue({ email: 'c@example.com' });
+
+    const result = await expireStaleDrafts({ now, holdHours: 48 });
+
+    expect(result).toEqual({ expired: [8], failed: [7] });
+    expect(sendReservationExpiredEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves a draft alone when it was activated after being read', async () => {
+    prismaMock.contract.findMany.mockResolvedValue([staleDraft]);
+    // the locked row shows the admin's activation
+    prismaMock.$queryRaw.mockResolvedValue([{ state: 'ACTIVE' }]);
+
+    const result = await expireStaleDrafts({ now, holdHours: 48 });
+
+    expect(result).toEqual({ expired: [], failed: [7] });
+    expect(prismaMock.contract.update).not.toHaveBeenCalled();
+    expect(prismaMock.payment.update).not.toHaveBeenCalled();
+    expect(prismaMock.payment.create).not.toHaveBeenCalled();
+    expect(prismaMock.contractEvent.create).not.toHaveBeenCalled();
+    expect(sendReservationExpiredEmail).not.toHaveBeenCalled();
+  });
+
+  it('keeps the cancellation when the email cannot be sent', async () => {
+    prismaMock.contract.findMany.mockResolvedValue([staleDraft]);
+    prismaMock.contract.update.mockResolvedValue({ ...staleDraft, state: 'CANCELLED' });
+    prismaMock.user.findUnique.mockResolvedValue({ email: 'c@example.com' });
+    sendReservationExpiredEmail.mockRejectedValue(new Error('Failed to send reservation expired email'));
+
+    await expect(expireStaleDrafts({ now, holdHours: 48 })).resolves.toEqual({ expired: [7], failed: [] });
+  });
+});
@@ -146,3 +146,156 @@ describe('sendPasswordResetEmail', () => {
     }
   });
 });
+
+describe('sendReservationExpiredEmail', () => {
+  const contract = {
+    id: 42,
+    startDate: new Date('2026-06-20T10:00:00Z'),
+    endDate: new Date('2026-06-22T10:00:00Z'),
+  };
+
+  it('sends the Lithuanian notice with the reservation details by default', async () => {
+    const prevKey = configModule.config.resendApiKey;
+    configModule.config.resendApiKey = 're_test_123';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => '{}',
+    });
+
+    try {
+      await emailModule.sendReservationExpiredEmail({
+        to: 'u@x.com',
+        contract,
+        carName: 'Toyota Corolla',
+      });
+    } finally {
+      configModule.config.resendApiKey = prevKey;
+    }
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.subject).toBe('Jūsų rezervacija Nr. 42 nebegalioja');
+    expect(body.text).toContain('(Toyota Corolla, 2026-06-20 – 2026-06-22)');
+  });
+
+  it('escapes the car name in the HTML part', async () => {
+    const prevKey = configModule.config.resendApiKey;
+    configModule.config.resendApiKey = 're_test_123';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => '{}',
+    });
+
+    try {
+      await emailModule.sendReservationExpiredEmail({
+        to: 'u@x.com',
+        contract,
+        carName: 'Fiat <b>500</b> "Sport" & Co',
+        language: 'en',
+      });
+    } finally {
+      configModule.config.resendApiKey = prevKey;
+    }
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.html).toContain('for Fiat &lt;b&gt;500&lt;/b&gt; &quot;Sport&quot; &amp; Co (2026-06-20');
+    expect(body.html).not.toContain('<b>');
+    expect(body.text).toContain('Fiat <b>500</b> "Sport" & Co');
+  });
+
+  it('throws when Resend responds with an error status', async () => {
+    const prevKey = configModule.config.resendApiKey;
+    configModule.config.resendApiKey = 're_test_123';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 500,
+      text: async () => 'boom',
+    });
+
+    try {
+      await expect(
+        emailModule.sendReservationExpiredEmail({ to: 'u@x.com', contract, carName: 'Toyota Corolla', language: 'en' })
+      ).rejects.toThrow('Failed to send reservation expired email');
+    } finally {
+      configModule.config.resendApiKey = prevKey;
+    }
+  });
+});
+
+describe('sendCarDocumentsExpiringEmail', () => {
+  it('lists each document with its car and expiry date', async () => {
+    const prevKey = configModule.config.resendApiKey;
+    configModule.config.resendApiKey = 're_test_123';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => '{}',
+    });
+
+    let sent;
+    try {
+      sent = await emailModule.sendCarDocumentsExpiringEmail({
+        to: 'admin@x.com',
+        documents: [
+          { carName: 'Toyota Corolla', numberPlate: 'ABC123', type: 'INSURANCE', expiresAt: new Date('2026-07-01T00:00:00Z') },
+        ],
+        withinDays: 30,
+        language: 'en',
+      });
+    } finally {
+      configModule.config.resendApiKey = prevKey;
+    }
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.to).toEqual(['admin@x.com']);
+    expect(body.subject).toBe('1 car document(s) expiring within 30 days');
+    expect(body.text).toContain('- Toyota Corolla (ABC123): insurance – 2026-07-01');
+    expect(sent).toBe(true);
+  });
+
+  it('escapes car names, plates and document types in the HTML list', async () => {
+    const prevKey = configModule.config.resendApiKey;
+    configModule.config.resendApiKey = 're_test_123';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => '{}',
+    });
+
+    try {
+      await emailModule.sendCarDocumentsExpiringEmail({
+        to: 'admin@x.com',
+        documents: [
+          { carName: 'Mini <i>Cooper</i>', numberPlate: 'A&B1', type: '<VIGNETTE>', expiresAt: new Date('2026-07-01T00:00:00Z') },
+        ],
+        withinDays: 30,
+        language: 'en',
+      });
+    } finally {
+      configModule.config.resendApiKey = prevKey;
+    }
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.html).toContain('<li>Mini &lt;i&gt;Cooper&lt;/i&gt; (A&amp;B1): &lt;VIGNETTE&gt; – 2026-07-01</li>');
+    expect(body.text).toContain('- Mini <i>Cooper</i> (A&B1): <VIGNETTE> – 2026-07-01');
+  });
+
+  it('returns false without sending when no API key is configured', async () => {
+    const prevKey = configModule.config.resendApiKey;
+    configModule.config.resendApiKey = '';
+    global.fetch = jest.fn();
+
+    try {
+      const sent = await emailModule.sendCarDocumentsExpiringEmail({
+        to: 'admin@x.com',
+        documents: [],
+        withinDays: 30,
+      });
+      expect(sent).toBe(false);
+    } finally {
+      configModule.config.resendApiKey = prevKey;
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
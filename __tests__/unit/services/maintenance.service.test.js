@@ -0,0 +1,65 @@
+/**
+ * Unit tests for src/services/maintenance.service.js (Prisma mocked).
+ */
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { mockDeep, mockReset } from 'jest-mock-extended';
+
+const prismaMock = mockDeep();
+
+jest.unstable_mockModule('../../../src/models/db.js', () => ({ default: prismaMock, prisma: prismaMock }));
+
+let createDueMaintenanceTasks;
+
+beforeAll(async () => {
+  ({ createDueMaintenanceTasks } = await import('../../../src/services/maintenance.service.js'));
+});
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+beforeEach(() => {
+  mockReset(prismaMock);
+  prismaMock.maintenanceTask.create.mockImplementation(async ({ data }) => ({ id: 100, ...data }));
+});
+
+describe('createDueMaintenanceTasks', () => {
+  it('creates a task for each trigger reached and stores the new score', async () => {
+    prismaMock.car.findMany.mockResolvedValue([{
+      id: 5,
+      odometerKm: 44500,
+      nextMaintenanceKm: 45000,
+      lastMaintenanceDate: new Date('2025-09-01T00:00:00Z'),
+      maintenanceScore: 100,
+      createdAt: new Date('2025-01-01T00:00:00Z'),
+      maintenanceTasks: [
+        { id: 1, type: 'INSPECTION', status: 'COMPLETED', odometerKm: 30000, completedAt: new Date('2025-09-01T00:00:00Z') },
+      ],
+    }]);
+
+    const result = await createDueMaintenanceTasks({ carId: 5, now });
+
+    expect(prismaMock.car.findMany.mock.calls[0][0].where).toEqual({ id: 5 });
+    expect(prismaMock.maintenanceTask.create).toHaveBeenCalledTimes(1);
+    expect(prismaMock.maintenanceTask.create).toHaveBeenCalledWith({
+      data: { carId: 5, type: 'SERVICE', dueKm: 45000, dueDate: new Date('2026-09-01T00:00:00Z') },
+    });
+    expect(prismaMock.car.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { maintenanceScore: expect.any(Number) } });
+    expect(result).toEqual({ created: [100], rescored: [5] });
+  });
+
+  it('does not duplicate a task that is already open', async () => {
+    prismaMock.car.findMany.mockResolvedValue([{
+      id: 5,
+      odometerKm: 46000,
+      nextMaintenanceKm: 45000,
+      lastMaintenanceDate: new Date('2026-05-01T00:00:00Z'),
+      maintenanceScore: 80,
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      maintenanceTasks: [{ id: 2, type: 'SERVICE', status: 'SCHEDULED', odometerKm: null, completedAt: null }],
+    }]);
+
+    const result = await createDueMaintenanceTasks({ carId: 5, now });
+
+    expect(prismaMock.maintenanceTask.create).not.toHaveBeenCalled();
+    expect(result.created).toEqual([]);
+  });
+});
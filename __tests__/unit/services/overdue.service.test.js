@@ -0,0 +1,54 @@
+/**
+ * Unit tests for src/services/overdue.service.js (Prisma mocked).
+ */
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { mockDeep, mockReset } from 'jest-mock-extended';
+
+const prismaMock = mockDeep();
+
+jest.unstable_mockModule('../../../src/models/db.js', () => ({ default: prismaMock, prisma: prismaMock }));
+
+let flagOverdueContracts;
+
+beforeAll(async () => {
+  ({ flagOverdueContracts } = await import('../../../src/services/overdue.service.js'));
+});
+
+const now = new Date('2026-06-10T12:00:00Z');
+
+beforeEach(() => {
+  mockReset(prismaMock);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('flagOverdueContracts', () => {
+  it('flags only newly overdue contracts and reports conflicts with the next booking', async () => {
+    prismaMock.contract.findMany.mockResolvedValue([
+      { id: 1, carId: 5, state: 'ACTIVE', endDate: new Date('2026-06-10T08:00:00Z'), overdueAt: null },
+      { id: 2, carId: 6, state: 'ACTIVE', endDate: new Date('2026-06-09T08:00:00Z'), overdueAt: new Date('2026-06-09T08:15:00Z') },
+    ]);
+    prismaMock.contract.findFirst
+      .mockResolvedValueOnce({ id: 9, startDate: new Date('2026-06-10T18:00:00Z') })
+      .mockResolvedValueOnce(null);
+
+    const result = await flagOverdueContracts(now);
+
+    expect(result).toEqual({ flagged: [1], conflicts: [1] });
+    expect(prismaMock.contract.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: [1] }, overdueAt: null },
+      data: { overdueAt: now },
+    });
+    expect(prismaMock.contract.findFirst.mock.calls[0][0].where).toMatchObject({
+      carId: 5,
+      id: { not: 1 },
+      startDate: { gte: new Date('2026-06-10T08:00:00Z') },
+    });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Overdue contract 1 .* booking 9/));
+  });
+
+  it('does not write when nothing is newly overdue', async () => {
+    prismaMock.contract.findMany.mockResolvedValue([]);
+    await expect(flagOverdueContracts(now)).resolves.toEqual({ flagged: [], conflicts: [] });
+    expect(prismaMock.contract.updateMany).not.toHaveBeenCalled();
+  });
+});
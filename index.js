@@ -1,8 +1,17 @@
+import cron from 'node-cron';
 import { config } from './src/config.js';
 import { createApp } from './src/app.js';
+import { initializePricingJobs } from './src/pricing/pricing.jobs.js';
+import { assertPaymentProviderConfigured } from './src/services/paymentProviders/index.js';
+
+// Fail now rather than on the first payment when PAYMENT_PROVIDER names no adapter
+if (!assertPaymentProviderConfigured()) {
+  console.warn('[payments] Only the fake payment provider is configured; gateway payments are refused until PAYMENT_PROVIDER names a real one');
+}
 
 const app = createApp();
 
 app.listen(config.port, () => {
   console.log(`API http://localhost:${config.port}`);
+  initializePricingJobs(cron);
 });
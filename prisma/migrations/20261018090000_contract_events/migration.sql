@@ -0,0 +1,17 @@
+-- Contract state transition history
+CREATE TABLE "ContractEvent" (
+    "id" SERIAL NOT NULL,
+    "contractId" INTEGER NOT NULL,
+    "fromState" "ContractState",
+    "toState" "ContractState" NOT NULL,
+    "actorId" INTEGER,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContractEvent_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "ContractEvent_contractId_createdAt_idx" ON "ContractEvent"("contractId", "createdAt");
+
+ALTER TABLE "ContractEvent" ADD CONSTRAINT "ContractEvent_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ContractEvent" ADD CONSTRAINT "ContractEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- Configurable return-inspection fees
+ALTER TABLE "Contract" ADD COLUMN "extraFeeBreakdown" JSONB;
+
+CREATE TABLE "ReturnFeePolicy" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "carId" INTEGER,
+    "bodyType" "BodyType",
+    "cityId" INTEGER,
+    "kmAllowancePerDay" INTEGER NOT NULL DEFAULT 200,
+    "extraKmFee" DOUBLE PRECISION NOT NULL DEFAULT 0.10,
+    "fuelFeePerPct" DOUBLE PRECISION NOT NULL DEFAULT 1.0,
+    "batteryFeePerPct" DOUBLE PRECISION NOT NULL DEFAULT 1.0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReturnFeePolicy_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "ReturnFeePolicy_isActive_idx" ON "ReturnFeePolicy"("isActive");
+
+ALTER TABLE "ReturnFeePolicy" ADD CONSTRAINT "ReturnFeePolicy_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ReturnFeePolicy" ADD CONSTRAINT "ReturnFeePolicy_cityId_fkey" FOREIGN KEY ("cityId") REFERENCES "City"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- Contract payments and deposit ledger
+CREATE TYPE "PaymentType" AS ENUM ('DEPOSIT_HOLD', 'RENTAL_CHARGE', 'EXTRA_FEES', 'REFUND');
+CREATE TYPE "PaymentStatus" AS ENUM ('AUTHORIZED', 'CAPTURED', 'RELEASED', 'FAILED');
+
+CREATE TABLE "Payment" (
+    "id" SERIAL NOT NULL,
+    "contractId" INTEGER NOT NULL,
+    "type" "PaymentType" NOT NULL,
+    "status" "PaymentStatus" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "provider" TEXT NOT NULL,
+    "providerRef" TEXT,
+    "refundOfId" INTEGER,
+    "note" TEXT,
+    "createdById" INTEGER,
+    "capturedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "Payment_contractId_idx" ON "Payment"("contractId");
+
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_refundOfId_fkey" FOREIGN KEY ("refundOfId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- Cancellation fee and refund stored on cancelled contracts
+ALTER TABLE "Contract" ADD COLUMN "cancellationFee" DOUBLE PRECISION,
+ADD COLUMN "refundableAmount" DOUBLE PRECISION;
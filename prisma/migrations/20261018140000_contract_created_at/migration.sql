@@ -0,0 +1,5 @@
+-- Creation time of contracts, used by the stale DRAFT expiry job.
+-- Existing rows get the migration time, which starts their hold period now.
+ALTER TABLE "Contract" ADD COLUMN "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX "Contract_state_createdAt_idx" ON "Contract"("state", "createdAt");
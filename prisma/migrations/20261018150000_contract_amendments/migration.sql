@@ -0,0 +1,25 @@
+-- Extensions and early returns of ACTIVE contracts
+CREATE TYPE "ContractAmendmentType" AS ENUM ('EXTENSION', 'EARLY_RETURN');
+
+CREATE TABLE "ContractAmendment" (
+    "id" SERIAL NOT NULL,
+    "contractId" INTEGER NOT NULL,
+    "type" "ContractAmendmentType" NOT NULL,
+    "previousEndDate" TIMESTAMP(3) NOT NULL,
+    "newEndDate" TIMESTAMP(3) NOT NULL,
+    "previousTotalPrice" DOUBLE PRECISION NOT NULL,
+    "newTotalPrice" DOUBLE PRECISION NOT NULL,
+    "priceDifference" DOUBLE PRECISION NOT NULL,
+    "pricingSnapshotId" INTEGER,
+    "actorId" INTEGER,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContractAmendment_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "ContractAmendment_contractId_createdAt_idx" ON "ContractAmendment"("contractId", "createdAt");
+
+ALTER TABLE "ContractAmendment" ADD CONSTRAINT "ContractAmendment_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ContractAmendment" ADD CONSTRAINT "ContractAmendment_pricingSnapshotId_fkey" FOREIGN KEY ("pricingSnapshotId") REFERENCES "PricingSnapshot"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "ContractAmendment" ADD CONSTRAINT "ContractAmendment_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- Actual return time, overdue flag and late-return fees
+ALTER TABLE "Contract" ADD COLUMN "returnedAt" TIMESTAMP(3),
+ADD COLUMN "overdueAt" TIMESTAMP(3);
+
+CREATE INDEX "Contract_state_endDate_idx" ON "Contract"("state", "endDate");
+
+ALTER TABLE "ReturnFeePolicy" ADD COLUMN "lateGraceMinutes" INTEGER NOT NULL DEFAULT 60,
+ADD COLUMN "lateFeePerHour" DOUBLE PRECISION NOT NULL DEFAULT 10,
+ADD COLUMN "lateFeePerDay" DOUBLE PRECISION NOT NULL DEFAULT 60;
@@ -0,0 +1,24 @@
+-- One-way rentals: pickup/drop-off cities on contracts and the fee matrix between cities
+ALTER TABLE "Contract" ADD COLUMN "pickupCityId" INTEGER,
+ADD COLUMN "dropoffCityId" INTEGER,
+ADD COLUMN "oneWayFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+ALTER TABLE "Contract" ADD CONSTRAINT "Contract_pickupCityId_fkey" FOREIGN KEY ("pickupCityId") REFERENCES "City"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "Contract" ADD CONSTRAINT "Contract_dropoffCityId_fkey" FOREIGN KEY ("dropoffCityId") REFERENCES "City"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE TABLE "OneWayFee" (
+    "id" SERIAL NOT NULL,
+    "fromCityId" INTEGER NOT NULL,
+    "toCityId" INTEGER NOT NULL,
+    "fee" DOUBLE PRECISION NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OneWayFee_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "OneWayFee_fromCityId_toCityId_key" ON "OneWayFee"("fromCityId", "toCityId");
+
+ALTER TABLE "OneWayFee" ADD CONSTRAINT "OneWayFee_fromCityId_fkey" FOREIGN KEY ("fromCityId") REFERENCES "City"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "OneWayFee" ADD CONSTRAINT "OneWayFee_toCityId_fkey" FOREIGN KEY ("toCityId") REFERENCES "City"("id") ON DELETE CASCADE ON UPDATE CASCADE;
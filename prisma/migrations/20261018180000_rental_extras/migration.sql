@@ -0,0 +1,58 @@
+-- Rental add-ons: catalogue, stock per city and extras booked with contracts
+CREATE TYPE "ExtraPricing" AS ENUM ('PER_DAY', 'PER_RENTAL');
+
+ALTER TABLE "Contract" ADD COLUMN "extrasTotal" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+CREATE TABLE "Extra" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "pricing" "ExtraPricing" NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "maxQuantity" INTEGER NOT NULL DEFAULT 1,
+    "bodyTypes" "BodyType"[],
+    "stockLimited" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Extra_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "Extra_code_key" ON "Extra"("code");
+
+CREATE TABLE "ExtraStock" (
+    "id" SERIAL NOT NULL,
+    "extraId" INTEGER NOT NULL,
+    "cityId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExtraStock_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "ExtraStock_extraId_cityId_key" ON "ExtraStock"("extraId", "cityId");
+
+CREATE TABLE "ContractExtra" (
+    "id" SERIAL NOT NULL,
+    "contractId" INTEGER NOT NULL,
+    "extraId" INTEGER NOT NULL,
+    "cityId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "pricing" "ExtraPricing" NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "totalPrice" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContractExtra_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "ContractExtra_contractId_idx" ON "ContractExtra"("contractId");
+CREATE INDEX "ContractExtra_extraId_cityId_idx" ON "ContractExtra"("extraId", "cityId");
+
+ALTER TABLE "ExtraStock" ADD CONSTRAINT "ExtraStock_extraId_fkey" FOREIGN KEY ("extraId") REFERENCES "Extra"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ExtraStock" ADD CONSTRAINT "ExtraStock_cityId_fkey" FOREIGN KEY ("cityId") REFERENCES "City"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ContractExtra" ADD CONSTRAINT "ContractExtra_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ContractExtra" ADD CONSTRAINT "ContractExtra_extraId_fkey" FOREIGN KEY ("extraId") REFERENCES "Extra"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "ContractExtra" ADD CONSTRAINT "ContractExtra_cityId_fkey" FOREIGN KEY ("cityId") REFERENCES "City"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
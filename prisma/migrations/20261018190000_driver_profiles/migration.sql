@@ -0,0 +1,20 @@
+-- Driver profiles checked before bookings
+CREATE TABLE "DriverProfile" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "dateOfBirth" TIMESTAMP(3) NOT NULL,
+    "licenceNumber" TEXT NOT NULL,
+    "licenceCountry" TEXT NOT NULL,
+    "licenceIssuedAt" TIMESTAMP(3) NOT NULL,
+    "licenceExpiresAt" TIMESTAMP(3) NOT NULL,
+    "licenceScanUrl" TEXT,
+    "licenceScanFilename" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DriverProfile_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "DriverProfile_userId_key" ON "DriverProfile"("userId");
+
+ALTER TABLE "DriverProfile" ADD CONSTRAINT "DriverProfile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- Additional drivers named on a contract
+ALTER TABLE "Contract" ADD COLUMN "additionalDriversTotal" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+CREATE TABLE "ContractDriver" (
+    "id" SERIAL NOT NULL,
+    "contractId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "firstName" TEXT,
+    "lastName" TEXT,
+    "dateOfBirth" TIMESTAMP(3),
+    "licenceNumber" TEXT,
+    "licenceCountry" TEXT,
+    "licenceIssuedAt" TIMESTAMP(3),
+    "licenceExpiresAt" TIMESTAMP(3),
+    "feePerDay" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "fee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContractDriver_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "ContractDriver_contractId_userId_key" ON "ContractDriver"("contractId", "userId");
+CREATE INDEX "ContractDriver_userId_idx" ON "ContractDriver"("userId");
+
+ALTER TABLE "ContractDriver" ADD CONSTRAINT "ContractDriver_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ContractDriver" ADD CONSTRAINT "ContractDriver_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
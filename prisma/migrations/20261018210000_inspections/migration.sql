@@ -0,0 +1,54 @@
+-- Pickup and return inspections with damage markers and photos
+CREATE TYPE "InspectionType" AS ENUM ('PICKUP', 'RETURN');
+
+CREATE TYPE "CarPanel" AS ENUM ('FRONT_BUMPER', 'REAR_BUMPER', 'HOOD', 'ROOF', 'TRUNK', 'WINDSHIELD', 'REAR_WINDOW', 'FRONT_LEFT_FENDER', 'FRONT_RIGHT_FENDER', 'FRONT_LEFT_DOOR', 'FRONT_RIGHT_DOOR', 'REAR_LEFT_DOOR', 'REAR_RIGHT_DOOR', 'REAR_LEFT_QUARTER', 'REAR_RIGHT_QUARTER', 'LEFT_MIRROR', 'RIGHT_MIRROR', 'WHEELS', 'INTERIOR');
+
+CREATE TYPE "DamageSeverity" AS ENUM ('MINOR', 'MODERATE', 'SEVERE');
+
+ALTER TABLE "ReturnFeePolicy" ADD COLUMN "damageMinorFee" DOUBLE PRECISION NOT NULL DEFAULT 50,
+ADD COLUMN "damageModerateFee" DOUBLE PRECISION NOT NULL DEFAULT 200,
+ADD COLUMN "damageSevereFee" DOUBLE PRECISION NOT NULL DEFAULT 600;
+
+CREATE TABLE "Inspection" (
+    "id" SERIAL NOT NULL,
+    "contractId" INTEGER NOT NULL,
+    "type" "InspectionType" NOT NULL,
+    "odometerKm" INTEGER NOT NULL,
+    "fuelLevelPct" INTEGER NOT NULL,
+    "checklist" JSONB NOT NULL,
+    "notes" TEXT,
+    "inspectorId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Inspection_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "InspectionDamage" (
+    "id" SERIAL NOT NULL,
+    "inspectionId" INTEGER NOT NULL,
+    "panel" "CarPanel" NOT NULL,
+    "severity" "DamageSeverity" NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InspectionDamage_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "InspectionPhoto" (
+    "id" SERIAL NOT NULL,
+    "damageId" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InspectionPhoto_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "Inspection_contractId_type_key" ON "Inspection"("contractId", "type");
+CREATE INDEX "InspectionDamage_inspectionId_idx" ON "InspectionDamage"("inspectionId");
+CREATE INDEX "InspectionPhoto_damageId_idx" ON "InspectionPhoto"("damageId");
+
+ALTER TABLE "Inspection" ADD CONSTRAINT "Inspection_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "Inspection" ADD CONSTRAINT "Inspection_inspectorId_fkey" FOREIGN KEY ("inspectorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "InspectionDamage" ADD CONSTRAINT "InspectionDamage_inspectionId_fkey" FOREIGN KEY ("inspectionId") REFERENCES "Inspection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "InspectionPhoto" ADD CONSTRAINT "InspectionPhoto_damageId_fkey" FOREIGN KEY ("damageId") REFERENCES "InspectionDamage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- Damage register per car
+CREATE TYPE "DamageRepairStatus" AS ENUM ('OPEN', 'IN_REPAIR', 'REPAIRED');
+
+CREATE TABLE "DamageRecord" (
+    "id" SERIAL NOT NULL,
+    "carId" INTEGER NOT NULL,
+    "panel" "CarPanel" NOT NULL,
+    "severity" "DamageSeverity" NOT NULL,
+    "description" TEXT,
+    "repairCostEstimate" DOUBLE PRECISION,
+    "repairStatus" "DamageRepairStatus" NOT NULL DEFAULT 'OPEN',
+    "repairedAt" TIMESTAMP(3),
+    "contractId" INTEGER,
+    "userId" INTEGER,
+    "inspectionDamageId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DamageRecord_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "DamageRecordPhoto" (
+    "id" SERIAL NOT NULL,
+    "damageRecordId" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DamageRecordPhoto_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "DamageRecord_inspectionDamageId_key" ON "DamageRecord"("inspectionDamageId");
+CREATE INDEX "DamageRecord_carId_repairStatus_idx" ON "DamageRecord"("carId", "repairStatus");
+CREATE INDEX "DamageRecordPhoto_damageRecordId_idx" ON "DamageRecordPhoto"("damageRecordId");
+
+ALTER TABLE "DamageRecord" ADD CONSTRAINT "DamageRecord_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "DamageRecord" ADD CONSTRAINT "DamageRecord_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "DamageRecord" ADD CONSTRAINT "DamageRecord_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "DamageRecord" ADD CONSTRAINT "DamageRecord_inspectionDamageId_fkey" FOREIGN KEY ("inspectionDamageId") REFERENCES "InspectionDamage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "DamageRecordPhoto" ADD CONSTRAINT "DamageRecordPhoto_damageRecordId_fkey" FOREIGN KEY ("damageRecordId") REFERENCES "DamageRecord"("id") ON DELETE CASCADE ON UPDATE CASCADE;
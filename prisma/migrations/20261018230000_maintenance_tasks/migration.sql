@@ -0,0 +1,28 @@
+-- Maintenance tasks with km/date triggers and workshop windows
+CREATE TYPE "MaintenanceTaskType" AS ENUM ('SERVICE', 'TYRES', 'INSPECTION');
+
+CREATE TYPE "MaintenanceTaskStatus" AS ENUM ('DUE', 'SCHEDULED', 'COMPLETED', 'CANCELLED');
+
+CREATE TABLE "MaintenanceTask" (
+    "id" SERIAL NOT NULL,
+    "carId" INTEGER NOT NULL,
+    "type" "MaintenanceTaskType" NOT NULL,
+    "status" "MaintenanceTaskStatus" NOT NULL DEFAULT 'DUE',
+    "dueKm" INTEGER,
+    "dueDate" TIMESTAMP(3),
+    "scheduledStart" TIMESTAMP(3),
+    "scheduledEnd" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "odometerKm" INTEGER,
+    "cost" DOUBLE PRECISION,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MaintenanceTask_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "MaintenanceTask_carId_status_idx" ON "MaintenanceTask"("carId", "status");
+CREATE INDEX "MaintenanceTask_carId_scheduledStart_scheduledEnd_idx" ON "MaintenanceTask"("carId", "scheduledStart", "scheduledEnd");
+
+ALTER TABLE "MaintenanceTask" ADD CONSTRAINT "MaintenanceTask_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- Car documents (insurance, technical inspection, road tax) with expiry dates
+CREATE TYPE "CarDocumentType" AS ENUM ('INSURANCE', 'TECHNICAL_INSPECTION', 'ROAD_TAX');
+
+CREATE TABLE "CarDocument" (
+    "id" SERIAL NOT NULL,
+    "carId" INTEGER NOT NULL,
+    "type" "CarDocumentType" NOT NULL,
+    "number" TEXT,
+    "issuedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "url" TEXT,
+    "filename" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CarDocument_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "CarDocument_carId_type_expiresAt_idx" ON "CarDocument"("carId", "type", "expiresAt");
+CREATE INDEX "CarDocument_expiresAt_idx" ON "CarDocument"("expiresAt");
+
+ALTER TABLE "CarDocument" ADD CONSTRAINT "CarDocument_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
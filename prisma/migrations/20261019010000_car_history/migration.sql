@@ -0,0 +1,41 @@
+-- Append-only odometer and state history of cars
+CREATE TYPE "CarHistorySource" AS ENUM ('CONTRACT', 'ADMIN_EDIT', 'INSPECTION', 'DAMAGE');
+
+CREATE TABLE "CarOdometerReading" (
+    "id" SERIAL NOT NULL,
+    "carId" INTEGER NOT NULL,
+    "odometerKm" INTEGER NOT NULL,
+    "previousKm" INTEGER,
+    "source" "CarHistorySource" NOT NULL,
+    "contractId" INTEGER,
+    "inspectionId" INTEGER,
+    "actorId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CarOdometerReading_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE "CarStateChange" (
+    "id" SERIAL NOT NULL,
+    "carId" INTEGER NOT NULL,
+    "fromState" "CarState",
+    "toState" "CarState" NOT NULL,
+    "source" "CarHistorySource" NOT NULL,
+    "contractId" INTEGER,
+    "actorId" INTEGER,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CarStateChange_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "CarOdometerReading_carId_createdAt_idx" ON "CarOdometerReading"("carId", "createdAt");
+CREATE INDEX "CarStateChange_carId_createdAt_idx" ON "CarStateChange"("carId", "createdAt");
+
+ALTER TABLE "CarOdometerReading" ADD CONSTRAINT "CarOdometerReading_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "CarOdometerReading" ADD CONSTRAINT "CarOdometerReading_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "CarOdometerReading" ADD CONSTRAINT "CarOdometerReading_inspectionId_fkey" FOREIGN KEY ("inspectionId") REFERENCES "Inspection"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "CarOdometerReading" ADD CONSTRAINT "CarOdometerReading_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "CarStateChange" ADD CONSTRAINT "CarStateChange_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "CarStateChange" ADD CONSTRAINT "CarStateChange_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "CarStateChange" ADD CONSTRAINT "CarStateChange_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- Archive cars instead of deleting them; cars with contracts can no longer be deleted
+ALTER TABLE "Car" ADD COLUMN "archivedAt" TIMESTAMP(3);
+
+CREATE INDEX "Car_archivedAt_idx" ON "Car"("archivedAt");
+
+ALTER TABLE "Contract" DROP CONSTRAINT "Contract_carId_fkey";
+ALTER TABLE "Contract" ADD CONSTRAINT "Contract_carId_fkey" FOREIGN KEY ("carId") REFERENCES "Car"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
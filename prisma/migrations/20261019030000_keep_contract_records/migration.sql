@@ -0,0 +1,12 @@
+-- Invoices, payments, amendments and state history outlive attempts to delete their contract
+ALTER TABLE "ContractAmendment" DROP CONSTRAINT "ContractAmendment_contractId_fkey";
+ALTER TABLE "ContractAmendment" ADD CONSTRAINT "ContractAmendment_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "ContractEvent" DROP CONSTRAINT "ContractEvent_contractId_fkey";
+ALTER TABLE "ContractEvent" ADD CONSTRAINT "ContractEvent_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Invoice" DROP CONSTRAINT "Invoice_contractId_fkey";
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Payment" DROP CONSTRAINT "Payment_contractId_fkey";
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "Contract"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
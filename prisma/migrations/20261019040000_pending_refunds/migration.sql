@@ -0,0 +1,2 @@
+-- Refunds are recorded PENDING inside the cancellation and sent to the gateway after it commits
+ALTER TYPE "PaymentStatus" ADD VALUE 'PENDING';
@@ -21,6 +21,20 @@ async function main() {
     create: { email: 'user@example.com', passwordHash: userPass, role: 'USER' },
   });
 
+  // Driver profile so the demo user can book
+  await prisma.driverProfile.upsert({
+    where: { userId: user.id },
+    update: {},
+    create: {
+      userId: user.id,
+      dateOfBirth: new Date('1990-05-01T00:00:00Z'),
+      licenceNumber: 'LT1234567',
+      licenceCountry: 'LT',
+      licenceIssuedAt: new Date('2010-06-01T00:00:00Z'),
+      licenceExpiresAt: new Date('2035-06-01T00:00:00Z'),
+    },
+  });
+
   // Cities
   const vilnius = await prisma.city.upsert({
     where: { name: 'Vilnius' },
@@ -78,8 +92,10 @@ async function main() {
     },
   });
 
+  // earlier seeds used a VIN with a wrong check digit; keep the same car when re-seeding
+  await prisma.car.updateMany({ where: { vin: '5YJ3E1EA7KF317000' }, data: { vin: '5YJ3E1EA2KF317000' } });
   const car2 = await prisma.car.upsert({
-    where: { vin: '5YJ3E1EA7KF317000' },
+    where: { vin: '5YJ3E1EA2KF317000' },
     update: {
       numberPlate: 'EV-777',
       pricePerDay: 95,
@@ -102,7 +118,7 @@ async function main() {
       saleDescription: 'Excellent condition Tesla Model 3. Low mileage, full autopilot, premium interior. One owner, complete service history.',
     },
     create: {
-      vin: '5YJ3E1EA7KF317000',
+      vin: '5YJ3E1EA2KF317000',
       numberPlate: 'EV-777',
       make: 'Tesla',
       model: 'Model 3',
@@ -330,6 +346,46 @@ async function main() {
     },
   });
 
+  // Return-inspection fee policies: global default plus a van override
+  await prisma.returnFeePolicy.upsert({
+    where: { id: 1 },
+    update: {},
+    create: { name: 'Default', kmAllowancePerDay: 200, extraKmFee: 0.10, fuelFeePerPct: 1.0, batteryFeePerPct: 1.0 },
+  });
+  await prisma.returnFeePolicy.upsert({
+    where: { id: 2 },
+    update: {},
+    create: { name: 'Vans', bodyType: 'VAN', kmAllowancePerDay: 300, extraKmFee: 0.15, fuelFeePerPct: 1.5 },
+  });
+
+  // One-way fees between the two cities, same price both ways
+  for (const [from, to] of [[vilnius, kaunas], [kaunas, vilnius]]) {
+    await prisma.oneWayFee.upsert({
+      where: { fromCityId_toCityId: { fromCityId: from.id, toCityId: to.id } },
+      update: {},
+      create: { fromCityId: from.id, toCityId: to.id, fee: 35 },
+    });
+  }
+
+  // Rental extras; child seats and GPS units are limited by what each city keeps in stock
+  const extras = [
+    { code: 'CHILD_SEAT', name: 'Child seat', pricing: 'PER_DAY', price: 5, maxQuantity: 3, stockLimited: true,
+      stock: [[vilnius, 6], [kaunas, 3]] },
+    { code: 'GPS', name: 'GPS navigation', pricing: 'PER_DAY', price: 4, stockLimited: true,
+      stock: [[vilnius, 4], [kaunas, 2]] },
+    { code: 'FULL_INSURANCE', name: 'Full insurance (no excess)', pricing: 'PER_DAY', price: 12 },
+  ];
+  for (const { stock = [], ...extra } of extras) {
+    const row = await prisma.extra.upsert({ where: { code: extra.code }, update: {}, create: extra });
+    for (const [city, quantity] of stock) {
+      await prisma.extraStock.upsert({
+        where: { extraId_cityId: { extraId: row.id, cityId: city.id } },
+        update: {},
+        create: { extraId: row.id, cityId: city.id, quantity },
+      });
+    }
+  }
+
   // Initialize city demand metrics
   await prisma.cityDemandMetrics.upsert({
     where: { cityId: vilnius.id },
@@ -367,6 +423,9 @@ async function main() {
   console.log('  - Cars configured: 3');
   console.log('  - Seasonal factors: 3');
   console.log('  - Pricing rules: 1');
+  console.log('  - Return fee policies: 2');
+  console.log('  - One-way fees: 2');
+  console.log('  - Rental extras: 4');
   console.log('  - City demand metrics: 2');
 
   console.log('\n📊 Seeded:', {
@@ -19,12 +19,19 @@ import authRoutes from './routes/auth.routes.js';
 import cityRoutes from './routes/cities.routes.js';
 import carRoutes from './routes/cars.routes.js';
 import contractRoutes from './routes/contracts.routes.js';
+import paymentRoutes from './routes/payments.routes.js';
 import debugRoutes from './routes/debug.routes.js';
 import carImageRoutes from './routes/car-images.routes.js';
+import carDamageRoutes from './routes/car-damages.routes.js';
+import carDocumentRoutes from './routes/car-documents.routes.js';
 import userRoutes from './routes/users.routes.js';
 import contactRoutes from './routes/contacts.routes.js';
 import pricingRoutes from './pricing/pricing.routes.js';
 import adminPricingRoutes from './pricing/admin.pricing.routes.js';
+import returnFeePolicyRoutes from './routes/returnFeePolicies.routes.js';
+import oneWayFeeRoutes from './routes/oneWayFees.routes.js';
+import extraRoutes from './routes/extras.routes.js';
+import maintenanceRoutes from './routes/maintenance.routes.js';
 
 export function createApp({ enableSwagger = true, enableMorgan = true } = {}) {
   const app = express();
@@ -47,15 +54,24 @@ export function createApp({ enableSwagger = true, enableMorgan = true } = {}) {
 
   // Car image routes: POST uses multer; PUT/GET/DELETE use JSON or no body.
   app.use(carImageRoutes);
+  // Car damage register: POSTs use multer too.
+  app.use(carDamageRoutes);
+  // Car documents: POST/PUT accept a multipart file (PDF or image).
+  app.use(carDocumentRoutes);
 
   app.use(authRoutes);
   app.use(cityRoutes);
   app.use(carRoutes);
   app.use(contractRoutes);
+  app.use(paymentRoutes);
   app.use(userRoutes);
   app.use(contactRoutes);
   app.use(pricingRoutes);
   app.use(adminPricingRoutes);
+  app.use(returnFeePolicyRoutes);
+  app.use(oneWayFeeRoutes);
+  app.use(extraRoutes);
+  app.use(maintenanceRoutes);
   app.use('/debug', debugRoutes);
 
   if (enableSwagger) {
@@ -1,4 +1,6 @@
 import 'dotenv/config';
+import { normalizeCancellationTiers } from './lib/cancellation.js';
+import { normalizeDriverRules } from './lib/driverEligibility.js';
 
 /** Trim and strip one pair of surrounding quotes (common when pasting into host env UIs). */
 function cleanEnvString(value) {
@@ -13,6 +15,64 @@ function cleanEnvString(value) {
   return s;
 }
 
+/** Environments that may run without a real payment gateway. */
+const FAKE_PAYMENTS_ENVS = ['test', 'development'];
+
+/**
+ * PAYMENT_PROVIDER, "fake" when unset.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {string}
+ */
+export function paymentProviderFromEnv(env) {
+  return cleanEnvString(env.PAYMENT_PROVIDER) || 'fake';
+}
+
+/**
+ * Whether the fake provider may take payments: always in test and development, elsewhere only
+ * with ALLOW_FAKE_PAYMENTS=1 (demos, staging).
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {boolean}
+ */
+export function fakePaymentsAllowedFromEnv(env) {
+  return FAKE_PAYMENTS_ENVS.includes(env.NODE_ENV) || ['1', 'true'].includes(cleanEnvString(env.ALLOW_FAKE_PAYMENTS));
+}
+
+/**
+ * CANCELLATION_TIERS parsed and validated, so a bad value stops startup instead of the first
+ * cancellation.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {Array<{ minHoursBeforeStart: number, refundPct: number }> | null} null when unset
+ * @throws {Error} naming CANCELLATION_TIERS when it is not valid JSON or not a list of tiers
+ */
+export function cancellationTiersFromEnv(env) {
+  const raw = cleanEnvString(env.CANCELLATION_TIERS);
+  if (!raw) return null;
+  try {
+    return normalizeCancellationTiers(JSON.parse(raw));
+  } catch (err) {
+    throw new Error(`CANCELLATION_TIERS is invalid: ${err.message}`);
+  }
+}
+
+/**
+ * DRIVER_RULES parsed and merged into the defaults, so a bad value stops startup instead of the
+ * first booking.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {object|null} the merged rules, null when unset
+ * @throws {Error} naming DRIVER_RULES when it is not valid JSON or a rule has the wrong type
+ */
+export function driverRulesFromEnv(env) {
+  const raw = cleanEnvString(env.DRIVER_RULES);
+  if (!raw) return null;
+  try {
+    const rules = JSON.parse(raw);
+    if (rules === null) throw new Error('Driver rules must be an object');
+    return normalizeDriverRules(rules);
+  } catch (err) {
+    throw new Error(`DRIVER_RULES is invalid: ${err.message}`);
+  }
+}
+
 export const config = {
   port: process.env.PORT || 3000,
   jwtSecret: process.env.JWT_SECRET,
@@ -28,6 +88,36 @@ export const config = {
   emailFrom:
     cleanEnvString(process.env.EMAIL_FROM) || 'Ratai24 <onboarding@resend.dev>',
   resendApiKey: cleanEnvString(process.env.RESEND_API_KEY),
+  /** VAT rate included in rental prices, used to split invoice totals (0.21 = 21%). */
+  vatRate: Number(process.env.VAT_RATE || 0.21),
+  /**
+   * Payment gateway adapter (see src/services/paymentProviders). Only "fake" ships today; the app
+   * still starts without a real one, but gateway payments are refused unless fakePaymentsAllowed.
+   */
+  paymentProvider: paymentProviderFromEnv(process.env),
+  fakePaymentsAllowed: fakePaymentsAllowedFromEnv(process.env),
+  /** When true, DRAFT → ACTIVE is refused until a deposit hold has been recorded. */
+  requireDepositForActivation: process.env.REQUIRE_DEPOSIT_FOR_ACTIVATION === 'true',
+  /**
+   * Refund tiers for cancellations as JSON, e.g. [{"minHoursBeforeStart":168,"refundPct":100}].
+   * Unset → DEFAULT_CANCELLATION_TIERS in src/lib/cancellation.js; an invalid value stops startup.
+   */
+  cancellationTiers: cancellationTiersFromEnv(process.env),
+  /** DRAFT reservations not activated within this many hours are cancelled by the expiry job. */
+  draftHoldHours: Number(process.env.DRAFT_HOLD_HOURS || 48),
+  /** Price after an early return: "prorate" (days used) or "keep" (full booking). */
+  earlyReturnPolicy: process.env.EARLY_RETURN_POLICY === 'keep' ? 'keep' : 'prorate',
+  /** An overdue car conflicts with the next booking when it starts within this many hours. */
+  overdueConflictHours: Number(process.env.OVERDUE_CONFLICT_HOURS || 24),
+  /**
+   * Driver age / licence rules as JSON, e.g. {"minAge":23,"strict":{"minPowerKW":120}}.
+   * Missing keys keep DEFAULT_DRIVER_RULES in src/lib/driverEligibility.js; an invalid value stops startup.
+   */
+  driverRules: driverRulesFromEnv(process.env),
+  /** Charged per rental day for each additional driver on a contract; 0 makes them free. */
+  additionalDriverFeePerDay: Number(process.env.ADDITIONAL_DRIVER_FEE_PER_DAY || 0),
+  /** Car documents expiring within this many days are flagged in the admin car list and emailed daily. */
+  complianceWarningDays: Number(process.env.COMPLIANCE_WARNING_DAYS || 30),
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME,
     apiKey: process.env.CLOUDINARY_API_KEY,
@@ -0,0 +1,240 @@
+import prisma from '../models/db.js';
+import { badRequest, notFound } from '../errors.js';
+import { cloudinary } from '../middlewares/upload.middleware.js';
+import { CarPanel, DamageSeverity } from '../lib/inspections.js';
+import { DamageRepairStatus, OPEN_DAMAGE_STATUSES } from '../lib/damageRecords.js';
+import { damageRecordInclude, isCarGrounded, syncCarDamageState } from '../services/damageRecord.service.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+
+/** Removes photos Cloudinary already stored for a request that then failed. */
+const discardUploads = (files = []) => Promise.all(
+  files.map((f) => cloudinary.uploader.destroy(f.filename).catch(() => {}))
+);
+
+const photoRows = (files = []) => files.map((file) => ({ url: file.path, filename: file.filename }));
+
+/**
+ * Descriptive columns of a damage record from a JSON or multipart body.
+ * @param {object} body
+ * @param {{ partial?: boolean }} [options] - partial: only validate fields that are present
+ */
+function parseDamageFields(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.panel !== undefined || !partial) {
+    if (!CarPanel.includes(body.panel)) throw badRequest(`panel must be one of: ${CarPanel.join(', ')}`);
+    data.panel = body.panel;
+  }
+  if (body.severity !== undefined || !partial) {
+    if (!DamageSeverity.includes(body.severity)) {
+      throw badRequest(`severity must be one of: ${DamageSeverity.join(', ')}`);
+    }
+    data.severity = body.severity;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') throw badRequest('description must be a string');
+    data.description = body.description?.trim() || null;
+  }
+  if (body.repairCostEstimate !== undefined) {
+    if (body.repairCostEstimate === null || body.repairCostEstimate === '') {
+      data.repairCostEstimate = null;
+    } else {
+      const n = asNum(body.repairCostEstimate);
+      if (n === null || n < 0) throw badRequest('repairCostEstimate must be a non-negative number');
+      data.repairCostEstimate = n;
+    }
+  }
+  if (body.repairStatus !== undefined) {
+    if (!DamageRepairStatus.includes(body.repairStatus)) {
+      throw badRequest(`repairStatus must be one of: ${DamageRepairStatus.join(', ')}`);
+    }
+    data.repairStatus = body.repairStatus;
+    data.repairedAt = body.repairStatus === 'REPAIRED' ? new Date() : null;
+  }
+  return data;
+}
+
+async function findCar(req) {
+  const carId = asInt(req.params.carId);
+  if (carId === null) throw badRequest('carId must be an integer');
+  const car = req.carInfo ?? await prisma.car.findUnique({ where: { id: carId } });
+  if (!car) throw notFound('Car not found');
+  return car;
+}
+
+async function findRecord(req, carId) {
+  const damageId = asInt(req.params.damageId);
+  if (damageId === null) throw badRequest('damageId must be an integer');
+  const record = await prisma.damageRecord.findFirst({
+    where: { id: damageId, carId },
+    include: { photos: true },
+  });
+  if (!record) throw notFound('Damage record not found');
+  return record;
+}
+
+/** The rental and customer a new record is linked to; the contract must be one of this car's. */
+async function resolveDamageLinks(body, carId) {
+  const links = {};
+  if (body.contractId !== undefined && body.contractId !== null && body.contractId !== '') {
+    const contractId = asInt(body.contractId);
+    if (contractId === null) throw badRequest('contractId must be an integer');
+    const contract = await prisma.contract.findUnique({ where: { id: contractId }, select: { id: true, carId: true, userId: true } });
+    if (!contract) throw notFound('Contract not found');
+    if (contract.carId !== carId) throw badRequest('The contract is not a rental of this car');
+    links.contractId = contract.id;
+    links.userId = contract.userId;
+  }
+  if (body.userId !== undefined && body.userId !== null && body.userId !== '') {
+    const userId = asInt(body.userId);
+    if (userId === null) throw badRequest('userId must be an integer');
+    if (links.userId !== undefined && links.userId !== userId) {
+      throw badRequest("userId must be the contract's customer");
+    }
+    links.userId = userId;
+  }
+  return links;
+}
+
+// GET /cars/:carId/damages - admin: the car's damage register, newest first; ?status=OPEN,IN_REPAIR or ?open=true
+export const listCarDamages = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const where = { carId: car.id };
+
+    if (req.query.open === 'true') {
+      where.repairStatus = { in: OPEN_DAMAGE_STATUSES };
+    } else if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map((s) => s.trim().toUpperCase());
+      const bad = statuses.find((s) => !DamageRepairStatus.includes(s));
+      if (bad) throw badRequest(`status must be one of: ${DamageRepairStatus.join(', ')}`);
+      where.repairStatus = { in: statuses };
+    }
+
+    const items = await prisma.damageRecord.findMany({
+      where,
+      include: damageRecordInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(items);
+  } catch (e) { next(e); }
+};
+
+// GET /cars/:carId/damages/:damageId - admin
+export const getCarDamage = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const damageId = asInt(req.params.damageId);
+    if (damageId === null) throw badRequest('damageId must be an integer');
+    const record = await prisma.damageRecord.findFirst({
+      where: { id: damageId, carId: car.id },
+      include: damageRecordInclude,
+    });
+    if (!record) throw notFound('Damage record not found');
+    res.json(record);
+  } catch (e) { next(e); }
+};
+
+// POST /cars/:carId/damages - admin records damage, multipart with "photos"
+export const createCarDamage = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const body = req.body ?? {};
+    const data = parseDamageFields(body);
+    const links = await resolveDamageLinks(body, car.id);
+
+    const created = await prisma.$transaction(async (tx) => {
+      const wasGrounded = await isCarGrounded(car.id, tx);
+      const record = await tx.damageRecord.create({
+        data: { carId: car.id, ...data, ...links, photos: { create: photoRows(req.files) } },
+        include: damageRecordInclude,
+      });
+      await syncCarDamageState(car.id, { state: car.state, wasGrounded, actorId: req.user.id }, tx);
+      return record;
+    });
+    res.status(201).json(created);
+  } catch (e) {
+    await discardUploads(req.files);
+    if (e?.code === 'P2003') return res.status(400).json({ error: 'User not found' });
+    next(e);
+  }
+};
+
+// PUT /cars/:carId/damages/:damageId - admin updates the description, estimate or repair status
+export const updateCarDamage = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const record = await findRecord(req, car.id);
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    const data = parseDamageFields(body, { partial: true });
+    if (Object.keys(data).length === 0) throw badRequest('No fields to update');
+    // keep the original repair date when a repaired record is saved again
+    if (data.repairStatus === 'REPAIRED' && record.repairStatus === 'REPAIRED') delete data.repairedAt;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const wasGrounded = await isCarGrounded(car.id, tx);
+      const row = await tx.damageRecord.update({
+        where: { id: record.id },
+        data,
+        include: damageRecordInclude,
+      });
+      await syncCarDamageState(car.id, { state: car.state, wasGrounded, actorId: req.user.id }, tx);
+      return row;
+    });
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Damage record not found' });
+    next(e);
+  }
+};
+
+// POST /cars/:carId/damages/:damageId/photos - admin adds photos (multipart "photos")
+export const addCarDamagePhotos = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const record = await findRecord(req, car.id);
+    if (!req.files || req.files.length === 0) {
+      throw badRequest('No files uploaded. Please upload at least one image.');
+    }
+
+    const updated = await prisma.damageRecord.update({
+      where: { id: record.id },
+      data: { photos: { create: photoRows(req.files) } },
+      include: damageRecordInclude,
+    });
+    res.status(201).json(updated);
+  } catch (e) {
+    await discardUploads(req.files);
+    next(e);
+  }
+};
+
+// DELETE /cars/:carId/damages/:damageId - admin; photos shared with an inspection stay
+export const deleteCarDamage = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const record = await findRecord(req, car.id);
+
+    await prisma.$transaction(async (tx) => {
+      const wasGrounded = await isCarGrounded(car.id, tx);
+      await tx.damageRecord.delete({ where: { id: record.id } });
+      await syncCarDamageState(car.id, { state: car.state, wasGrounded, actorId: req.user.id }, tx);
+    });
+
+    for (const photo of record.photos) {
+      try {
+        await cloudinary.uploader.destroy(photo.filename);
+      } catch (err) {
+        console.error('Error deleting damage photo from Cloudinary:', err);
+      }
+    }
+    res.status(204).end();
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Damage record not found' });
+    next(e);
+  }
+};
@@ -0,0 +1,142 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { badRequest, notFound } from '../errors.js';
+import { cloudinary } from '../middlewares/upload.middleware.js';
+import { CarDocumentType, complianceStatus } from '../lib/compliance.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+
+/** Removes a file Cloudinary already stored for a request that then failed. */
+const discardUpload = (file) => (file ? cloudinary.uploader.destroy(file.filename).catch(() => {}) : null);
+
+function parseDate(v, name) {
+  const d = new Date(v);
+  if (v == null || v === '' || isNaN(d)) throw badRequest(`${name} must be a valid date`);
+  return d;
+}
+
+const optionalString = (v, name) => {
+  if (v === null || v === '') return null;
+  if (typeof v !== 'string') throw badRequest(`${name} must be a string`);
+  return v.trim() || null;
+};
+
+/**
+ * Columns of a document from a JSON or multipart body.
+ * @param {object} body
+ * @param {{ partial?: boolean }} [options] - partial: only validate fields that are present
+ */
+function parseDocumentFields(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.type !== undefined || !partial) {
+    if (!CarDocumentType.includes(body.type)) throw badRequest(`type must be one of: ${CarDocumentType.join(', ')}`);
+    data.type = body.type;
+  }
+  if (body.expiresAt !== undefined || !partial) data.expiresAt = parseDate(body.expiresAt, 'expiresAt');
+  if (body.issuedAt !== undefined) {
+    data.issuedAt = body.issuedAt === null || body.issuedAt === '' ? null : parseDate(body.issuedAt, 'issuedAt');
+  }
+  if (data.issuedAt && data.expiresAt && data.expiresAt <= data.issuedAt) {
+    throw badRequest('expiresAt must be after issuedAt');
+  }
+  if (body.number !== undefined) data.number = optionalString(body.number, 'number');
+  if (body.notes !== undefined) data.notes = optionalString(body.notes, 'notes');
+  return data;
+}
+
+async function findCar(req) {
+  const carId = asInt(req.params.carId);
+  if (carId === null) throw badRequest('carId must be an integer');
+  const car = req.carInfo ?? await prisma.car.findUnique({ where: { id: carId } });
+  if (!car) throw notFound('Car not found');
+  return car;
+}
+
+async function findDocument(req, carId) {
+  const documentId = asInt(req.params.documentId);
+  if (documentId === null) throw badRequest('documentId must be an integer');
+  const doc = await prisma.carDocument.findFirst({ where: { id: documentId, carId } });
+  if (!doc) throw notFound('Document not found');
+  return doc;
+}
+
+// GET /cars/:carId/documents - admin: the car's documents, newest expiry first, and its compliance status
+export const listCarDocuments = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const documents = await prisma.carDocument.findMany({
+      where: { carId: car.id },
+      orderBy: [{ expiresAt: 'desc' }, { id: 'desc' }],
+    });
+    const compliance = complianceStatus(documents, { warningDays: config.complianceWarningDays });
+    res.json({ compliance, documents });
+  } catch (e) { next(e); }
+};
+
+// POST /cars/:carId/documents - admin adds a document or a renewal, multipart with an optional "file"
+export const createCarDocument = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const data = parseDocumentFields(req.body ?? {});
+    const file = req.file ? { url: req.file.path, filename: req.file.filename } : {};
+
+    const created = await prisma.carDocument.create({ data: { carId: car.id, ...data, ...file } });
+    res.status(201).json(created);
+  } catch (e) {
+    await discardUpload(req.file);
+    next(e);
+  }
+};
+
+// PUT /cars/:carId/documents/:documentId - admin corrects the details; a new "file" replaces the old one
+export const updateCarDocument = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const doc = await findDocument(req, car.id);
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    const data = parseDocumentFields(body, { partial: true });
+    if (req.file) Object.assign(data, { url: req.file.path, filename: req.file.filename });
+    if (Object.keys(data).length === 0) throw badRequest('No fields to update');
+    const issuedAt = data.issuedAt !== undefined ? data.issuedAt : doc.issuedAt;
+    const expiresAt = data.expiresAt ?? doc.expiresAt;
+    if (issuedAt && expiresAt <= issuedAt) throw badRequest('expiresAt must be after issuedAt');
+
+    const updated = await prisma.carDocument.update({ where: { id: doc.id }, data });
+    if (req.file && doc.filename) {
+      try {
+        await cloudinary.uploader.destroy(doc.filename);
+      } catch (err) {
+        console.error('Error deleting replaced car document from Cloudinary:', err);
+      }
+    }
+    res.json(updated);
+  } catch (e) {
+    await discardUpload(req.file);
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Document not found' });
+    next(e);
+  }
+};
+
+// DELETE /cars/:carId/documents/:documentId - admin
+export const deleteCarDocument = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const doc = await findDocument(req, car.id);
+    await prisma.carDocument.delete({ where: { id: doc.id } });
+
+    if (doc.filename) {
+      try {
+        await cloudinary.uploader.destroy(doc.filename);
+      } catch (err) {
+        console.error('Error deleting car document from Cloudinary:', err);
+      }
+    }
+    res.status(204).end();
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Document not found' });
+    next(e);
+  }
+};
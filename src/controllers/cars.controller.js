@@ -1,21 +1,24 @@
 import prisma from '../models/db.js';
-import { badRequest, notFound } from '../errors.js';
+import { badRequest, conflict, notFound } from '../errors.js';
+import { CALENDAR_BLOCKING_STATES, computeFreeWindows, carFreeInRangeWhere } from '../lib/carCalendar.js';
+import { FuelType, Gearbox, BodyType, CarState } from '../lib/carEnums.js';
+import {
+  CAR_CSV_COLUMNS, asInt, asNum, carInputFromCsv, inRange, isNonEmptyString, isPlate, isVIN, parseCarInput,
+} from '../lib/carInput.js';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { decodeVin, normalizeVin, vinCheckDigitError, vinContradictions } from '../lib/vin.js';
+import { getCarOccupancy } from '../services/calendar.service.js';
+import { findCarIdsInCityAt } from '../services/oneWay.service.js';
+import { findCatalogCars, toCatalogResponse } from '../services/carCatalog.service.js';
+import { attachCompliance } from '../services/compliance.service.js';
+import { recordCarStateChange, recordOdometerReading } from '../services/carHistory.service.js';
+import { MAX_IMPORT_ROWS, importCars as runCarImport } from '../services/carImport.service.js';
+import { getBulkPricePreviews } from '../pricing/pricing.service.js';
 
 // -------- helpers --------
-const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
-const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
-const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
-const isVIN = (v) => typeof v === 'string' && v.trim().length === 17 && /^[A-HJ-NPR-Z0-9]{17}$/.test(v.trim().toUpperCase());
-const isPlate = (v) => typeof v === 'string' && /^[A-Z0-9\- ]{2,12}$/i.test(v.trim());
-const inRange = (n, min, max) => typeof n === 'number' && n >= min && n <= max;
-
-const FuelType = ['PETROL', 'PETROL_LPG', 'DIESEL', 'ELECTRIC', 'HYBRID_HEV', 'HYBRID_PHEV'];
-const Gearbox  = ['MANUAL', 'AUTOMATIC'];
-const BodyType = [
-  'SEDAN', 'HATCHBACK', 'SUV', 'WAGON', 'COUPE', 'CONVERTIBLE', 'VAN', 'PICKUP',
-  'MINIBUS_PASSENGER', 'MINIBUS_CARGO',
-];
-const CarState = ['AVAILABLE', 'LEASED', 'MAINTENANCE'];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const AVAILABILITY_DEFAULT_DAYS = 90;
+const AVAILABILITY_MAX_DAYS = 366;
 
 async function attachOccupiedToday(cars) {
   if (!Array.isArray(cars) || cars.length === 0) return cars;
@@ -54,6 +57,7 @@ const carPublic = {
   applyUtilizationPricing: true,
   utilizationMultiplierOverride: true,
   utilizationRate: true,
+  archivedAt: true,
   seatCount: true, fuelType: true, powerKW: true, engineCapacityL: true,
   bodyType: true, gearbox: true, state: true, odometerKm: true,
   images: {
@@ -70,10 +74,21 @@ const carPublic = {
   }
 };
 
-// GET /cars?cityId=&availableForSale=&availableForLease=&excludeNumberPlate=
+/** Cars in maintenance and archived cars are only visible to admins. */
+const hiddenFromPublic = (car) => car.state === 'MAINTENANCE' || car.archivedAt != null;
+
+// Catalogue filters shared by every listing (see src/lib/carCatalogQuery.js):
+// make, model, year|minYear|maxYear, fuelType, gearbox, bodyType, minSeats, minPrice, maxPrice,
+// sortBy=price|year|power, sortOrder=asc|desc, page+pageSize or cursor+limit.
+
+// GET /cars?cityId=&availableForSale=&availableForLease=&excludeNumberPlate=&<catalogue filters>
+// Admins also get each car's `compliance` (document expiry status), and ?archived=true lists archived cars.
 export const listCars = async (req, res, next) => {
   try {
     const where = {};
+    if (req.query.archived === 'true' && req.user?.role === 'ADMIN') {
+      where.archivedAt = { not: null };
+    }
     if (req.query.cityId !== undefined) {
       const cid = asInt(req.query.cityId);
       if (cid === null) throw badRequest('cityId must be an integer');
@@ -94,13 +109,15 @@ export const listCars = async (req, res, next) => {
       ? { ...carPublic, numberPlate: false }
       : carPublic;
     
-    const items = await prisma.car.findMany({ where, select: selectFields });
-    const withOccupancy = await attachOccupiedToday(items);
-    res.json(withOccupancy);
+    const { items, page } = await findCatalogCars(where, req.query, { select: selectFields });
+    let withOccupancy = await attachOccupiedToday(items);
+    // admins also see whether each car's documents are in order
+    if (req.user?.role === 'ADMIN') withOccupancy = await attachCompliance(withOccupancy);
+    res.json(toCatalogResponse(withOccupancy, page));
   } catch (e) { next(e); }
 };
 
-// GET /cars/for-sale?cityId=
+// GET /cars/for-sale?cityId=&<catalogue filters> (price filters/sorting use salePrice)
 export const listCarsForSale = async (req, res, next) => {
   try {
     const where = { availableForSale: true };
@@ -113,13 +130,17 @@ export const listCarsForSale = async (req, res, next) => {
     // Exclude number plate for public sale listings
     const selectFields = { ...carPublic, numberPlate: false };
     
-    const items = await prisma.car.findMany({ where, select: selectFields });
+    const { items, page } = await findCatalogCars(where, req.query, {
+      select: selectFields,
+      priceField: 'salePrice',
+    });
     const withOccupancy = await attachOccupiedToday(items);
-    res.json(withOccupancy);
+    res.json(toCatalogResponse(withOccupancy, page));
   } catch (e) { next(e); }
 };
 
-// GET /cars/for-lease?cityId=
+// GET /cars/for-lease?cityId=&startDate=&endDate=&<catalogue filters>
+// With startDate/endDate only cars free for the whole range are returned, each with a price quote.
 export const listCarsForLease = async (req, res, next) => {
   try {
     const where = { availableForLease: true, state: { not: 'MAINTENANCE' } };
@@ -128,10 +149,35 @@ export const listCarsForLease = async (req, res, next) => {
       if (cid === null) throw badRequest('cityId must be an integer');
       where.cityId = cid;
     }
-    
-    const items = await prisma.car.findMany({ where, select: carPublic });
+
+    const { startDate, endDate } = req.query;
+    const searchByDates = startDate !== undefined || endDate !== undefined;
+    let sd = null, ed = null;
+    if (searchByDates) {
+      if (startDate === undefined || endDate === undefined) {
+        throw badRequest('startDate and endDate must be provided together');
+      }
+      sd = new Date(startDate);
+      ed = new Date(endDate);
+      if (isNaN(sd) || isNaN(ed) || ed <= sd) throw badRequest('Invalid dates');
+      Object.assign(where, carFreeInRangeWhere(sd, ed));
+      // one-way bookings before startDate may have moved cars into or out of the city
+      if (where.cityId !== undefined) {
+        const { cityId, ...carWhere } = where;
+        where.id = { in: await findCarIdsInCityAt(cityId, sd, carWhere) };
+        delete where.cityId;
+      }
+    }
+
+    const { items, page } = await findCatalogCars(where, req.query, { select: carPublic });
     const withOccupancy = await attachOccupiedToday(items);
-    res.json(withOccupancy);
+    if (!searchByDates) {
+      return res.json(toCatalogResponse(withOccupancy, page));
+    }
+
+    const quotes = await getBulkPricePreviews(items.map((car) => car.id), sd, ed);
+    const withQuotes = withOccupancy.map((car) => ({ ...car, quote: quotes[car.id] ?? null }));
+    res.json(toCatalogResponse(withQuotes, page));
   } catch (e) { next(e); }
 };
 
@@ -142,7 +188,7 @@ export const getCar = async (req, res, next) => {
     if (id === null) throw badRequest('id must be an integer');
     const car = await prisma.car.findUnique({ where: { id }, select: carPublic });
     if (!car) throw notFound('Car not found');
-    if (car.state === 'MAINTENANCE' && req.user?.role !== 'ADMIN') {
+    if (hiddenFromPublic(car) && req.user?.role !== 'ADMIN') {
       throw notFound('Car not found');
     }
     const [carWithOccupancy] = await attachOccupiedToday([car]);
@@ -150,133 +196,39 @@ export const getCar = async (req, res, next) => {
   } catch (e) { next(e); }
 };
 
-// POST /cars
+// POST /cars - make and year may be left out when the VIN decodes them; the response carries
+// `warnings` when the submitted make or year contradicts the VIN
 export const createCar = async (req, res, next) => {
   try {
     const body = req.body ?? {};
     if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
 
-    const {
-      vin, numberPlate,
-      make, model, year, pricePerDay, cityId,
-      seatCount = 5, fuelType, powerKW, engineCapacityL = null,
-      bodyType, gearbox, state = 'AVAILABLE', odometerKm = 0,
-      availableForLease = true, availableForSale = false, salePrice = null, saleDescription = null, colour = null,
-      useDynamicPricing = false,
-      basePricePerDay = null,
-      minPricePerDay = null,
-      maxPricePerDay = null,
-      applyUtilizationPricing = true,
-      utilizationMultiplierOverride = null,
-    } = body;
-
-    // required strings
-    if (!isVIN(vin)) throw badRequest('vin must be a valid 17-character VIN (A-HJ-NPR-Z, 0-9, no I/O/Q)');
-    if (!isPlate(numberPlate)) throw badRequest('numberPlate must be 2–12 chars (letters/digits/-/space)');
-    if (!isNonEmptyString(make))  throw badRequest('make must be a non-empty string');
-    if (!isNonEmptyString(model)) throw badRequest('model must be a non-empty string');
-
-    // numerics
-    const yearInt = asInt(year);         
-    if (yearInt === null) throw badRequest('year must be an integer');
-    if (!inRange(yearInt, 1900, new Date().getFullYear() + 2)) {
-      throw badRequest(`year must be between 1900 and ${new Date().getFullYear() + 2}`);
-    }
-    
-    const price   = asNum(pricePerDay);  
-    if (price   === null || price <= 0) throw badRequest('pricePerDay must be a positive number');
-    
-    const cid     = asInt(cityId);       
-    if (cid     === null || cid <= 0) throw badRequest('cityId must be a positive integer');
-    
-    const seats   = asInt(seatCount);    
-    if (seats   === null || !inRange(seats, 1, 20)) throw badRequest('seatCount must be between 1 and 20');
-    
-    const kw      = asInt(powerKW);      
-    if (kw      === null || !inRange(kw, 1, 2000)) throw badRequest('powerKW must be between 1 and 2000');
-    
-    const odo     = asInt(odometerKm) ?? 0;
-    if (odo < 0 || odo > 10000000) throw badRequest('odometerKm must be between 0 and 10,000,000');
-
-    // enums
-    if (!FuelType.includes(fuelType)) throw badRequest(`fuelType must be one of: ${FuelType.join(', ')}`);
-    if (!Gearbox.includes(gearbox))   throw badRequest(`gearbox must be one of: ${Gearbox.join(', ')}`);
-    if (!BodyType.includes(bodyType)) throw badRequest(`bodyType must be one of: ${BodyType.join(', ')}`);
-    if (state && !CarState.includes(state)) throw badRequest(`state must be one of: ${CarState.join(', ')}`);
+    const decoded = isVIN(body.vin) ? decodeVin(body.vin) : null;
+    const makeGiven = isNonEmptyString(body.make);
+    const yearGiven = body.year != null && body.year !== '';
+    const input = {
+      ...body,
+      ...(!makeGiven && decoded?.make ? { make: decoded.make } : {}),
+      ...(!yearGiven && decoded?.modelYear ? { year: decoded.modelYear } : {}),
+    };
+    const data = parseCarInput(input);
+    const warnings = decoded
+      ? vinContradictions({ make: makeGiven ? data.make : null, year: yearGiven ? data.year : null }, decoded)
+      : [];
 
     // FK: city exists
-    const city = await prisma.city.findUnique({ where: { id: cid } });
+    const city = await prisma.city.findUnique({ where: { id: data.cityId } });
     if (!city) throw badRequest('Invalid cityId (city not found)');
 
-    // engine capacity normalization
-    let engineL = null;
-    if (fuelType === 'ELECTRIC') {
-      engineL = null;
-      if (engineCapacityL !== null) throw badRequest('engineCapacityL must be null for ELECTRIC');
-    } else {
-      engineL = engineCapacityL === null ? null : asNum(engineCapacityL);
-      if (engineL === null && engineCapacityL !== null) throw badRequest('engineCapacityL must be a number or null');
-    }
-
-    // Validate sale fields
-    const salePriceNum = salePrice !== null ? asNum(salePrice) : null;
-    if (salePrice !== null && salePriceNum === null) throw badRequest('salePrice must be a number or null');
-
-    let utilOverride = null;
-    if (utilizationMultiplierOverride !== null && utilizationMultiplierOverride !== undefined && utilizationMultiplierOverride !== '') {
-      const u = asNum(utilizationMultiplierOverride);
-      if (u === null || u < 0.1 || u > 3) throw badRequest('utilizationMultiplierOverride must be between 0.1 and 3 or null');
-      utilOverride = u;
-    }
-
-    const basePriceNum = basePricePerDay === null || basePricePerDay === undefined || basePricePerDay === '' ? null : asNum(basePricePerDay);
-    const minPriceNum = minPricePerDay === null || minPricePerDay === undefined || minPricePerDay === '' ? null : asNum(minPricePerDay);
-    const maxPriceNum = maxPricePerDay === null || maxPricePerDay === undefined || maxPricePerDay === '' ? null : asNum(maxPricePerDay);
-    if (basePriceNum !== null && basePriceNum <= 0) throw badRequest('basePricePerDay must be a positive number');
-    if (minPriceNum !== null && minPriceNum <= 0) throw badRequest('minPricePerDay must be a positive number');
-    if (maxPriceNum !== null && maxPriceNum <= 0) throw badRequest('maxPricePerDay must be a positive number');
-
-    if (useDynamicPricing === true) {
-      if (basePriceNum === null || minPriceNum === null || maxPriceNum === null) {
-        throw badRequest('Dynamic pricing requires basePricePerDay, minPricePerDay and maxPricePerDay');
-      }
-      if (minPriceNum > basePriceNum) throw badRequest('minPricePerDay cannot be greater than basePricePerDay');
-      if (maxPriceNum < basePriceNum) throw badRequest('maxPricePerDay cannot be lower than basePricePerDay');
-      if (minPriceNum > maxPriceNum) throw badRequest('minPricePerDay cannot be greater than maxPricePerDay');
-    }
-
-    const created = await prisma.car.create({
-      data: {
-        vin: vin.trim().toUpperCase(),
-        numberPlate: numberPlate.trim().toUpperCase(),
-        make: make.trim(),
-        model: model.trim(),
-        year: yearInt,
-        pricePerDay: price,
-        availableForLease: availableForLease === true,
-        availableForSale: availableForSale === true,
-        useDynamicPricing: useDynamicPricing === true,
-        basePricePerDay: basePriceNum,
-        minPricePerDay: minPriceNum,
-        maxPricePerDay: maxPriceNum,
-        applyUtilizationPricing: applyUtilizationPricing !== false,
-        utilizationMultiplierOverride: utilOverride,
-        salePrice: salePriceNum,
-        saleDescription: saleDescription ? String(saleDescription).trim() : null,
-        colour: colour ? String(colour).trim() : null,
-        cityId: cid,
-        seatCount: seats,
-        fuelType,
-        powerKW: kw,
-        engineCapacityL: engineL,
-        bodyType,
-        gearbox,
-        state: state || 'AVAILABLE',
-        odometerKm: odo
-      },
-      select: carPublic
+    const created = await prisma.$transaction(async (tx) => {
+      const car = await tx.car.create({ data, select: carPublic });
+      // the first entries of the car's history logs
+      const history = { carId: car.id, source: 'ADMIN_EDIT', actorId: req.user?.id ?? null };
+      await recordOdometerReading(tx, { ...history, previousKm: null, odometerKm: data.odometerKm });
+      await recordCarStateChange(tx, { ...history, fromState: null, toState: data.state });
+      return car;
     });
-    res.status(201).json(created);
+    res.status(201).json(warnings.length > 0 ? { ...created, warnings } : created);
   } catch (e) {
     if (e?.code === 'P2002') {
       const tgt = Array.isArray(e.meta?.target) ? e.meta.target.join(',') : e.meta?.target;
@@ -289,6 +241,65 @@ export const createCar = async (req, res, next) => {
   }
 };
 
+/** A JSON import row must be an object like the POST /cars body. */
+const jsonImportRow = (row) => {
+  if (typeof row !== 'object' || row === null || Array.isArray(row)) throw badRequest('row must be an object');
+  return row;
+};
+
+// POST /cars/import?dryRun=true - admin: upserts cars by VIN from a CSV (text/csv) or a JSON array
+export const importCars = async (req, res, next) => {
+  try {
+    let rows;
+    let toInput;
+    if (req.is('text/csv')) {
+      let csv;
+      try {
+        csv = parseCsv(typeof req.body === 'string' ? req.body : '');
+      } catch (err) {
+        throw badRequest(`Invalid CSV: ${err.message}`);
+      }
+      const unknown = csv.header.filter((column) => !CAR_CSV_COLUMNS.includes(column));
+      if (unknown.length > 0) throw badRequest(`Unknown CSV columns: ${unknown.join(', ')}`);
+      rows = csv.records;
+      toInput = carInputFromCsv;
+    } else {
+      if (!Array.isArray(req.body)) throw badRequest('body must be a CSV (text/csv) or a JSON array of cars');
+      rows = req.body;
+      toInput = jsonImportRow;
+    }
+    if (rows.length === 0) throw badRequest('No cars to import');
+    if (rows.length > MAX_IMPORT_ROWS) throw badRequest(`At most ${MAX_IMPORT_ROWS} cars can be imported at once`);
+
+    const report = await runCarImport(rows, {
+      toInput,
+      dryRun: req.query.dryRun === 'true',
+      actorId: req.user?.id ?? null,
+    });
+    res.json(report);
+  } catch (e) { next(e); }
+};
+
+// GET /cars/vin/:vin/decode - admin: make, model year and check digit read from the VIN, offline
+export const decodeCarVin = async (req, res, next) => {
+  try {
+    if (!isVIN(req.params.vin)) throw badRequest('vin must be a valid 17-character VIN (A-HJ-NPR-Z, 0-9, no I/O/Q)');
+    res.json(decodeVin(req.params.vin));
+  } catch (e) { next(e); }
+};
+
+// GET /cars/export - admin: the fleet, archived cars left out, as CSV in the import format
+export const exportCars = async (req, res, next) => {
+  try {
+    const cars = await prisma.car.findMany({
+      where: { archivedAt: null },
+      select: Object.fromEntries(CAR_CSV_COLUMNS.map((column) => [column, true])),
+      orderBy: { id: 'asc' },
+    });
+    res.attachment('cars.csv').type('text/csv').send(toCsv(CAR_CSV_COLUMNS, cars ?? []));
+  } catch (e) { next(e); }
+};
+
 // PUT /cars/:id
 export const updateCar = async (req, res, next) => {
   try {
@@ -303,6 +314,10 @@ export const updateCar = async (req, res, next) => {
 
     // optional strings
     if (data.vin !== undefined && !isVIN(data.vin))                 throw badRequest('vin must be a valid 17-character VIN');
+    // the stored VIN is kept as is, even when it predates the check digit validation
+    if (data.vin !== undefined && normalizeVin(data.vin) !== exists.vin && vinCheckDigitError(data.vin)) {
+      throw badRequest(vinCheckDigitError(data.vin));
+    }
     if (data.numberPlate !== undefined && !isPlate(data.numberPlate)) throw badRequest('numberPlate must be 2–12 chars');
     if (data.make !== undefined && !isNonEmptyString(data.make))    throw badRequest('make must be a non-empty string');
     if (data.model !== undefined && !isNonEmptyString(data.model))  throw badRequest('model must be a non-empty string');
@@ -428,7 +443,16 @@ export const updateCar = async (req, res, next) => {
     if (data.colour !== undefined) data.colour = data.colour ? String(data.colour).trim() : null;
     if (data.saleDescription !== undefined) data.saleDescription = data.saleDescription ? String(data.saleDescription).trim() : null;
 
-    const updated = await prisma.car.update({ where: { id }, data, select: carPublic });
+    const updated = await prisma.$transaction(async (tx) => {
+      const history = { carId: id, source: 'ADMIN_EDIT', actorId: req.user?.id ?? null };
+      if (data.odometerKm !== undefined && data.odometerKm !== exists.odometerKm) {
+        await recordOdometerReading(tx, { ...history, previousKm: exists.odometerKm, odometerKm: data.odometerKm });
+      }
+      if (data.state !== undefined) {
+        await recordCarStateChange(tx, { ...history, fromState: exists.state, toState: data.state });
+      }
+      return tx.car.update({ where: { id }, data, select: carPublic });
+    });
     res.json(updated);
   } catch (e) {
     if (e?.code === 'P2002') {
@@ -443,7 +467,7 @@ export const updateCar = async (req, res, next) => {
   }
 };
 
-// DELETE /cars/:id
+// DELETE /cars/:id - only cars that were never rented; archive the others to keep their history
 export const deleteCar = async (req, res, next) => {
   try {
     const id = asInt(req.params.id);
@@ -451,14 +475,87 @@ export const deleteCar = async (req, res, next) => {
     const car = await prisma.car.findUnique({ where: { id }, select: carPublic });
     if (!car) throw notFound('Car not found');
 
+    const contracts = await prisma.contract.count({ where: { carId: id } });
+    if (contracts > 0) {
+      throw conflict(`The car has ${contracts} contract(s); archive it instead (POST /cars/${id}/archive)`);
+    }
+
     await prisma.car.delete({ where: { id } });
     res.status(200).json(car);
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Car not found' });
+    if (e?.code === 'P2003') return res.status(409).json({ error: 'The car has contracts; archive it instead' });
+    next(e);
+  }
+};
+
+// POST /cars/:id/archive - admin: takes the car out of the fleet, keeping its rentals and revenue
+export const archiveCar = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+    const car = await prisma.car.findUnique({ where: { id }, select: carPublic });
+    if (!car) throw notFound('Car not found');
+    if (car.archivedAt) throw conflict('The car is already archived');
+
+    const open = await prisma.contract.count({ where: { carId: id, state: { in: CALENDAR_BLOCKING_STATES } } });
+    if (open > 0) throw conflict(`The car has ${open} open booking(s); complete or cancel them first`);
+
+    const updated = await prisma.car.update({ where: { id }, data: { archivedAt: new Date() }, select: carPublic });
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Car not found' });
+    next(e);
+  }
+};
+
+// POST /cars/:id/restore - admin: brings an archived car back into the fleet
+export const restoreCar = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+    const car = await prisma.car.findUnique({ where: { id }, select: carPublic });
+    if (!car) throw notFound('Car not found');
+    if (!car.archivedAt) throw conflict('The car is not archived');
+
+    const updated = await prisma.car.update({ where: { id }, data: { archivedAt: null }, select: carPublic });
+    res.json(updated);
   } catch (e) {
     if (e?.code === 'P2025') return res.status(404).json({ error: 'Car not found' });
     next(e);
   }
 };
 
+// GET /cars/:id/history?contractId= - admin: odometer readings and state changes, oldest first
+export const getCarHistory = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+    const car = await prisma.car.findUnique({
+      where: { id },
+      select: { id: true, make: true, model: true, numberPlate: true, odometerKm: true, state: true },
+    });
+    if (!car) throw notFound('Car not found');
+
+    const where = { carId: id };
+    if (req.query.contractId !== undefined) {
+      const contractId = asInt(req.query.contractId);
+      if (contractId === null) throw badRequest('contractId must be an integer');
+      where.contractId = contractId;
+    }
+    const query = {
+      where,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      include: { actor: { select: { id: true, firstName: true, lastName: true } } },
+    };
+    const [odometerReadings, stateChanges] = await Promise.all([
+      prisma.carOdometerReading.findMany(query),
+      prisma.carStateChange.findMany(query),
+    ]);
+    res.json({ car, odometerReadings, stateChanges });
+  } catch (e) { next(e); }
+};
+
 // GET /cars/:id/contracts
 export const listContractsForCar = async (req, res, next) => {
   try {
@@ -466,7 +563,7 @@ export const listContractsForCar = async (req, res, next) => {
     if (id === null) throw badRequest('id must be an integer');
     const car = await prisma.car.findUnique({ where: { id }, include: { contracts: true } });
     if (!car) throw notFound('Car not found');
-    if (car.state === 'MAINTENANCE' && req.user?.role !== 'ADMIN') {
+    if (hiddenFromPublic(car) && req.user?.role !== 'ADMIN') {
       throw notFound('Car not found');
     }
     const prepBlocks = await prisma.carPrepBlock.findMany({
@@ -477,3 +574,39 @@ export const listContractsForCar = async (req, res, next) => {
     res.json({ contracts: car.contracts, prepBlocks });
   } catch (e) { next(e); }
 };
+
+// GET /cars/:id/availability?from=&to=
+export const getCarAvailability = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (isNaN(from)) throw badRequest('from must be a valid date');
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + AVAILABILITY_DEFAULT_DAYS * MS_PER_DAY);
+    if (isNaN(to)) throw badRequest('to must be a valid date');
+    if (to <= from) throw badRequest('to must be after from');
+    if (to - from > AVAILABILITY_MAX_DAYS * MS_PER_DAY) {
+      throw badRequest(`Range cannot exceed ${AVAILABILITY_MAX_DAYS} days`);
+    }
+
+    const car = await prisma.car.findUnique({ where: { id }, select: { id: true, state: true, archivedAt: true } });
+    if (!car) throw notFound('Car not found');
+    const isAdmin = req.user?.role === 'ADMIN';
+    if (hiddenFromPublic(car) && !isAdmin) {
+      throw notFound('Car not found');
+    }
+
+    const occupied = await getCarOccupancy(id, from, to);
+    res.json({
+      carId: id,
+      from,
+      to,
+      // Contract ids are only useful (and only safe to reveal) for admins.
+      occupied: isAdmin ? occupied : occupied.map(({ contractId, prepBlockId, maintenanceTaskId, ...rest }) => rest),
+      free: computeFreeWindows(occupied, from, to),
+    });
+  } catch (e) { next(e); }
+};
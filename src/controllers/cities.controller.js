@@ -1,5 +1,6 @@
 import prisma from '../models/db.js';
 import { badRequest, notFound } from '../errors.js';
+import { findCatalogCars, toCatalogResponse } from '../services/carCatalog.service.js';
 
 const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
 const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
@@ -92,14 +93,16 @@ export const deleteCity = async (req, res, next) => {
   }
 };
 
-// GET /cities/:id/cars
+// GET /cities/:id/cars?<catalogue filters> (same filters as GET /cars)
 export const listCarsInCity = async (req, res, next) => {
   try {
     const id = asInt(req.params.id);
     if (id === null) throw badRequest('id must be an integer');
 
-    const city = await prisma.city.findUnique({ where: { id }, include: { cars: true } });
+    const city = await prisma.city.findUnique({ where: { id }, select: { id: true } });
     if (!city) throw notFound('City not found');
-    res.json(city.cars);
+
+    const { items, page } = await findCatalogCars({ cityId: id }, req.query);
+    res.json(toCatalogResponse(items, page));
   } catch (e) { next(e); }
 };
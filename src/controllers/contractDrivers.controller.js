@@ -0,0 +1,150 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { HttpError, badRequest, conflict, notFound } from '../errors.js';
+import { priceAdditionalDriver } from '../lib/additionalDrivers.js';
+import { AmendmentType } from '../lib/contractAmendments.js';
+import {
+  assertAdditionalDriversEligible,
+  contractDriversInclude,
+  parseAdditionalDriver,
+  redactContractDrivers,
+  resolveAdditionalDriver,
+} from '../services/additionalDrivers.service.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Drivers can be named or removed until the car is back. */
+const EDITABLE_STATES = ['DRAFT', 'ACTIVE'];
+
+const isOwnerOrAdmin = (req, userId) => {
+  if (!req.user) return true;            // auth off → allow
+  if (req.user.role === 'ADMIN') return true;
+  return req.user.id === userId;
+};
+
+/** The contract of :id; 404 when it does not exist. */
+async function findContract(req) {
+  const id = asInt(req.params.id);
+  if (id === null) throw badRequest('id must be an integer');
+
+  const contract = await prisma.contract.findUnique({ where: { id } });
+  if (!contract) throw notFound('Contract not found');
+  return contract;
+}
+
+const assertDriversEditable = (contract) => {
+  if (!EDITABLE_STATES.includes(contract.state)) {
+    throw conflict('Drivers can only be changed on DRAFT or ACTIVE contracts');
+  }
+};
+
+// GET /contracts/:id/drivers - owner, named driver or admin
+export const listContractDrivers = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const contract = await prisma.contract.findUnique({
+      where: { id },
+      select: { id: true, userId: true, drivers: contractDriversInclude },
+    });
+    if (!contract) throw notFound('Contract not found');
+
+    if (isOwnerOrAdmin(req, contract.userId)) return res.json(contract.drivers);
+
+    const isNamedDriver = req.user && contract.drivers.some((d) => d.userId === req.user.id);
+    if (!isNamedDriver) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.json(redactContractDrivers(contract.drivers));
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/drivers - owner or admin names an inline driver; admins may also name a registered user
+export const addContractDriver = async (req, res, next) => {
+  try {
+    const contract = await findContract(req);
+    if (!isOwnerOrAdmin(req, contract.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    assertDriversEditable(contract);
+
+    const input = parseAdditionalDriver(req.body ?? {});
+    // a named user gains read access to the contract, and the answer would tell a renter whether
+    // an email has an account, so only admins (who have the user's agreement) name them by email
+    if (input.email && req.user && req.user.role !== 'ADMIN') {
+      throw new HttpError(403, "Only an admin can name a registered user; give the driver's name and licence details instead");
+    }
+    const driver = await resolveAdditionalDriver(input);
+    if (driver.userId === contract.userId) throw badRequest('The customer is already the main driver');
+
+    const car = await prisma.car.findUnique({ where: { id: contract.carId } });
+    if (!car) throw notFound('Car not found');
+    await assertAdditionalDriversEligible({
+      drivers: [driver], car, startDate: contract.startDate, endDate: contract.endDate,
+    });
+
+    const { user, ...columns } = driver;
+    const feePerDay = config.additionalDriverFeePerDay;
+    const fee = priceAdditionalDriver(feePerDay, contract.startDate, contract.endDate);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.contractDriver.create({ data: { contractId: contract.id, ...columns, feePerDay, fee } });
+      return tx.contract.update({
+        where: { id: contract.id },
+        data: {
+          additionalDriversTotal: { increment: fee },
+          totalPrice: { increment: fee },
+        },
+        include: { drivers: contractDriversInclude },
+      });
+    });
+    res.status(201).json(updated);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'This user is already a driver on the contract' });
+    next(e);
+  }
+};
+
+// DELETE /contracts/:id/drivers/:driverId - owner or admin; the driver's fee and extension days come off the price
+export const removeContractDriver = async (req, res, next) => {
+  try {
+    const driverId = asInt(req.params.driverId);
+    if (driverId === null) throw badRequest('driverId must be an integer');
+
+    const contract = await findContract(req);
+    if (!isOwnerOrAdmin(req, contract.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    assertDriversEditable(contract);
+
+    const driver = await prisma.contractDriver.findFirst({ where: { id: driverId, contractId: contract.id } });
+    if (!driver) throw notFound('Driver not found on this contract');
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // extensions after the driver was named charged their days too, as part of the extension price
+      const extensions = (await tx.contractAmendment.findMany({
+        where: { contractId: contract.id, type: AmendmentType.EXTENSION, createdAt: { gt: driver.createdAt } },
+        select: { previousEndDate: true, newEndDate: true },
+      })) ?? [];
+      const extensionsFee = extensions.reduce(
+        (sum, a) => sum + priceAdditionalDriver(driver.feePerDay, a.previousEndDate, a.newEndDate),
+        0
+      );
+      await tx.contractDriver.delete({ where: { id: driverId } });
+      return tx.contract.update({
+        where: { id: contract.id },
+        data: {
+          additionalDriversTotal: { decrement: driver.fee },
+          totalPrice: { decrement: round2(driver.fee + extensionsFee) },
+        },
+        include: { drivers: contractDriversInclude },
+      });
+    });
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Driver not found on this contract' });
+    next(e);
+  }
+};
@@ -1,14 +1,53 @@
 import prisma from '../models/db.js';
-import { badRequest, notFound } from '../errors.js';
+import { config } from '../config.js';
+import { badRequest, conflict, notFound } from '../errors.js';
 import { rentalEndNeedsPrepDay, nextPrepDayRangeUtc } from '../lib/rentalPrep.js';
 import { calculateDynamicPrice } from '../pricing/pricing.service.js';
+import { assertNoCalendarConflict, lockCarCalendar } from '../services/calendar.service.js';
+import { ContractState, assertTransition } from '../lib/contractStateMachine.js';
+import { recordContractEvent, transitionContract } from '../services/contractState.service.js';
+import { computeReturnFees } from '../lib/returnFees.js';
+import { resolveReturnFeePolicy } from '../services/returnFeePolicy.service.js';
+import { contractDamageDiff } from '../services/inspection.service.js';
+import { recordInspectionDamages, syncCarDamageState } from '../services/damageRecord.service.js';
+import { createDueMaintenanceTasks } from '../services/maintenance.service.js';
+import { renderInvoiceHtml } from '../lib/invoice.js';
+import { getContractInvoice, issueInvoice } from '../services/invoice.service.js';
+import { quoteContractCancellation } from '../services/cancellation.service.js';
+import { settleCancelledPayments } from '../services/payment.service.js';
+import { AmendmentType, addOnCharges, earlyReturnPrice, rentalDays } from '../lib/contractAmendments.js';
+import { findOverdueContracts } from '../services/overdue.service.js';
+import { planContractRoute } from '../services/oneWay.service.js';
+import { assertDriverEligible } from '../services/driverEligibility.service.js';
+import { assertCarCompliant } from '../services/compliance.service.js';
+import {
+  assertAdditionalDriversEligible,
+  contractDriversInclude,
+  redactContractDrivers,
+} from '../services/additionalDrivers.service.js';
+import { additionalDriversTotal, priceAdditionalDriver } from '../lib/additionalDrivers.js';
+import { priceExtra } from '../lib/extras.js';
+import {
+  assertExtrasAvailable,
+  contractExtraRows,
+  lockExtraStock,
+  parseExtraSelections,
+  quoteSelectedExtras,
+} from '../services/extras.service.js';
 
 const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
 const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
 const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
 
-const ContractState = ['DRAFT', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
 const OPEN_RESERVATION_LIMIT = 3;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+/** How far in the past a renter may date their own return; older return times need an admin. */
+const BACKDATED_RETURN_GRACE_MS = 15 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Booked extras shown with a contract. */
+const extrasInclude = { include: { extra: { select: { id: true, code: true, name: true } } } };
 
 const isOwnerOrAdmin = (req, userId) => {
   if (!req.user) return true;            // auth off → allow
@@ -16,27 +55,126 @@ const isOwnerOrAdmin = (req, userId) => {
   return req.user.id === userId;
 };
 
-async function assertNoCalendarConflict(carId, start, end, excludeContractId = null) {
-  const overContract = await prisma.contract.findFirst({
-    where: {
-      carId,
-      ...(excludeContractId != null ? { id: { not: excludeContractId } } : {}),
-      state: { in: ['DRAFT', 'ACTIVE'] },
-      AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }],
-    },
-  });
-  if (overContract) {
-    throw badRequest('Selected dates overlap an existing reservation');
+/** Who is changing a contract's state; null when auth is off. */
+const contractActor = (req, contract) => (req.user
+  ? { id: req.user.id, isAdmin: req.user.role === 'ADMIN', isOwner: req.user.id === contract.userId }
+  : null);
+
+/** Optional free-text reason stored on the ContractEvent. */
+const parseReason = (reason) => {
+  if (reason === undefined || reason === null) return null;
+  if (typeof reason !== 'string') throw badRequest('reason must be a string');
+  return reason.trim() === '' ? null : reason.trim();
+};
+
+/** Optional pickupCityId / dropoffCityId; null when not given. */
+const parseCityId = (v, name) => {
+  if (v === undefined || v === null) return null;
+  const n = asInt(v);
+  if (n === null || n < 1) throw badRequest(`${name} must be a positive integer`);
+  return n;
+};
+
+/**
+ * Prices a booking and returns the contract columns to store.
+ * Dynamic-pricing cars go through calculateDynamicPrice (saving a PricingSnapshot);
+ * other cars cost days × pricePerDay and get the pricing breakdown columns cleared.
+ */
+async function priceContract(car, start, end, userId) {
+  const days = Math.max(1, Math.ceil(( end - start ) / MS_PER_DAY));
+
+  if (!car.useDynamicPricing) {
+    return {
+      totalPrice: days * car.pricePerDay,
+      basePrice: null,
+      dynamicPrice: null,
+      finalPrice: null,
+      appliedDiscount: 0,
+      demandMultiplier: null,
+      seasonalMultiplier: null,
+      durationDiscount: null,
+      pricingSnapshotId: null,
+    };
   }
-  const overPrep = await prisma.carPrepBlock.findFirst({
-    where: {
-      carId,
-      AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }],
-    },
+
+  const pricing = await calculateDynamicPrice({
+    carId: car.id,
+    startDate: start,
+    endDate: end,
+    userId,
+    saveSnapshot: true,
   });
-  if (overPrep) {
-    throw badRequest('Selected dates are not available for this car');
+
+  const basePerDay = pricing.basePrice ?? car.pricePerDay;
+  const calculatedPerDay = pricing.breakdown?.dynamicPrice ?? pricing.pricePerDay;
+  const finalPerDay = pricing.pricePerDay;
+
+  return {
+    totalPrice: pricing.totalPrice,
+    basePrice: basePerDay,
+    dynamicPrice: calculatedPerDay,
+    finalPrice: finalPerDay,
+    appliedDiscount: basePerDay > 0 ? Math.round(((basePerDay - finalPerDay) / basePerDay) * 10000) / 100 : 0,
+    demandMultiplier: pricing.breakdown?.multipliers?.demand ?? null,
+    seasonalMultiplier: pricing.breakdown?.multipliers?.seasonal ?? null,
+    durationDiscount: pricing.breakdown?.multipliers?.duration ?? null,
+    pricingSnapshotId: pricing.snapshotId ?? null,
+  };
+}
+
+/**
+ * Re-prices and re-checks the stock of a contract's extras for its new dates or pickup city,
+ * replacing its ContractExtra rows through `upd`. Run under the car's lock.
+ */
+async function repriceContractExtras(tx, { contractId, car, start, end, cityId, upd }) {
+  const booked = (await tx.contractExtra.findMany({ where: { contractId } })) ?? [];
+  if (booked.length === 0) return;
+  const extras = await quoteSelectedExtras({
+    car, start, end, selections: booked.map(({ extraId, quantity }) => ({ extraId, quantity })),
+  }, tx);
+  await lockExtraStock(tx, extras.items.map((i) => i.extraId));
+  await assertExtrasAvailable({ items: extras.items, cityId, start, end, excludeContractId: contractId }, tx);
+  upd.extrasTotal = extras.total;
+  upd.extras = { deleteMany: {}, create: contractExtraRows(extras.items, cityId) };
+}
+
+/**
+ * Keeps a contract's booked extras for the days an extension adds: re-checks the stock of
+ * stock-limited ones over [previousEnd, newEnd) and prices PER_DAY ones for those days at
+ * today's price. Like the drivers' added days, the charge is part of the extension price.
+ * @returns {Promise<number>} the charge for the added days
+ */
+async function priceExtrasForExtension(tx, { contractId, previousEnd, newEnd }) {
+  const booked = (await tx.contractExtra.findMany({ where: { contractId }, include: { extra: true } })) ?? [];
+  if (booked.length === 0) return 0;
+  await lockExtraStock(tx, booked.map((b) => b.extraId));
+  for (const b of booked) {
+    await assertExtrasAvailable({
+      items: [{ extraId: b.extraId, name: b.extra.name, quantity: b.quantity, stockLimited: b.extra.stockLimited }],
+      cityId: b.cityId,
+      start: previousEnd,
+      end: newEnd,
+      excludeContractId: contractId,
+    }, tx);
   }
+
+  const days = rentalDays(previousEnd, newEnd);
+  return round2(booked
+    .filter((b) => b.pricing === 'PER_DAY')
+    .reduce((sum, b) => sum + priceExtra({ pricing: b.pricing, price: b.extra.price }, b.quantity, days).totalPrice, 0));
+}
+
+/**
+ * Re-checks and re-prices a contract's additional drivers for its new dates or car,
+ * updating their ContractDriver fees through `upd`.
+ */
+async function repriceContractDrivers(tx, { contractId, car, start, end, upd }) {
+  const drivers = (await tx.contractDriver.findMany({ where: { contractId }, ...contractDriversInclude })) ?? [];
+  if (drivers.length === 0) return;
+  await assertAdditionalDriversEligible({ drivers, car, startDate: start, endDate: end }, tx);
+  const repriced = drivers.map((d) => ({ id: d.id, fee: priceAdditionalDriver(d.feePerDay, start, end) }));
+  upd.additionalDriversTotal = additionalDriversTotal(repriced);
+  upd.drivers = { update: repriced.map(({ id, fee }) => ({ where: { id }, data: { fee } })) };
 }
 
 // GET /contracts
@@ -72,7 +210,7 @@ export const listContracts = async (req, res, next) => {
   } catch (e) { next(e); }
 };
 
-// GET /contracts/my - User gets their own contracts
+// GET /contracts/my - User gets their own contracts and, read-only, those naming them as a driver
 export const getMyContracts = async (req, res, next) => {
   try {
     if (!req.user) {
@@ -89,42 +227,110 @@ export const getMyContracts = async (req, res, next) => {
       where.state = req.query.state;
     }
     
-    const items = await prisma.contract.findMany({ 
-      where,
-      orderBy: { startDate: 'desc' },
-      include: {
-        car: {
-          select: {
-            id: true,
-            make: true,
-            model: true,
-            year: true,
-            numberPlate: true,
-            images: {
-              where: { isMain: true },
-              select: { url: true }
-            }
+    const include = {
+      car: {
+        select: {
+          id: true,
+          make: true,
+          model: true,
+          year: true,
+          numberPlate: true,
+          images: {
+            where: { isMain: true },
+            select: { url: true }
           }
         }
-      }
-    });
+      },
+      extras: extrasInclude,
+      drivers: contractDriversInclude,
+    };
+    const [own, asDriver] = await Promise.all([
+      prisma.contract.findMany({ where, orderBy: { startDate: 'desc' }, include }),
+      prisma.contract.findMany({
+        where: { state: where.state, drivers: { some: { userId: req.user.id } } },
+        orderBy: { startDate: 'desc' },
+        include,
+      }),
+    ]);
+    const items = [
+      ...(own ?? []).map((c) => ({ ...c, isAdditionalDriver: false })),
+      ...(asDriver ?? []).map((c) => ({ ...c, drivers: redactContractDrivers(c.drivers), isAdditionalDriver: true })),
+    ].sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
     res.json(items);
   } catch (e) { next(e); }
 };
 
+// GET /contracts/overdue - admin: ACTIVE rentals past endDate and the next booking they endanger
+export const listOverdueContracts = async (req, res, next) => {
+  try {
+    res.json(await findOverdueContracts());
+  } catch (e) { next(e); }
+};
+
 // GET /contracts/:id
 export const getContract = async (req, res, next) => {
   try {
     const id = asInt(req.params.id);
     if (id === null) throw badRequest('id must be an integer');
 
-    const item = await prisma.contract.findUnique({ where: { id } });
+    const item = await prisma.contract.findUnique({
+      where: { id },
+      include: { extras: extrasInclude, drivers: contractDriversInclude },
+    });
+    if (!item) throw notFound('Contract not found');
+
+    if (isOwnerOrAdmin(req, item.userId)) return res.json(item);
+
+    // named drivers may look but not change anything, nor see the other drivers' licences
+    const isNamedDriver = req.user && (item.drivers ?? []).some((d) => d.userId === req.user.id);
+    if (!isNamedDriver) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.json({ ...item, drivers: redactContractDrivers(item.drivers) });
+  } catch (e) { next(e); }
+};
+
+// GET /contracts/:id/history - state changes, oldest first
+export const getContractHistory = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const item = await prisma.contract.findUnique({ where: { id }, select: { id: true, userId: true } });
     if (!item) throw notFound('Contract not found');
 
     if (!isOwnerOrAdmin(req, item.userId)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
-    res.json(item);
+
+    const events = await prisma.contractEvent.findMany({
+      where: { contractId: id },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      include: { actor: { select: { id: true, firstName: true, lastName: true } } },
+    });
+    res.json(events);
+  } catch (e) { next(e); }
+};
+
+// GET /contracts/:id/amendments - extensions and early returns, oldest first
+export const getContractAmendments = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const item = await prisma.contract.findUnique({ where: { id }, select: { id: true, userId: true } });
+    if (!item) throw notFound('Contract not found');
+
+    if (!isOwnerOrAdmin(req, item.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const amendments = await prisma.contractAmendment.findMany({
+      where: { contractId: id },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      include: { actor: { select: { id: true, firstName: true, lastName: true } } },
+    });
+    res.json(amendments);
   } catch (e) { next(e); }
 };
 
@@ -137,6 +343,9 @@ export const createContract = async (req, res, next) => {
     const { carId, startDate, endDate, mileageStartKm, fuelLevelStartPct, notes } = body;
 
     const carIdNum = asInt(carId); if (carIdNum === null) throw badRequest('carId must be an integer');
+    const pickupCityId = parseCityId(body.pickupCityId, 'pickupCityId');
+    const dropoffCityId = parseCityId(body.dropoffCityId, 'dropoffCityId');
+    const extraSelections = parseExtraSelections(body.extras);
 
     if (mileageStartKm == null || fuelLevelStartPct == null) {
       throw badRequest('mileageStartKm and fuelLevelStartPct are required');
@@ -147,7 +356,7 @@ export const createContract = async (req, res, next) => {
     // FK: car exists
     const car = await prisma.car.findUnique({ where: { id: carIdNum } });
     if (!car) throw badRequest('Invalid carId');
-    if (car.state === 'MAINTENANCE') throw badRequest('This car is not available for booking');
+    if (car.state === 'MAINTENANCE' || car.archivedAt) throw badRequest('This car is not available for booking');
 
     // dates
     const sd = new Date(startDate), ed = new Date(endDate);
@@ -177,56 +386,50 @@ export const createContract = async (req, res, next) => {
       throw badRequest(`You can have up to ${OPEN_RESERVATION_LIMIT} active or pending reservations at a time`);
     }
 
-    const MS_PER_DAY = 1000 * 60 * 60 * 24;
-    const days = Math.max(1, Math.ceil(( ed - sd ) / MS_PER_DAY));
-
+    await assertDriverEligible({ userId, car, startDate: sd, endDate: ed });
+    await assertCarCompliant(car.id, ed);
     await assertNoCalendarConflict(car.id, sd, ed);
 
-    let totalPrice = days * car.pricePerDay;
-    let pricingPayload = {};
-
-    if (car.useDynamicPricing) {
-      const pricing = await calculateDynamicPrice({
-        carId: car.id,
-        startDate: sd,
-        endDate: ed,
-        userId,
-        saveSnapshot: true,
-      });
-
-      totalPrice = pricing.totalPrice;
-      const basePerDay = pricing.basePrice ?? car.pricePerDay;
-      const calculatedPerDay = pricing.breakdown?.dynamicPrice ?? pricing.pricePerDay;
-      const finalPerDay = pricing.pricePerDay;
-
-      pricingPayload = {
-        basePrice: basePerDay,
-        dynamicPrice: calculatedPerDay,
-        finalPrice: finalPerDay,
-        appliedDiscount: basePerDay > 0 ? Math.round(((basePerDay - finalPerDay) / basePerDay) * 10000) / 100 : 0,
-        demandMultiplier: pricing.breakdown?.multipliers?.demand ?? null,
-        seasonalMultiplier: pricing.breakdown?.multipliers?.seasonal ?? null,
-        durationDiscount: pricing.breakdown?.multipliers?.duration ?? null,
-      };
-    }
-
-    if (totalPrice < 0) throw badRequest('Calculated totalPrice is negative (invalid dates or pricePerDay)');
-
-    const created = await prisma.contract.create({
-      data: {
-        userId,
-        carId: car.id,
-        startDate: sd,
-        endDate: ed,
-        totalPrice,
-        state: 'DRAFT',
-        mileageStartKm: msKm,
-        fuelLevelStartPct: flPct,
-        ...(notes !== undefined && String(notes).trim() !== ''
-          ? { notes: String(notes).trim() }
-          : {}),
-        ...pricingPayload,
+    const { totalPrice: rentalPrice, ...pricingPayload } = await priceContract(car, sd, ed, userId);
+
+    if (rentalPrice < 0) throw badRequest('Calculated totalPrice is negative (invalid dates or pricePerDay)');
+    const extras = await quoteSelectedExtras({ car, start: sd, end: ed, selections: extraSelections });
+
+    const created = await prisma.$transaction(async (tx) => {
+      // Re-check under the car's lock: a concurrent booking may have landed since the check above
+      await lockCarCalendar(tx, car.id);
+      await assertNoCalendarConflict(car.id, sd, ed, null, tx);
+      const route = await planContractRoute({ car, start: sd, end: ed, pickupCityId, dropoffCityId }, tx);
+      // extras come out of the pickup city's stock
+      const stockCityId = route.pickupCityId ?? car.cityId;
+      if (extras.items.length > 0) {
+        await lockExtraStock(tx, extras.items.map((i) => i.extraId));
+        await assertExtrasAvailable({ items: extras.items, cityId: stockCityId, start: sd, end: ed }, tx);
       }
+      const c = await tx.contract.create({
+        data: {
+          userId,
+          carId: car.id,
+          startDate: sd,
+          endDate: ed,
+          totalPrice: round2(rentalPrice + route.oneWayFee + extras.total),
+          ...route,
+          extrasTotal: extras.total,
+          ...(extras.items.length > 0
+            ? { extras: { create: contractExtraRows(extras.items, stockCityId) } }
+            : {}),
+          state: 'DRAFT',
+          mileageStartKm: msKm,
+          fuelLevelStartPct: flPct,
+          ...(notes !== undefined && String(notes).trim() !== ''
+            ? { notes: String(notes).trim() }
+            : {}),
+          ...pricingPayload,
+        },
+        include: { extras: extrasInclude },
+      });
+      await recordContractEvent(tx, { contractId: c.id, fromState: null, toState: 'DRAFT', actorId: req.user?.id ?? null });
+      return c;
     });
 
     res.status(201).json(created);
@@ -275,22 +478,45 @@ export const updateContract = async (req, res, next) => {
     const car = await prisma.car.findUnique({ where: { id: newCarId } });
     if (!car) throw badRequest('Invalid carId');
 
-    // state enum (optional)
+    // state (optional) goes through the same transition table as the dedicated endpoints
     if (state !== undefined && !ContractState.includes(state)) {
       throw badRequest(`state must be one of: ${ContractState.join(', ')}`);
     }
+    const stateChanged = state !== undefined && state !== current.state;
+    if (stateChanged) {
+      if (state === 'COMPLETED') throw badRequest('Use POST /contracts/:id/complete to complete a contract');
+      assertTransition(current.state, state, contractActor(req, current));
+    }
+    const reason = parseReason(data.reason);
 
-    const MS_PER_DAY = 1000 * 60 * 60 * 24;
-    const days = Math.max(1, Math.ceil(( newEnd - newStart ) / MS_PER_DAY));
-    const totalPrice = days * car.pricePerDay;
-    
-    if (totalPrice < 0) throw badRequest('Calculated totalPrice is negative (invalid dates or pricePerDay)');
+    // closed contracts may be invoiced and refunded already; they are not edited afterwards
+    if (current.state === 'COMPLETED' || current.state === 'CANCELLED') {
+      throw conflict(`A ${current.state} contract can no longer be edited`);
+    }
+    // once the rental runs, dates move only through the amendment endpoints, which price and record the change
+    const carChanged = newCarId !== current.carId;
+    const datesChanged = newStart.getTime() !== new Date(current.startDate).getTime()
+      || newEnd.getTime() !== new Date(current.endDate).getTime();
+    if (current.state !== 'DRAFT' && (carChanged || datesChanged)) {
+      throw conflict(
+        'Dates and car can only be changed while the contract is a DRAFT; use POST /contracts/:id/extend or /contracts/:id/early-return',
+        { state: current.state },
+      );
+    }
+
+    // route: keep the stored cities unless new ones are given or the car changes
+    const pickupCityId = data.pickupCityId !== undefined
+      ? parseCityId(data.pickupCityId, 'pickupCityId')
+      : (carChanged ? null : current.pickupCityId ?? null);
+    const dropoffCityId = data.dropoffCityId !== undefined
+      ? parseCityId(data.dropoffCityId, 'dropoffCityId')
+      : (carChanged ? null : current.dropoffCityId ?? null);
+    const routeChanged = data.pickupCityId !== undefined || data.dropoffCityId !== undefined;
 
     const upd = {
       carId: newCarId,
       startDate: newStart,
       endDate: newEnd,
-      totalPrice
     };
 
     if (mileageEndKm != null) {
@@ -304,22 +530,68 @@ export const updateContract = async (req, res, next) => {
       if (fl === null || fl < 0 || fl > 100) throw badRequest('fuelLevelEndPct must be 0..100');
       upd.fuelLevelEndPct = fl;
     }
-    if (state !== undefined) upd.state = state;
     if (notes !== undefined) {
       if (typeof notes !== 'string') throw badRequest('notes must be a string');
       upd.notes = notes.trim() === '' ? null : notes.trim();
     }
 
     const finalState = state !== undefined ? state : current.state;
-    if (finalState === 'DRAFT' || finalState === 'ACTIVE') {
-      if (car.state === 'MAINTENANCE') {
+    const blocksCalendar = finalState === 'DRAFT' || finalState === 'ACTIVE';
+    if (blocksCalendar) {
+      if (car.state === 'MAINTENANCE' || car.archivedAt) {
         throw badRequest('This car is not available for booking');
       }
       await assertNoCalendarConflict(newCarId, newStart, newEnd, id);
     }
 
-    const updated = await prisma.contract.update({ where: { id }, data: upd });
-    res.json(updated);
+    // Reprice only when the booking itself changed; edits to notes or return readings keep the quote.
+    const bookingChanged = carChanged || datesChanged;
+    if (bookingChanged && blocksCalendar) {
+      await assertDriverEligible({ userId: current.userId, car, startDate: newStart, endDate: newEnd });
+      await assertCarCompliant(newCarId, newEnd);
+    }
+    let rentalPrice = round2(current.totalPrice - addOnCharges(current));
+    if (bookingChanged) {
+      const { totalPrice, ...pricingPayload } = await priceContract(car, newStart, newEnd, current.userId);
+      if (totalPrice < 0) throw badRequest('Calculated totalPrice is negative (invalid dates or pricePerDay)');
+      Object.assign(upd, pricingPayload);
+      rentalPrice = totalPrice;
+    }
+    const replanRoute = blocksCalendar && (bookingChanged || routeChanged);
+
+    let priceChange = null;
+    const updated = await prisma.$transaction(async (tx) => {
+      if (blocksCalendar) {
+        await lockCarCalendar(tx, newCarId);
+        await assertNoCalendarConflict(newCarId, newStart, newEnd, id, tx);
+      }
+      if (replanRoute) {
+        const route = await planContractRoute({
+          car, start: newStart, end: newEnd, pickupCityId, dropoffCityId, excludeContractId: id,
+        }, tx);
+        Object.assign(upd, route);
+        await repriceContractExtras(tx, {
+          contractId: id, car, start: newStart, end: newEnd, cityId: route.pickupCityId ?? car.cityId, upd,
+        });
+      }
+      if (bookingChanged && blocksCalendar) {
+        await repriceContractDrivers(tx, { contractId: id, car, start: newStart, end: newEnd, upd });
+      }
+      if (bookingChanged || replanRoute) {
+        const totalPrice = round2(rentalPrice + addOnCharges({ ...current, ...upd }));
+        upd.totalPrice = totalPrice;
+        priceChange = {
+          previousTotalPrice: current.totalPrice,
+          totalPrice,
+          difference: round2(totalPrice - current.totalPrice),
+        };
+      }
+      return stateChanged
+        ? transitionContract(tx, current, state, { actor: contractActor(req, current), reason, data: upd })
+        : tx.contract.update({ where: { id }, data: upd });
+    });
+    if (stateChanged && state === 'CANCELLED') await settleCancelledPayments(id);
+    res.json({ ...updated, priceChange });
   } catch (e) {
     if (e?.code === 'P2003') return res.status(400).json({ error: 'Foreign key constraint (carId) failed' });
     if (e?.code === 'P2025') return res.status(404).json({ error: 'Contract not found' });
@@ -339,8 +611,21 @@ export const deleteContract = async (req, res, next) => {
     if (!isOwnerOrAdmin(req, item.userId)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
+    // invoices, payments and amendments are the financial trail; such contracts are cancelled instead
+    if (item.state !== 'DRAFT') throw conflict('Only DRAFT contracts can be deleted; cancel it instead');
+    const [invoices, payments] = await Promise.all([
+      prisma.invoice.count({ where: { contractId: id } }),
+      prisma.payment.count({ where: { contractId: id } }),
+    ]);
+    if (invoices > 0 || payments > 0) {
+      throw conflict('A contract with invoices or payments cannot be deleted; cancel it instead');
+    }
 
-    await prisma.contract.delete({ where: { id } });
+    await prisma.$transaction(async (tx) => {
+      // the history of a draft nobody paid for goes with it
+      await tx.contractEvent.deleteMany({ where: { contractId: id } });
+      await tx.contract.delete({ where: { id } });
+    });
     res.status(200).json(item);
   } catch (e) {
     if (e?.code === 'P2025') return res.status(404).json({ error: 'Contract not found' });
@@ -361,14 +646,36 @@ export const completeContract = async (req, res, next) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    if (current.state && current.state !== 'ACTIVE') {
-      return res.status(409).json({ error: `Cannot complete contract in state ${current.state}` });
-    }
+    assertTransition(current.state, 'COMPLETED', contractActor(req, current));
 
     const body = req.body ?? {};
     if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
 
-    const { mileageEndKm, fuelLevelEndPct, damageFee = 0, notes } = body;
+    // a return inspection supplies the readings and prices the new damage it found
+    const damageDiff = await contractDamageDiff(current);
+    const inspected = damageDiff.return;
+    if (inspected && body.damageFee !== undefined) {
+      throw badRequest('damageFee cannot be set when a return inspection was recorded; damage is charged from it');
+    }
+
+    const {
+      mileageEndKm = inspected?.odometerKm,
+      fuelLevelEndPct = inspected?.fuelLevelPct,
+      damageFee = 0,
+      notes,
+    } = body;
+
+    // actual return moment; without it the car counts as returned now, so late returns are charged
+    const returnedAt = body.returnedAt != null ? new Date(body.returnedAt) : new Date();
+    if (isNaN(returnedAt)) throw badRequest('returnedAt must be a valid date');
+    if (body.returnedAt != null) {
+      if (returnedAt <= new Date(current.startDate)) throw badRequest('returnedAt must be after startDate');
+      if (returnedAt > new Date()) throw badRequest('returnedAt cannot be in the future');
+      // a backdated return would dodge the late fees
+      if (req.user && req.user.role !== 'ADMIN' && returnedAt < new Date(Date.now() - BACKDATED_RETURN_GRACE_MS)) {
+        throw badRequest('returnedAt cannot be in the past; ask an admin to record an earlier return');
+      }
+    }
 
     const endKm = asInt(mileageEndKm);
     if (endKm === null || endKm < 0) throw badRequest('mileageEndKm must be a non-negative integer');
@@ -383,42 +690,62 @@ export const completeContract = async (req, res, next) => {
     if (notes !== undefined && notes !== null && typeof notes !== 'string') {
       throw badRequest('notes must be a string');
     }
-
-    // fees
-    const MS_PER_DAY = 1000 * 60 * 60 * 24;
-    const days = Math.max(1, Math.ceil(( current.endDate - current.startDate ) / MS_PER_DAY));
-    const allowanceKm = 200 * days;
-
-    const drivenKm = endKm - current.mileageStartKm;
-    const extraKm = Math.max(0, drivenKm - allowanceKm);
-    const extraKmFee = extraKm * 0.10;
-
-    const fuelDeltaPct = Math.max(0, (current.fuelLevelStartPct ?? 0) - endFuel);
-    const fuelFee = fuelDeltaPct * 1.0;
-
-    const extraFees = parseFloat((extraKmFee + fuelFee + dmg).toFixed(2));
+    const reason = parseReason(body.reason);
+
+    // fees, using the return-fee policy for this car (EVs are charged on battery %)
+    const car = await prisma.car.findUnique({ where: { id: current.carId } });
+    if (!car) throw notFound('Car not found');
+    const policy = await resolveReturnFeePolicy(car);
+    const feeBreakdown = computeReturnFees({
+      policy,
+      car,
+      rentalDays: Math.max(1, Math.ceil(( current.endDate - current.startDate ) / MS_PER_DAY)),
+      drivenKm: endKm - current.mileageStartKm,
+      startLevelPct: current.fuelLevelStartPct,
+      endLevelPct: endFuel,
+      damageFee: dmg,
+      damages: damageDiff.newDamages,
+      endDate: current.endDate,
+      returnedAt,
+    });
+    const extraFees = feeBreakdown.total;
 
     await prisma.$transaction(async (tx) => {
-      await tx.contract.update({
-        where: { id },
+      await transitionContract(tx, current, 'COMPLETED', {
+        actor: contractActor(req, current),
+        reason,
         data: {
           mileageEndKm: endKm,
           fuelLevelEndPct: endFuel,
+          returnedAt,
           extraFees,
-          state: 'COMPLETED',
+          extraFeeBreakdown: feeBreakdown,
           ...(notes !== undefined
             ? { notes: notes.trim() === '' ? null : notes.trim() }
             : {}),
         },
+        // one-way rentals leave the car in the drop-off city
+        carData: {
+          odometerKm: endKm,
+          ...(current.dropoffCityId != null && current.dropoffCityId !== car.cityId
+            ? { cityId: current.dropoffCityId }
+            : {}),
+        },
       });
+      await issueInvoice(tx, id);
 
-      await tx.car.update({
-        where: { id: current.carId },
-        data: { odometerKm: endKm, state: 'AVAILABLE' },
-      });
-
-      if (rentalEndNeedsPrepDay(current.endDate)) {
-        const { startUtc, endExclusiveUtc } = nextPrepDayRangeUtc(current.endDate);
+      // new damage joins the car's register; severe damage keeps it in maintenance
+      if (damageDiff.newDamages.length > 0) {
+        await recordInspectionDamages(tx, current, damageDiff.newDamages);
+      }
+      await syncCarDamageState(current.carId, {
+        state: 'AVAILABLE',
+        contractId: current.id,
+        actorId: req.user?.id ?? null,
+      }, tx);
+
+      if (rentalEndNeedsPrepDay(returnedAt)) {
+        const { startUtc, endExclusiveUtc } = nextPrepDayRangeUtc(returnedAt);
         await tx.carPrepBlock.create({
           data: {
             carId: current.carId,
@@ -429,13 +756,20 @@ export const completeContract = async (req, res, next) => {
       }
     });
 
+    // the new odometer reading may make maintenance due; the rental is completed either way
+    try {
+      await createDueMaintenanceTasks({ carId: current.carId });
+    } catch (err) {
+      console.error(`Error checking maintenance for car ${current.carId}:`, err);
+    }
+
     const updated = await prisma.contract.findUnique({ where: { id } });
     res.json(updated);
   } catch (e) { next(e); }
 };
 
-// POST /contracts/:id/activate - Admin activates DRAFT → ACTIVE
-export const activateContract = async (req, res, next) => {
+// POST /contracts/:id/extend - move the end of an ACTIVE rental later, pricing only the added days
+export const extendContract = async (req, res, next) => {
   try {
     const id = asInt(req.params.id);
     if (id === null) throw badRequest('id must be an integer');
@@ -443,31 +777,73 @@ export const activateContract = async (req, res, next) => {
     const current = await prisma.contract.findUnique({ where: { id } });
     if (!current) throw notFound('Contract not found');
 
-    if (current.state !== 'DRAFT') {
-      return res.status(409).json({ error: `Cannot activate contract in state ${current.state}. Only DRAFT contracts can be activated.` });
+    if (!isOwnerOrAdmin(req, current.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
     }
+    if (current.state !== 'ACTIVE') throw conflict('Only ACTIVE contracts can be extended');
 
-    const updated = await prisma.$transaction(async (tx) => {
-      const c = await tx.contract.update({
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    const previousEnd = new Date(current.endDate);
+    const newEnd = new Date(body.endDate);
+    if (body.endDate == null || isNaN(newEnd)) throw badRequest('endDate must be a valid date');
+    if (newEnd <= previousEnd) throw badRequest('endDate must be after the current endDate');
+    const now = new Date();
+    const tenYearsFromNow = new Date(now.getFullYear() + 10, now.getMonth(), now.getDate());
+    if (newEnd > tenYearsFromNow) throw badRequest('endDate cannot be more than 10 years in the future');
+    const reason = parseReason(body.reason);
+
+    const car = await prisma.car.findUnique({ where: { id: current.carId } });
+    if (!car) throw notFound('Car not found');
+    await assertDriverEligible({ userId: current.userId, car, startDate: current.startDate, endDate: newEnd });
+    await assertCarCompliant(current.carId, newEnd);
+    const drivers = (await prisma.contractDriver.findMany({ where: { contractId: id }, ...contractDriversInclude })) ?? [];
+    await assertAdditionalDriversEligible({ drivers, car, startDate: current.startDate, endDate: newEnd });
+
+    // Only the added days need to be free; checked again under the car's lock before writing
+    await assertNoCalendarConflict(current.carId, previousEnd, newEnd, id);
+
+    // Added days at today's rates, not the rate of the original booking
+    const { totalPrice: extensionPrice, pricingSnapshotId } = await priceContract(car, previousEnd, newEnd, current.userId);
+    // additional drivers pay for the added days too; it is part of the extension, not of their fee
+    const driversPrice = drivers.reduce((sum, d) => sum + priceAdditionalDriver(d.feePerDay, previousEnd, newEnd), 0);
+
+    const { updated, amendment } = await prisma.$transaction(async (tx) => {
+      await lockCarCalendar(tx, current.carId);
+      await assertNoCalendarConflict(current.carId, previousEnd, newEnd, id, tx);
+      const extrasPrice = await priceExtrasForExtension(tx, { contractId: id, previousEnd, newEnd });
+      const newTotalPrice = round2(current.totalPrice + extensionPrice + driversPrice + extrasPrice);
+      const updated = await tx.contract.update({
         where: { id },
-        data: { state: 'ACTIVE' },
+        data: { endDate: newEnd, totalPrice: newTotalPrice },
       });
-      await tx.car.update({
-        where: { id: current.carId },
-        data: { state: 'LEASED' },
+      const amendment = await tx.contractAmendment.create({
+        data: {
+          contractId: id,
+          type: AmendmentType.EXTENSION,
+          previousEndDate: previousEnd,
+          newEndDate: newEnd,
+          previousTotalPrice: current.totalPrice,
+          newTotalPrice,
+          priceDifference: round2(newTotalPrice - current.totalPrice),
+          pricingSnapshotId,
+          actorId: req.user?.id ?? null,
+          reason,
+        },
       });
-      return c;
+      return { updated, amendment };
     });
 
-    res.json(updated);
+    res.json({ ...updated, amendment });
   } catch (e) {
     if (e?.code === 'P2025') return res.status(404).json({ error: 'Contract not found' });
     next(e);
   }
 };
 
-// POST /contracts/:id/cancel - User/Admin cancels contract
-export const cancelContract = async (req, res, next) => {
+// POST /contracts/:id/early-return - car came back (or will) before endDate; complete it afterwards
+export const earlyReturnContract = async (req, res, next) => {
   try {
     const id = asInt(req.params.id);
     if (id === null) throw badRequest('id must be an integer');
@@ -475,29 +851,151 @@ export const cancelContract = async (req, res, next) => {
     const current = await prisma.contract.findUnique({ where: { id } });
     if (!current) throw notFound('Contract not found');
 
-    // Check ownership for non-admin users
     if (!isOwnerOrAdmin(req, current.userId)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
+    if (current.state !== 'ACTIVE') throw conflict('Only ACTIVE contracts can be returned early');
 
-    // Can only cancel DRAFT or ACTIVE contracts
-    if (current.state === 'COMPLETED' || current.state === 'CANCELLED') {
-      return res.status(409).json({ error: `Cannot cancel contract in state ${current.state}` });
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    const returnedAt = body.returnedAt != null ? new Date(body.returnedAt) : new Date();
+    if (isNaN(returnedAt)) throw badRequest('returnedAt must be a valid date');
+    if (returnedAt <= new Date(current.startDate)) throw badRequest('returnedAt must be after startDate');
+    if (returnedAt >= new Date(current.endDate)) {
+      throw badRequest('returnedAt must be before endDate; use POST /contracts/:id/complete for on-time returns');
+    }
+    // a backdated return would refund days the renter still had the car
+    if (req.user && req.user.role !== 'ADMIN' && returnedAt < new Date(Date.now() - BACKDATED_RETURN_GRACE_MS)) {
+      throw badRequest('returnedAt cannot be in the past; ask an admin to record an earlier return');
     }
+    const reason = parseReason(body.reason);
 
-    const updated = await prisma.contract.update({
-      where: { id },
-      data: { state: 'CANCELLED' }
+    const { totalPrice: newTotalPrice } = earlyReturnPrice({
+      contract: current,
+      returnedAt,
+      policy: config.earlyReturnPolicy,
     });
 
-    // If car was marked as LEASED, set it back to AVAILABLE
-    if (current.state === 'ACTIVE') {
-      await prisma.car.update({
-        where: { id: current.carId },
-        data: { state: 'AVAILABLE' }
+    // endDate becomes the return time, so completion fees and the prep day follow the real return
+    const { updated, amendment } = await prisma.$transaction(async (tx) => {
+      const updated = await tx.contract.update({
+        where: { id },
+        data: { endDate: returnedAt, totalPrice: newTotalPrice },
       });
+      const amendment = await tx.contractAmendment.create({
+        data: {
+          contractId: id,
+          type: AmendmentType.EARLY_RETURN,
+          previousEndDate: current.endDate,
+          newEndDate: returnedAt,
+          previousTotalPrice: current.totalPrice,
+          newTotalPrice,
+          priceDifference: round2(newTotalPrice - current.totalPrice),
+          actorId: req.user?.id ?? null,
+          reason,
+        },
+      });
+      return { updated, amendment };
+    });
+
+    res.json({ ...updated, amendment });
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Contract not found' });
+    next(e);
+  }
+};
+
+// GET /contracts/:id/invoice - JSON by default, printable HTML with ?format=html or Accept: text/html
+export const getInvoice = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const contract = await prisma.contract.findUnique({ where: { id }, select: { id: true, userId: true, state: true } });
+    if (!contract) throw notFound('Contract not found');
+
+    if (!isOwnerOrAdmin(req, contract.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const format = req.query.format ?? (req.accepts(['json', 'html']) || 'json');
+    if (!['json', 'html'].includes(format)) throw badRequest('format must be json or html');
+
+    const invoice = await getContractInvoice(id);
+    if (!invoice) {
+      throw notFound(contract.state === 'COMPLETED' ? 'Invoice not found' : 'Invoices are issued when the contract is completed');
     }
 
+    if (format === 'html') return res.type('html').send(renderInvoiceHtml(invoice));
+    res.json(invoice);
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/activate - Admin activates DRAFT → ACTIVE
+export const activateContract = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const current = await prisma.contract.findUnique({ where: { id } });
+    if (!current) throw notFound('Contract not found');
+
+    const actor = contractActor(req, current);
+    assertTransition(current.state, 'ACTIVE', actor);
+    const reason = parseReason(req.body?.reason);
+
+    const updated = await prisma.$transaction((tx) => transitionContract(tx, current, 'ACTIVE', { actor, reason }));
+
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Contract not found' });
+    next(e);
+  }
+};
+
+// GET /contracts/:id/cancellation-quote - fee and refund if the contract were cancelled now
+export const getCancellationQuote = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const current = await prisma.contract.findUnique({ where: { id } });
+    if (!current) throw notFound('Contract not found');
+
+    if (!isOwnerOrAdmin(req, current.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Same 409 as the cancel itself when the contract can no longer be cancelled
+    assertTransition(current.state, 'CANCELLED', contractActor(req, current));
+
+    res.json({ contractId: id, ...(await quoteContractCancellation(current)) });
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/cancel - User/Admin cancels contract
+export const cancelContract = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const current = await prisma.contract.findUnique({ where: { id } });
+    if (!current) throw notFound('Contract not found');
+
+    // Check ownership for non-admin users
+    if (!isOwnerOrAdmin(req, current.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Can only cancel DRAFT or ACTIVE contracts; an ACTIVE one also frees the car
+    const actor = contractActor(req, current);
+    assertTransition(current.state, 'CANCELLED', actor);
+    const reason = parseReason(req.body?.reason);
+
+    const updated = await prisma.$transaction((tx) => transitionContract(tx, current, 'CANCELLED', { actor, reason }));
+    await settleCancelledPayments(id);
+
     res.json(updated);
   } catch (e) {
     if (e?.code === 'P2025') return res.status(404).json({ error: 'Contract not found' });
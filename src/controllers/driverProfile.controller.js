@@ -0,0 +1,67 @@
+import prisma from '../models/db.js';
+import { badRequest, notFound } from '../errors.js';
+import { parseLicenceDetails } from '../services/driverEligibility.service.js';
+import { cloudinary } from '../middlewares/upload.middleware.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+
+// GET /users/me/driver-profile
+export const getMyDriverProfile = async (req, res, next) => {
+  try {
+    const profile = await prisma.driverProfile.findUnique({ where: { userId: req.user.id } });
+    if (!profile) throw notFound('Driver profile not found');
+    res.json(profile);
+  } catch (e) { next(e); }
+};
+
+// PUT /users/me/driver-profile - create or replace the licence details (the scan is kept)
+export const upsertMyDriverProfile = async (req, res, next) => {
+  try {
+    const data = parseLicenceDetails(req.body ?? {});
+    const profile = await prisma.driverProfile.upsert({
+      where: { userId: req.user.id },
+      create: { userId: req.user.id, ...data },
+      update: data,
+    });
+    res.json(profile);
+  } catch (e) { next(e); }
+};
+
+// POST /users/me/driver-profile/licence-scan - multipart field "licence"
+export const uploadMyLicenceScan = async (req, res, next) => {
+  try {
+    if (!req.file) throw badRequest('No file uploaded. Please upload the licence scan as "licence".');
+
+    const current = await prisma.driverProfile.findUnique({ where: { userId: req.user.id } });
+    if (!current) {
+      await cloudinary.uploader.destroy(req.file.filename).catch(() => {});
+      throw notFound('Driver profile not found; save your licence details first');
+    }
+
+    const profile = await prisma.driverProfile.update({
+      where: { userId: req.user.id },
+      data: { licenceScanUrl: req.file.path, licenceScanFilename: req.file.filename },
+    });
+
+    if (current.licenceScanFilename) {
+      try {
+        await cloudinary.uploader.destroy(current.licenceScanFilename);
+      } catch (err) {
+        console.error('Error deleting old licence scan from Cloudinary:', err);
+      }
+    }
+    res.json(profile);
+  } catch (e) { next(e); }
+};
+
+// GET /users/:id/driver-profile - admin
+export const getUserDriverProfile = async (req, res, next) => {
+  try {
+    const userId = asInt(req.params.id);
+    if (userId === null) throw badRequest('id must be an integer');
+
+    const profile = await prisma.driverProfile.findUnique({ where: { userId } });
+    if (!profile) throw notFound('Driver profile not found');
+    res.json(profile);
+  } catch (e) { next(e); }
+};
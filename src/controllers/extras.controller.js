@@ -0,0 +1,172 @@
+import prisma from '../models/db.js';
+import { badRequest, notFound } from '../errors.js';
+import { BodyType } from '../lib/carEnums.js';
+import { ExtraPricing, extraFitsCar } from '../lib/extras.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+
+const stockInclude = { stocks: { include: { city: { select: { id: true, name: true } } } } };
+
+/** Validates a create (all required fields) or update (partial) body into Extra columns. */
+function buildExtraPayload(body, { partial = false } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) throw badRequest('body must be an object');
+  const data = {};
+
+  for (const key of ['code', 'name']) {
+    if (partial && body[key] === undefined) continue;
+    if (typeof body[key] !== 'string' || body[key].trim() === '') throw badRequest(`${key} is required`);
+    data[key] = body[key].trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') throw badRequest('description must be a string');
+    data.description = body.description?.trim() || null;
+  }
+
+  if (!partial || body.pricing !== undefined) {
+    if (!ExtraPricing.includes(body.pricing)) throw badRequest(`pricing must be one of: ${ExtraPricing.join(', ')}`);
+    data.pricing = body.pricing;
+  }
+
+  if (!partial || body.price !== undefined) {
+    const n = asNum(body.price);
+    if (n === null || n < 0) throw badRequest('price must be a non-negative number');
+    data.price = n;
+  }
+
+  if (body.maxQuantity !== undefined) {
+    const n = asInt(body.maxQuantity);
+    if (n === null || n < 1) throw badRequest('maxQuantity must be a positive integer');
+    data.maxQuantity = n;
+  }
+
+  if (body.bodyTypes !== undefined) {
+    if (!Array.isArray(body.bodyTypes) || body.bodyTypes.some((t) => !BodyType.includes(t))) {
+      throw badRequest(`bodyTypes must be an array of: ${BodyType.join(', ')}`);
+    }
+    data.bodyTypes = [...new Set(body.bodyTypes)];
+  }
+
+  for (const key of ['stockLimited', 'isActive']) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'boolean') throw badRequest(`${key} must be a boolean`);
+    data[key] = body[key];
+  }
+
+  return data;
+}
+
+// GET /extras?carId= - active extras, only those that fit the car when carId is given
+export const listAvailableExtras = async (req, res, next) => {
+  try {
+    let car = null;
+    if (req.query.carId !== undefined) {
+      const carId = asInt(req.query.carId);
+      if (carId === null) throw badRequest('carId must be an integer');
+      car = await prisma.car.findUnique({ where: { id: carId }, select: { id: true, bodyType: true } });
+      if (!car) throw notFound('Car not found');
+    }
+
+    const items = await prisma.extra.findMany({
+      where: { isActive: true },
+      orderBy: [{ name: 'asc' }],
+      select: {
+        id: true, code: true, name: true, description: true,
+        pricing: true, price: true, maxQuantity: true, bodyTypes: true, stockLimited: true,
+      },
+    });
+    res.json(car ? items.filter((extra) => extraFitsCar(extra, car)) : items);
+  } catch (e) { next(e); }
+};
+
+// GET /api/admin/extras
+export const listExtras = async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.isActive !== undefined) {
+      if (!['true', 'false'].includes(req.query.isActive)) throw badRequest('isActive must be true or false');
+      where.isActive = req.query.isActive === 'true';
+    }
+    const items = await prisma.extra.findMany({ where, include: stockInclude, orderBy: [{ id: 'asc' }] });
+    res.json(items);
+  } catch (e) { next(e); }
+};
+
+// GET /api/admin/extras/:id
+export const getExtra = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const item = await prisma.extra.findUnique({ where: { id }, include: stockInclude });
+    if (!item) throw notFound('Extra not found');
+    res.json(item);
+  } catch (e) { next(e); }
+};
+
+// POST /api/admin/extras
+export const createExtra = async (req, res, next) => {
+  try {
+    const data = buildExtraPayload(req.body ?? {});
+    const created = await prisma.extra.create({ data, include: stockInclude });
+    res.status(201).json(created);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'An extra with this code already exists' });
+    next(e);
+  }
+};
+
+// PUT /api/admin/extras/:id - prices of existing bookings are not changed
+export const updateExtra = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const data = buildExtraPayload(req.body ?? {}, { partial: true });
+    const updated = await prisma.extra.update({ where: { id }, data, include: stockInclude });
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'An extra with this code already exists' });
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Extra not found' });
+    next(e);
+  }
+};
+
+// DELETE /api/admin/extras/:id
+export const deleteExtra = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    await prisma.extra.delete({ where: { id } });
+    res.status(204).send();
+  } catch (e) {
+    if (e?.code === 'P2003') return res.status(409).json({ error: 'Extra has been booked; set isActive to false instead' });
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Extra not found' });
+    next(e);
+  }
+};
+
+// PUT /api/admin/extras/:id/stock/:cityId - units of the extra kept in the city
+export const setExtraStock = async (req, res, next) => {
+  try {
+    const extraId = asInt(req.params.id);
+    if (extraId === null) throw badRequest('id must be an integer');
+    const cityId = asInt(req.params.cityId);
+    if (cityId === null) throw badRequest('cityId must be an integer');
+
+    const quantity = asInt(req.body?.quantity);
+    if (quantity === null || quantity < 0) throw badRequest('quantity must be a non-negative integer');
+
+    const stock = await prisma.extraStock.upsert({
+      where: { extraId_cityId: { extraId, cityId } },
+      create: { extraId, cityId, quantity },
+      update: { quantity },
+    });
+    res.json(stock);
+  } catch (e) {
+    if (e?.code === 'P2003') return res.status(400).json({ error: 'Invalid extra or cityId' });
+    next(e);
+  }
+};
@@ -0,0 +1,211 @@
+import prisma from '../models/db.js';
+import { badRequest, conflict, notFound } from '../errors.js';
+import { cloudinary } from '../middlewares/upload.middleware.js';
+import { CarPanel, DamageSeverity, InspectionType, validateChecklist } from '../lib/inspections.js';
+import { damageRate } from '../lib/returnFees.js';
+import { resolveReturnFeePolicy } from '../services/returnFeePolicy.service.js';
+import { contractDamageDiff, inspectionInclude } from '../services/inspection.service.js';
+import { recordOdometerReading } from '../services/carHistory.service.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** A pickup can be recorded for a booked or running rental, a return only while it runs. */
+const INSPECTION_STATES = { PICKUP: ['DRAFT', 'ACTIVE'], RETURN: ['ACTIVE'] };
+
+const isOwnerOrAdmin = (req, userId) => {
+  if (!req.user) return true;            // auth off → allow
+  if (req.user.role === 'ADMIN') return true;
+  return req.user.id === userId;
+};
+
+/** Removes photos Cloudinary already stored for a request that then failed. */
+const discardUploads = (files = []) => Promise.all(
+  files.map((f) => cloudinary.uploader.destroy(f.filename).catch(() => {}))
+);
+
+async function findContract(idParam, select) {
+  const id = asInt(idParam);
+  if (id === null) throw badRequest('id must be an integer');
+  const contract = await prisma.contract.findUnique({ where: { id }, ...(select ? { select } : {}) });
+  if (!contract) throw notFound('Contract not found');
+  return contract;
+}
+
+/** The inspection :inspectionId of the contract, whose damage markers may still change. */
+async function findEditableInspection(req) {
+  const contract = await findContract(req.params.id, { id: true, state: true });
+  const inspectionId = asInt(req.params.inspectionId);
+  if (inspectionId === null) throw badRequest('inspectionId must be an integer');
+  const inspection = await prisma.inspection.findFirst({ where: { id: inspectionId, contractId: contract.id } });
+  if (!inspection) throw notFound('Inspection not found');
+  if (!INSPECTION_STATES[inspection.type].includes(contract.state)) {
+    throw conflict(`Damage of a ${inspection.type} inspection cannot change once the contract is ${contract.state}`);
+  }
+  return inspection;
+}
+
+// GET /contracts/:id/inspections - owner or admin
+export const listInspections = async (req, res, next) => {
+  try {
+    const contract = await findContract(req.params.id, { id: true, userId: true });
+    if (!isOwnerOrAdmin(req, contract.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const items = await prisma.inspection.findMany({
+      where: { contractId: contract.id },
+      include: inspectionInclude,
+      orderBy: { createdAt: 'asc' },
+    });
+    res.json(items);
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/inspections - admin records the pickup or return readings and checklist;
+// the odometer reading goes to the car's history and may not be below its last one
+export const createInspection = async (req, res, next) => {
+  try {
+    const contract = await findContract(req.params.id);
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    const { type } = body;
+    if (!InspectionType.includes(type)) throw badRequest(`type must be one of: ${InspectionType.join(', ')}`);
+    if (!INSPECTION_STATES[type].includes(contract.state)) {
+      throw conflict(`A ${type} inspection cannot be recorded for a ${contract.state} contract`);
+    }
+
+    const odometerKm = asInt(body.odometerKm);
+    if (odometerKm === null || odometerKm < 0) throw badRequest('odometerKm must be a non-negative integer');
+    if (type === 'RETURN' && odometerKm < contract.mileageStartKm) {
+      throw badRequest('odometerKm cannot be less than the mileage at pickup');
+    }
+    const fuelLevelPct = asInt(body.fuelLevelPct);
+    if (fuelLevelPct === null || fuelLevelPct < 0 || fuelLevelPct > 100) throw badRequest('fuelLevelPct must be 0..100');
+    const { checklist, error } = validateChecklist(body.checklist);
+    if (error) throw badRequest(error);
+    if (body.notes !== undefined && body.notes !== null && typeof body.notes !== 'string') {
+      throw badRequest('notes must be a string');
+    }
+
+    const created = await prisma.$transaction(async (tx) => {
+      const inspection = await tx.inspection.create({
+        data: {
+          contractId: contract.id,
+          type,
+          odometerKm,
+          fuelLevelPct,
+          checklist,
+          notes: body.notes?.trim() || null,
+          inspectorId: req.user?.id ?? null,
+        },
+        include: inspectionInclude,
+      });
+      const car = await tx.car.findUnique({ where: { id: contract.carId }, select: { odometerKm: true } });
+      await recordOdometerReading(tx, {
+        carId: contract.carId,
+        previousKm: car?.odometerKm,
+        odometerKm,
+        source: 'INSPECTION',
+        contractId: contract.id,
+        inspectionId: inspection.id,
+        actorId: req.user?.id ?? null,
+      });
+      await tx.car.update({ where: { id: contract.carId }, data: { odometerKm } });
+      // the pickup readings replace the ones typed in when booking
+      if (type === 'PICKUP') {
+        await tx.contract.update({
+          where: { id: contract.id },
+          data: { mileageStartKm: odometerKm, fuelLevelStartPct: fuelLevelPct },
+        });
+      }
+      return inspection;
+    });
+    res.status(201).json(created);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'This contract already has an inspection of this type' });
+    next(e);
+  }
+};
+
+// POST /contracts/:id/inspections/:inspectionId/damages - admin marks a damaged panel, multipart with "photos"
+export const addInspectionDamage = async (req, res, next) => {
+  try {
+    const inspection = await findEditableInspection(req);
+    const body = req.body ?? {};
+
+    if (!CarPanel.includes(body.panel)) throw badRequest(`panel must be one of: ${CarPanel.join(', ')}`);
+    if (!DamageSeverity.includes(body.severity)) {
+      throw badRequest(`severity must be one of: ${DamageSeverity.join(', ')}`);
+    }
+    if (body.description !== undefined && typeof body.description !== 'string') {
+      throw badRequest('description must be a string');
+    }
+
+    const damage = await prisma.inspectionDamage.create({
+      data: {
+        inspectionId: inspection.id,
+        panel: body.panel,
+        severity: body.severity,
+        description: body.description?.trim() || null,
+        photos: { create: (req.files ?? []).map((file) => ({ url: file.path, filename: file.filename })) },
+      },
+      include: { photos: true },
+    });
+    res.status(201).json(damage);
+  } catch (e) {
+    await discardUploads(req.files);
+    next(e);
+  }
+};
+
+// DELETE /contracts/:id/inspections/:inspectionId/damages/:damageId - admin
+export const deleteInspectionDamage = async (req, res, next) => {
+  try {
+    const damageId = asInt(req.params.damageId);
+    if (damageId === null) throw badRequest('damageId must be an integer');
+    const inspection = await findEditableInspection(req);
+
+    const damage = await prisma.inspectionDamage.findFirst({
+      where: { id: damageId, inspectionId: inspection.id },
+      include: { photos: true },
+    });
+    if (!damage) throw notFound('Damage not found');
+
+    await prisma.inspectionDamage.delete({ where: { id: damageId } });
+    for (const photo of damage.photos) {
+      try {
+        await cloudinary.uploader.destroy(photo.filename);
+      } catch (err) {
+        console.error('Error deleting inspection photo from Cloudinary:', err);
+      }
+    }
+    res.status(204).end();
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Damage not found' });
+    next(e);
+  }
+};
+
+// GET /contracts/:id/inspections/damage-diff - owner or admin: new damage and what completion will charge
+export const getDamageDiff = async (req, res, next) => {
+  try {
+    const contract = await findContract(req.params.id);
+    if (!isOwnerOrAdmin(req, contract.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const diff = await contractDamageDiff(contract);
+    const car = await prisma.car.findUnique({ where: { id: contract.carId } });
+    if (!car) throw notFound('Car not found');
+    const policy = await resolveReturnFeePolicy(car);
+    const damages = diff.newDamages.map((d) => ({ ...d, fee: damageRate(policy, d.severity) }));
+
+    res.json({
+      pickupInspectionId: diff.pickup?.id ?? null,
+      returnInspectionId: diff.return?.id ?? null,
+      newDamages: damages,
+      damageFee: round2(damages.reduce((sum, d) => sum + d.fee, 0)),
+    });
+  } catch (e) { next(e); }
+};
@@ -0,0 +1,223 @@
+import prisma from '../models/db.js';
+import { badRequest, conflict, notFound } from '../errors.js';
+import { lockCarCalendar } from '../services/calendar.service.js';
+import { recordOdometerReading } from '../services/carHistory.service.js';
+import { assertMaintenanceWindowFree, createDueMaintenanceTasks } from '../services/maintenance.service.js';
+import {
+  MAINTENANCE_SCHEDULE,
+  MaintenanceTaskStatus,
+  MaintenanceTaskType,
+  OPEN_MAINTENANCE_STATUSES,
+} from '../lib/maintenance.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+
+const carSummarySelect = {
+  id: true, odometerKm: true, lastMaintenanceDate: true, nextMaintenanceKm: true, maintenanceScore: true,
+};
+
+function parseDate(v, name) {
+  const d = new Date(v);
+  if (v == null || isNaN(d)) throw badRequest(`${name} must be a valid date`);
+  return d;
+}
+
+/** Workshop window from the body; both ends or neither. */
+function parseWindow(body, { required = false } = {}) {
+  if (body.scheduledStart == null && body.scheduledEnd == null && !required) return null;
+  const start = parseDate(body.scheduledStart, 'scheduledStart');
+  const end = parseDate(body.scheduledEnd, 'scheduledEnd');
+  if (end <= start) throw badRequest('scheduledEnd must be after scheduledStart');
+  return { start, end };
+}
+
+function parseStatuses(value) {
+  const statuses = String(value).split(',').map((s) => s.trim().toUpperCase());
+  const bad = statuses.find((s) => !MaintenanceTaskStatus.includes(s));
+  if (bad) throw badRequest(`status must be one of: ${MaintenanceTaskStatus.join(', ')}`);
+  return statuses;
+}
+
+async function findCar(req) {
+  const carId = asInt(req.params.carId);
+  if (carId === null) throw badRequest('carId must be an integer');
+  const car = await prisma.car.findUnique({ where: { id: carId }, select: carSummarySelect });
+  if (!car) throw notFound('Car not found');
+  return car;
+}
+
+/** Task :taskId of the car that is still DUE or SCHEDULED. */
+async function findOpenTask(req, carId) {
+  const taskId = asInt(req.params.taskId);
+  if (taskId === null) throw badRequest('taskId must be an integer');
+  const task = await prisma.maintenanceTask.findFirst({ where: { id: taskId, carId } });
+  if (!task) throw notFound('Maintenance task not found');
+  if (!OPEN_MAINTENANCE_STATUSES.includes(task.status)) {
+    throw conflict(`The task is already ${task.status}`);
+  }
+  return task;
+}
+
+/** Books the window for a task, or a new one, under the car's calendar lock. */
+async function scheduleTask(car, window, { taskId = null, data }) {
+  return prisma.$transaction(async (tx) => {
+    await lockCarCalendar(tx, car.id);
+    await assertMaintenanceWindowFree(car.id, window.start, window.end, taskId, tx);
+    const windowData = { status: 'SCHEDULED', scheduledStart: window.start, scheduledEnd: window.end };
+    return taskId != null
+      ? tx.maintenanceTask.update({ where: { id: taskId }, data: { ...data, ...windowData } })
+      : tx.maintenanceTask.create({ data: { ...data, ...windowData } });
+  });
+}
+
+// GET /maintenance-tasks - admin: fleet overview, open tasks by default; ?status=, ?type=, ?carId=
+export const listMaintenanceTasks = async (req, res, next) => {
+  try {
+    const where = { status: { in: req.query.status ? parseStatuses(req.query.status) : OPEN_MAINTENANCE_STATUSES } };
+    if (req.query.type) {
+      if (!MaintenanceTaskType.includes(req.query.type)) {
+        throw badRequest(`type must be one of: ${MaintenanceTaskType.join(', ')}`);
+      }
+      where.type = req.query.type;
+    }
+    if (req.query.carId) {
+      const carId = asInt(req.query.carId);
+      if (carId === null) throw badRequest('carId must be an integer');
+      where.carId = carId;
+    }
+
+    const items = await prisma.maintenanceTask.findMany({
+      where,
+      include: { car: { select: { id: true, make: true, model: true, numberPlate: true, odometerKm: true } } },
+      orderBy: [{ scheduledStart: 'asc' }, { dueDate: 'asc' }, { id: 'asc' }],
+    });
+    res.json(items);
+  } catch (e) { next(e); }
+};
+
+// GET /cars/:carId/maintenance - admin: the car's tasks, newest first; ?status=
+export const listCarMaintenance = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const items = await prisma.maintenanceTask.findMany({
+      where: { carId: car.id, ...(req.query.status ? { status: { in: parseStatuses(req.query.status) } } : {}) },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json({ car, tasks: items });
+  } catch (e) { next(e); }
+};
+
+// POST /cars/:carId/maintenance - admin adds a task by hand, optionally with its workshop window
+export const createMaintenanceTask = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    if (!MaintenanceTaskType.includes(body.type)) {
+      throw badRequest(`type must be one of: ${MaintenanceTaskType.join(', ')}`);
+    }
+    const data = { carId: car.id, type: body.type };
+    if (body.dueKm != null) {
+      const dueKm = asInt(body.dueKm);
+      if (dueKm === null || dueKm < 0) throw badRequest('dueKm must be a non-negative integer');
+      data.dueKm = dueKm;
+    }
+    if (body.dueDate != null) data.dueDate = parseDate(body.dueDate, 'dueDate');
+    if (body.notes != null) {
+      if (typeof body.notes !== 'string') throw badRequest('notes must be a string');
+      data.notes = body.notes.trim() || null;
+    }
+    const window = parseWindow(body);
+
+    const task = window
+      ? await scheduleTask(car, window, { data })
+      : await prisma.maintenanceTask.create({ data });
+    res.status(201).json(task);
+  } catch (e) { next(e); }
+};
+
+// PUT /cars/:carId/maintenance/:taskId/schedule - admin books or moves the workshop window
+export const scheduleMaintenanceTask = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const task = await findOpenTask(req, car.id);
+    const window = parseWindow(req.body ?? {}, { required: true });
+
+    const updated = await scheduleTask(car, window, { taskId: task.id, data: {} });
+    res.json(updated);
+  } catch (e) { next(e); }
+};
+
+// POST /cars/:carId/maintenance/:taskId/complete - admin: done; resets the car's counters and score
+export const completeMaintenanceTask = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const task = await findOpenTask(req, car.id);
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    const now = new Date();
+    const completedAt = body.completedAt != null ? parseDate(body.completedAt, 'completedAt') : now;
+    if (completedAt > now) throw badRequest('completedAt cannot be in the future');
+
+    const odometerKm = body.odometerKm != null ? asInt(body.odometerKm) : car.odometerKm;
+    if (odometerKm === null || odometerKm < 0) throw badRequest('odometerKm must be a non-negative integer');
+
+    let cost = null;
+    if (body.cost != null) {
+      cost = asNum(body.cost);
+      if (cost === null || cost < 0) throw badRequest('cost must be a non-negative number');
+    }
+    if (body.notes != null && typeof body.notes !== 'string') throw badRequest('notes must be a string');
+
+    const completed = await prisma.$transaction(async (tx) => {
+      const row = await tx.maintenanceTask.update({
+        where: { id: task.id },
+        data: {
+          status: 'COMPLETED',
+          completedAt,
+          odometerKm,
+          cost,
+          ...(body.notes != null ? { notes: body.notes.trim() || null } : {}),
+        },
+      });
+      // only a service restarts the service interval; a higher reading also moves the odometer on
+      const carData = task.type === 'SERVICE'
+        ? { lastMaintenanceDate: completedAt, nextMaintenanceKm: odometerKm + MAINTENANCE_SCHEDULE.SERVICE.everyKm }
+        : {};
+      if (odometerKm > car.odometerKm) {
+        await recordOdometerReading(tx, {
+          carId: car.id,
+          previousKm: car.odometerKm,
+          odometerKm,
+          source: 'ADMIN_EDIT',
+          actorId: req.user?.id ?? null,
+        });
+        carData.odometerKm = odometerKm;
+      }
+      if (Object.keys(carData).length > 0) {
+        await tx.car.update({ where: { id: car.id }, data: carData });
+      }
+      await createDueMaintenanceTasks({ carId: car.id, now }, tx);
+      return row;
+    });
+
+    const updatedCar = await prisma.car.findUnique({ where: { id: car.id }, select: carSummarySelect });
+    res.json({ task: completed, car: updatedCar });
+  } catch (e) { next(e); }
+};
+
+// POST /cars/:carId/maintenance/:taskId/cancel - admin; frees a scheduled window
+export const cancelMaintenanceTask = async (req, res, next) => {
+  try {
+    const car = await findCar(req);
+    const task = await findOpenTask(req, car.id);
+    const updated = await prisma.maintenanceTask.update({
+      where: { id: task.id },
+      data: { status: 'CANCELLED' },
+    });
+    res.json(updated);
+  } catch (e) { next(e); }
+};
@@ -0,0 +1,121 @@
+import prisma from '../models/db.js';
+import { badRequest, notFound } from '../errors.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+
+const cityInclude = {
+  fromCity: { select: { id: true, name: true } },
+  toCity: { select: { id: true, name: true } },
+};
+
+/** Validates a create (all fields) or update (partial) body into OneWayFee columns. */
+function buildFeePayload(body, { partial = false } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) throw badRequest('body must be an object');
+  const data = {};
+
+  for (const key of ['fromCityId', 'toCityId']) {
+    if (partial && body[key] === undefined) continue;
+    const n = asInt(body[key]);
+    if (n === null || n < 1) throw badRequest(`${key} must be a positive integer`);
+    data[key] = n;
+  }
+  if (data.fromCityId !== undefined && data.fromCityId === data.toCityId) {
+    throw badRequest('fromCityId and toCityId must differ');
+  }
+
+  if (!partial || body.fee !== undefined) {
+    const n = asNum(body.fee);
+    if (n === null || n < 0) throw badRequest('fee must be a non-negative number');
+    data.fee = n;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') throw badRequest('isActive must be a boolean');
+    data.isActive = body.isActive;
+  }
+
+  return data;
+}
+
+// GET /api/admin/one-way-fees
+export const listOneWayFees = async (req, res, next) => {
+  try {
+    const where = {};
+    for (const key of ['fromCityId', 'toCityId']) {
+      if (!req.query[key]) continue;
+      const n = asInt(req.query[key]);
+      if (n === null) throw badRequest(`${key} must be an integer`);
+      where[key] = n;
+    }
+    if (req.query.isActive !== undefined) {
+      if (!['true', 'false'].includes(req.query.isActive)) throw badRequest('isActive must be true or false');
+      where.isActive = req.query.isActive === 'true';
+    }
+
+    const items = await prisma.oneWayFee.findMany({
+      where,
+      include: cityInclude,
+      orderBy: [{ fromCityId: 'asc' }, { toCityId: 'asc' }],
+    });
+    res.json(items);
+  } catch (e) { next(e); }
+};
+
+// GET /api/admin/one-way-fees/:id
+export const getOneWayFee = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const item = await prisma.oneWayFee.findUnique({ where: { id }, include: cityInclude });
+    if (!item) throw notFound('One-way fee not found');
+    res.json(item);
+  } catch (e) { next(e); }
+};
+
+// POST /api/admin/one-way-fees
+export const createOneWayFee = async (req, res, next) => {
+  try {
+    const data = buildFeePayload(req.body ?? {});
+    const created = await prisma.oneWayFee.create({ data, include: cityInclude });
+    res.status(201).json(created);
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'A fee for this city pair already exists' });
+    if (e?.code === 'P2003') return res.status(400).json({ error: 'Invalid fromCityId or toCityId' });
+    next(e);
+  }
+};
+
+// PUT /api/admin/one-way-fees/:id - fee and isActive only; the city pair is fixed
+export const updateOneWayFee = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const body = req.body ?? {};
+    if (body.fromCityId !== undefined || body.toCityId !== undefined) {
+      throw badRequest('fromCityId and toCityId cannot be changed; create a new fee instead');
+    }
+    const data = buildFeePayload(body, { partial: true });
+    const updated = await prisma.oneWayFee.update({ where: { id }, data, include: cityInclude });
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'One-way fee not found' });
+    next(e);
+  }
+};
+
+// DELETE /api/admin/one-way-fees/:id
+export const deleteOneWayFee = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    await prisma.oneWayFee.delete({ where: { id } });
+    res.status(204).send();
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'One-way fee not found' });
+    next(e);
+  }
+};
@@ -0,0 +1,103 @@
+import prisma from '../models/db.js';
+import { badRequest, conflict, notFound } from '../errors.js';
+import { RECORDABLE_PAYMENT_TYPES } from '../lib/payments.js';
+import {
+  captureDeposit,
+  getContractLedger,
+  recordPayment,
+  releaseDeposit,
+} from '../services/payment.service.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+
+const isOwnerOrAdmin = (req, userId) => {
+  if (!req.user) return true;            // auth off → allow
+  if (req.user.role === 'ADMIN') return true;
+  return req.user.id === userId;
+};
+
+const optionalString = (body, name) => {
+  const v = body[name];
+  if (v === undefined || v === null) return null;
+  if (typeof v !== 'string') throw badRequest(`${name} must be a string`);
+  return v.trim() === '' ? null : v.trim();
+};
+
+async function findContract(req) {
+  const id = asInt(req.params.id);
+  if (id === null) throw badRequest('id must be an integer');
+  const contract = await prisma.contract.findUnique({ where: { id } });
+  if (!contract) throw notFound('Contract not found');
+  return contract;
+}
+
+async function findContractPayment(req, contract) {
+  const paymentId = asInt(req.params.paymentId);
+  if (paymentId === null) throw badRequest('paymentId must be an integer');
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment || payment.contractId !== contract.id) throw notFound('Payment not found');
+  return payment;
+}
+
+// GET /contracts/:id/payments - ledger and balance (owner or admin)
+export const listPayments = async (req, res, next) => {
+  try {
+    const contract = await findContract(req);
+    if (!isOwnerOrAdmin(req, contract.userId)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    res.json(await getContractLedger(contract));
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/payments - record a deposit hold or charge (admin)
+export const createPayment = async (req, res, next) => {
+  try {
+    const contract = await findContract(req);
+    if (contract.state === 'CANCELLED') throw conflict('Cannot record payments on a cancelled contract');
+
+    const body = req.body ?? {};
+    if (typeof body !== 'object' || Array.isArray(body)) throw badRequest('body must be an object');
+
+    if (!RECORDABLE_PAYMENT_TYPES.includes(body.type)) {
+      throw badRequest(`type must be one of: ${RECORDABLE_PAYMENT_TYPES.join(', ')}`);
+    }
+    const amount = asNum(body.amount);
+    if (amount === null || amount <= 0) throw badRequest('amount must be a positive number');
+
+    const payment = await recordPayment(contract, {
+      type: body.type,
+      amount: Math.round(amount * 100) / 100,
+      reference: optionalString(body, 'reference'),
+      note: optionalString(body, 'note'),
+      actorId: req.user?.id ?? null,
+    });
+    res.status(201).json(payment);
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/payments/:paymentId/capture - charge a deposit hold (admin)
+export const capturePayment = async (req, res, next) => {
+  try {
+    const contract = await findContract(req);
+    const payment = await findContractPayment(req, contract);
+
+    let amount;
+    if (req.body?.amount !== undefined) {
+      amount = asNum(req.body.amount);
+      if (amount === null) throw badRequest('amount must be a number');
+    }
+
+    res.json(await captureDeposit(payment, amount));
+  } catch (e) { next(e); }
+};
+
+// POST /contracts/:id/payments/:paymentId/release - drop a deposit hold (admin)
+export const releasePayment = async (req, res, next) => {
+  try {
+    const contract = await findContract(req);
+    const payment = await findContractPayment(req, contract);
+    res.json(await releaseDeposit(payment));
+  } catch (e) { next(e); }
+};
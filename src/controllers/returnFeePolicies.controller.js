@@ -0,0 +1,136 @@
+import prisma from '../models/db.js';
+import { badRequest, notFound } from '../errors.js';
+import { BodyType } from '../lib/carEnums.js';
+
+const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+
+const scopeInclude = {
+  car: { select: { id: true, make: true, model: true, numberPlate: true } },
+  city: { select: { id: true, name: true } },
+};
+
+/** Validates a create (all fields) or update (partial) body into ReturnFeePolicy columns. */
+function buildPolicyPayload(body, { partial = false } = {}) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) throw badRequest('body must be an object');
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') throw badRequest('name is required');
+    data.name = body.name.trim();
+  }
+
+  for (const key of ['carId', 'cityId']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) { data[key] = null; continue; }
+    const n = asInt(body[key]);
+    if (n === null || n < 1) throw badRequest(`${key} must be a positive integer or null`);
+    data[key] = n;
+  }
+
+  if (body.bodyType !== undefined) {
+    if (body.bodyType !== null && !BodyType.includes(body.bodyType)) {
+      throw badRequest(`bodyType must be one of: ${BodyType.join(', ')}`);
+    }
+    data.bodyType = body.bodyType;
+  }
+
+  for (const key of ['kmAllowancePerDay', 'lateGraceMinutes']) {
+    if (body[key] === undefined) continue;
+    const n = asInt(body[key]);
+    if (n === null || n < 0) throw badRequest(`${key} must be a non-negative integer`);
+    data[key] = n;
+  }
+
+  for (const key of ['extraKmFee', 'fuelFeePerPct', 'batteryFeePerPct', 'lateFeePerHour', 'lateFeePerDay',
+    'damageMinorFee', 'damageModerateFee', 'damageSevereFee']) {
+    if (body[key] === undefined) continue;
+    const n = asNum(body[key]);
+    if (n === null || n < 0) throw badRequest(`${key} must be a non-negative number`);
+    data[key] = n;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') throw badRequest('isActive must be a boolean');
+    data.isActive = body.isActive;
+  }
+
+  return data;
+}
+
+// GET /api/admin/return-fee-policies
+export const listReturnFeePolicies = async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.cityId) {
+      const cityId = asInt(req.query.cityId);
+      if (cityId === null) throw badRequest('cityId must be an integer');
+      where.cityId = cityId;
+    }
+    if (req.query.isActive !== undefined) {
+      if (!['true', 'false'].includes(req.query.isActive)) throw badRequest('isActive must be true or false');
+      where.isActive = req.query.isActive === 'true';
+    }
+
+    const items = await prisma.returnFeePolicy.findMany({
+      where,
+      include: scopeInclude,
+      orderBy: [{ isActive: 'desc' }, { id: 'asc' }],
+    });
+    res.json(items);
+  } catch (e) { next(e); }
+};
+
+// GET /api/admin/return-fee-policies/:id
+export const getReturnFeePolicy = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const item = await prisma.returnFeePolicy.findUnique({ where: { id }, include: scopeInclude });
+    if (!item) throw notFound('Return fee policy not found');
+    res.json(item);
+  } catch (e) { next(e); }
+};
+
+// POST /api/admin/return-fee-policies
+export const createReturnFeePolicy = async (req, res, next) => {
+  try {
+    const data = buildPolicyPayload(req.body ?? {});
+    const created = await prisma.returnFeePolicy.create({ data, include: scopeInclude });
+    res.status(201).json(created);
+  } catch (e) {
+    if (e?.code === 'P2003') return res.status(400).json({ error: 'Invalid carId or cityId' });
+    next(e);
+  }
+};
+
+// PUT /api/admin/return-fee-policies/:id
+export const updateReturnFeePolicy = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    const data = buildPolicyPayload(req.body ?? {}, { partial: true });
+    const updated = await prisma.returnFeePolicy.update({ where: { id }, data, include: scopeInclude });
+    res.json(updated);
+  } catch (e) {
+    if (e?.code === 'P2003') return res.status(400).json({ error: 'Invalid carId or cityId' });
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Return fee policy not found' });
+    next(e);
+  }
+};
+
+// DELETE /api/admin/return-fee-policies/:id
+export const deleteReturnFeePolicy = async (req, res, next) => {
+  try {
+    const id = asInt(req.params.id);
+    if (id === null) throw badRequest('id must be an integer');
+
+    await prisma.returnFeePolicy.delete({ where: { id } });
+    res.status(204).send();
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Return fee policy not found' });
+    next(e);
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Additional drivers: people besides the booking customer who may drive the car.
+ *
+ * A driver is either a registered user, checked against their DriverProfile, or an inline record
+ * with its own date of birth and licence. Both pass the same checks as the main driver (see
+ * driverEligibility.js) and cost ADDITIONAL_DRIVER_FEE_PER_DAY per rental day, nothing when 0.
+ * Named registered users see the contract in GET /contracts/my but cannot change it.
+ */
+
+import { rentalDays } from './contractAmendments.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {number} feePerDay
+ * @param {Date|string} start
+ * @param {Date|string} end
+ * @returns {number} fee for the rental days of [start, end)
+ */
+export function priceAdditionalDriver(feePerDay, start, end) {
+  return round2(feePerDay * rentalDays(start, end));
+}
+
+/**
+ * @param {Array<{ fee: number }>} drivers
+ * @returns {number}
+ */
+export function additionalDriversTotal(drivers) {
+  return round2(drivers.reduce((sum, d) => sum + d.fee, 0));
+}
+
+/**
+ * Display name of a ContractDriver; registered drivers need their `user` included.
+ * @param {{ firstName?: string|null, lastName?: string|null, userId?: number|null,
+ *           user?: { firstName?: string|null, lastName?: string|null, email?: string } }} driver
+ * @returns {string}
+ */
+export function additionalDriverName(driver) {
+  const person = driver.userId != null ? driver.user ?? {} : driver;
+  return [person.firstName, person.lastName].filter(Boolean).join(' ')
+    || person.email
+    || (driver.userId != null ? `User #${driver.userId}` : 'Additional driver');
+}
@@ -0,0 +1,90 @@
+/**
+ * Cancellation policy: how much of the rental price is refunded, depending on how long before
+ * the contract's start the cancellation happens.
+ *
+ * A tier applies when the cancellation is at least `minHoursBeforeStart` hours ahead; the tier
+ * with the largest threshold that still applies wins. Cancelling after the start (negative
+ * hours) matches no tier and refunds nothing. Tiers can be overridden with the
+ * CANCELLATION_TIERS env variable (JSON array of the same shape).
+ *
+ * The fee is taken from the rental price, not from what was paid: the refund is what the
+ * customer has paid minus the fee, never below zero. Deposit holds are always released.
+ */
+
+/** Built-in tiers: full refund 7+ days out, 75% from 48 h, 50% inside 48 h, nothing after start. */
+export const DEFAULT_CANCELLATION_TIERS = Object.freeze([
+  Object.freeze({ minHoursBeforeStart: 168, refundPct: 100 }),
+  Object.freeze({ minHoursBeforeStart: 48, refundPct: 75 }),
+  Object.freeze({ minHoursBeforeStart: 0, refundPct: 50 }),
+]);
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validates tiers and sorts them by threshold, largest first.
+ * @param {unknown} tiers
+ * @returns {Array<{ minHoursBeforeStart: number, refundPct: number }>}
+ * @throws {Error} when the value is not an array of valid tiers
+ */
+export function normalizeCancellationTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('Cancellation tiers must be a non-empty array');
+  }
+  return tiers
+    .map((t) => {
+      const minHoursBeforeStart = Number(t?.minHoursBeforeStart);
+      const refundPct = Number(t?.refundPct);
+      if (!Number.isFinite(minHoursBeforeStart) || minHoursBeforeStart < 0) {
+        throw new Error('Cancellation tier minHoursBeforeStart must be a number >= 0');
+      }
+      if (!Number.isFinite(refundPct) || refundPct < 0 || refundPct > 100) {
+        throw new Error('Cancellation tier refundPct must be between 0 and 100');
+      }
+      return { minHoursBeforeStart, refundPct };
+    })
+    .sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart);
+}
+
+/**
+ * @param {Array<{ minHoursBeforeStart: number, refundPct: number }>} tiers - sorted, largest threshold first
+ * @param {number} hoursBeforeStart - negative once the rental has started
+ * @returns {{ minHoursBeforeStart: number, refundPct: number } | null} null when nothing is refunded
+ */
+export function selectCancellationTier(tiers, hoursBeforeStart) {
+  if (hoursBeforeStart < 0) return null;
+  return tiers.find((t) => hoursBeforeStart >= t.minHoursBeforeStart) ?? null;
+}
+
+/**
+ * What cancelling the contract at `now` would cost.
+ * @param {{
+ *   contract: { startDate: Date|string, totalPrice: number },
+ *   paid: number,
+ *   tiers: Array<{ minHoursBeforeStart: number, refundPct: number }>,
+ *   now?: Date,
+ * }} input - `paid` is the net amount captured so far (charges − refunds)
+ * @returns {{
+ *   hoursBeforeStart: number,
+ *   tier: { minHoursBeforeStart: number, refundPct: number } | null,
+ *   refundPct: number,
+ *   cancellationFee: number,
+ *   paid: number,
+ *   refundableAmount: number,
+ * }}
+ */
+export function quoteCancellation({ contract, paid, tiers, now = new Date() }) {
+  const hoursBeforeStart = round2((new Date(contract.startDate) - now) / MS_PER_HOUR);
+  const tier = selectCancellationTier(tiers, hoursBeforeStart);
+  const refundPct = tier?.refundPct ?? 0;
+  const cancellationFee = round2(contract.totalPrice * (100 - refundPct) / 100);
+  return {
+    hoursBeforeStart,
+    tier,
+    refundPct,
+    cancellationFee,
+    paid: round2(paid),
+    refundableAmount: round2(Math.max(0, paid - cancellationFee)),
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Car booking calendar helpers.
+ * All ranges are half-open [startDate, endDate), the same convention used by
+ * contract overlap checks, CarPrepBlock rows and scheduled maintenance windows.
+ */
+
+/** Contract states that hold the car on the calendar. */
+export const CALENDAR_BLOCKING_STATES = ['DRAFT', 'ACTIVE'];
+
+/** Reason shown for each occupied interval. */
+export const OccupancyReason = {
+  RESERVATION: 'RESERVATION', // DRAFT contract awaiting admin approval
+  RENTAL: 'RENTAL',           // ACTIVE contract
+  PREP: 'PREP',               // cleaning / prep day after a return
+  MAINTENANCE: 'MAINTENANCE', // SCHEDULED maintenance task window
+};
+
+const toDate = (v) => (v instanceof Date ? v : new Date(v));
+
+/**
+ * @param {Date} aStart
+ * @param {Date} aEnd
+ * @param {Date} bStart
+ * @param {Date} bEnd
+ * @returns {boolean} true when the two half-open ranges share at least one instant
+ */
+export function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+  return toDate(aStart) < toDate(bEnd) && toDate(aEnd) > toDate(bStart);
+}
+
+/**
+ * Turn contracts, prep blocks and maintenance windows into one list of occupied intervals, sorted by start.
+ * @param {{ contracts?: Array<{ id: number, state: string, startDate: Date, endDate: Date }>,
+ *           prepBlocks?: Array<{ id: number, startDate: Date, endDate: Date }>,
+ *           maintenanceTasks?: Array<{ id: number, scheduledStart: Date, scheduledEnd: Date }> }} sources
+ * @returns {Array<{ startDate: Date, endDate: Date, reason: string, contractId?: number, prepBlockId?: number,
+ *   maintenanceTaskId?: number }>}
+ */
+export function buildOccupiedIntervals({ contracts = [], prepBlocks = [], maintenanceTasks = [] } = {}) {
+  const intervals = [
+    ...contracts.map((c) => ({
+      startDate: toDate(c.startDate),
+      endDate: toDate(c.endDate),
+      reason: c.state === 'ACTIVE' ? OccupancyReason.RENTAL : OccupancyReason.RESERVATION,
+      contractId: c.id,
+    })),
+    ...prepBlocks.map((b) => ({
+      startDate: toDate(b.startDate),
+      endDate: toDate(b.endDate),
+      reason: OccupancyReason.PREP,
+      prepBlockId: b.id,
+    })),
+    ...maintenanceTasks.map((t) => ({
+      startDate: toDate(t.scheduledStart),
+      endDate: toDate(t.scheduledEnd),
+      reason: OccupancyReason.MAINTENANCE,
+      maintenanceTaskId: t.id,
+    })),
+  ];
+  return intervals.sort((a, b) => a.startDate - b.startDate || a.endDate - b.endDate);
+}
+
+/**
+ * Free windows inside [from, to) that are not covered by any occupied interval.
+ * Overlapping or touching intervals are treated as one busy stretch.
+ * @param {Array<{ startDate: Date, endDate: Date }>} occupied
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{ startDate: Date, endDate: Date }>}
+ */
+export function computeFreeWindows(occupied, from, to) {
+  const windowStart = toDate(from);
+  const windowEnd = toDate(to);
+  const sorted = [...occupied]
+    .map((i) => ({ startDate: toDate(i.startDate), endDate: toDate(i.endDate) }))
+    .filter((i) => rangesOverlap(i.startDate, i.endDate, windowStart, windowEnd))
+    .sort((a, b) => a.startDate - b.startDate);
+
+  const free = [];
+  let cursor = windowStart;
+  for (const interval of sorted) {
+    if (interval.startDate > cursor) {
+      free.push({ startDate: cursor, endDate: interval.startDate });
+    }
+    if (interval.endDate > cursor) cursor = interval.endDate;
+    if (cursor >= windowEnd) break;
+  }
+  if (cursor < windowEnd) free.push({ startDate: cursor, endDate: windowEnd });
+  return free;
+}
+
+/**
+ * Prisma `Car` where-clause matching cars with no DRAFT/ACTIVE contract, prep block or scheduled
+ * maintenance window overlapping [start, end). Lets the database do the filtering so counts and
+ * pages stay correct.
+ * @param {Date} start
+ * @param {Date} end
+ */
+export function carFreeInRangeWhere(start, end) {
+  const overlaps = { AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }] };
+  return {
+    contracts: { none: { state: { in: CALENDAR_BLOCKING_STATES }, ...overlaps } },
+    prepBlocks: { none: overlaps },
+    maintenanceTasks: {
+      none: { status: 'SCHEDULED', AND: [{ scheduledStart: { lt: end } }, { scheduledEnd: { gt: start } }] },
+    },
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Query-string parsing for the car catalogue endpoints
+ * (/cars, /cars/for-sale, /cars/for-lease, /cities/:id/cars).
+ *
+ * Turns filters, sorting and pagination params into Prisma `findMany` arguments.
+ * Invalid values throw 400 so every listing rejects them the same way.
+ */
+
+import { badRequest } from '../errors.js';
+import { FuelType, Gearbox, BodyType } from './carEnums.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/** sortBy value → Car column. `price` is resolved per listing (daily price or sale price). */
+const SORT_FIELDS = { year: 'year', power: 'powerKW' };
+
+const isSet = (v) => v !== undefined && v !== '';
+
+function intParam(query, name, { min = Number.MIN_SAFE_INTEGER } = {}) {
+  if (!isSet(query[name])) return undefined;
+  const n = Number(query[name]);
+  if (!Number.isInteger(n) || n < min) throw badRequest(`${name} must be an integer${min > 0 ? ` >= ${min}` : ''}`);
+  return n;
+}
+
+function numParam(query, name) {
+  if (!isSet(query[name])) return undefined;
+  const n = Number(query[name]);
+  if (!Number.isFinite(n) || n < 0) throw badRequest(`${name} must be a non-negative number`);
+  return n;
+}
+
+/** Accepts `DIESEL` or `DIESEL,PETROL`. */
+function enumListParam(query, name, allowed) {
+  if (!isSet(query[name])) return undefined;
+  const values = String(query[name]).split(',').map((v) => v.trim().toUpperCase()).filter(Boolean);
+  const invalid = values.filter((v) => !allowed.includes(v));
+  if (values.length === 0 || invalid.length > 0) {
+    throw badRequest(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function stringParam(query, name) {
+  if (!isSet(query[name])) return undefined;
+  const v = String(query[name]).trim();
+  return v === '' ? undefined : v;
+}
+
+/**
+ * @param {Record<string, any>} query - req.query
+ * @param {{ priceField?: 'pricePerDay'|'salePrice' }} [options]
+ * @returns {{
+ *   where: object,
+ *   orderBy: object[],
+ *   pagination: null | { mode: 'offset', page: number, pageSize: number }
+ *                     | { mode: 'cursor', cursor: number|null, limit: number },
+ * }}
+ */
+export function parseCarCatalogQuery(query = {}, { priceField = 'pricePerDay' } = {}) {
+  const where = {};
+
+  const make = stringParam(query, 'make');
+  if (make) where.make = { equals: make, mode: 'insensitive' };
+  const model = stringParam(query, 'model');
+  if (model) where.model = { equals: model, mode: 'insensitive' };
+
+  const year = intParam(query, 'year');
+  const minYear = intParam(query, 'minYear');
+  const maxYear = intParam(query, 'maxYear');
+  if (minYear !== undefined && maxYear !== undefined && minYear > maxYear) {
+    throw badRequest('minYear cannot be greater than maxYear');
+  }
+  if (year !== undefined) where.year = year;
+  else if (minYear !== undefined || maxYear !== undefined) {
+    where.year = {
+      ...(minYear !== undefined ? { gte: minYear } : {}),
+      ...(maxYear !== undefined ? { lte: maxYear } : {}),
+    };
+  }
+
+  const fuelTypes = enumListParam(query, 'fuelType', FuelType);
+  if (fuelTypes) where.fuelType = { in: fuelTypes };
+  const gearboxes = enumListParam(query, 'gearbox', Gearbox);
+  if (gearboxes) where.gearbox = { in: gearboxes };
+  const bodyTypes = enumListParam(query, 'bodyType', BodyType);
+  if (bodyTypes) where.bodyType = { in: bodyTypes };
+
+  const minSeats = intParam(query, 'minSeats', { min: 1 });
+  if (minSeats !== undefined) where.seatCount = { gte: minSeats };
+
+  const minPrice = numParam(query, 'minPrice');
+  const maxPrice = numParam(query, 'maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw badRequest('minPrice cannot be greater than maxPrice');
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    where[priceField] = {
+      ...(minPrice !== undefined ? { gte: minPrice } : {}),
+      ...(maxPrice !== undefined ? { lte: maxPrice } : {}),
+    };
+  }
+
+  // Sorting. `id` is always the last key so pages and cursors stay stable.
+  const sortBy = stringParam(query, 'sortBy');
+  const sortOrder = stringParam(query, 'sortOrder') ?? 'asc';
+  if (!['asc', 'desc'].includes(sortOrder)) throw badRequest('sortOrder must be asc or desc');
+  const orderBy = [];
+  if (sortBy !== undefined) {
+    const column = sortBy === 'price' ? priceField : SORT_FIELDS[sortBy];
+    if (!column) throw badRequest('sortBy must be one of: price, year, power');
+    orderBy.push({ [column]: sortOrder });
+  }
+  orderBy.push({ id: sortBy === undefined ? sortOrder : 'asc' });
+
+  // Pagination: offset (page/pageSize) or keyset (cursor/limit). Omitted → unpaginated.
+  let pagination = null;
+  const page = intParam(query, 'page', { min: 1 });
+  const pageSize = intParam(query, 'pageSize', { min: 1 });
+  const cursor = intParam(query, 'cursor', { min: 1 });
+  const limit = intParam(query, 'limit', { min: 1 });
+  if ((page !== undefined || pageSize !== undefined) && (cursor !== undefined || limit !== undefined)) {
+    throw badRequest('Use either page/pageSize or cursor/limit, not both');
+  }
+  if (page !== undefined || pageSize !== undefined) {
+    pagination = {
+      mode: 'offset',
+      page: page ?? 1,
+      pageSize: Math.min(pageSize ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    };
+  } else if (cursor !== undefined || limit !== undefined) {
+    pagination = {
+      mode: 'cursor',
+      cursor: cursor ?? null,
+      limit: Math.min(limit ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    };
+  }
+
+  return { where, orderBy, pagination };
+}
+
+/**
+ * Prisma `findMany` paging args for a parsed pagination object.
+ * Cursor mode fetches one extra row to know whether another page exists.
+ * @param {ReturnType<typeof parseCarCatalogQuery>['pagination']} pagination
+ */
+export function paginationArgs(pagination) {
+  if (!pagination) return {};
+  if (pagination.mode === 'offset') {
+    return { skip: (pagination.page - 1) * pagination.pageSize, take: pagination.pageSize };
+  }
+  return {
+    take: pagination.limit + 1,
+    ...(pagination.cursor !== null ? { cursor: { id: pagination.cursor }, skip: 1 } : {}),
+  };
+}
@@ -0,0 +1,11 @@
+/**
+ * Allowed values of the car enums in prisma/schema.prisma, for request validation.
+ */
+
+export const FuelType = ['PETROL', 'PETROL_LPG', 'DIESEL', 'ELECTRIC', 'HYBRID_HEV', 'HYBRID_PHEV'];
+export const Gearbox  = ['MANUAL', 'AUTOMATIC'];
+export const BodyType = [
+  'SEDAN', 'HATCHBACK', 'SUV', 'WAGON', 'COUPE', 'CONVERTIBLE', 'VAN', 'PICKUP',
+  'MINIBUS_PASSENGER', 'MINIBUS_CARGO',
+];
+export const CarState = ['AVAILABLE', 'LEASED', 'MAINTENANCE'];
@@ -0,0 +1,19 @@
+/**
+ * Car history: append-only logs of a car's odometer readings and state changes, so mileage
+ * fees and availability can be traced back to the rental, inspection or admin edit behind them.
+ *
+ * The odometer only goes up: a reading below Car.odometerKm is refused rather than logged.
+ */
+
+/** What wrote a history row. */
+export const CarHistorySource = ['CONTRACT', 'ADMIN_EDIT', 'INSPECTION', 'DAMAGE'];
+
+/**
+ * @param {number|null|undefined} previousKm - Car.odometerKm before the reading; unknown skips the check
+ * @param {number} odometerKm
+ * @returns {string|null} why the reading is refused, or null
+ */
+export function odometerReadingError(previousKm, odometerKm) {
+  if (previousKm == null || odometerKm >= previousKm) return null;
+  return `odometerKm ${odometerKm} is lower than the car's last reading of ${previousKm} km`;
+}
@@ -0,0 +1,181 @@
+/**
+ * Validation of a whole car as an admin sends it: POST /cars and every row of
+ * POST /cars/import go through parseCarInput, so both refuse the same VINs, plates,
+ * enum values and dynamic-pricing ranges with the same messages.
+ */
+
+import { badRequest } from '../errors.js';
+import { FuelType, Gearbox, BodyType, CarState } from './carEnums.js';
+import { isVinFormat, normalizeVin, vinCheckDigitError } from './vin.js';
+
+export const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
+export const asNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null; };
+export const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+export const isVIN = (v) => typeof v === 'string' && isVinFormat(v);
+export const isPlate = (v) => typeof v === 'string' && /^[A-Z0-9\- ]{2,12}$/i.test(v.trim());
+export const inRange = (n, min, max) => typeof n === 'number' && n >= min && n <= max;
+
+/** Columns of the fleet CSV, in export order; an import accepts any subset that includes the required ones. */
+export const CAR_CSV_COLUMNS = [
+  'vin', 'numberPlate', 'make', 'model', 'year', 'cityId', 'colour',
+  'seatCount', 'fuelType', 'powerKW', 'engineCapacityL', 'bodyType', 'gearbox', 'state', 'odometerKm',
+  'availableForLease', 'availableForSale', 'salePrice', 'saleDescription',
+  'pricePerDay', 'useDynamicPricing', 'basePricePerDay', 'minPricePerDay', 'maxPricePerDay',
+  'applyUtilizationPricing', 'utilizationMultiplierOverride',
+];
+
+const BOOLEAN_COLUMNS = ['availableForLease', 'availableForSale', 'useDynamicPricing', 'applyUtilizationPricing'];
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+/**
+ * A CSV record as a request body: empty cells are left out (defaults apply) and the
+ * boolean columns accept true/false, 1/0 or yes/no.
+ * @param {Record<string, string>} record
+ * @returns {Record<string, string|boolean>}
+ */
+export function carInputFromCsv(record) {
+  const body = {};
+  for (const [column, raw] of Object.entries(record)) {
+    const value = raw.trim();
+    if (value === '') continue;
+    if (BOOLEAN_COLUMNS.includes(column)) {
+      const lower = value.toLowerCase();
+      if (!TRUE_VALUES.includes(lower) && !FALSE_VALUES.includes(lower)) {
+        throw badRequest(`${column} must be true or false`);
+      }
+      body[column] = TRUE_VALUES.includes(lower);
+    } else {
+      body[column] = value;
+    }
+  }
+  return body;
+}
+
+const optionalPrice = (v) => (v === null || v === undefined || v === '' ? null : asNum(v));
+
+/**
+ * Validates a complete car and returns its Car columns. Does not check that cityId exists.
+ * @param {Record<string, any>} body - fields of POST /cars; omitted optional fields take their defaults
+ * @param {{ storedVin?: string|null }} [options] - the VIN already stored for this car, which is
+ *   accepted even with a wrong check digit so cars from before the check can still be updated
+ * @returns {object} data for prisma.car.create
+ * @throws {HttpError} 400 with the first problem found
+ */
+export function parseCarInput(body, { storedVin = null } = {}) {
+  const {
+    vin, numberPlate,
+    make, model, year, pricePerDay, cityId,
+    seatCount = 5, fuelType, powerKW, engineCapacityL = null,
+    bodyType, gearbox, state = 'AVAILABLE', odometerKm = 0,
+    availableForLease = true, availableForSale = false, salePrice = null, saleDescription = null, colour = null,
+    useDynamicPricing = false,
+    basePricePerDay = null,
+    minPricePerDay = null,
+    maxPricePerDay = null,
+    applyUtilizationPricing = true,
+    utilizationMultiplierOverride = null,
+  } = body;
+
+  // required strings
+  if (!isVIN(vin)) throw badRequest('vin must be a valid 17-character VIN (A-HJ-NPR-Z, 0-9, no I/O/Q)');
+  const checkDigitError = normalizeVin(vin) === storedVin ? null : vinCheckDigitError(vin);
+  if (checkDigitError) throw badRequest(checkDigitError);
+  if (!isPlate(numberPlate)) throw badRequest('numberPlate must be 2–12 chars (letters/digits/-/space)');
+  if (!isNonEmptyString(make))  throw badRequest('make must be a non-empty string');
+  if (!isNonEmptyString(model)) throw badRequest('model must be a non-empty string');
+
+  // numerics
+  const yearInt = asInt(year);
+  if (yearInt === null) throw badRequest('year must be an integer');
+  if (!inRange(yearInt, 1900, new Date().getFullYear() + 2)) {
+    throw badRequest(`year must be between 1900 and ${new Date().getFullYear() + 2}`);
+  }
+
+  const price   = asNum(pricePerDay);
+  if (price   === null || price <= 0) throw badRequest('pricePerDay must be a positive number');
+
+  const cid     = asInt(cityId);
+  if (cid     === null || cid <= 0) throw badRequest('cityId must be a positive integer');
+
+  const seats   = asInt(seatCount);
+  if (seats   === null || !inRange(seats, 1, 20)) throw badRequest('seatCount must be between 1 and 20');
+
+  const kw      = asInt(powerKW);
+  if (kw      === null || !inRange(kw, 1, 2000)) throw badRequest('powerKW must be between 1 and 2000');
+
+  const odo     = asInt(odometerKm) ?? 0;
+  if (odo < 0 || odo > 10000000) throw badRequest('odometerKm must be between 0 and 10,000,000');
+
+  // enums
+  if (!FuelType.includes(fuelType)) throw badRequest(`fuelType must be one of: ${FuelType.join(', ')}`);
+  if (!Gearbox.includes(gearbox))   throw badRequest(`gearbox must be one of: ${Gearbox.join(', ')}`);
+  if (!BodyType.includes(bodyType)) throw badRequest(`bodyType must be one of: ${BodyType.join(', ')}`);
+  if (state && !CarState.includes(state)) throw badRequest(`state must be one of: ${CarState.join(', ')}`);
+
+  // engine capacity normalization
+  let engineL = null;
+  if (fuelType === 'ELECTRIC') {
+    engineL = null;
+    if (engineCapacityL !== null) throw badRequest('engineCapacityL must be null for ELECTRIC');
+  } else {
+    engineL = engineCapacityL === null ? null : asNum(engineCapacityL);
+    if (engineL === null && engineCapacityL !== null) throw badRequest('engineCapacityL must be a number or null');
+  }
+
+  // Validate sale fields
+  const salePriceNum = salePrice !== null ? asNum(salePrice) : null;
+  if (salePrice !== null && salePriceNum === null) throw badRequest('salePrice must be a number or null');
+
+  let utilOverride = null;
+  if (utilizationMultiplierOverride !== null && utilizationMultiplierOverride !== undefined && utilizationMultiplierOverride !== '') {
+    const u = asNum(utilizationMultiplierOverride);
+    if (u === null || u < 0.1 || u > 3) throw badRequest('utilizationMultiplierOverride must be between 0.1 and 3 or null');
+    utilOverride = u;
+  }
+
+  const basePriceNum = optionalPrice(basePricePerDay);
+  const minPriceNum = optionalPrice(minPricePerDay);
+  const maxPriceNum = optionalPrice(maxPricePerDay);
+  if (basePriceNum !== null && basePriceNum <= 0) throw badRequest('basePricePerDay must be a positive number');
+  if (minPriceNum !== null && minPriceNum <= 0) throw badRequest('minPricePerDay must be a positive number');
+  if (maxPriceNum !== null && maxPriceNum <= 0) throw badRequest('maxPricePerDay must be a positive number');
+
+  if (useDynamicPricing === true) {
+    if (basePriceNum === null || minPriceNum === null || maxPriceNum === null) {
+      throw badRequest('Dynamic pricing requires basePricePerDay, minPricePerDay and maxPricePerDay');
+    }
+    if (minPriceNum > basePriceNum) throw badRequest('minPricePerDay cannot be greater than basePricePerDay');
+    if (maxPriceNum < basePriceNum) throw badRequest('maxPricePerDay cannot be lower than basePricePerDay');
+    if (minPriceNum > maxPriceNum) throw badRequest('minPricePerDay cannot be greater than maxPricePerDay');
+  }
+
+  return {
+    vin: vin.trim().toUpperCase(),
+    numberPlate: numberPlate.trim().toUpperCase(),
+    make: make.trim(),
+    model: model.trim(),
+    year: yearInt,
+    pricePerDay: price,
+    availableForLease: availableForLease === true,
+    availableForSale: availableForSale === true,
+    useDynamicPricing: useDynamicPricing === true,
+    basePricePerDay: basePriceNum,
+    minPricePerDay: minPriceNum,
+    maxPricePerDay: maxPriceNum,
+    applyUtilizationPricing: applyUtilizationPricing !== false,
+    utilizationMultiplierOverride: utilOverride,
+    salePrice: salePriceNum,
+    saleDescription: saleDescription ? String(saleDescription).trim() : null,
+    colour: colour ? String(colour).trim() : null,
+    cityId: cid,
+    seatCount: seats,
+    fuelType,
+    powerKW: kw,
+    engineCapacityL: engineL,
+    bodyType,
+    gearbox,
+    state: state || 'AVAILABLE',
+    odometerKm: odo,
+  };
+}
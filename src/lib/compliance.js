@@ -0,0 +1,60 @@
+/**
+ * Car compliance: the insurance policy, technical inspection and road tax a car needs on the road.
+ *
+ * A car keeps every document it was given; renewing one adds a new document, and the latest
+ * expiresAt of each type is the one in force. A booking may not run past an expiry in force.
+ * A missing document does not block bookings (older cars have none recorded) but shows as
+ * MISSING in the admin car list.
+ */
+
+export const CarDocumentType = ['INSURANCE', 'TECHNICAL_INSPECTION', 'ROAD_TAX'];
+
+/** Worst first; a car's status is the worst of its document types. */
+export const ComplianceStatus = ['EXPIRED', 'MISSING', 'EXPIRING', 'OK'];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Expiry in force per document type, or null when the car has none of that type.
+ * @param {Array<{ type: string, expiresAt: Date|string }>} documents
+ * @returns {Record<string, Date|null>}
+ */
+export function currentExpiries(documents) {
+  const expiries = Object.fromEntries(CarDocumentType.map((type) => [type, null]));
+  for (const doc of documents) {
+    const expiresAt = new Date(doc.expiresAt);
+    if (expiries[doc.type] === null || expiresAt > expiries[doc.type]) expiries[doc.type] = expiresAt;
+  }
+  return expiries;
+}
+
+/**
+ * @param {Array<{ type: string, expiresAt: Date|string }>} documents - all documents of one car
+ * @param {{ now?: Date, warningDays: number }} options - EXPIRING within warningDays of now
+ * @returns {{ status: string, documents: Array<{ type: string, expiresAt: Date|null, status: string }> }}
+ */
+export function complianceStatus(documents, { now = new Date(), warningDays }) {
+  const warnBefore = new Date(now.getTime() + warningDays * MS_PER_DAY);
+  const perType = Object.entries(currentExpiries(documents)).map(([type, expiresAt]) => {
+    let status = 'OK';
+    if (expiresAt === null) status = 'MISSING';
+    else if (expiresAt <= now) status = 'EXPIRED';
+    else if (expiresAt <= warnBefore) status = 'EXPIRING';
+    return { type, expiresAt, status };
+  });
+  const worst = Math.min(...perType.map((d) => ComplianceStatus.indexOf(d.status)));
+  return { status: ComplianceStatus[worst], documents: perType };
+}
+
+/**
+ * Documents in force that expire before a booking ends.
+ * @param {Array<{ type: string, expiresAt: Date|string }>} documents
+ * @param {Date} endDate
+ * @returns {Array<{ type: string, expiresAt: Date }>} earliest first
+ */
+export function documentsLapsingBefore(documents, endDate) {
+  return Object.entries(currentExpiries(documents))
+    .filter(([, expiresAt]) => expiresAt !== null && expiresAt < endDate)
+    .map(([type, expiresAt]) => ({ type, expiresAt }))
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
@@ -0,0 +1,75 @@
+/**
+ * Extensions and early returns of ACTIVE contracts.
+ *
+ * An extension moves endDate later and adds the price of the added days only, at the rates of
+ * the moment it is made. An early return moves endDate back to when the car came back; under the
+ * EARLY_RETURN_POLICY "prorate" the price shrinks to the days used, under "keep" the customer
+ * pays the booking in full. Days are counted like bookings: started days, at least one.
+ */
+
+export const AmendmentType = {
+  EXTENSION: 'EXTENSION',
+  EARLY_RETURN: 'EARLY_RETURN',
+};
+
+export const EarlyReturnPolicy = {
+  PRORATE: 'prorate',
+  KEEP: 'keep',
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {Date|string} start
+ * @param {Date|string} end
+ * @returns {number} started days between the two instants, at least 1
+ */
+export function rentalDays(start, end) {
+  return Math.max(1, Math.ceil((new Date(end) - new Date(start)) / MS_PER_DAY));
+}
+
+/**
+ * Part of totalPrice that is not the car's day rate: the one-way fee, booked extras and
+ * additional drivers. Amendments leave it as it is.
+ * @param {{ oneWayFee?: number, extrasTotal?: number, additionalDriversTotal?: number }} contract
+ * @returns {number}
+ */
+export function addOnCharges(contract) {
+  return round2((contract.oneWayFee ?? 0) + (contract.extrasTotal ?? 0) + (contract.additionalDriversTotal ?? 0));
+}
+
+/**
+ * Price after returning the car at `returnedAt`, before the booked end.
+ * Only the rental is prorated; add-on charges (see addOnCharges) are kept in full.
+ * @param {{
+ *   contract: { startDate: Date|string, endDate: Date|string, totalPrice: number, oneWayFee?: number,
+ *               extrasTotal?: number, additionalDriversTotal?: number },
+ *   returnedAt: Date,
+ *   policy: string,
+ * }} input
+ * @returns {{ bookedDays: number, usedDays: number, totalPrice: number }}
+ */
+export function earlyReturnPrice({ contract, returnedAt, policy }) {
+  const bookedDays = rentalDays(contract.startDate, contract.endDate);
+  const usedDays = Math.min(bookedDays, rentalDays(contract.startDate, returnedAt));
+  const addOns = addOnCharges(contract);
+  const totalPrice = policy === EarlyReturnPolicy.PRORATE
+    ? round2((contract.totalPrice - addOns) * usedDays / bookedDays + addOns)
+    : contract.totalPrice;
+  return { bookedDays, usedDays, totalPrice };
+}
+
+/**
+ * The booking as originally made, undoing the price changes of its amendments.
+ * @param {{ endDate: Date|string, totalPrice: number }} contract
+ * @param {Array<{ previousEndDate: Date|string, priceDifference: number }>} amendments - oldest first
+ * @returns {{ endDate: Date|string, totalPrice: number }}
+ */
+export function originalBooking(contract, amendments) {
+  if (amendments.length === 0) return { endDate: contract.endDate, totalPrice: contract.totalPrice };
+  return {
+    endDate: amendments[0].previousEndDate,
+    totalPrice: round2(contract.totalPrice - amendments.reduce((sum, a) => sum + a.priceDifference, 0)),
+  };
+}
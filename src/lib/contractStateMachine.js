@@ -0,0 +1,78 @@
+/**
+ * Contract lifecycle: the single table of allowed state transitions and who may perform them.
+ *
+ *   DRAFT ──activate──▶ ACTIVE ──complete──▶ COMPLETED
+ *     │                   │
+ *     └──cancel──▶ CANCELLED ◀──cancel──┘
+ *
+ * COMPLETED and CANCELLED are terminal.
+ */
+
+import { HttpError, conflict } from '../errors.js';
+
+export const ContractState = ['DRAFT', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
+
+/** from → to → roles allowed to perform it ('OWNER' = the contract's customer). */
+export const CONTRACT_TRANSITIONS = {
+  DRAFT: {
+    ACTIVE: ['ADMIN'],
+    CANCELLED: ['OWNER', 'ADMIN'],
+  },
+  ACTIVE: {
+    COMPLETED: ['OWNER', 'ADMIN'],
+    CANCELLED: ['OWNER', 'ADMIN'],
+  },
+  COMPLETED: {},
+  CANCELLED: {},
+};
+
+/** Car.state implied by a transition, keyed `from>to`. */
+const CAR_STATE_ON_TRANSITION = {
+  'DRAFT>ACTIVE': 'LEASED',
+  'ACTIVE>COMPLETED': 'AVAILABLE',
+  'ACTIVE>CANCELLED': 'AVAILABLE',
+};
+
+/**
+ * @param {string} from
+ * @returns {string[]} target states reachable from `from`
+ */
+export function allowedTransitions(from) {
+  return Object.keys(CONTRACT_TRANSITIONS[from] ?? {});
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return Boolean(CONTRACT_TRANSITIONS[from]?.[to]);
+}
+
+/**
+ * Throws 409 for a transition that is not in the table, 403 when the actor's role may not perform it.
+ * @param {string} from
+ * @param {string} to
+ * @param {{ isAdmin?: boolean, isOwner?: boolean }} actor - omit to skip the role check (system jobs)
+ */
+export function assertTransition(from, to, actor = null) {
+  const roles = CONTRACT_TRANSITIONS[from]?.[to];
+  if (!roles) {
+    const allowed = allowedTransitions(from);
+    throw conflict(`Cannot change contract state from ${from} to ${to}`, { allowed });
+  }
+  if (actor) {
+    const permitted = (actor.isAdmin && roles.includes('ADMIN')) || (actor.isOwner && roles.includes('OWNER'));
+    if (!permitted) throw new HttpError(403, 'Forbidden');
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {string|null} Car.state implied by the transition, or null to leave the car unchanged
+ */
+export function carStateForTransition(from, to) {
+  return CAR_STATE_ON_TRANSITION[`${from}>${to}`] ?? null;
+}
@@ -0,0 +1,63 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for the fleet import/export: comma separated,
+ * fields with commas, quotes or line breaks wrapped in double quotes, "" for a quote.
+ */
+
+/**
+ * Records of a CSV text whose first line is the header. Blank lines are skipped and a
+ * leading byte order mark is ignored.
+ * @param {string} text
+ * @returns {{ header: string[], records: Array<Record<string, string>> }}
+ * @throws {Error} on an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const lines = [];
+  let line = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => { line.push(field); field = ''; };
+  const endLine = () => {
+    endField();
+    if (line.length > 1 || line[0] !== '') lines.push(line);
+    line = [];
+  };
+
+  for (; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i += 1; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === ',') endField();
+    else if (c === '\n') endLine();
+    else if (c === '\r') { if (text[i + 1] !== '\n') endLine(); }
+    else field += c;
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || line.length > 0) endLine();
+
+  const [header = [], ...rows] = lines;
+  const names = header.map((h) => h.trim());
+  const records = rows.map((values) => Object.fromEntries(names.map((name, j) => [name, values[j] ?? ''])));
+  return { header: names, records };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {string[]} columns - header, and the keys read from each row
+ * @param {Array<Record<string, any>>} rows
+ * @returns {string} CRLF-separated lines; null and undefined become empty fields
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvField).join(',')];
+  for (const row of rows) lines.push(columns.map((col) => csvField(row[col])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
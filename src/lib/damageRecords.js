@@ -0,0 +1,33 @@
+/**
+ * The damage register: damage a car carries from one rental to the next until it is repaired.
+ *
+ * Open records (OPEN or IN_REPAIR) count as known damage when a return inspection is compared
+ * with the pickup one, so a dent recorded after an earlier rental is not charged again.
+ * A car with open SEVERE damage is kept in MAINTENANCE; it goes back to AVAILABLE when its last
+ * open severe record is repaired or removed.
+ */
+
+export const DamageRepairStatus = ['OPEN', 'IN_REPAIR', 'REPAIRED'];
+
+/** Statuses of damage the car still has. */
+export const OPEN_DAMAGE_STATUSES = ['OPEN', 'IN_REPAIR'];
+
+/**
+ * @param {{ severity: string, repairStatus: string }} record
+ * @returns {boolean} true when the record keeps the car off the road
+ */
+export const isGroundingDamage = (record) =>
+  record.severity === 'SEVERE' && OPEN_DAMAGE_STATUSES.includes(record.repairStatus);
+
+/**
+ * Car state after its damage register changed. Rented cars keep their state; completing the
+ * rental re-checks the register.
+ * @param {string} state - current Car.state
+ * @param {{ wasGrounded: boolean, isGrounded: boolean }} damage - open severe damage before and after
+ * @returns {string|null} the new state, or null to leave it
+ */
+export function carStateForDamage(state, { wasGrounded, isGrounded }) {
+  if (isGrounded && state === 'AVAILABLE') return 'MAINTENANCE';
+  if (wasGrounded && !isGrounded && state === 'MAINTENANCE') return 'AVAILABLE';
+  return null;
+}
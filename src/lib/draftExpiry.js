@@ -0,0 +1,33 @@
+/**
+ * When a DRAFT reservation goes stale. Drafts hold the car on the calendar and count towards the
+ * customer's open reservation limit, so ones nobody activates are cancelled by a background job:
+ *   - the start date has passed, or
+ *   - the draft was created more than `holdHours` ago (DRAFT_HOLD_HOURS).
+ */
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Drafts created before this instant have used up their hold time.
+ * @param {Date} now
+ * @param {number} holdHours
+ */
+export function draftHoldCutoff(now, holdHours) {
+  return new Date(now.getTime() - holdHours * MS_PER_HOUR);
+}
+
+/**
+ * @param {{ state: string, createdAt: Date|string, startDate: Date|string }} contract
+ * @param {{ now: Date, holdHours: number }} options
+ * @returns {string|null} reason stored on the cancellation event, or null when the draft is still valid
+ */
+export function draftExpiryReason(contract, { now, holdHours }) {
+  if (contract.state !== 'DRAFT') return null;
+  if (new Date(contract.startDate) <= now) {
+    return 'Expired: start date passed before the reservation was activated';
+  }
+  if (new Date(contract.createdAt) < draftHoldCutoff(now, holdHours)) {
+    return `Expired: not activated within ${holdHours} hours`;
+  }
+  return null;
+}
@@ -0,0 +1,126 @@
+/**
+ * Who may drive a car: checks of the customer's driver profile made before a booking.
+ *
+ * Every booking needs a driver of at least `minAge` years at startDate who has held a licence
+ * for `minLicenceYears` by then, and whose licence is valid through endDate. Cars at or above
+ * `strict.minPowerKW` or of one of `strict.bodyTypes` use the stricter `strict` age and tenure.
+ * Rules can be overridden with the DRIVER_RULES env variable (JSON of the same shape; missing
+ * keys keep their defaults).
+ *
+ * Failures come back as reason codes so clients can tell the customer what to fix.
+ */
+
+export const DEFAULT_DRIVER_RULES = Object.freeze({
+  minAge: 21,
+  minLicenceYears: 2,
+  strict: Object.freeze({
+    minPowerKW: 150,
+    bodyTypes: Object.freeze(['VAN', 'PICKUP', 'MINIBUS_PASSENGER', 'MINIBUS_CARGO']),
+    minAge: 25,
+    minLicenceYears: 3,
+  }),
+});
+
+export const EligibilityReason = {
+  DRIVER_PROFILE_MISSING: 'DRIVER_PROFILE_MISSING',
+  DRIVER_TOO_YOUNG: 'DRIVER_TOO_YOUNG',
+  LICENCE_TENURE_TOO_SHORT: 'LICENCE_TENURE_TOO_SHORT',
+  LICENCE_EXPIRES_BEFORE_END: 'LICENCE_EXPIRES_BEFORE_END',
+  /** A registered additional driver failed; their own reasons are not disclosed to the renter. */
+  DRIVER_NOT_ELIGIBLE: 'DRIVER_NOT_ELIGIBLE',
+};
+
+/**
+ * Merges overrides into the defaults and validates them.
+ * @param {unknown} rules
+ * @returns {typeof DEFAULT_DRIVER_RULES}
+ * @throws {Error} when a value is not a non-negative number or bodyTypes is not an array
+ */
+export function normalizeDriverRules(rules) {
+  if (rules == null) return DEFAULT_DRIVER_RULES;
+  if (typeof rules !== 'object' || Array.isArray(rules)) throw new Error('Driver rules must be an object');
+  const merged = {
+    ...DEFAULT_DRIVER_RULES,
+    ...rules,
+    strict: { ...DEFAULT_DRIVER_RULES.strict, ...(rules.strict ?? {}) },
+  };
+  for (const [key, value] of [
+    ['minAge', merged.minAge],
+    ['minLicenceYears', merged.minLicenceYears],
+    ['strict.minAge', merged.strict.minAge],
+    ['strict.minLicenceYears', merged.strict.minLicenceYears],
+    ['strict.minPowerKW', merged.strict.minPowerKW],
+  ]) {
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Driver rule ${key} must be a number >= 0`);
+  }
+  if (!Array.isArray(merged.strict.bodyTypes)) throw new Error('Driver rule strict.bodyTypes must be an array');
+  return merged;
+}
+
+/**
+ * @param {typeof DEFAULT_DRIVER_RULES} rules
+ * @param {{ powerKW: number, bodyType: string }} car
+ * @returns {{ minAge: number, minLicenceYears: number, strict: boolean }}
+ */
+export function rulesForCar(rules, car) {
+  const strict = car.powerKW >= rules.strict.minPowerKW || rules.strict.bodyTypes.includes(car.bodyType);
+  return strict
+    ? { minAge: rules.strict.minAge, minLicenceYears: rules.strict.minLicenceYears, strict }
+    : { minAge: rules.minAge, minLicenceYears: rules.minLicenceYears, strict };
+}
+
+/**
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {number} whole years from `from` to `to` (birthday-style, UTC)
+ */
+export function fullYearsBetween(from, to) {
+  const a = new Date(from);
+  const b = new Date(to);
+  let years = b.getUTCFullYear() - a.getUTCFullYear();
+  const beforeAnniversary = b.getUTCMonth() < a.getUTCMonth()
+    || (b.getUTCMonth() === a.getUTCMonth() && b.getUTCDate() < a.getUTCDate());
+  if (beforeAnniversary) years -= 1;
+  return years;
+}
+
+/**
+ * @param {{
+ *   profile: { dateOfBirth: Date, licenceIssuedAt: Date, licenceExpiresAt: Date } | null,
+ *   car: { powerKW: number, bodyType: string },
+ *   startDate: Date,
+ *   endDate: Date,
+ *   rules?: typeof DEFAULT_DRIVER_RULES,
+ * }} input
+ * @returns {Array<{ code: string, message: string }>} empty when the driver may rent the car
+ */
+export function checkDriverEligibility({ profile, car, startDate, endDate, rules = DEFAULT_DRIVER_RULES }) {
+  if (!profile) {
+    return [{
+      code: EligibilityReason.DRIVER_PROFILE_MISSING,
+      message: 'Add your date of birth and driving licence to your driver profile before booking',
+    }];
+  }
+  const { minAge, minLicenceYears, strict } = rulesForCar(rules, car);
+  const forThisCar = strict ? ' for this car' : '';
+  const reasons = [];
+  if (fullYearsBetween(profile.dateOfBirth, startDate) < minAge) {
+    reasons.push({
+      code: EligibilityReason.DRIVER_TOO_YOUNG,
+      message: `Drivers must be at least ${minAge} years old${forThisCar}`,
+    });
+  }
+  if (fullYearsBetween(profile.licenceIssuedAt, startDate) < minLicenceYears) {
+    reasons.push({
+      code: EligibilityReason.LICENCE_TENURE_TOO_SHORT,
+      message: `The driving licence must have been held for at least ${minLicenceYears} years${forThisCar}`,
+    });
+  }
+  if (new Date(profile.licenceExpiresAt) < new Date(endDate)) {
+    reasons.push({
+      code: EligibilityReason.LICENCE_EXPIRES_BEFORE_END,
+      message: 'The driving licence expires before the end of the rental',
+    });
+  }
+  return reasons;
+}
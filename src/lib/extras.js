@@ -0,0 +1,102 @@
+/**
+ * Rental add-ons booked with a contract: child seats, GPS, insurance. Additional drivers are named
+ * separately (see additionalDrivers.js).
+ *
+ * PER_DAY extras cost price × rental days per unit, PER_RENTAL extras price per unit once.
+ * Stock-limited extras are counted per city: the units free over a rental are the city's stock
+ * minus the most units DRAFT/ACTIVE contracts picked up there hold at the same moment of it (see
+ * peakExtraUsage). A unit a one-way rental drops off in another city stays out of its pickup city
+ * for the rest of the rental being checked. Stock itself is not moved between cities: rentals
+ * before it are not counted and units arriving by one-way count once an admin edits the stock.
+ */
+
+import { rentalDays } from './contractAmendments.js';
+
+export const ExtraPricing = ['PER_DAY', 'PER_RENTAL'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {{ bodyTypes?: string[] }} extra
+ * @param {{ bodyType: string }} car
+ * @returns {boolean} true when the extra has no body-type restriction or fits the car
+ */
+export function extraFitsCar(extra, car) {
+  return !extra.bodyTypes?.length || extra.bodyTypes.includes(car.bodyType);
+}
+
+/**
+ * @param {{ pricing: string, price: number }} extra
+ * @param {number} quantity
+ * @param {number} days - rental days (see rentalDays)
+ * @returns {{ unitPrice: number, totalPrice: number }} unitPrice covers one unit for the whole rental
+ */
+export function priceExtra(extra, quantity, days) {
+  const unitPrice = round2(extra.pricing === 'PER_DAY' ? extra.price * days : extra.price);
+  return { unitPrice, totalPrice: round2(unitPrice * quantity) };
+}
+
+/**
+ * Prices the extras selected for a rental of `car` over [start, end).
+ * @param {{
+ *   extras: Array<{ id: number, code: string, name: string, pricing: string, price: number,
+ *                   maxQuantity: number, bodyTypes: string[], stockLimited: boolean, isActive: boolean }>,
+ *   selections: Array<{ extraId: number, quantity: number }>,
+ *   car: { bodyType: string },
+ *   start: Date,
+ *   end: Date,
+ * }} input - extras are the catalogue rows of the selected ids
+ * @returns {{ items: Array<object>, total: number } | { error: string }}
+ */
+export function quoteExtras({ extras, selections, car, start, end }) {
+  const byId = new Map(extras.map((e) => [e.id, e]));
+  const days = rentalDays(start, end);
+  const items = [];
+  for (const { extraId, quantity } of selections) {
+    const extra = byId.get(extraId);
+    if (!extra || !extra.isActive) return { error: `Extra ${extraId} is not available` };
+    if (!extraFitsCar(extra, car)) return { error: `${extra.name} is not offered for this car` };
+    if (quantity > extra.maxQuantity) {
+      return { error: `At most ${extra.maxQuantity} × ${extra.name} can be booked` };
+    }
+    items.push({
+      extraId,
+      code: extra.code,
+      name: extra.name,
+      pricing: extra.pricing,
+      stockLimited: extra.stockLimited,
+      quantity,
+      ...priceExtra(extra, quantity, days),
+    });
+  }
+  return { items, total: round2(items.reduce((sum, i) => sum + i.totalPrice, 0)) };
+}
+
+/**
+ * Most units in use at the same moment of [start, end). A booking holds its units over its own
+ * [start, end), so a unit returned at 10:00 can go out again at 10:00.
+ * @param {Array<{ quantity: number, start: Date, end: Date|null }>} bookings - end null when the
+ *   units do not come back (taken to another city)
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number}
+ */
+export function peakExtraUsage(bookings, start, end) {
+  const changes = [];
+  for (const b of bookings) {
+    const from = Math.max(new Date(b.start).getTime(), start.getTime());
+    const to = b.end == null ? end.getTime() : Math.min(new Date(b.end).getTime(), end.getTime());
+    if (from >= to) continue;
+    changes.push({ at: from, delta: b.quantity }, { at: to, delta: -b.quantity });
+  }
+  // returns before pick-ups at the same instant
+  changes.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  let inUse = 0;
+  let peak = 0;
+  for (const { delta } of changes) {
+    inUse += delta;
+    peak = Math.max(peak, inUse);
+  }
+  return peak;
+}
@@ -0,0 +1,70 @@
+/**
+ * Pickup and return inspections: readings, a checklist and damage markers on car panels.
+ *
+ * New damage is what the return inspection found beyond the pickup one. On each panel, a return
+ * marker is already known when the pickup inspection had a marker there at least as severe that
+ * no other return marker accounts for; every other return marker is new and is charged on
+ * completion at the return-fee policy's rate for its severity (see returnFees.js). Open damage
+ * from the car's register (see damageRecords.js) is compared like pickup markers.
+ */
+
+export const InspectionType = ['PICKUP', 'RETURN'];
+
+export const CarPanel = [
+  'FRONT_BUMPER', 'REAR_BUMPER', 'HOOD', 'ROOF', 'TRUNK', 'WINDSHIELD', 'REAR_WINDOW',
+  'FRONT_LEFT_FENDER', 'FRONT_RIGHT_FENDER', 'FRONT_LEFT_DOOR', 'FRONT_RIGHT_DOOR',
+  'REAR_LEFT_DOOR', 'REAR_RIGHT_DOOR', 'REAR_LEFT_QUARTER', 'REAR_RIGHT_QUARTER',
+  'LEFT_MIRROR', 'RIGHT_MIRROR', 'WHEELS', 'INTERIOR',
+];
+
+/** Least to most severe. */
+export const DamageSeverity = ['MINOR', 'MODERATE', 'SEVERE'];
+
+/** Items an inspection's checklist may tick; each is true (fine) or false (needs attention). */
+export const INSPECTION_CHECKLIST = [
+  'exteriorClean', 'interiorClean', 'lights', 'tyres', 'windscreen', 'spareWheelOrKit',
+  'warningTriangle', 'firstAidKit', 'vehicleDocuments', 'chargingCable',
+];
+
+const severityRank = (severity) => DamageSeverity.indexOf(severity);
+
+/**
+ * @param {unknown} checklist
+ * @returns {{ checklist: Record<string, boolean> } | { error: string }}
+ */
+export function validateChecklist(checklist) {
+  if (checklist === undefined || checklist === null) return { checklist: {} };
+  if (typeof checklist !== 'object' || Array.isArray(checklist)) return { error: 'checklist must be an object' };
+  for (const [item, passed] of Object.entries(checklist)) {
+    if (!INSPECTION_CHECKLIST.includes(item)) {
+      return { error: `Unknown checklist item ${item}; use: ${INSPECTION_CHECKLIST.join(', ')}` };
+    }
+    if (typeof passed !== 'boolean') return { error: `checklist.${item} must be a boolean` };
+  }
+  return { checklist };
+}
+
+/**
+ * Return-inspection damage not already recorded at pickup.
+ * @template {{ panel: string, severity: string }} D
+ * @param {Array<{ panel: string, severity: string }>} pickupDamages - empty without a pickup inspection
+ * @param {D[]} returnDamages
+ * @returns {D[]} the new markers, in the order of returnDamages
+ */
+export function newDamages(pickupDamages, returnDamages) {
+  const known = new Set();
+  for (const panel of new Set(returnDamages.map((d) => d.panel))) {
+    // least severe first, so each pickup marker covers the mildest return marker it can
+    const before = pickupDamages.filter((d) => d.panel === panel).map((d) => severityRank(d.severity)).sort((a, b) => a - b);
+    const after = returnDamages.filter((d) => d.panel === panel)
+      .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+    let i = 0;
+    for (const damage of after) {
+      while (i < before.length && before[i] < severityRank(damage.severity)) i += 1;
+      if (i === before.length) break;
+      known.add(damage);
+      i += 1;
+    }
+  }
+  return returnDamages.filter((d) => !known.has(d));
+}
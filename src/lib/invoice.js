@@ -0,0 +1,259 @@
+/**
+ * Invoice building for completed contracts.
+ *
+ * Contract prices are VAT-inclusive, so line amounts are gross and the VAT is split out of
+ * the total. Line amounts always add up to `totalPrice + extraFees` of the contract.
+ * Extensions and early returns appear as their own lines after the original booking, followed
+ * by the one-way fee of a rental returned in another city, one line per booked extra and one per
+ * additional driver with a fee.
+ */
+
+import { AmendmentType, addOnCharges, originalBooking, rentalDays } from './contractAmendments.js';
+import { additionalDriverName } from './additionalDrivers.js';
+
+/** Codes of invoice lines. Return-fee codes (EXTRA_KM, FUEL, ...) are copied from the fee breakdown. */
+export const InvoiceLineCode = {
+  RENTAL: 'RENTAL',
+  DURATION_DISCOUNT: 'DURATION_DISCOUNT',
+  LOYALTY_DISCOUNT: 'LOYALTY_DISCOUNT',
+  EXTRA_FEES: 'EXTRA_FEES',
+  EXTENSION: 'EXTENSION',
+  EARLY_RETURN: 'EARLY_RETURN',
+  ONE_WAY_FEE: 'ONE_WAY_FEE',
+  EXTRA: 'EXTRA',
+  ADDITIONAL_DRIVER: 'ADDITIONAL_DRIVER',
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {number} year
+ * @param {number} sequence - 1-based counter within the year
+ * @returns {string} e.g. INV-2026-000042
+ */
+export function formatInvoiceNumber(year, sequence) {
+  return `INV-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Rental lines: days at the per-day price before duration and loyalty discounts, then one
+ * negative line per discount. The last line absorbs rounding so the rental lines sum to totalPrice.
+ * Pass the original booking (see originalBooking) when the contract was amended.
+ */
+function rentalLines(contract, customerMultiplier) {
+  const days = Math.max(1, Math.ceil((new Date(contract.endDate) - new Date(contract.startDate)) / MS_PER_DAY));
+  const perDay = contract.finalPrice ?? contract.totalPrice / days;
+  const durationMultiplier = contract.durationDiscount ?? 1;
+  const loyaltyMultiplier = customerMultiplier ?? 1;
+
+  const listPerDay = round2(perDay / (durationMultiplier * loyaltyMultiplier));
+  const lines = [{
+    code: InvoiceLineCode.RENTAL,
+    description: `Car rental, ${days} day${days === 1 ? '' : 's'}`,
+    quantity: days,
+    unitPrice: listPerDay,
+    amount: round2(listPerDay * days),
+  }];
+
+  const listTotal = listPerDay * days;
+  if (durationMultiplier < 1) {
+    lines.push({
+      code: InvoiceLineCode.DURATION_DISCOUNT,
+      description: `Long rental discount (${round2((1 - durationMultiplier) * 100)}%)`,
+      quantity: 1,
+      unitPrice: -round2(listTotal * (1 - durationMultiplier)),
+      amount: -round2(listTotal * (1 - durationMultiplier)),
+    });
+  }
+  if (loyaltyMultiplier < 1) {
+    const afterDuration = listTotal * durationMultiplier;
+    lines.push({
+      code: InvoiceLineCode.LOYALTY_DISCOUNT,
+      description: `Loyalty discount (${round2((1 - loyaltyMultiplier) * 100)}%)`,
+      quantity: 1,
+      unitPrice: -round2(afterDuration * (1 - loyaltyMultiplier)),
+      amount: -round2(afterDuration * (1 - loyaltyMultiplier)),
+    });
+  }
+
+  const drift = round2(contract.totalPrice - lines.reduce((sum, l) => sum + l.amount, 0));
+  if (drift !== 0) {
+    const last = lines[lines.length - 1];
+    last.amount = round2(last.amount + drift);
+    if (last.quantity === 1) last.unitPrice = last.amount;
+  }
+  return lines;
+}
+
+const formatDay = (d) => new Date(d).toISOString().slice(0, 10);
+
+/** One line per extension (added days) or prorated early return (credit); zero-price ones are left out. */
+function amendmentLines(amendments) {
+  return amendments
+    .filter((a) => round2(a.priceDifference) !== 0)
+    .map((a) => {
+      const amount = round2(a.priceDifference);
+      const description = a.type === AmendmentType.EXTENSION
+        ? `Extension to ${formatDay(a.newEndDate)}, ${rentalDays(a.previousEndDate, a.newEndDate)} extra day(s)`
+        : `Early return on ${formatDay(a.newEndDate)}`;
+      return {
+        code: a.type === AmendmentType.EXTENSION ? InvoiceLineCode.EXTENSION : InvoiceLineCode.EARLY_RETURN,
+        description,
+        quantity: 1,
+        unitPrice: amount,
+        amount,
+      };
+    });
+}
+
+/** The one-way fee, which is part of totalPrice but not of the per-day rental. */
+function oneWayFeeLines(contract) {
+  const fee = round2(contract.oneWayFee ?? 0);
+  if (fee === 0) return [];
+  return [{
+    code: InvoiceLineCode.ONE_WAY_FEE,
+    description: 'One-way rental fee',
+    quantity: 1,
+    unitPrice: fee,
+    amount: fee,
+  }];
+}
+
+/** Booked extras (ContractExtra rows with their Extra), priced when the contract was made. */
+function extraLines(contract) {
+  return (contract.extras ?? []).map((e) => ({
+    code: InvoiceLineCode.EXTRA,
+    description: e.extra?.name ?? 'Extra',
+    quantity: e.quantity,
+    unitPrice: e.unitPrice,
+    amount: round2(e.totalPrice),
+  }));
+}
+
+/** Additional drivers (ContractDriver rows, with `user` for registered ones) that cost something. */
+function driverLines(contract) {
+  return (contract.drivers ?? [])
+    .filter((d) => round2(d.fee) !== 0)
+    .map((d) => ({
+      code: InvoiceLineCode.ADDITIONAL_DRIVER,
+      description: `Additional driver: ${additionalDriverName(d)}`,
+      quantity: 1,
+      unitPrice: round2(d.fee),
+      amount: round2(d.fee),
+    }));
+}
+
+/** Return-fee lines from the stored breakdown; older contracts only have the extraFees total. */
+function feeLines(contract) {
+  const items = contract.extraFeeBreakdown?.items;
+  if (Array.isArray(items) && items.length > 0) {
+    return items.map(({ code, description, quantity, unitPrice, amount }) => ({ code, description, quantity, unitPrice, amount }));
+  }
+  if (contract.extraFees > 0) {
+    return [{
+      code: InvoiceLineCode.EXTRA_FEES,
+      description: 'Return fees',
+      quantity: 1,
+      unitPrice: round2(contract.extraFees),
+      amount: round2(contract.extraFees),
+    }];
+  }
+  return [];
+}
+
+/**
+ * @param {{ contract: object, customerMultiplier?: number|null, vatRate: number, amendments?: Array<object> }} input
+ *   contract includes its `extras` (ContractExtra with `extra`) when any were booked and its
+ *   `drivers` (ContractDriver with `user`) when any were named;
+ *   customerMultiplier is the loyalty multiplier from the contract's PricingSnapshot;
+ *   amendments are the contract's ContractAmendment rows, oldest first
+ * @returns {{
+ *   lines: Array<{ position: number, code: string, description: string, quantity: number, unitPrice: number, amount: number }>,
+ *   netTotal: number,
+ *   vatRate: number,
+ *   vatAmount: number,
+ *   total: number,
+ * }}
+ */
+export function buildInvoice({ contract, customerMultiplier = null, vatRate, amendments = [] }) {
+  const original = originalBooking(contract, amendments);
+  const booking = { ...contract, ...original, totalPrice: round2(original.totalPrice - addOnCharges(contract)) };
+  const lines = [
+    ...rentalLines(booking, customerMultiplier),
+    ...amendmentLines(amendments),
+    ...oneWayFeeLines(contract),
+    ...extraLines(contract),
+    ...driverLines(contract),
+    ...feeLines(contract),
+  ].map((line, i) => ({ position: i + 1, ...line }));
+  const total = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const netTotal = round2(total / (1 + vatRate));
+  return {
+    lines,
+    netTotal,
+    vatRate,
+    vatAmount: round2(total - netTotal),
+    total,
+  };
+}
+
+const escapeHtml = (v) => String(v ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const money = (n, currency) => `${Number(n).toFixed(2)} ${currency}`;
+
+/**
+ * Printable HTML for an invoice with its lines, contract, car and customer.
+ * @param {object} invoice - Invoice row including `lines`, `contract: { car }` and `customer`
+ */
+export function renderInvoiceHtml(invoice) {
+  const { contract, currency } = invoice;
+  const customer = [invoice.customer?.firstName, invoice.customer?.lastName].filter(Boolean).join(' ')
+    || invoice.customer?.email
+    || `User #${invoice.userId}`;
+  const rows = invoice.lines.map((l) => `
+      <tr>
+        <td>${escapeHtml(l.description)}</td>
+        <td class="num">${escapeHtml(l.quantity)}</td>
+        <td class="num">${money(l.unitPrice, currency)}</td>
+        <td class="num">${money(l.amount, currency)}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 40px; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    tfoot td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+  <p>Issued: ${escapeHtml(new Date(invoice.issuedAt).toISOString().slice(0, 10))}</p>
+  <p>Customer: ${escapeHtml(customer)}<br>
+     Contract #${escapeHtml(invoice.contractId)}${contract?.car ? `: ${escapeHtml(contract.car.make)} ${escapeHtml(contract.car.model)} (${escapeHtml(contract.car.numberPlate)})` : ''}</p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="3" class="num">Net total</td><td class="num">${money(invoice.netTotal, currency)}</td></tr>
+      <tr><td colspan="3" class="num">VAT ${round2(invoice.vatRate * 100)}%</td><td class="num">${money(invoice.vatAmount, currency)}</td></tr>
+      <tr><td colspan="3" class="num"><strong>Total</strong></td><td class="num"><strong>${money(invoice.total, currency)}</strong></td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,116 @@
+/**
+ * Maintenance schedule: when each kind of task falls due and how well kept a car is.
+ *
+ * Each task type repeats every `everyKm` and/or `everyDays` after it was last completed. Without
+ * a completed task the km trigger is unknown (except for SERVICE, which uses Car.nextMaintenanceKm)
+ * and the date trigger counts from Car.lastMaintenanceDate for SERVICE, or the car's createdAt.
+ * A task is created once the car is within MAINTENANCE_LEAD of either trigger.
+ *
+ * maintenanceScore (0-100, read by the pricing maintenance multiplier) drops as a car uses up its
+ * intervals: nothing in the first half, up to 10 points per type towards the trigger, and 20-30
+ * points per type past it.
+ */
+
+export const MaintenanceTaskType = ['SERVICE', 'TYRES', 'INSPECTION'];
+
+export const MaintenanceTaskStatus = ['DUE', 'SCHEDULED', 'COMPLETED', 'CANCELLED'];
+
+/** Statuses of tasks still to be done; SCHEDULED ones block the booking calendar. */
+export const OPEN_MAINTENANCE_STATUSES = ['DUE', 'SCHEDULED'];
+
+/** Intervals per task type; null means no trigger of that kind. */
+export const MAINTENANCE_SCHEDULE = Object.freeze({
+  SERVICE: Object.freeze({ everyKm: 15000, everyDays: 365 }),
+  TYRES: Object.freeze({ everyKm: 40000, everyDays: null }),
+  INSPECTION: Object.freeze({ everyKm: null, everyDays: 730 }),
+});
+
+/** How early a task is created before its trigger. */
+export const MAINTENANCE_LEAD = Object.freeze({ km: 1000, days: 14 });
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * MS_PER_DAY);
+
+/**
+ * The most recent COMPLETED task of each type.
+ * @param {Array<{ type: string, status: string, completedAt: Date|string|null }>} tasks
+ * @returns {Record<string, object>}
+ */
+export function lastCompletedByType(tasks) {
+  const last = {};
+  for (const task of tasks) {
+    if (task.status !== 'COMPLETED' || task.completedAt == null) continue;
+    const current = last[task.type];
+    if (!current || new Date(task.completedAt) > new Date(current.completedAt)) last[task.type] = task;
+  }
+  return last;
+}
+
+/**
+ * Next trigger of one task type for a car.
+ * @param {string} type
+ * @param {{
+ *   car: { nextMaintenanceKm?: number|null, lastMaintenanceDate?: Date|string|null, createdAt: Date|string },
+ *   lastCompleted?: { odometerKm?: number|null, completedAt: Date|string } | null,
+ * }} input
+ * @returns {{ type: string, dueKm: number|null, dueDate: Date|null }}
+ */
+export function nextMaintenanceDue(type, { car, lastCompleted = null }) {
+  const { everyKm, everyDays } = MAINTENANCE_SCHEDULE[type];
+
+  let dueKm = null;
+  if (everyKm != null) {
+    if (type === 'SERVICE' && car.nextMaintenanceKm != null) dueKm = car.nextMaintenanceKm;
+    else if (lastCompleted?.odometerKm != null) dueKm = lastCompleted.odometerKm + everyKm;
+  }
+
+  let dueDate = null;
+  if (everyDays != null) {
+    const since = lastCompleted?.completedAt
+      ?? (type === 'SERVICE' ? car.lastMaintenanceDate : null)
+      ?? car.createdAt;
+    dueDate = addDays(since, everyDays);
+  }
+
+  return { type, dueKm, dueDate };
+}
+
+/**
+ * @param {{ dueKm: number|null, dueDate: Date|null }} due
+ * @param {{ odometerKm: number, now: Date }} at
+ * @param {{ km: number, days: number }} [lead]
+ * @returns {boolean} true once the car is within the lead of either trigger
+ */
+export function isMaintenanceDue(due, { odometerKm, now }, lead = MAINTENANCE_LEAD) {
+  return (due.dueKm != null && odometerKm >= due.dueKm - lead.km)
+    || (due.dueDate != null && now >= addDays(due.dueDate, -lead.days));
+}
+
+/**
+ * Share of the interval used up: 0 right after the task, 1 at the trigger, above 1 when overdue.
+ * @param {{ type: string, dueKm: number|null, dueDate: Date|null }} due
+ * @param {{ odometerKm: number, now: Date }} at
+ */
+export function maintenanceProgress(due, { odometerKm, now }) {
+  const { everyKm, everyDays } = MAINTENANCE_SCHEDULE[due.type];
+  const parts = [0];
+  if (due.dueKm != null) parts.push((odometerKm - (due.dueKm - everyKm)) / everyKm);
+  if (due.dueDate != null) parts.push((now - addDays(due.dueDate, -everyDays)) / (everyDays * MS_PER_DAY));
+  return Math.max(...parts);
+}
+
+/**
+ * @param {Array<{ type: string, dueKm: number|null, dueDate: Date|null }>} dues - one per task type
+ * @param {{ odometerKm: number, now: Date }} at
+ * @returns {number} 0-100
+ */
+export function computeMaintenanceScore(dues, at) {
+  let penalty = 0;
+  for (const due of dues) {
+    const progress = maintenanceProgress(due, at);
+    if (progress > 1) penalty += 20 + Math.min(10, (progress - 1) * 20);
+    else if (progress > 0.5) penalty += (progress - 0.5) * 20;
+  }
+  return Math.max(0, Math.round(100 - penalty));
+}
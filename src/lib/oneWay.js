@@ -0,0 +1,44 @@
+/**
+ * One-way rentals: a car picked up in one city and returned in another.
+ *
+ * A booking's pickup city must be where the car is at its startDate, which is the drop-off city
+ * of the car's previous DRAFT/ACTIVE booking, or the car's own cityId when there is none (the
+ * car's cityId moves to the drop-off city when a contract completes). Its drop-off city must in
+ * turn be where the next booking picks the car up, so a chain of bookings never teleports the car.
+ */
+
+/**
+ * Where the car is at the start of a booking. A previous booking without a drop-off city ended
+ * where it started; one from before one-way rentals has neither and leaves the car at home.
+ * @param {{ cityId: number }} car
+ * @param {{ pickupCityId?: number|null, dropoffCityId?: number|null }|null} previousBooking - latest
+ *   blocking contract ending at or before the start
+ * @returns {number} city id
+ */
+export function carCityAt(car, previousBooking) {
+  return previousBooking?.dropoffCityId ?? previousBooking?.pickupCityId ?? car.cityId;
+}
+
+/**
+ * Resolves the pickup and drop-off cities of a booking. Pickup defaults to where the car is,
+ * drop-off to the pickup city (a round trip).
+ * @param {{
+ *   locationCityId: number,
+ *   nextPickupCityId?: number|null,
+ *   pickupCityId?: number|null,
+ *   dropoffCityId?: number|null,
+ * }} input - locationCityId from carCityAt; nextPickupCityId is where the car's next booking starts
+ * @returns {{ pickupCityId: number, dropoffCityId: number, isOneWay: boolean }
+ *          | { error: string }}
+ */
+export function planRoute({ locationCityId, nextPickupCityId = null, pickupCityId = null, dropoffCityId = null }) {
+  const pickup = pickupCityId ?? locationCityId;
+  const dropoff = dropoffCityId ?? pickup;
+  if (pickup !== locationCityId) {
+    return { error: 'The car is not in the pickup city at startDate' };
+  }
+  if (nextPickupCityId != null && dropoff !== nextPickupCityId) {
+    return { error: 'The car must be returned to the city where its next booking starts' };
+  }
+  return { pickupCityId: pickup, dropoffCityId: dropoff, isOneWay: pickup !== dropoff };
+}
@@ -0,0 +1,33 @@
+/**
+ * Overdue rentals: ACTIVE contracts whose booked endDate has passed while the car is still out.
+ *
+ * An overdue car conflicts with the car's next booking when that booking starts within
+ * `conflictWindowHours` from now (or has already started): the car may not be back in time.
+ */
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {{ state: string, endDate: Date|string }} contract
+ * @param {Date} now
+ */
+export function isOverdue(contract, now) {
+  return contract.state === 'ACTIVE' && new Date(contract.endDate) < now;
+}
+
+/**
+ * @param {{
+ *   contract: { endDate: Date|string },
+ *   nextBooking: { startDate: Date|string } | null,
+ *   now: Date,
+ *   conflictWindowHours: number,
+ * }} input
+ * @returns {{ hoursOverdue: number, conflictsWithNextBooking: boolean }}
+ */
+export function overdueStatus({ contract, nextBooking, now, conflictWindowHours }) {
+  const hoursOverdue = round2(Math.max(0, now - new Date(contract.endDate)) / MS_PER_HOUR);
+  const conflictsWithNextBooking = nextBooking != null
+    && new Date(nextBooking.startDate) < new Date(now.getTime() + conflictWindowHours * MS_PER_HOUR);
+  return { hoursOverdue, conflictsWithNextBooking };
+}
@@ -0,0 +1,76 @@
+/**
+ * Contract payment ledger rules.
+ *
+ * Every Payment row is a positive amount. Charges (rental, extra fees, a captured deposit)
+ * count towards what the customer has paid once CAPTURED; REFUND rows count against it.
+ * An AUTHORIZED deposit hold is money reserved on the card, not paid, until it is captured.
+ *
+ *   balance = totalPrice + extraFees − (captured charges − refunds)
+ */
+
+export const PaymentType = {
+  DEPOSIT_HOLD: 'DEPOSIT_HOLD',
+  RENTAL_CHARGE: 'RENTAL_CHARGE',
+  EXTRA_FEES: 'EXTRA_FEES',
+  REFUND: 'REFUND',
+};
+
+export const PaymentStatus = {
+  AUTHORIZED: 'AUTHORIZED', // deposit hold placed, nothing charged yet
+  CAPTURED: 'CAPTURED',     // money moved
+  RELEASED: 'RELEASED',     // deposit hold dropped without charging
+  FAILED: 'FAILED',
+  PENDING: 'PENDING',       // refund recorded, gateway not called yet
+};
+
+/** Types a caller may record; refunds are only created by the system. */
+export const RECORDABLE_PAYMENT_TYPES = [PaymentType.DEPOSIT_HOLD, PaymentType.RENTAL_CHARGE, PaymentType.EXTRA_FEES];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isCapturedCharge = (p) => p.type !== PaymentType.REFUND && p.status === PaymentStatus.CAPTURED;
+const isCapturedRefund = (p) => p.type === PaymentType.REFUND && p.status === PaymentStatus.CAPTURED;
+const isPendingRefund = (p) => p.type === PaymentType.REFUND && p.status === PaymentStatus.PENDING;
+
+/**
+ * Amount of a captured charge that has not been refunded yet; a pending refund already counts.
+ * @param {{ id: number, amount: number }} payment
+ * @param {Array<object>} payments - all payments of the contract
+ */
+export function refundableAmount(payment, payments) {
+  const refunded = payments
+    .filter((p) => (isCapturedRefund(p) || isPendingRefund(p)) && p.refundOfId === payment.id)
+    .reduce((sum, p) => sum + p.amount, 0);
+  return round2(Math.max(0, payment.amount - refunded));
+}
+
+/**
+ * @param {{ totalPrice: number, extraFees?: number }} contract
+ * @param {Array<{ type: string, status: string, amount: number }>} payments
+ * @returns {{ totalDue: number, paid: number, refunded: number, depositHeld: number, balance: number }}
+ *   balance > 0 means the customer still owes money; < 0 means they are owed a refund.
+ */
+export function computeContractBalance(contract, payments) {
+  const totalDue = round2(contract.totalPrice + (contract.extraFees ?? 0));
+  const paid = round2(payments.filter(isCapturedCharge).reduce((sum, p) => sum + p.amount, 0));
+  const refunded = round2(payments.filter(isCapturedRefund).reduce((sum, p) => sum + p.amount, 0));
+  const depositHeld = round2(payments
+    .filter((p) => p.type === PaymentType.DEPOSIT_HOLD && p.status === PaymentStatus.AUTHORIZED)
+    .reduce((sum, p) => sum + p.amount, 0));
+  return {
+    totalDue,
+    paid,
+    refunded,
+    depositHeld,
+    balance: round2(totalDue - (paid - refunded)),
+  };
+}
+
+/**
+ * True when the contract has a deposit on file, either held or already captured.
+ * @param {Array<{ type: string, status: string }>} payments
+ */
+export function hasDeposit(payments) {
+  return payments.some((p) => p.type === PaymentType.DEPOSIT_HOLD
+    && (p.status === PaymentStatus.AUTHORIZED || p.status === PaymentStatus.CAPTURED));
+}
@@ -0,0 +1,235 @@
+/**
+ * Return-inspection fees charged when a contract is completed.
+ *
+ * Rates come from a ReturnFeePolicy row. A policy's scope columns (carId, bodyType, cityId)
+ * left null match every car; the most specific active policy wins, in the order
+ * car > body type > city. Without any matching row the built-in defaults apply.
+ *
+ * Electric cars are charged on missing battery percentage instead of fuel; the contract's
+ * fuelLevel*Pct columns hold the battery charge for them.
+ *
+ * A car returned more than lateGraceMinutes after the booked end is charged per full day late
+ * plus per started hour of the remaining part day; those hours never cost more than one day.
+ *
+ * New damage found by the return inspection (see inspections.js) is charged per marker at the
+ * policy's rate for its severity. Contracts returned without an inspection can still be given a
+ * damageFee by hand.
+ */
+
+/** Built-in rates, used when no ReturnFeePolicy row matches. */
+export const DEFAULT_RETURN_FEE_POLICY = Object.freeze({
+  id: null,
+  name: 'Default',
+  kmAllowancePerDay: 200,
+  extraKmFee: 0.10,
+  fuelFeePerPct: 1.0,
+  batteryFeePerPct: 1.0,
+  lateGraceMinutes: 60,
+  lateFeePerHour: 10,
+  lateFeePerDay: 60,
+  damageMinorFee: 50,
+  damageModerateFee: 200,
+  damageSevereFee: 600,
+});
+
+/** Codes of the itemised fee lines. */
+export const ReturnFeeItem = {
+  EXTRA_KM: 'EXTRA_KM',
+  FUEL: 'FUEL',
+  BATTERY: 'BATTERY',
+  DAMAGE: 'DAMAGE',
+  LATE_DAY: 'LATE_DAY',
+  LATE_HOUR: 'LATE_HOUR',
+};
+
+const MS_PER_MINUTE = 1000 * 60;
+
+const DAMAGE_RATE_KEY = {
+  MINOR: 'damageMinorFee',
+  MODERATE: 'damageModerateFee',
+  SEVERE: 'damageSevereFee',
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {{ carId?: number|null, bodyType?: string|null, cityId?: number|null }} policy
+ * @param {{ id: number, bodyType: string, cityId: number }} car
+ * @returns {boolean} true when every scope column set on the policy equals the car's value
+ */
+export function policyMatchesCar(policy, car) {
+  return (policy.carId == null || policy.carId === car.id)
+    && (policy.bodyType == null || policy.bodyType === car.bodyType)
+    && (policy.cityId == null || policy.cityId === car.cityId);
+}
+
+/**
+ * Higher is more specific: car (4) > body type (2) > city (1). A body type + city policy (3)
+ * beats a body-type-only one.
+ * @param {{ carId?: number|null, bodyType?: string|null, cityId?: number|null }} policy
+ */
+export function policySpecificity(policy) {
+  return (policy.carId != null ? 4 : 0)
+    + (policy.bodyType != null ? 2 : 0)
+    + (policy.cityId != null ? 1 : 0);
+}
+
+/**
+ * Picks the policy to apply to a car. Inactive and non-matching policies are ignored; among
+ * equally specific ones the newest (highest id) wins.
+ * @param {Array<object>} policies
+ * @param {{ id: number, bodyType: string, cityId: number }} car
+ * @returns {object} the chosen policy, or DEFAULT_RETURN_FEE_POLICY
+ */
+export function selectReturnFeePolicy(policies, car) {
+  const candidates = policies
+    .filter((p) => p.isActive !== false && policyMatchesCar(p, car))
+    .sort((a, b) => policySpecificity(b) - policySpecificity(a) || b.id - a.id);
+  return candidates[0] ?? DEFAULT_RETURN_FEE_POLICY;
+}
+
+/**
+ * How late the car came back, in what is charged: full days plus started hours of the rest.
+ * @param {{ lateGraceMinutes: number, lateFeePerHour: number, lateFeePerDay: number }} policy
+ * @param {Date|string} endDate - booked end
+ * @param {Date|string} returnedAt
+ * @returns {{ minutesLate: number, days: number, hours: number }} zero days and hours within the grace period
+ */
+export function lateReturnDuration(policy, endDate, returnedAt) {
+  const minutesLate = Math.max(0, Math.round((new Date(returnedAt) - new Date(endDate)) / MS_PER_MINUTE));
+  if (minutesLate <= (policy.lateGraceMinutes ?? 0)) return { minutesLate, days: 0, hours: 0 };
+
+  const startedHours = Math.ceil(minutesLate / 60);
+  if (!(policy.lateFeePerDay > 0)) return { minutesLate, days: 0, hours: startedHours };
+
+  let days = Math.floor(startedHours / 24);
+  let hours = startedHours % 24;
+  if (hours * policy.lateFeePerHour >= policy.lateFeePerDay) {
+    days += 1;
+    hours = 0;
+  }
+  return { minutesLate, days, hours };
+}
+
+/**
+ * @param {object} policy
+ * @param {string} severity - MINOR, MODERATE or SEVERE
+ * @returns {number} fee for one new damage marker
+ */
+export function damageRate(policy, severity) {
+  const key = DAMAGE_RATE_KEY[severity];
+  return policy[key] ?? DEFAULT_RETURN_FEE_POLICY[key];
+}
+
+const describePanel = (panel) => panel.toLowerCase().replace(/_/g, ' ');
+
+/**
+ * Itemised return fees. Only lines with a non-zero amount are listed.
+ * @param {{
+ *   policy: object,
+ *   car: { fuelType: string },
+ *   rentalDays: number,
+ *   drivenKm: number,
+ *   startLevelPct: number|null,
+ *   endLevelPct: number,
+ *   damageFee?: number,
+ *   damages?: Array<{ panel: string, severity: string }>,
+ *   endDate?: Date|string,
+ *   returnedAt?: Date|string,
+ * }} input - endDate/returnedAt enable late fees; without returnedAt the car counts as on time;
+ *   damages are the new markers of the return inspection, damageFee a manual amount
+ * @returns {{
+ *   policy: { id: number|null, name: string },
+ *   items: Array<{ code: string, description: string, quantity: number, unitPrice: number, amount: number }>,
+ *   total: number,
+ * }}
+ */
+export function computeReturnFees({
+  policy,
+  car,
+  rentalDays,
+  drivenKm,
+  startLevelPct,
+  endLevelPct,
+  damageFee = 0,
+  damages = [],
+  endDate = null,
+  returnedAt = null,
+}) {
+  const items = [];
+
+  const allowanceKm = policy.kmAllowancePerDay * rentalDays;
+  const extraKm = Math.max(0, drivenKm - allowanceKm);
+  if (extraKm > 0 && policy.extraKmFee > 0) {
+    items.push({
+      code: ReturnFeeItem.EXTRA_KM,
+      description: `${extraKm} km over the ${allowanceKm} km allowance`,
+      quantity: extraKm,
+      unitPrice: policy.extraKmFee,
+      amount: round2(extraKm * policy.extraKmFee),
+    });
+  }
+
+  const isElectric = car.fuelType === 'ELECTRIC';
+  const missingPct = Math.max(0, (startLevelPct ?? 0) - endLevelPct);
+  const perPct = isElectric ? policy.batteryFeePerPct : policy.fuelFeePerPct;
+  if (missingPct > 0 && perPct > 0) {
+    items.push({
+      code: isElectric ? ReturnFeeItem.BATTERY : ReturnFeeItem.FUEL,
+      description: `${missingPct}% ${isElectric ? 'battery charge' : 'fuel'} missing`,
+      quantity: missingPct,
+      unitPrice: perPct,
+      amount: round2(missingPct * perPct),
+    });
+  }
+
+  if (endDate != null && returnedAt != null) {
+    const { days, hours } = lateReturnDuration(policy, endDate, returnedAt);
+    if (days > 0 && policy.lateFeePerDay > 0) {
+      items.push({
+        code: ReturnFeeItem.LATE_DAY,
+        description: `Returned ${days} day${days === 1 ? '' : 's'} late`,
+        quantity: days,
+        unitPrice: policy.lateFeePerDay,
+        amount: round2(days * policy.lateFeePerDay),
+      });
+    }
+    if (hours > 0 && policy.lateFeePerHour > 0) {
+      items.push({
+        code: ReturnFeeItem.LATE_HOUR,
+        description: `Returned ${hours} hour${hours === 1 ? '' : 's'} late`,
+        quantity: hours,
+        unitPrice: policy.lateFeePerHour,
+        amount: round2(hours * policy.lateFeePerHour),
+      });
+    }
+  }
+
+  for (const { panel, severity } of damages) {
+    const rate = damageRate(policy, severity);
+    if (!(rate > 0)) continue;
+    items.push({
+      code: ReturnFeeItem.DAMAGE,
+      description: `New damage: ${describePanel(panel)} (${severity.toLowerCase()})`,
+      quantity: 1,
+      unitPrice: rate,
+      amount: round2(rate),
+    });
+  }
+
+  if (damageFee > 0) {
+    items.push({
+      code: ReturnFeeItem.DAMAGE,
+      description: 'Damage',
+      quantity: 1,
+      unitPrice: damageFee,
+      amount: round2(damageFee),
+    });
+  }
+
+  return {
+    policy: { id: policy.id ?? null, name: policy.name },
+    items,
+    total: round2(items.reduce((sum, item) => sum + item.amount, 0)),
+  };
+}
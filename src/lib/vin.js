@@ -0,0 +1,169 @@
+/**
+ * VIN (ISO 3779) check digit and offline decoding of the manufacturer and model year.
+ *
+ * The 9th character is a check digit computed from the other 16. North American and Chinese
+ * VINs must carry it; elsewhere, notably in Europe, manufacturers may use the position freely,
+ * so a mismatch there is reported but not refused. The 10th character encodes the model year
+ * in a 30-year cycle; North American passenger cars tell the cycles apart by the 7th character
+ * (digit: 1980-2009, letter: 2010-2039), other VINs get the latest year not past next year.
+ */
+
+import { MAKE_ALIASES, VIN_REGIONS, WMI_MAKES } from './vinWmi.js';
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/** Model year codes in cycle order: A = 1980 / 2010, ..., Y = 2000 / 2030, 1 = 2001 / 2031, ... */
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const YEAR_CYCLE_START = 1980;
+const YEAR_CYCLE = 30;
+
+/** First characters of the regions that require a correct check digit. */
+const CHECK_DIGIT_REQUIRED = /^[1-5L]/;
+
+/**
+ * @param {string} vin
+ * @returns {string} the VIN uppercased and trimmed
+ */
+export const normalizeVin = (vin) => String(vin ?? '').trim().toUpperCase();
+
+/** 17 characters from A-Z and 0-9 without I, O and Q. */
+export const isVinFormat = (vin) => /^[A-HJ-NPR-Z0-9]{17}$/.test(normalizeVin(vin));
+
+/**
+ * @param {string} vin - a VIN that passes isVinFormat
+ * @returns {string} the expected 9th character, '0'-'9' or 'X'
+ */
+export function vinCheckDigit(vin) {
+  const chars = normalizeVin(vin);
+  let sum = 0;
+  for (let i = 0; i < 17; i += 1) {
+    const c = chars[i];
+    const value = c >= '0' && c <= '9' ? Number(c) : TRANSLITERATION[c];
+    sum += value * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Why a well-formed VIN is refused for its check digit, or null. Only regions that require
+ * the check digit are refused.
+ * @param {string} vin
+ * @returns {string|null}
+ */
+export function vinCheckDigitError(vin) {
+  const chars = normalizeVin(vin);
+  if (!CHECK_DIGIT_REQUIRED.test(chars)) return null;
+  const expected = vinCheckDigit(chars);
+  return chars[8] === expected ? null : `vin check digit (9th character) must be ${expected}`;
+}
+
+function vinRegion(vin) {
+  const first = vin[0];
+  return VIN_REGIONS.find((r) => first >= r.from && first <= r.to)?.region ?? null;
+}
+
+/**
+ * Model years the 10th character can stand for, latest first, and the most likely one.
+ * @param {string} vin
+ * @param {{ now?: Date }} [options]
+ * @returns {{ modelYear: number|null, modelYearCandidates: number[] }}
+ */
+export function vinModelYear(vin, { now = new Date() } = {}) {
+  const chars = normalizeVin(vin);
+  const index = YEAR_CODES.indexOf(chars[9]);
+  if (index === -1) return { modelYear: null, modelYearCandidates: [] };
+
+  const latestPlausible = now.getFullYear() + 1;
+  const candidates = [YEAR_CYCLE_START + index + YEAR_CYCLE, YEAR_CYCLE_START + index]
+    .filter((year) => year <= latestPlausible);
+  if (/^[1-5]/.test(chars)) {
+    const laterCycle = /[A-Z]/.test(chars[6]);
+    const year = YEAR_CYCLE_START + index + (laterCycle ? YEAR_CYCLE : 0);
+    return { modelYear: year <= latestPlausible ? year : null, modelYearCandidates: candidates };
+  }
+  return { modelYear: candidates[0] ?? null, modelYearCandidates: candidates };
+}
+
+/**
+ * Everything the VIN tells without a network lookup.
+ * @param {string} vin - a VIN that passes isVinFormat
+ * @param {{ now?: Date }} [options]
+ * @returns {{
+ *   vin: string,
+ *   wmi: string,
+ *   region: string|null,
+ *   make: string|null,
+ *   modelYear: number|null,
+ *   modelYearCandidates: number[],
+ *   checkDigit: { expected: string, actual: string, valid: boolean, required: boolean },
+ * }}
+ */
+export function decodeVin(vin, { now = new Date() } = {}) {
+  const chars = normalizeVin(vin);
+  const wmi = chars.slice(0, 3);
+  const expected = vinCheckDigit(chars);
+  return {
+    vin: chars,
+    wmi,
+    region: vinRegion(chars),
+    make: WMI_MAKES[wmi] ?? null,
+    ...vinModelYear(chars, { now }),
+    checkDigit: {
+      expected,
+      actual: chars[8],
+      valid: chars[8] === expected,
+      required: CHECK_DIGIT_REQUIRED.test(chars),
+    },
+  };
+}
+
+/** Lowercase letters and digits only, accents removed: "Mercedes-Benz" → "mercedesbenz". */
+export const normalizeMake = (make) => String(make ?? '')
+  .normalize('NFD')
+  .replace(/[^A-Za-z0-9]/g, '')
+  .toLowerCase();
+
+/**
+ * Whether an admin's make names the decoded one, allowing MAKE_ALIASES.
+ * @param {string} submitted
+ * @param {string} decoded - a make from WMI_MAKES
+ */
+export function makeMatches(submitted, decoded) {
+  const names = [decoded, ...(MAKE_ALIASES[decoded] ?? [])].map(normalizeMake);
+  return names.includes(normalizeMake(submitted));
+}
+
+/**
+ * Where submitted make and year disagree with the decoded VIN. The model year may run one
+ * ahead of the production year, so a year one below a candidate is accepted.
+ * @param {{ make?: string, year?: number }} submitted
+ * @param {ReturnType<typeof decodeVin>} decoded
+ * @returns {Array<{ field: 'make'|'year', submitted: any, decoded: any, message: string }>}
+ */
+export function vinContradictions({ make, year }, decoded) {
+  const warnings = [];
+  if (make != null && decoded.make && !makeMatches(make, decoded.make)) {
+    warnings.push({
+      field: 'make',
+      submitted: make,
+      decoded: decoded.make,
+      message: `make "${make}" does not match the VIN manufacturer ${decoded.make}`,
+    });
+  }
+  const candidates = decoded.modelYearCandidates;
+  if (year != null && candidates.length > 0 && !candidates.some((c) => year === c || year === c - 1)) {
+    warnings.push({
+      field: 'year',
+      submitted: year,
+      decoded: decoded.modelYear,
+      message: `year ${year} does not match the VIN model year ${candidates.join(' or ')}`,
+    });
+  }
+  return warnings;
+}
@@ -0,0 +1,52 @@
+/**
+ * Bundled VIN lookup data for src/lib/vin.js, so decoding works offline.
+ *
+ * WMI (world manufacturer identifier, the first three VIN characters) → make, for the makes a
+ * rental fleet is likely to hold. Makes are spelled as admins enter Car.make. A WMI that is not
+ * listed decodes with make null; add rows here as the fleet grows.
+ */
+
+export const WMI_MAKES = {
+  // North America
+  '1C3': 'Chrysler', '1C4': 'Jeep', '1C6': 'Ram', '1FA': 'Ford', '1FM': 'Ford', '1FT': 'Ford',
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GY': 'Cadillac', '1HG': 'Honda', '1J4': 'Jeep',
+  '1N4': 'Nissan', '1VW': 'Volkswagen', '2G1': 'Chevrolet', '2HG': 'Honda', '2T1': 'Toyota',
+  '3FA': 'Ford', '3VW': 'Volkswagen', '4JG': 'Mercedes-Benz', '4S3': 'Subaru', '4S4': 'Subaru',
+  '4T1': 'Toyota', '4US': 'BMW', '5N1': 'Nissan', '5NP': 'Hyundai', '5UX': 'BMW', '5XY': 'Kia',
+  '5YJ': 'Tesla', '7SA': 'Tesla',
+  // Asia
+  'JA3': 'Mitsubishi', 'JA4': 'Mitsubishi', 'JF1': 'Subaru', 'JF2': 'Subaru', 'JHM': 'Honda',
+  'JM1': 'Mazda', 'JM3': 'Mazda', 'JMB': 'Mitsubishi', 'JMZ': 'Mazda', 'JN1': 'Nissan', 'JN8': 'Nissan',
+  'JS2': 'Suzuki', 'JSA': 'Suzuki', 'JT2': 'Toyota', 'JTD': 'Toyota', 'JTE': 'Toyota', 'JTH': 'Lexus',
+  'JTJ': 'Lexus', 'JTM': 'Toyota', 'JTN': 'Toyota', 'KMH': 'Hyundai', 'KNA': 'Kia', 'KND': 'Kia',
+  'LBV': 'BMW', 'LFV': 'Volkswagen', 'LRW': 'Tesla', 'LSV': 'Volkswagen', 'MA3': 'Suzuki', 'MAL': 'Hyundai',
+  'NLH': 'Hyundai', 'NM0': 'Ford', 'NMT': 'Toyota',
+  // Europe
+  'SAJ': 'Jaguar', 'SAL': 'Land Rover', 'SB1': 'Toyota', 'SCA': 'Rolls-Royce', 'SCB': 'Bentley',
+  'SCC': 'Lotus', 'SCF': 'Aston Martin', 'SHH': 'Honda', 'SHS': 'Honda', 'SJN': 'Nissan',
+  'TMA': 'Hyundai', 'TMB': 'Skoda', 'TRU': 'Audi', 'TSM': 'Suzuki', 'U5Y': 'Kia', 'UU1': 'Dacia',
+  'VF1': 'Renault', 'VF3': 'Peugeot', 'VF7': 'Citroen', 'VNK': 'Toyota', 'VR3': 'Peugeot', 'VR7': 'Citroen',
+  'VSK': 'Nissan', 'VSS': 'SEAT', 'W0L': 'Opel', 'W0V': 'Opel', 'W1K': 'Mercedes-Benz', 'W1N': 'Mercedes-Benz',
+  'W1V': 'Mercedes-Benz', 'WA1': 'Audi', 'WAU': 'Audi', 'WBA': 'BMW', 'WBS': 'BMW', 'WBY': 'BMW',
+  'WDB': 'Mercedes-Benz', 'WDC': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'WF0': 'Ford', 'WMW': 'MINI',
+  'WP0': 'Porsche', 'WP1': 'Porsche', 'WV1': 'Volkswagen', 'WV2': 'Volkswagen', 'WVW': 'Volkswagen',
+  'XP7': 'Tesla', 'XTA': 'Lada', 'YS3': 'Saab', 'YV1': 'Volvo', 'YV4': 'Volvo',
+  'ZAM': 'Maserati', 'ZAR': 'Alfa Romeo', 'ZFA': 'Fiat', 'ZFF': 'Ferrari', 'ZHW': 'Lamborghini', 'ZLA': 'Lancia',
+};
+
+/** Other names admins use for a make; compared after normalizeMake. */
+export const MAKE_ALIASES = {
+  'Volkswagen': ['VW'],
+  'Mercedes-Benz': ['Mercedes', 'Benz'],
+  'Land Rover': ['Range Rover'],
+};
+
+/** Region by the first VIN character. */
+export const VIN_REGIONS = [
+  { from: 'A', to: 'H', region: 'Africa' },
+  { from: 'J', to: 'R', region: 'Asia' },
+  { from: 'S', to: 'Z', region: 'Europe' },
+  { from: '1', to: '5', region: 'North America' },
+  { from: '6', to: '7', region: 'Oceania' },
+  { from: '8', to: '9', region: 'South America' },
+];
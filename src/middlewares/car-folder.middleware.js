@@ -3,27 +3,32 @@ import { badRequest, notFound } from '../errors.js';
 
 const asInt = (v) => { const n = Number(v); return Number.isInteger(n) ? n : null; };
 
+// Cloudinary folder of a car: make_model_year_id (sanitized for Cloudinary)
+const carFolderName = (car) => `${car.make}_${car.model}_${car.year}_${car.id}`
+  .replace(/\s+/g, '-')  // Replace spaces with hyphens
+  .replace(/[^a-zA-Z0-9_-]/g, '') // Remove special characters
+  .toLowerCase();
+
+async function findFolderCar(req) {
+  const carId = asInt(req.params.carId);
+  if (carId === null) throw badRequest('carId must be an integer');
+
+  // Fetch car details
+  const car = await prisma.car.findUnique({ 
+    where: { id: carId }
+  });
+  
+  if (!car) throw notFound('Car not found');
+  return car;
+}
+
 // Middleware to set Cloudinary folder based on car info
 export const setCarFolder = async (req, res, next) => {
   try {
-    const carId = asInt(req.params.carId);
-    if (carId === null) throw badRequest('carId must be an integer');
-
-    // Fetch car details
-    const car = await prisma.car.findUnique({ 
-      where: { id: carId }
-    });
-    
-    if (!car) throw notFound('Car not found');
-
-    // Create folder name: make_model_year_id (sanitized for Cloudinary)
-    const folderName = `${car.make}_${car.model}_${car.year}_${car.id}`
-      .replace(/\s+/g, '-')  // Replace spaces with hyphens
-      .replace(/[^a-zA-Z0-9_-]/g, '') // Remove special characters
-      .toLowerCase();
+    const car = await findFolderCar(req);
 
     // Set folder name in request for multer to use
-    req.cloudinaryFolder = `car-lease-images/${folderName}`;
+    req.cloudinaryFolder = `car-lease-images/${carFolderName(car)}`;
     req.carInfo = car; // Also attach car info for controller use
 
     next();
@@ -31,3 +36,27 @@ export const setCarFolder = async (req, res, next) => {
     next(e);
   }
 };
+
+// Same, for damage photos: a damages subfolder of the car's folder
+export const setCarDamageFolder = async (req, res, next) => {
+  try {
+    const car = await findFolderCar(req);
+    req.cloudinaryFolder = `car-lease-images/${carFolderName(car)}/damages`;
+    req.carInfo = car;
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
+
+// Same, for car documents: a documents subfolder of the car's folder
+export const setCarDocumentFolder = async (req, res, next) => {
+  try {
+    const car = await findFolderCar(req);
+    req.cloudinaryFolder = `car-lease-images/${carFolderName(car)}/documents`;
+    req.carInfo = car;
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
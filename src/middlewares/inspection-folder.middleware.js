@@ -0,0 +1,5 @@
+// Middleware to keep each contract's inspection photos in their own Cloudinary folder
+export const setInspectionFolder = (req, res, next) => {
+  req.cloudinaryFolder = `inspections/contract-${req.params.id}`;
+  next();
+};
@@ -0,0 +1,5 @@
+// Middleware to keep each user's licence scans in their own Cloudinary folder
+export const setLicenceFolder = (req, res, next) => {
+  req.cloudinaryFolder = `driver-licences/user-${req.user.id}`;
+  next();
+};
@@ -45,4 +45,31 @@ export const upload = multer({
   }
 });
 
+// Car documents (insurance policy, inspection certificate, road tax receipt): scans or PDFs, stored as-is
+const documentStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: async (req, file) => ({
+    folder: req.cloudinaryFolder || 'car-lease-documents',
+    resource_type: 'auto',
+    allowed_formats: ['pdf', 'jpg', 'jpeg', 'png', 'webp'],
+  })
+});
+
+const documentFileFilter = (req, file, cb) => {
+  const allowedMimes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+  if (allowedMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only PDF, JPEG, PNG, and WebP files are allowed.'), false);
+  }
+};
+
+export const documentUpload = multer({
+  storage: documentStorage,
+  fileFilter: documentFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+  }
+});
+
 export { cloudinary };
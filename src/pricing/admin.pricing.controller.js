@@ -251,6 +251,7 @@ export async function getPricingAnalytics(req, res) {
     const totalCars = await prisma.car.count({
       where: {
         availableForLease: true,
+        archivedAt: null,
         ...(parsedCityId && { cityId: parsedCityId }),
       },
     });
@@ -258,6 +259,7 @@ export async function getPricingAnalytics(req, res) {
     const dynamicPricingCars = await prisma.car.count({
       where: {
         availableForLease: true,
+        archivedAt: null,
         useDynamicPricing: true,
         ...(parsedCityId && { cityId: parsedCityId }),
       },
@@ -536,6 +538,7 @@ export async function getCarPerformance(req, res) {
     const cars = await prisma.car.findMany({
       where: {
         availableForLease: true,
+        archivedAt: null,
         ...(parsedCityId && { cityId: parsedCityId }),
       },
       select: {
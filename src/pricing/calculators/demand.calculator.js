@@ -20,6 +20,7 @@ export async function calculateDemandMultiplier(cityId, startDate, endDate) {
       where: {
         cityId,
         availableForLease: true,
+        archivedAt: null,
         state: { not: 'MAINTENANCE' },
       },
     });
@@ -106,6 +107,7 @@ export async function getCityDemandMetrics(cityId) {
       where: {
         cityId,
         availableForLease: true,
+        archivedAt: null,
       },
     });
 
@@ -136,7 +136,7 @@ export async function updateCarUtilizationRate(carId, days = 90) {
 export async function updateAllCarUtilizationRates() {
   try {
     const cars = await prisma.car.findMany({
-      where: { availableForLease: true },
+      where: { availableForLease: true, archivedAt: null },
       select: { id: true },
     });
 
@@ -9,6 +9,8 @@ const prisma = new PrismaClient();
 import * as pricingService from './pricing.service.js';
 import { getCityDemandMetrics } from './calculators/demand.calculator.js';
 import { getCustomerLoyaltyInfo } from './calculators/customer.calculator.js';
+import { HttpError } from '../errors.js';
+import { availableExtraUnits, parseExtraSelections, quoteSelectedExtras } from '../services/extras.service.js';
 
 function parsePositiveInt(value, fieldName) {
   const parsed = Number(value);
@@ -29,10 +31,13 @@ function parseDateValue(value, fieldName) {
 /**
  * Calculate price for a specific car and date range
  * POST /api/pricing/calculate
+ * With `extras` ([{ extraId, quantity }]) their cost is added to totalPrice, and stock-limited
+ * ones report the units still free in the car's city.
  */
 export async function calculatePrice(req, res) {
   try {
     const { carId, startDate, endDate, userId } = req.body;
+    const selections = parseExtraSelections(req.body.extras);
 
     // Validation
     if (!carId || !startDate || !endDate) {
@@ -60,8 +65,30 @@ export async function calculatePrice(req, res) {
       saveSnapshot: true, // Save for analytics
     });
 
-    res.json(result);
+    if (selections.length === 0) {
+      return res.json(result);
+    }
+
+    const car = await prisma.car.findUnique({
+      where: { id: parsedCarId },
+      select: { id: true, bodyType: true, cityId: true },
+    });
+    const extras = await quoteSelectedExtras({ car, start, end, selections });
+    const items = await Promise.all(extras.items.map(async (item) => (item.stockLimited
+      ? { ...item, availableUnits: await availableExtraUnits({ extraId: item.extraId, cityId: car.cityId, start, end }) }
+      : item)));
+
+    res.json({
+      ...result,
+      rentalPrice: result.totalPrice,
+      extras: items,
+      extrasTotal: extras.total,
+      totalPrice: Math.round((result.totalPrice + extras.total) * 100) / 100,
+    });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error in calculatePrice:', error);
     if (error instanceof Error && (error.message.includes('carId') || error.message.includes('startDate') || error.message.includes('endDate') || error.message.includes('userId'))) {
       return res.status(400).json({ error: error.message });
@@ -8,6 +8,10 @@ const prisma = new PrismaClient();
 
 import { updateAllCarUtilizationRates } from './calculators/utilization.calculator.js';
 import { getCityDemandMetrics } from './calculators/demand.calculator.js';
+import { expireStaleDrafts } from '../services/draftExpiry.service.js';
+import { flagOverdueContracts } from '../services/overdue.service.js';
+import { createDueMaintenanceTasks } from '../services/maintenance.service.js';
+import { notifyExpiringCarDocuments } from '../services/compliance.service.js';
 
 /**
  * Update city demand metrics for all cities
@@ -73,6 +77,66 @@ export async function cleanupOldSnapshots() {
   }
 }
 
+/**
+ * Cancel DRAFT reservations that were not activated in time (DRAFT_HOLD_HOURS)
+ * or whose start date has passed, so they stop blocking the calendar
+ * Should run every 15 minutes
+ */
+export async function expireStaleDraftReservations() {
+  try {
+    console.log('[Contract Jobs] Expiring stale draft reservations...');
+    const { expired, failed } = await expireStaleDrafts();
+    console.log(`[Contract Jobs] Expired ${expired.length} drafts${failed.length ? `, ${failed.length} failed` : ''}`);
+  } catch (error) {
+    console.error('[Contract Jobs] Error in expireStaleDraftReservations:', error);
+  }
+}
+
+/**
+ * Flag ACTIVE contracts past their endDate as overdue and warn when a late car
+ * conflicts with its next booking
+ * Should run every 15 minutes
+ */
+export async function flagOverdueRentals() {
+  try {
+    console.log('[Contract Jobs] Checking for overdue rentals...');
+    const { flagged, conflicts } = await flagOverdueContracts();
+    console.log(`[Contract Jobs] Flagged ${flagged.length} overdue rentals, ${conflicts.length} conflict with the next booking`);
+  } catch (error) {
+    console.error('[Contract Jobs] Error in flagOverdueRentals:', error);
+  }
+}
+
+/**
+ * Create maintenance tasks that fell due by date (km triggers also fire when a rental is
+ * completed) and refresh every car's maintenanceScore
+ * Should run daily
+ */
+export async function checkFleetMaintenance() {
+  try {
+    console.log('[Maintenance Jobs] Checking fleet maintenance...');
+    const { created, rescored } = await createDueMaintenanceTasks();
+    console.log(`[Maintenance Jobs] Created ${created.length} due tasks, rescored ${rescored.length} cars`);
+  } catch (error) {
+    console.error('[Maintenance Jobs] Error in checkFleetMaintenance:', error);
+  }
+}
+
+/**
+ * Email admins the insurance, technical inspection and road tax documents that expired or
+ * expire within COMPLIANCE_WARNING_DAYS
+ * Should run daily
+ */
+export async function notifyExpiringDocuments() {
+  try {
+    console.log('[Compliance Jobs] Checking car document expiry...');
+    const { documents, notified } = await notifyExpiringCarDocuments();
+    console.log(`[Compliance Jobs] ${documents} documents expiring, emailed ${notified} admins`);
+  } catch (error) {
+    console.error('[Compliance Jobs] Error in notifyExpiringDocuments:', error);
+  }
+}
+
 /**
  * Initialize pricing job schedulers
  * @param {Function} scheduler - Scheduling function (e.g., node-cron)
@@ -83,6 +147,10 @@ export function initializePricingJobs(scheduler) {
     // Run once immediately
     updateAllCityDemandMetrics();
     updateUtilizationRates();
+    expireStaleDraftReservations();
+    flagOverdueRentals();
+    checkFleetMaintenance();
+    notifyExpiringDocuments();
     return;
   }
 
@@ -102,6 +170,26 @@ export function initializePricingJobs(scheduler) {
       cleanupOldSnapshots();
     });
 
+    // Expire stale draft reservations every 15 minutes
+    scheduler.schedule('*/15 * * * *', () => {
+      expireStaleDraftReservations();
+    });
+
+    // Flag overdue rentals every 15 minutes
+    scheduler.schedule('*/15 * * * *', () => {
+      flagOverdueRentals();
+    });
+
+    // Check fleet maintenance daily at 4 AM
+    scheduler.schedule('0 4 * * *', () => {
+      checkFleetMaintenance();
+    });
+
+    // Email admins about expiring car documents daily at 7 AM
+    scheduler.schedule('0 7 * * *', () => {
+      notifyExpiringDocuments();
+    });
+
     console.log('[Pricing Jobs] Scheduled jobs initialized');
   } catch (error) {
     console.error('[Pricing Jobs] Error initializing jobs:', error);
@@ -109,7 +197,7 @@ export function initializePricingJobs(scheduler) {
 }
 
 /**
- * Manual trigger for updating all pricing data
+ * Manual trigger for every scheduled job
  * Useful for admin panel or debugging
  */
 export async function runAllPricingJobs() {
@@ -118,6 +206,10 @@ export async function runAllPricingJobs() {
   await updateAllCityDemandMetrics();
   await updateUtilizationRates();
   await cleanupOldSnapshots();
+  await expireStaleDraftReservations();
+  await flagOverdueRentals();
+  await checkFleetMaintenance();
+  await notifyExpiringDocuments();
   
   console.log('[Pricing Jobs] All pricing jobs completed');
 }
@@ -157,7 +157,8 @@ export async function calculateDynamicPrice({ carId, startDate, endDate, userId
 
     // 11. Save snapshot if requested
     if (saveSnapshot) {
-      await savePricingSnapshot(result);
+      const snapshot = await savePricingSnapshot(result);
+      result.snapshotId = snapshot?.id ?? null;
     }
 
     return result;
@@ -265,6 +266,7 @@ async function savePricingSnapshot(pricingResult) {
       where: {
         cityId: pricingResult.cityId,
         availableForLease: true,
+        archivedAt: null,
       },
     });
 
@@ -18,7 +18,7 @@ export async function initializeCarPricing() {
   console.log('Initializing pricing configuration for all cars...');
   
   const cars = await prisma.car.findMany({
-    where: { availableForLease: true },
+    where: { availableForLease: true, archivedAt: null },
   });
 
   let updated = 0;
@@ -114,7 +114,7 @@ export async function testPricingCalculation() {
 
   // Get a random car
   const car = await prisma.car.findFirst({
-    where: { availableForLease: true },
+    where: { availableForLease: true, archivedAt: null },
   });
 
   if (!car) {
@@ -179,7 +179,7 @@ export async function generatePricingReport() {
   console.log('Generating pricing report...\n');
 
   const cars = await prisma.car.findMany({
-    where: { availableForLease: true },
+    where: { availableForLease: true, archivedAt: null },
     include: { city: true },
   });
 
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import { upload } from '../middlewares/upload.middleware.js';
+import { setCarDamageFolder } from '../middlewares/car-folder.middleware.js';
+import {
+  listCarDamages,
+  getCarDamage,
+  createCarDamage,
+  updateCarDamage,
+  addCarDamagePhotos,
+  deleteCarDamage
+} from '../controllers/car-damages.controller.js';
+
+const r = Router();
+const adminAuth = [requireAuth, requireRole('ADMIN')];
+
+// Damage register (ADMIN only); POSTs are multipart with up to 10 "photos"
+r.get('/cars/:carId/damages', adminAuth, listCarDamages);
+r.get('/cars/:carId/damages/:damageId', adminAuth, getCarDamage);
+r.post('/cars/:carId/damages', adminAuth, setCarDamageFolder, upload.array('photos', 10), createCarDamage);
+r.put('/cars/:carId/damages/:damageId', adminAuth, updateCarDamage);
+r.post('/cars/:carId/damages/:damageId/photos', adminAuth, setCarDamageFolder, upload.array('photos', 10), addCarDamagePhotos);
+r.delete('/cars/:carId/damages/:damageId', adminAuth, deleteCarDamage);
+
+export default r;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import { documentUpload } from '../middlewares/upload.middleware.js';
+import { setCarDocumentFolder } from '../middlewares/car-folder.middleware.js';
+import {
+  listCarDocuments,
+  createCarDocument,
+  updateCarDocument,
+  deleteCarDocument
+} from '../controllers/car-documents.controller.js';
+
+const r = Router();
+const adminAuth = [requireAuth, requireRole('ADMIN')];
+
+// Insurance, technical inspection and road tax documents (ADMIN only); POST/PUT are multipart with an optional "file"
+r.get('/cars/:carId/documents', adminAuth, listCarDocuments);
+r.post('/cars/:carId/documents', adminAuth, setCarDocumentFolder, documentUpload.single('file'), createCarDocument);
+r.put('/cars/:carId/documents/:documentId', adminAuth, setCarDocumentFolder, documentUpload.single('file'), updateCarDocument);
+r.delete('/cars/:carId/documents/:documentId', adminAuth, deleteCarDocument);
+
+export default r;
@@ -1,15 +1,22 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import { requireAuth, optionalAuth } from '../middlewares/auth.middleware.js';
 import { requireRole } from '../middlewares/roles.middleware.js';
-import { listCars, listCarsForSale, listCarsForLease, getCar, createCar, updateCar, deleteCar, listContractsForCar } from '../controllers/cars.controller.js';
+import { listCars, listCarsForSale, listCarsForLease, getCar, createCar, updateCar, deleteCar, listContractsForCar, getCarAvailability, getCarHistory, archiveCar, restoreCar, importCars, exportCars, decodeCarVin } from '../controllers/cars.controller.js';
 
 const r = Router();
-r.get('/cars', listCars);
+r.get('/cars', optionalAuth, listCars);
 r.get('/cars/for-sale', listCarsForSale);
 r.get('/cars/for-lease', listCarsForLease);
+r.get('/cars/export', requireAuth, requireRole('ADMIN'), exportCars);
+r.get('/cars/vin/:vin/decode', requireAuth, requireRole('ADMIN'), decodeCarVin);
 r.get('/cars/:id', optionalAuth, getCar);
 r.get('/cars/:id/contracts', optionalAuth, listContractsForCar); // hierarchical
+r.get('/cars/:id/availability', optionalAuth, getCarAvailability);
+r.get('/cars/:id/history', requireAuth, requireRole('ADMIN'), getCarHistory);
 r.post('/cars', requireAuth, requireRole('ADMIN'), createCar);
+r.post('/cars/import', requireAuth, requireRole('ADMIN'), express.text({ type: 'text/csv', limit: '2mb' }), importCars);
 r.put('/cars/:id', requireAuth, requireRole('ADMIN'), updateCar);
 r.delete('/cars/:id', requireAuth, requireRole('ADMIN'), deleteCar);
+r.post('/cars/:id/archive', requireAuth, requireRole('ADMIN'), archiveCar);
+r.post('/cars/:id/restore', requireAuth, requireRole('ADMIN'), restoreCar);
 export default r;
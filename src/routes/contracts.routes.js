@@ -4,23 +4,55 @@ import { requireRole } from '../middlewares/roles.middleware.js';
 import { 
   listContracts, 
   getMyContracts, 
+  listOverdueContracts,
   getContract, 
+  getContractHistory,
+  getContractAmendments,
   createContract, 
   updateContract, 
   deleteContract, 
   completeContract,
+  extendContract,
+  earlyReturnContract,
   activateContract,
-  cancelContract
+  cancelContract,
+  getCancellationQuote,
+  getInvoice
 } from '../controllers/contracts.controller.js';
+import { listContractDrivers, addContractDriver, removeContractDriver } from '../controllers/contractDrivers.controller.js';
+import {
+  listInspections,
+  createInspection,
+  addInspectionDamage,
+  deleteInspectionDamage,
+  getDamageDiff
+} from '../controllers/inspections.controller.js';
+import { upload } from '../middlewares/upload.middleware.js';
+import { setInspectionFolder } from '../middlewares/inspection-folder.middleware.js';
 
 const r = Router();
 r.get('/contracts', requireAuth, requireRole('ADMIN'), listContracts); // admin sees all with filtering
 r.get('/contracts/my', requireAuth, getMyContracts);                   // user sees their own
+r.get('/contracts/overdue', requireAuth, requireRole('ADMIN'), listOverdueContracts); // admin: late rentals
 r.get('/contracts/:id', requireAuth, getContract);                     // owner or admin
+r.get('/contracts/:id/history', requireAuth, getContractHistory);      // owner or admin: state changes
 r.post('/contracts', requireAuth, createContract);                     // user creates
 r.put('/contracts/:id', requireAuth, updateContract);                  // owner or admin updates
 r.delete('/contracts/:id', requireAuth, deleteContract);               // owner or admin deletes
+r.get('/contracts/:id/amendments', requireAuth, getContractAmendments); // owner or admin: extensions, early returns
+r.get('/contracts/:id/drivers', requireAuth, listContractDrivers);    // owner, named driver or admin
+r.post('/contracts/:id/drivers', requireAuth, addContractDriver);      // owner or admin names an additional driver
+r.delete('/contracts/:id/drivers/:driverId', requireAuth, removeContractDriver); // owner or admin
+r.get('/contracts/:id/inspections', requireAuth, listInspections);    // owner or admin
+r.get('/contracts/:id/inspections/damage-diff', requireAuth, getDamageDiff); // owner or admin: new damage and its fees
+r.post('/contracts/:id/inspections', requireAuth, requireRole('ADMIN'), createInspection); // admin: pickup or return inspection
+r.post('/contracts/:id/inspections/:inspectionId/damages', requireAuth, requireRole('ADMIN'), setInspectionFolder, upload.array('photos', 10), addInspectionDamage); // admin: damage marker with photos
+r.delete('/contracts/:id/inspections/:inspectionId/damages/:damageId', requireAuth, requireRole('ADMIN'), deleteInspectionDamage); // admin
+r.post('/contracts/:id/extend', requireAuth, extendContract);          // owner or admin extends ACTIVE rental
+r.post('/contracts/:id/early-return', requireAuth, earlyReturnContract); // owner or admin returns ACTIVE rental early
 r.post('/contracts/:id/complete', requireAuth, completeContract);      // owner or admin completes
+r.get('/contracts/:id/invoice', requireAuth, getInvoice);              // owner or admin: JSON or HTML
 r.post('/contracts/:id/activate', requireAuth, requireRole('ADMIN'), activateContract); // admin activates DRAFT
+r.get('/contracts/:id/cancellation-quote', requireAuth, getCancellationQuote); // owner or admin: fee before cancelling
 r.post('/contracts/:id/cancel', requireAuth, cancelContract);          // owner or admin cancels
 export default r;
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import {
+  listAvailableExtras,
+  listExtras,
+  getExtra,
+  createExtra,
+  updateExtra,
+  deleteExtra,
+  setExtraStock,
+} from '../controllers/extras.controller.js';
+
+const r = Router();
+const adminAuth = [requireAuth, requireRole('ADMIN')];
+
+r.get('/extras', listAvailableExtras);
+
+r.get('/api/admin/extras', adminAuth, listExtras);
+r.get('/api/admin/extras/:id', adminAuth, getExtra);
+r.post('/api/admin/extras', adminAuth, createExtra);
+r.put('/api/admin/extras/:id', adminAuth, updateExtra);
+r.delete('/api/admin/extras/:id', adminAuth, deleteExtra);
+r.put('/api/admin/extras/:id/stock/:cityId', adminAuth, setExtraStock);
+export default r;
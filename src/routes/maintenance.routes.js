@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import {
+  listMaintenanceTasks,
+  listCarMaintenance,
+  createMaintenanceTask,
+  scheduleMaintenanceTask,
+  completeMaintenanceTask,
+  cancelMaintenanceTask,
+} from '../controllers/maintenance.controller.js';
+
+const r = Router();
+const adminAuth = [requireAuth, requireRole('ADMIN')];
+
+r.get('/maintenance-tasks', adminAuth, listMaintenanceTasks);
+r.get('/cars/:carId/maintenance', adminAuth, listCarMaintenance);
+r.post('/cars/:carId/maintenance', adminAuth, createMaintenanceTask);
+r.put('/cars/:carId/maintenance/:taskId/schedule', adminAuth, scheduleMaintenanceTask);
+r.post('/cars/:carId/maintenance/:taskId/complete', adminAuth, completeMaintenanceTask);
+r.post('/cars/:carId/maintenance/:taskId/cancel', adminAuth, cancelMaintenanceTask);
+export default r;
@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import {
+  listOneWayFees,
+  getOneWayFee,
+  createOneWayFee,
+  updateOneWayFee,
+  deleteOneWayFee,
+} from '../controllers/oneWayFees.controller.js';
+
+const r = Router();
+const adminAuth = [requireAuth, requireRole('ADMIN')];
+
+r.get('/api/admin/one-way-fees', adminAuth, listOneWayFees);
+r.get('/api/admin/one-way-fees/:id', adminAuth, getOneWayFee);
+r.post('/api/admin/one-way-fees', adminAuth, createOneWayFee);
+r.put('/api/admin/one-way-fees/:id', adminAuth, updateOneWayFee);
+r.delete('/api/admin/one-way-fees/:id', adminAuth, deleteOneWayFee);
+export default r;
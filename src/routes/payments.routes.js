@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import {
+  listPayments,
+  createPayment,
+  capturePayment,
+  releasePayment,
+} from '../controllers/payments.controller.js';
+
+const r = Router();
+r.get('/contracts/:id/payments', requireAuth, listPayments);                                              // owner or admin: ledger + balance
+r.post('/contracts/:id/payments', requireAuth, requireRole('ADMIN'), createPayment);                      // admin records deposit/charge
+r.post('/contracts/:id/payments/:paymentId/capture', requireAuth, requireRole('ADMIN'), capturePayment);  // admin captures deposit hold
+r.post('/contracts/:id/payments/:paymentId/release', requireAuth, requireRole('ADMIN'), releasePayment);  // admin releases deposit hold
+export default r;
@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole } from '../middlewares/roles.middleware.js';
+import {
+  listReturnFeePolicies,
+  getReturnFeePolicy,
+  createReturnFeePolicy,
+  updateReturnFeePolicy,
+  deleteReturnFeePolicy,
+} from '../controllers/returnFeePolicies.controller.js';
+
+const r = Router();
+const adminAuth = [requireAuth, requireRole('ADMIN')];
+
+r.get('/api/admin/return-fee-policies', adminAuth, listReturnFeePolicies);
+r.get('/api/admin/return-fee-policies/:id', adminAuth, getReturnFeePolicy);
+r.post('/api/admin/return-fee-policies', adminAuth, createReturnFeePolicy);
+r.put('/api/admin/return-fee-policies/:id', adminAuth, updateReturnFeePolicy);
+r.delete('/api/admin/return-fee-policies/:id', adminAuth, deleteReturnFeePolicy);
+export default r;
@@ -10,16 +10,28 @@ import {
   updateUser,
   deleteUser,
 } from '../controllers/users.controller.js';
+import {
+  getMyDriverProfile,
+  upsertMyDriverProfile,
+  uploadMyLicenceScan,
+  getUserDriverProfile,
+} from '../controllers/driverProfile.controller.js';
+import { upload } from '../middlewares/upload.middleware.js';
+import { setLicenceFolder } from '../middlewares/licence-folder.middleware.js';
 
 const r = Router();
 
 // Current user endpoints
 r.get('/users/me', requireAuth, getMe);
 r.put('/users/me', requireAuth, updateMe);
+r.get('/users/me/driver-profile', requireAuth, getMyDriverProfile);
+r.put('/users/me/driver-profile', requireAuth, upsertMyDriverProfile);
+r.post('/users/me/driver-profile/licence-scan', requireAuth, setLicenceFolder, upload.single('licence'), uploadMyLicenceScan);
 
 // Admin endpoints
 r.get('/users', requireAuth, requireRole('ADMIN'), listUsers);
 r.get('/users/:id', requireAuth, requireRole('ADMIN'), getUserById);
+r.get('/users/:id/driver-profile', requireAuth, requireRole('ADMIN'), getUserDriverProfile);
 r.post('/users', requireAuth, requireRole('ADMIN'), createUser);
 r.put('/users/:id', requireAuth, requireRole('ADMIN'), updateUser);
 r.delete('/users/:id', requireAuth, requireRole('ADMIN'), deleteUser);
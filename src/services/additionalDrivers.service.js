@@ -0,0 +1,95 @@
+import prisma from '../models/db.js';
+import { badRequest, notFound, unprocessable } from '../errors.js';
+import { EligibilityReason, checkDriverEligibility } from '../lib/driverEligibility.js';
+import { additionalDriverName } from '../lib/additionalDrivers.js';
+import { assertProfileEligible, getDriverRules, parseLicenceDetails } from './driverEligibility.service.js';
+
+/** Who is shown for a registered additional driver: the name only, never account details. */
+const driverUserSelect = { select: { id: true, firstName: true, lastName: true } };
+
+/** Inline driver columns only the contract owner and admins may see. */
+const PRIVATE_DRIVER_FIELDS = ['dateOfBirth', 'licenceNumber', 'licenceCountry', 'licenceIssuedAt', 'licenceExpiresAt'];
+
+/** Additional drivers shown with a contract. */
+export const contractDriversInclude = { include: { user: driverUserSelect }, orderBy: { id: 'asc' } };
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+/**
+ * A contract's drivers as a named driver (not the owner or an admin) sees them: inline drivers
+ * without their date of birth and licence.
+ * @param {Array<object>} drivers
+ * @returns {Array<object>}
+ */
+export function redactContractDrivers(drivers) {
+  return (drivers ?? []).map((driver) => Object.fromEntries(
+    Object.entries(driver).filter(([key]) => !PRIVATE_DRIVER_FIELDS.includes(key))
+  ));
+}
+
+/**
+ * Validates the body of POST /contracts/:id/drivers: a registered user by `email`, or an inline
+ * driver with firstName, lastName, dateOfBirth and licence details. Users are not looked up by id
+ * so that renters cannot walk the user table.
+ * @param {unknown} body
+ * @returns {{ email: string } | { inline: object }}
+ */
+export function parseAdditionalDriver(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) throw badRequest('body must be an object');
+  if (body.userId !== undefined) throw badRequest('Name a registered driver by email');
+  if (body.email !== undefined) {
+    if (!isNonEmptyString(body.email)) throw badRequest('email must be a non-empty string');
+    return { email: body.email.trim().toLowerCase() };
+  }
+  if (!isNonEmptyString(body.firstName) || !isNonEmptyString(body.lastName)) {
+    throw badRequest('Give the email of a registered user, or firstName, lastName and licence details');
+  }
+  return {
+    inline: { firstName: body.firstName.trim(), lastName: body.lastName.trim(), ...parseLicenceDetails(body) },
+  };
+}
+
+/**
+ * ContractDriver columns for a parsed driver; registered drivers also get `user` (id and name)
+ * for display. Its 404 tells whether an email has an account, so only admins may name by email.
+ * @param {{ email?: string, inline?: object }} input - from parseAdditionalDriver
+ * @param {object} [db] - Prisma client or transaction client
+ * @throws {HttpError} 404 when no user has the email
+ */
+export async function resolveAdditionalDriver(input, db = prisma) {
+  if (input.inline) return { userId: null, ...input.inline };
+  const user = await db.user.findUnique({ where: { email: input.email }, ...driverUserSelect });
+  if (!user) throw notFound('No registered user with this email');
+  return { userId: user.id, user };
+}
+
+/**
+ * Throws 422 when one of `drivers` may not drive `car` over [startDate, endDate). Details name
+ * the driver that failed. Inline drivers get the reasons (see assertProfileEligible); registered
+ * drivers are checked against their own DriverProfile, whose contents the renter may not learn,
+ * so they only get the code DRIVER_NOT_ELIGIBLE.
+ * @param {{
+ *   drivers: Array<object>,
+ *   car: { powerKW: number, bodyType: string },
+ *   startDate: Date,
+ *   endDate: Date,
+ * }} input - drivers are ContractDriver rows (or resolveAdditionalDriver results) with `user` included
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function assertAdditionalDriversEligible({ drivers, car, startDate, endDate }, db = prisma) {
+  for (const driver of drivers) {
+    const details = { additionalDriverId: driver.id ?? null, driver: additionalDriverName(driver) };
+    if (driver.userId == null) {
+      assertProfileEligible({ profile: driver, car, startDate, endDate }, details);
+      continue;
+    }
+    const profile = await db.driverProfile.findUnique({ where: { userId: driver.userId } });
+    const reasons = checkDriverEligibility({ profile, car, startDate, endDate, rules: getDriverRules() });
+    if (reasons.length > 0) {
+      throw unprocessable(`${details.driver} cannot be named as a driver of this car for these dates`, {
+        ...details,
+        code: EligibilityReason.DRIVER_NOT_ELIGIBLE,
+      });
+    }
+  }
+}
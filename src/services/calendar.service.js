@@ -0,0 +1,95 @@
+import prisma from '../models/db.js';
+import { badRequest } from '../errors.js';
+import { CALENDAR_BLOCKING_STATES, buildOccupiedIntervals } from '../lib/carCalendar.js';
+
+/** First key of the per-car advisory lock, so it cannot collide with other pg_advisory locks. */
+const CAR_CALENDAR_LOCK = 4201;
+
+/**
+ * Serialises calendar writes for one car until the surrounding transaction ends.
+ * Check-then-insert is only safe while holding it: a second booking for the same car waits here
+ * and then sees the first one's row. Uses pg_advisory_xact_lock, released on commit/rollback.
+ * @param {object} tx - Prisma transaction client
+ * @param {number} carId
+ */
+export async function lockCarCalendar(tx, carId) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${CAR_CALENDAR_LOCK}::int, ${carId}::int)`;
+}
+
+/**
+ * Throws 400 when [start, end) overlaps a DRAFT/ACTIVE contract, a prep block or a scheduled
+ * maintenance window of the car.
+ * Run it inside a transaction after lockCarCalendar before writing the booking.
+ * @param {number} carId
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number|null} excludeContractId - contract being edited, ignored in the check
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function assertNoCalendarConflict(carId, start, end, excludeContractId = null, db = prisma) {
+  const overContract = await db.contract.findFirst({
+    where: {
+      carId,
+      ...(excludeContractId != null ? { id: { not: excludeContractId } } : {}),
+      state: { in: CALENDAR_BLOCKING_STATES },
+      AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }],
+    },
+  });
+  if (overContract) {
+    throw badRequest('Selected dates overlap an existing reservation');
+  }
+  const overPrep = await db.carPrepBlock.findFirst({
+    where: {
+      carId,
+      AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }],
+    },
+  });
+  if (overPrep) {
+    throw badRequest('Selected dates are not available for this car');
+  }
+  const overMaintenance = await db.maintenanceTask.findFirst({
+    where: {
+      carId,
+      status: 'SCHEDULED',
+      AND: [{ scheduledStart: { lt: end } }, { scheduledEnd: { gt: start } }],
+    },
+  });
+  if (overMaintenance) {
+    throw badRequest('Selected dates are not available for this car');
+  }
+}
+
+/**
+ * Occupied intervals of one car that intersect [from, to), sorted by start.
+ * @param {number} carId
+ * @param {Date} from
+ * @param {Date} to
+ */
+export async function getCarOccupancy(carId, from, to) {
+  const [contracts, prepBlocks, maintenanceTasks] = await Promise.all([
+    prisma.contract.findMany({
+      where: {
+        carId,
+        state: { in: CALENDAR_BLOCKING_STATES },
+        AND: [{ startDate: { lt: to } }, { endDate: { gt: from } }],
+      },
+      select: { id: true, state: true, startDate: true, endDate: true },
+    }),
+    prisma.carPrepBlock.findMany({
+      where: {
+        carId,
+        AND: [{ startDate: { lt: to } }, { endDate: { gt: from } }],
+      },
+      select: { id: true, startDate: true, endDate: true },
+    }),
+    prisma.maintenanceTask.findMany({
+      where: {
+        carId,
+        status: 'SCHEDULED',
+        AND: [{ scheduledStart: { lt: to } }, { scheduledEnd: { gt: from } }],
+      },
+      select: { id: true, scheduledStart: true, scheduledEnd: true },
+    }),
+  ]);
+  return buildOccupiedIntervals({ contracts, prepBlocks, maintenanceTasks: maintenanceTasks ?? [] });
+}
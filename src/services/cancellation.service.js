@@ -0,0 +1,26 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import {
+  DEFAULT_CANCELLATION_TIERS,
+  normalizeCancellationTiers,
+  quoteCancellation,
+} from '../lib/cancellation.js';
+import { computeContractBalance } from '../lib/payments.js';
+import { listContractPayments } from './payment.service.js';
+
+/** Tiers from CANCELLATION_TIERS, or the built-in ones. */
+export function getCancellationTiers() {
+  return normalizeCancellationTiers(config.cancellationTiers ?? DEFAULT_CANCELLATION_TIERS);
+}
+
+/**
+ * What cancelling the contract now would cost, based on what has been paid so far.
+ * @param {{ id: number, startDate: Date, totalPrice: number }} contract
+ * @param {object} [db] - Prisma client or transaction client
+ * @param {Date} [now]
+ */
+export async function quoteContractCancellation(contract, db = prisma, now = new Date()) {
+  const payments = await listContractPayments(contract.id, db);
+  const { paid, refunded } = computeContractBalance(contract, payments);
+  return quoteCancellation({ contract, paid: paid - refunded, tiers: getCancellationTiers(), now });
+}
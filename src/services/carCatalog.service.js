@@ -0,0 +1,53 @@
+import prisma from '../models/db.js';
+import { parseCarCatalogQuery, paginationArgs } from '../lib/carCatalogQuery.js';
+
+/**
+ * Runs a catalogue listing: applies the shared filter/sort/pagination query params on top of
+ * the endpoint's own `baseWhere`. Archived cars are left out unless baseWhere sets archivedAt.
+ * @param {object} baseWhere - endpoint-specific conditions (city, lease/sale flags, ...)
+ * @param {Record<string, any>} query - req.query
+ * @param {{ select?: object, priceField?: 'pricePerDay'|'salePrice' }} [options]
+ * @returns {Promise<{ items: object[], page: object|null }>} page is null when not paginated
+ */
+export async function findCatalogCars(baseWhere, query, { select, priceField = 'pricePerDay' } = {}) {
+  const { where: filters, orderBy, pagination } = parseCarCatalogQuery(query, { priceField });
+  const where = { archivedAt: null, ...baseWhere, ...filters };
+
+  if (!pagination) {
+    const items = await prisma.car.findMany({ where, orderBy, ...(select ? { select } : {}) });
+    return { items, page: null };
+  }
+
+  const [rows, total] = await Promise.all([
+    prisma.car.findMany({ where, orderBy, ...paginationArgs(pagination), ...(select ? { select } : {}) }),
+    prisma.car.count({ where }),
+  ]);
+
+  if (pagination.mode === 'offset') {
+    return {
+      items: rows,
+      page: {
+        total,
+        page: pagination.page,
+        pageSize: pagination.pageSize,
+        totalPages: Math.ceil(total / pagination.pageSize),
+      },
+    };
+  }
+
+  const hasMore = rows.length > pagination.limit;
+  const items = hasMore ? rows.slice(0, pagination.limit) : rows;
+  return {
+    items,
+    page: {
+      total,
+      limit: pagination.limit,
+      nextCursor: hasMore ? items[items.length - 1].id : null,
+    },
+  };
+}
+
+/** Plain array when unpaginated (backwards compatible), `{ items, ...page }` otherwise. */
+export function toCatalogResponse(items, page) {
+  return page ? { items, ...page } : items;
+}
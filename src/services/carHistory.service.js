@@ -0,0 +1,44 @@
+import { badRequest } from '../errors.js';
+import { odometerReadingError } from '../lib/carHistory.js';
+
+/**
+ * Appends a CarOdometerReading. Throws 400 when the reading is below previousKm. The caller
+ * writes Car.odometerKm itself, in the same transaction.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {{
+ *   carId: number,
+ *   previousKm: number|null|undefined,
+ *   odometerKm: number,
+ *   source: string,
+ *   contractId?: number|null,
+ *   inspectionId?: number|null,
+ *   actorId?: number|null,
+ * }} reading - previousKm is Car.odometerKm before the reading
+ */
+export async function recordOdometerReading(tx, { carId, previousKm, odometerKm, source, contractId = null, inspectionId = null, actorId = null }) {
+  const error = odometerReadingError(previousKm, odometerKm);
+  if (error) throw badRequest(error, { previousKm });
+  return tx.carOdometerReading.create({
+    data: { carId, odometerKm, previousKm: previousKm ?? null, source, contractId, inspectionId, actorId },
+  });
+}
+
+/**
+ * Appends a CarStateChange; nothing is written when the state stays the same.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {{
+ *   carId: number,
+ *   fromState: string|null|undefined,
+ *   toState: string,
+ *   source: string,
+ *   contractId?: number|null,
+ *   actorId?: number|null,
+ *   reason?: string|null,
+ * }} change - fromState null when the car is created
+ */
+export async function recordCarStateChange(tx, { carId, fromState, toState, source, contractId = null, actorId = null, reason = null }) {
+  if (fromState === toState) return null;
+  return tx.carStateChange.create({
+    data: { carId, fromState: fromState ?? null, toState, source, contractId, actorId, reason },
+  });
+}
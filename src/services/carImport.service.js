@@ -0,0 +1,137 @@
+import prisma from '../models/db.js';
+import { HttpError, unprocessable } from '../errors.js';
+import { CAR_CSV_COLUMNS, parseCarInput } from '../lib/carInput.js';
+import { odometerReadingError } from '../lib/carHistory.js';
+import { recordCarStateChange, recordOdometerReading } from './carHistory.service.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const vinOf = (input) => (typeof input?.vin === 'string' ? input.vin.trim().toUpperCase() : null);
+
+/** Runs fn; a 400/422 it throws becomes the row's error, anything else propagates. */
+function attempt(fn) {
+  try {
+    return { value: fn() };
+  } catch (e) {
+    if (e instanceof HttpError) return { error: e.message };
+    throw e;
+  }
+}
+
+const sameValue = (a, b) => (a == null || b == null ? a == b : typeof b === 'number' ? Number(a) === b : a === b);
+
+/** Columns of `data` that differ from the stored car. */
+function changedFields(current, data) {
+  return Object.fromEntries(Object.entries(data).filter(([key, value]) => !sameValue(current[key], value)));
+}
+
+/**
+ * Upserts cars by VIN. Every row is validated like POST /cars; for a VIN already in the fleet
+ * the row's fields replace the stored ones and omitted fields keep their values. Rows are also
+ * refused for the VIN of an archived car, an unknown city, a VIN or plate repeated in the import,
+ * a plate of another car and an odometer below the car's current reading.
+ *
+ * Nothing is written when any row fails: the import throws 422 (details.code CAR_IMPORT_INVALID)
+ * with the same report a dry run returns.
+ * @param {Array<any>} rows - one entry per car, 1-based in the report
+ * @param {{ toInput?: (row: any) => object, dryRun?: boolean, actorId?: number|null }} [options]
+ *   toInput turns a row into a POST /cars body and may throw 400 for a malformed row
+ * @returns {Promise<{
+ *   dryRun: boolean, total: number, created: number, updated: number, unchanged: number, failed: number,
+ *   rows: Array<{ row: number, vin: string|null, action: 'create'|'update'|'unchanged'|'error', carId?: number, error?: string }>,
+ * }>}
+ */
+export async function importCars(rows, { toInput = (row) => row, dryRun = false, actorId = null } = {}) {
+  const inputs = rows.map((row) => attempt(() => toInput(row)));
+
+  const vins = [...new Set(inputs.map((i) => vinOf(i.value)).filter(Boolean))];
+  const existing = (await prisma.car.findMany({ where: { vin: { in: vins } } })) ?? [];
+  const byVin = new Map(existing.map((car) => [car.vin, car]));
+
+  const parsed = inputs.map((input) => {
+    if (input.error) return input;
+    return attempt(() => {
+      const current = byVin.get(vinOf(input.value)) ?? null;
+      const stored = current ? Object.fromEntries(CAR_CSV_COLUMNS.map((c) => [c, current[c]])) : {};
+      return { current, data: parseCarInput({ ...stored, ...input.value }, { storedVin: current?.vin }) };
+    });
+  });
+
+  const valid = parsed.filter((p) => p.value).map((p) => p.value.data);
+  const [plateOwners, cities] = await Promise.all([
+    prisma.car.findMany({
+      where: { numberPlate: { in: [...new Set(valid.map((d) => d.numberPlate))] } },
+      select: { vin: true, numberPlate: true },
+    }),
+    prisma.city.findMany({ where: { id: { in: [...new Set(valid.map((d) => d.cityId))] } }, select: { id: true } }),
+  ]);
+  const plateVin = new Map((plateOwners ?? []).map((c) => [c.numberPlate, c.vin]));
+  const cityIds = new Set((cities ?? []).map((c) => c.id));
+
+  const seenVins = new Set();
+  const seenPlates = new Set();
+  const report = parsed.map((p, index) => {
+    const row = index + 1;
+    if (p.error) return { row, vin: vinOf(inputs[index].value), action: 'error', error: p.error };
+    const { current, data } = p.value;
+
+    let error = null;
+    if (current?.archivedAt) error = 'Car is archived; restore it first (POST /cars/:id/restore)';
+    else if (!cityIds.has(data.cityId)) error = 'Invalid cityId (city not found)';
+    else if (seenVins.has(data.vin)) error = 'VIN appears more than once in the import';
+    else if (seenPlates.has(data.numberPlate)) error = 'numberPlate appears more than once in the import';
+    else if (plateVin.has(data.numberPlate) && plateVin.get(data.numberPlate) !== data.vin) {
+      error = 'numberPlate already exists';
+    } else if (current) error = odometerReadingError(current.odometerKm, data.odometerKm);
+    if (error) return { row, vin: data.vin, action: 'error', error };
+    seenVins.add(data.vin);
+    seenPlates.add(data.numberPlate);
+
+    if (!current) return { row, vin: data.vin, action: 'create', data };
+    const changes = changedFields(current, data);
+    const action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    return { row, vin: data.vin, action, carId: current.id, current, data: changes };
+  });
+
+  const count = (action) => report.filter((r) => r.action === action).length;
+  const summary = () => ({
+    dryRun,
+    total: report.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    rows: report.map(({ row, vin, action, carId, error }) => ({ row, vin, action, carId, error })),
+  });
+
+  if (count('error') > 0 && !dryRun) {
+    throw unprocessable(`${count('error')} of ${report.length} rows are invalid; nothing was imported`, {
+      code: 'CAR_IMPORT_INVALID',
+      ...summary(),
+    });
+  }
+  if (dryRun) return summary();
+
+  await prisma.$transaction(async (tx) => {
+    for (const entry of report) {
+      if (entry.action === 'create') {
+        const car = await tx.car.create({ data: entry.data, select: { id: true } });
+        const history = { carId: car.id, source: 'ADMIN_EDIT', actorId };
+        await recordOdometerReading(tx, { ...history, previousKm: null, odometerKm: entry.data.odometerKm });
+        await recordCarStateChange(tx, { ...history, fromState: null, toState: entry.data.state });
+        entry.carId = car.id;
+      } else if (entry.action === 'update') {
+        const { current, data } = entry;
+        const history = { carId: current.id, source: 'ADMIN_EDIT', actorId };
+        if (data.odometerKm !== undefined) {
+          await recordOdometerReading(tx, { ...history, previousKm: current.odometerKm, odometerKm: data.odometerKm });
+        }
+        if (data.state !== undefined) {
+          await recordCarStateChange(tx, { ...history, fromState: current.state, toState: data.state });
+        }
+        await tx.car.update({ where: { id: current.id }, data });
+      }
+    }
+  }, { timeout: 60000 });
+  return summary();
+}
@@ -0,0 +1,89 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { unprocessable } from '../errors.js';
+import { complianceStatus, documentsLapsingBefore } from '../lib/compliance.js';
+import { sendCarDocumentsExpiringEmail } from './email.service.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const documentSelect = { type: true, expiresAt: true };
+
+/**
+ * Throws 422 (details.code CAR_DOCUMENTS_EXPIRE) when an insurance policy, technical inspection
+ * or road tax of the car expires before the booking ends.
+ * @param {number} carId
+ * @param {Date} endDate
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function assertCarCompliant(carId, endDate, db = prisma) {
+  const documents = (await db.carDocument.findMany({ where: { carId }, select: documentSelect })) ?? [];
+  const lapsing = documentsLapsingBefore(documents, endDate);
+  if (lapsing.length > 0) {
+    const types = lapsing.map((d) => d.type).join(', ');
+    throw unprocessable(`The car's ${types} expires before the booking ends`, {
+      code: 'CAR_DOCUMENTS_EXPIRE',
+      documents: lapsing,
+    });
+  }
+}
+
+/**
+ * Adds `compliance` (see complianceStatus) to each car, with one query for the whole page.
+ * @param {Array<{ id: number }>} cars
+ * @param {{ now?: Date, warningDays?: number }} [options]
+ */
+export async function attachCompliance(cars, { now = new Date(), warningDays = config.complianceWarningDays } = {}) {
+  if (cars.length === 0) return cars;
+  const documents = (await prisma.carDocument.findMany({
+    where: { carId: { in: cars.map((c) => c.id) } },
+    select: { carId: true, ...documentSelect },
+  })) ?? [];
+  return cars.map((car) => ({
+    ...car,
+    compliance: complianceStatus(documents.filter((d) => d.carId === car.id), { now, warningDays }),
+  }));
+}
+
+/**
+ * Emails every admin one list of documents in force, on cars not archived, that expired or expire within
+ * `withinDays`. Nothing is sent when the list is empty; a failed email is logged and skipped.
+ * @param {{ now?: Date, withinDays?: number }} [options]
+ * @returns {Promise<{ documents: number, notified: number }>} listed documents and admins actually emailed
+ */
+export async function notifyExpiringCarDocuments({ now = new Date(), withinDays = config.complianceWarningDays } = {}) {
+  const cutoff = new Date(now.getTime() + withinDays * MS_PER_DAY);
+  const cars = await prisma.car.findMany({
+    where: { archivedAt: null, documents: { some: { expiresAt: { lte: cutoff } } } },
+    select: { id: true, make: true, model: true, numberPlate: true, documents: { select: documentSelect } },
+    orderBy: { id: 'asc' },
+  });
+
+  const expiring = [];
+  for (const car of cars) {
+    const { documents } = complianceStatus(car.documents, { now, warningDays: withinDays });
+    for (const doc of documents) {
+      if (doc.status !== 'EXPIRED' && doc.status !== 'EXPIRING') continue;
+      expiring.push({
+        carId: car.id,
+        carName: `${car.make} ${car.model}`,
+        numberPlate: car.numberPlate,
+        type: doc.type,
+        expiresAt: doc.expiresAt,
+      });
+    }
+  }
+  if (expiring.length === 0) return { documents: 0, notified: 0 };
+  expiring.sort((a, b) => a.expiresAt - b.expiresAt);
+
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { email: true } });
+  let notified = 0;
+  for (const admin of admins) {
+    try {
+      const sent = await sendCarDocumentsExpiringEmail({ to: admin.email, documents: expiring, withinDays });
+      if (sent) notified += 1;
+    } catch (error) {
+      console.error(`[Compliance Jobs] Could not email ${admin.email}:`, error);
+    }
+  }
+  return { documents: expiring.length, notified };
+}
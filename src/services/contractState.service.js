@@ -0,0 +1,138 @@
+import { conflict } from '../errors.js';
+import { assertTransition, carStateForTransition } from '../lib/contractStateMachine.js';
+import { assertDepositForActivation, refundContractPayments } from './payment.service.js';
+import { quoteContractCancellation } from './cancellation.service.js';
+import { recordCarStateChange, recordOdometerReading } from './carHistory.service.js';
+
+/**
+ * Appends one row to the contract's state history.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {{ contractId: number, fromState: string|null, toState: string, actorId?: number|null, reason?: string|null }} event
+ */
+export async function recordContractEvent(tx, { contractId, fromState, toState, actorId = null, reason = null }) {
+  return tx.contractEvent.create({
+    data: { contractId, fromState, toState, actorId, reason },
+  });
+}
+
+/**
+ * Locks the contract's row until the transaction ends and throws 409 when its state is no longer
+ * the one the caller read, e.g. an admin activated a draft the expiry job read a moment earlier.
+ * @param {object} tx - Prisma transaction client
+ * @param {{ id: number, state: string }} contract - as read before the transaction
+ */
+async function lockContractState(tx, contract) {
+  const [locked] = (await tx.$queryRaw`SELECT "state"::text AS "state" FROM "Contract" WHERE "id" = ${contract.id} FOR UPDATE`) ?? [];
+  // a deleted row fails on the update instead
+  if (locked && locked.state !== contract.state) {
+    throw conflict(`Contract is ${locked.state} now, not ${contract.state}`, { state: locked.state });
+  }
+}
+
+/**
+ * Locks the car's row until the transaction ends, so damage grounding it cannot interleave with
+ * leasing it out.
+ * @param {object} tx - Prisma transaction client
+ * @param {number} carId
+ */
+async function lockCar(tx, carId) {
+  await tx.$queryRaw`SELECT "id" FROM "Car" WHERE "id" = ${carId} FOR UPDATE`;
+}
+
+/**
+ * Moves a contract to `toState`: validates the transition against the central table, updates the
+ * contract (plus any extra columns), syncs Car.state and records a ContractEvent. Changes to the
+ * car's state and odometer (carData.odometerKm) also go to its history logs; when data.carId moves
+ * the contract to another car, that car is the one updated.
+ * The contract row is locked first and must still be in the state `contract` was read in (409
+ * otherwise), so a concurrent transition is never overwritten.
+ * Activation may require a deposit (REQUIRE_DEPOSIT_FOR_ACTIVATION) and is refused with 409 while
+ * the car is in MAINTENANCE or archived, so a grounded car is never marked LEASED. Cancellation stores the
+ * cancellation fee and refundable amount on the contract and records the refunds; the caller runs
+ * settleCancelledPayments after the transaction commits to send them to the gateway.
+ * Call it inside `prisma.$transaction` so all writes land together.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {{ id: number, carId: number, state: string, startDate: Date, totalPrice: number }} contract - current row
+ * @param {string} toState
+ * @param {{
+ *   actor?: { id: number, isAdmin: boolean, isOwner: boolean } | null,
+ *   reason?: string | null,
+ *   data?: object,
+ *   carData?: object,
+ *   waiveFee?: boolean,
+ * }} [options] - actor null skips the role check (background jobs); data/carData are extra columns to write;
+ *   waiveFee refunds everything paid on cancellation (used when the system, not the customer, cancels)
+ * @returns {Promise<object>} updated contract
+ */
+export async function transitionContract(tx, contract, toState, { actor = null, reason = null, data = {}, carData = {}, waiveFee = false } = {}) {
+  assertTransition(contract.state, toState, actor);
+  await lockContractState(tx, contract);
+  if (contract.state === 'DRAFT' && toState === 'ACTIVE') {
+    await assertDepositForActivation(tx, contract.id);
+  }
+
+  let cancellation = null;
+  if (toState === 'CANCELLED') {
+    cancellation = await quoteContractCancellation(contract, tx);
+    if (waiveFee) cancellation = { ...cancellation, cancellationFee: 0, refundableAmount: cancellation.paid };
+    data = {
+      ...data,
+      cancellationFee: cancellation.cancellationFee,
+      refundableAmount: cancellation.refundableAmount,
+    };
+  }
+
+  const carState = carStateForTransition(contract.state, toState);
+  // an edit may move the contract to another car in the same write
+  const carId = data.carId ?? contract.carId;
+  const syncCar = Boolean(carState) || Object.keys(carData).length > 0;
+  let car = null;
+  if (syncCar) {
+    if (carState === 'LEASED') await lockCar(tx, carId);
+    car = await tx.car.findUnique({ where: { id: carId }, select: { state: true, odometerKm: true, archivedAt: true } });
+    if (carState === 'LEASED' && (car?.state === 'MAINTENANCE' || car?.archivedAt)) {
+      throw conflict(
+        car.archivedAt ? 'The car is archived and cannot be leased' : 'The car is in maintenance and cannot be leased',
+        { carId, carState: car.state },
+      );
+    }
+  }
+
+  const updated = await tx.contract.update({
+    where: { id: contract.id },
+    data: { ...data, state: toState },
+  });
+
+  if (syncCar) {
+    const history = { carId, source: 'CONTRACT', contractId: contract.id, actorId: actor?.id ?? null };
+    if (carData.odometerKm != null) {
+      await recordOdometerReading(tx, { ...history, previousKm: car?.odometerKm, odometerKm: carData.odometerKm });
+    }
+    if (carState) {
+      await recordCarStateChange(tx, { ...history, fromState: car?.state, toState: carState, reason });
+    }
+    await tx.car.update({
+      where: { id: carId },
+      data: { ...carData, ...(carState ? { state: carState } : {}) },
+    });
+  }
+
+  if (cancellation) {
+    await refundContractPayments(tx, contract.id, {
+      actorId: actor?.id ?? null,
+      note: reason,
+      limit: cancellation.refundableAmount,
+    });
+  }
+
+  await recordContractEvent(tx, {
+    contractId: contract.id,
+    fromState: contract.state,
+    toState,
+    actorId: actor?.id ?? null,
+    reason,
+  });
+
+  return updated;
+}
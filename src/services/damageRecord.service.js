@@ -0,0 +1,81 @@
+import prisma from '../models/db.js';
+import { OPEN_DAMAGE_STATUSES, carStateForDamage } from '../lib/damageRecords.js';
+import { recordCarStateChange } from './carHistory.service.js';
+
+/** Photos, the rental it happened in, the customer and the inspection marker it came from. */
+export const damageRecordInclude = {
+  photos: { orderBy: { id: 'asc' } },
+  contract: { select: { id: true, startDate: true, endDate: true, state: true } },
+  user: { select: { id: true, email: true, firstName: true, lastName: true } },
+  inspectionDamage: { include: { photos: { orderBy: { id: 'asc' } } } },
+};
+
+/**
+ * Open damage records of a car, optionally leaving out those of one contract.
+ * @param {number} carId
+ * @param {{ exceptContractId?: number }} [options]
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function openCarDamages(carId, { exceptContractId } = {}, db = prisma) {
+  return (await db.damageRecord.findMany({
+    where: {
+      carId,
+      repairStatus: { in: OPEN_DAMAGE_STATUSES },
+      ...(exceptContractId != null ? { OR: [{ contractId: null }, { contractId: { not: exceptContractId } }] } : {}),
+    },
+    orderBy: { id: 'asc' },
+  })) ?? [];
+}
+
+/**
+ * @param {number} carId
+ * @param {object} [db]
+ * @returns {Promise<boolean>} true when the car has open SEVERE damage
+ */
+export async function isCarGrounded(carId, db = prisma) {
+  const count = await db.damageRecord.count({
+    where: { carId, severity: 'SEVERE', repairStatus: { in: OPEN_DAMAGE_STATUSES } },
+  });
+  return count > 0;
+}
+
+/**
+ * Puts the car into MAINTENANCE when it now has open severe damage, or back to AVAILABLE when
+ * the change cleared the last of it. A change is logged to the car's state history.
+ * @param {number} carId
+ * @param {{ state: string, wasGrounded?: boolean, contractId?: number|null, actorId?: number|null }} before -
+ *   Car.state and whether it was grounded before the change; contractId/actorId go to the history
+ * @param {object} [db]
+ * @returns {Promise<string|null>} the state set, or null when it stays
+ */
+export async function syncCarDamageState(carId, { state, wasGrounded = false, contractId = null, actorId = null }, db = prisma) {
+  const isGrounded = await isCarGrounded(carId, db);
+  const next = carStateForDamage(state, { wasGrounded, isGrounded });
+  if (next) {
+    await db.car.update({ where: { id: carId }, data: { state: next } });
+    await recordCarStateChange(db, { carId, fromState: state, toState: next, source: 'DAMAGE', contractId, actorId });
+  }
+  return next;
+}
+
+/**
+ * Registers the new damage a return inspection found against the car, the contract and its customer.
+ * @param {object} tx - transaction client
+ * @param {{ id: number, carId: number, userId: number }} contract
+ * @param {Array<{ id: number, panel: string, severity: string, description?: string|null }>} damages - InspectionDamage rows
+ */
+export async function recordInspectionDamages(tx, contract, damages) {
+  for (const damage of damages) {
+    await tx.damageRecord.create({
+      data: {
+        carId: contract.carId,
+        panel: damage.panel,
+        severity: damage.severity,
+        description: damage.description ?? null,
+        contractId: contract.id,
+        userId: contract.userId,
+        inspectionDamageId: damage.id,
+      },
+    });
+  }
+}
@@ -0,0 +1,61 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { draftExpiryReason, draftHoldCutoff } from '../lib/draftExpiry.js';
+import { transitionContract } from './contractState.service.js';
+import { settleCancelledPayments } from './payment.service.js';
+import { sendReservationExpiredEmail } from './email.service.js';
+
+/**
+ * Cancels stale DRAFT reservations (see src/lib/draftExpiry.js) and emails their customers.
+ * The system, not the customer, cancels them, so no cancellation fee is kept.
+ * A draft that fails (e.g. activated in the meantime, which transitionContract refuses with 409)
+ * is logged and skipped, and its customer is not emailed.
+ *
+ * @param {{ now?: Date, holdHours?: number }} [options]
+ * @returns {Promise<{ expired: number[], failed: number[] }>} contract ids
+ */
+export async function expireStaleDrafts({ now = new Date(), holdHours = config.draftHoldHours } = {}) {
+  const drafts = await prisma.contract.findMany({
+    where: {
+      state: 'DRAFT',
+      OR: [
+        { startDate: { lte: now } },
+        { createdAt: { lt: draftHoldCutoff(now, holdHours) } },
+      ],
+    },
+    include: { car: { select: { make: true, model: true } } },
+    orderBy: { id: 'asc' },
+  });
+
+  const expired = [];
+  const failed = [];
+  for (const draft of drafts) {
+    const reason = draftExpiryReason(draft, { now, holdHours });
+    if (!reason) continue;
+
+    try {
+      await prisma.$transaction((tx) => transitionContract(tx, draft, 'CANCELLED', { reason, waiveFee: true }));
+      expired.push(draft.id);
+    } catch (error) {
+      console.error(`[Contract Jobs] Could not expire draft ${draft.id}:`, error);
+      failed.push(draft.id);
+      continue;
+    }
+    await settleCancelledPayments(draft.id);
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: draft.userId }, select: { email: true } });
+      if (user) {
+        await sendReservationExpiredEmail({
+          to: user.email,
+          contract: draft,
+          carName: `${draft.car.make} ${draft.car.model}`,
+        });
+      }
+    } catch (error) {
+      console.error(`[Contract Jobs] Could not email customer of expired draft ${draft.id}:`, error);
+    }
+  }
+
+  return { expired, failed };
+}
@@ -0,0 +1,71 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { badRequest, unprocessable } from '../errors.js';
+import { checkDriverEligibility, normalizeDriverRules } from '../lib/driverEligibility.js';
+
+/** Rules from DRIVER_RULES merged over the built-in ones. */
+export function getDriverRules() {
+  return normalizeDriverRules(config.driverRules);
+}
+
+const parseDate = (v, name) => {
+  const d = new Date(v);
+  if (v == null || v === '' || isNaN(d)) throw badRequest(`${name} must be a valid date`);
+  return d;
+};
+
+/**
+ * Validates a date of birth and driving licence (a driver profile or an inline additional driver).
+ * @param {object} body
+ * @returns {{ dateOfBirth: Date, licenceNumber: string, licenceCountry: string, licenceIssuedAt: Date, licenceExpiresAt: Date }}
+ */
+export function parseLicenceDetails(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) throw badRequest('body must be an object');
+  const now = new Date();
+
+  const dateOfBirth = parseDate(body.dateOfBirth, 'dateOfBirth');
+  if (dateOfBirth >= now) throw badRequest('dateOfBirth must be in the past');
+
+  if (typeof body.licenceNumber !== 'string' || body.licenceNumber.trim() === '') {
+    throw badRequest('licenceNumber is required');
+  }
+  const licenceCountry = typeof body.licenceCountry === 'string' ? body.licenceCountry.trim().toUpperCase() : '';
+  if (!/^[A-Z]{2}$/.test(licenceCountry)) throw badRequest('licenceCountry must be a two-letter country code');
+
+  const licenceIssuedAt = parseDate(body.licenceIssuedAt, 'licenceIssuedAt');
+  if (licenceIssuedAt > now) throw badRequest('licenceIssuedAt cannot be in the future');
+  if (licenceIssuedAt <= dateOfBirth) throw badRequest('licenceIssuedAt must be after dateOfBirth');
+  const licenceExpiresAt = parseDate(body.licenceExpiresAt, 'licenceExpiresAt');
+  if (licenceExpiresAt <= licenceIssuedAt) throw badRequest('licenceExpiresAt must be after licenceIssuedAt');
+
+  return {
+    dateOfBirth,
+    licenceNumber: body.licenceNumber.trim(),
+    licenceCountry,
+    licenceIssuedAt,
+    licenceExpiresAt,
+  };
+}
+
+/**
+ * Throws 422 with `details.code` (the first failed check) and `details.reasons` (all of them)
+ * when the holder of `profile` may not drive `car` over [startDate, endDate).
+ * @param {{ profile: object|null, car: { powerKW: number, bodyType: string }, startDate: Date, endDate: Date }} input
+ * @param {object} [details] - added to the error details, e.g. which driver failed
+ */
+export function assertProfileEligible({ profile, car, startDate, endDate }, details = {}) {
+  const reasons = checkDriverEligibility({ profile, car, startDate, endDate, rules: getDriverRules() });
+  if (reasons.length > 0) {
+    throw unprocessable(reasons[0].message, { ...details, code: reasons[0].code, reasons });
+  }
+}
+
+/**
+ * assertProfileEligible for a user's DriverProfile.
+ * @param {{ userId: number, car: { powerKW: number, bodyType: string }, startDate: Date, endDate: Date }} input
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function assertDriverEligible({ userId, car, startDate, endDate }, db = prisma) {
+  const profile = await db.driverProfile.findUnique({ where: { userId } });
+  assertProfileEligible({ profile, car, startDate, endDate });
+}
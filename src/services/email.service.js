@@ -1,6 +1,6 @@
 import { config } from '../config.js';
 
-function resolveResetEmailLanguage(language) {
+function resolveEmailLanguage(language) {
   const code = typeof language === 'string' ? language.trim().toLowerCase().slice(0, 2) : '';
   if (code === 'en') return 'en';
   if (code === 'ru') return 'ru';
@@ -46,29 +46,21 @@ function buildPasswordResetContent(resetUrl, lang) {
 }
 
 /**
- * Sends password reset email via Resend (https://resend.com) when RESEND_API_KEY is set.
- * Otherwise logs the link (local development).
+ * Posts one email to Resend. Callers check for a missing API key first (dev fallback).
  *
- * @param {{ to: string, resetUrl: string, language?: string }} args
+ * @param {{ to: string, subject: string, text: string, html: string, label: string, failureMessage: string }} args
+ *   label names the email in logs; failureMessage is the thrown error's message
  */
-export async function sendPasswordResetEmail({ to, resetUrl, language }) {
+async function sendViaResend({ to, subject, text, html, label, failureMessage }) {
   const { resendApiKey, emailFrom } = config;
 
-  const lang = resolveResetEmailLanguage(language);
-  const { subject, text, html } = buildPasswordResetContent(resetUrl, lang);
-
-  if (!resendApiKey) {
-    console.warn('[email] RESEND_API_KEY not set — password reset link (dev):', resetUrl);
-    return;
-  }
-
   if (!resendApiKey.startsWith('re_')) {
     console.error(
       '[email] RESEND_API_KEY should start with re_ — check for typos, extra quotes, or wrong variable on your host.'
     );
   }
 
-  console.log('[email] Sending password reset via Resend', {
+  console.log(`[email] Sending ${label} email via Resend`, {
     from: emailFrom,
     toDomain: to.includes('@') ? to.split('@')[1] : '(invalid)',
     keyPreview: `${resendApiKey.slice(0, 6)}…`,
@@ -99,15 +91,204 @@ export async function sendPasswordResetEmail({ to, resetUrl, language }) {
           ? 'Verify EMAIL_FROM domain in Resend, or use a verified domain. Test inbox: delivered@resend.dev'
           : undefined,
     });
-    throw new Error('Failed to send reset email');
+    throw new Error(failureMessage);
   }
 
   try {
     const data = JSON.parse(body);
     if (data?.id) {
-      console.log('[email] Password reset email queued, Resend id:', data.id);
+      console.log(`[email] ${label} email queued, Resend id:`, data.id);
     }
   } catch {
     // non-JSON success body — ignore
   }
 }
+
+/**
+ * Sends password reset email via Resend (https://resend.com) when RESEND_API_KEY is set.
+ * Otherwise logs the link (local development).
+ *
+ * @param {{ to: string, resetUrl: string, language?: string }} args
+ */
+export async function sendPasswordResetEmail({ to, resetUrl, language }) {
+  const lang = resolveEmailLanguage(language);
+  const { subject, text, html } = buildPasswordResetContent(resetUrl, lang);
+
+  if (!config.resendApiKey) {
+    console.warn('[email] RESEND_API_KEY not set — password reset link (dev):', resetUrl);
+    return;
+  }
+
+  await sendViaResend({
+    to,
+    subject,
+    text,
+    html,
+    label: 'password reset',
+    failureMessage: 'Failed to send reset email',
+  });
+}
+
+/** Car names and plates are typed in by admins; keep them as text in the HTML part. */
+const escapeHtml = (v) => String(v ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function formatReservationDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function buildReservationExpiredContent({ contractId, startDate, endDate, carName }, lang) {
+  const dates = `${formatReservationDate(startDate)} – ${formatReservationDate(endDate)}`;
+  const reservationsUrl = `${config.frontendUrl}/contracts`;
+  const carHtml = escapeHtml(carName);
+  if (lang === 'en') {
+    return {
+      subject: `Your reservation #${contractId} has expired`,
+      text: `Your reservation #${contractId} for ${carName} (${dates}) was not confirmed in time and has been cancelled. The car is available to others again.\n\nYou can make a new reservation at ${reservationsUrl}`,
+      html: `
+    <p>Your reservation #${contractId} for ${carHtml} (${dates}) was not confirmed in time and has been cancelled.</p>
+    <p>The car is available to others again.</p>
+    <p><a href="${reservationsUrl}">Make a new reservation</a></p>
+  `.trim(),
+    };
+  }
+  if (lang === 'ru') {
+    return {
+      subject: `Срок бронирования №${contractId} истёк`,
+      text: `Бронирование №${contractId} (${carName}, ${dates}) не было подтверждено вовремя и отменено. Автомобиль снова доступен другим клиентам.\n\nНовое бронирование: ${reservationsUrl}`,
+      html: `
+    <p>Бронирование №${contractId} (${carHtml}, ${dates}) не было подтверждено вовремя и отменено.</p>
+    <p>Автомобиль снова доступен другим клиентам.</p>
+    <p><a href="${reservationsUrl}">Создать новое бронирование</a></p>
+  `.trim(),
+    };
+  }
+  return {
+    subject: `Jūsų rezervacija Nr. ${contractId} nebegalioja`,
+    text: `Jūsų rezervacija Nr. ${contractId} (${carName}, ${dates}) nebuvo laiku patvirtinta ir atšaukta. Automobilis vėl prieinamas kitiems klientams.\n\nNaują rezervaciją galite atlikti: ${reservationsUrl}`,
+    html: `
+    <p>Jūsų rezervacija Nr. ${contractId} (${carHtml}, ${dates}) nebuvo laiku patvirtinta ir atšaukta.</p>
+    <p>Automobilis vėl prieinamas kitiems klientams.</p>
+    <p><a href="${reservationsUrl}">Atlikti naują rezervaciją</a></p>
+  `.trim(),
+  };
+}
+
+/**
+ * Tells the customer their DRAFT reservation was cancelled by the expiry job.
+ * Without RESEND_API_KEY the notice is only logged (local development).
+ *
+ * @param {{
+ *   to: string,
+ *   contract: { id: number, startDate: Date|string, endDate: Date|string },
+ *   carName: string,
+ *   language?: string,
+ * }} args
+ */
+export async function sendReservationExpiredEmail({ to, contract, carName, language }) {
+  const lang = resolveEmailLanguage(language);
+  const { subject, text, html } = buildReservationExpiredContent({
+    contractId: contract.id,
+    startDate: contract.startDate,
+    endDate: contract.endDate,
+    carName,
+  }, lang);
+
+  if (!config.resendApiKey) {
+    console.warn('[email] RESEND_API_KEY not set — reservation expired notice (dev):', to, contract.id);
+    return;
+  }
+
+  await sendViaResend({
+    to,
+    subject,
+    text,
+    html,
+    label: 'reservation expired',
+    failureMessage: 'Failed to send reservation expired email',
+  });
+}
+
+const CAR_DOCUMENT_LABELS = {
+  en: { INSURANCE: 'insurance', TECHNICAL_INSPECTION: 'technical inspection', ROAD_TAX: 'road tax' },
+  ru: { INSURANCE: 'страховка', TECHNICAL_INSPECTION: 'техосмотр', ROAD_TAX: 'дорожный налог' },
+  lt: { INSURANCE: 'draudimas', TECHNICAL_INSPECTION: 'techninė apžiūra', ROAD_TAX: 'kelių mokestis' },
+};
+
+function buildCarDocumentsExpiringContent({ documents, withinDays }, lang) {
+  const labels = CAR_DOCUMENT_LABELS[lang];
+  const lines = documents.map((d) =>
+    `${d.carName} (${d.numberPlate}): ${labels[d.type] ?? d.type} – ${formatReservationDate(d.expiresAt)}`);
+  const text = lines.map((l) => `- ${l}`).join('\n');
+  const list = `<ul>${lines.map((l) => `<li>${escapeHtml(l)}</li>`).join('')}</ul>`;
+  const carsUrl = `${config.frontendUrl}/admin/cars`;
+  if (lang === 'en') {
+    return {
+      subject: `${documents.length} car document(s) expiring within ${withinDays} days`,
+      text: `These car documents have expired or expire within ${withinDays} days. Bookings cannot run past an expiry until the document is renewed.\n\n${text}\n\n${carsUrl}`,
+      html: `
+    <p>These car documents have expired or expire within ${withinDays} days.</p>
+    ${list}
+    <p>Bookings cannot run past an expiry until the document is renewed.</p>
+    <p><a href="${carsUrl}">Open the car list</a></p>
+  `.trim(),
+    };
+  }
+  if (lang === 'ru') {
+    return {
+      subject: `Документы автомобилей истекают в течение ${withinDays} дн.: ${documents.length}`,
+      text: `Срок действия этих документов истёк или истекает в течение ${withinDays} дн. Бронирования не могут длиться дольше срока действия, пока документ не продлён.\n\n${text}\n\n${carsUrl}`,
+      html: `
+    <p>Срок действия этих документов истёк или истекает в течение ${withinDays} дн.</p>
+    ${list}
+    <p>Бронирования не могут длиться дольше срока действия, пока документ не продлён.</p>
+    <p><a href="${carsUrl}">Открыть список автомобилей</a></p>
+  `.trim(),
+    };
+  }
+  return {
+    subject: `Automobilių dokumentai, kurių galiojimas baigiasi per ${withinDays} d.: ${documents.length}`,
+    text: `Šių automobilių dokumentų galiojimas baigėsi arba baigiasi per ${withinDays} d. Kol dokumentas neatnaujintas, rezervacijos negali tęstis po jo galiojimo pabaigos.\n\n${text}\n\n${carsUrl}`,
+    html: `
+    <p>Šių automobilių dokumentų galiojimas baigėsi arba baigiasi per ${withinDays} d.</p>
+    ${list}
+    <p>Kol dokumentas neatnaujintas, rezervacijos negali tęstis po jo galiojimo pabaigos.</p>
+    <p><a href="${carsUrl}">Atidaryti automobilių sąrašą</a></p>
+  `.trim(),
+  };
+}
+
+/**
+ * Sends an admin the daily list of car documents that expired or are about to.
+ * Without RESEND_API_KEY the list is only logged (local development).
+ *
+ * @param {{
+ *   to: string,
+ *   documents: Array<{ carName: string, numberPlate: string, type: string, expiresAt: Date|string }>,
+ *   withinDays: number,
+ *   language?: string,
+ * }} args
+ * @returns {Promise<boolean>} false when nothing was sent because RESEND_API_KEY is not set
+ */
+export async function sendCarDocumentsExpiringEmail({ to, documents, withinDays, language }) {
+  const lang = resolveEmailLanguage(language);
+  const { subject, text, html } = buildCarDocumentsExpiringContent({ documents, withinDays }, lang);
+
+  if (!config.resendApiKey) {
+    console.warn('[email] RESEND_API_KEY not set — car documents expiring notice (dev):', to, documents.length);
+    return false;
+  }
+
+  await sendViaResend({
+    to,
+    subject,
+    text,
+    html,
+    label: 'car documents expiring',
+    failureMessage: 'Failed to send car documents expiring email',
+  });
+  return true;
+}
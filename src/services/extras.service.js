@@ -0,0 +1,109 @@
+import prisma from '../models/db.js';
+import { badRequest } from '../errors.js';
+import { CALENDAR_BLOCKING_STATES } from '../lib/carCalendar.js';
+import { peakExtraUsage, quoteExtras } from '../lib/extras.js';
+
+/** First key of the per-extra advisory lock; see lockCarCalendar for the car equivalent. */
+const EXTRA_STOCK_LOCK = 4202;
+
+/**
+ * Validates the `extras` of a booking request: `[{ extraId, quantity? }]`, quantity defaulting to 1.
+ * @param {unknown} input
+ * @returns {Array<{ extraId: number, quantity: number }>}
+ */
+export function parseExtraSelections(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw badRequest('extras must be an array');
+  const seen = new Set();
+  return input.map((item) => {
+    if (typeof item !== 'object' || item === null) throw badRequest('each extra must be an object');
+    const extraId = Number(item.extraId);
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    if (!Number.isInteger(extraId) || extraId < 1) throw badRequest('extraId must be a positive integer');
+    if (!Number.isInteger(quantity) || quantity < 1) throw badRequest('quantity must be a positive integer');
+    if (seen.has(extraId)) throw badRequest('each extra can be listed once');
+    seen.add(extraId);
+    return { extraId, quantity };
+  });
+}
+
+/**
+ * Prices selected extras for a rental; throws 400 for unknown, inactive or ineligible ones.
+ * @param {{ car: { bodyType: string }, start: Date, end: Date, selections: Array<{ extraId: number, quantity: number }> }} input
+ * @param {object} [db] - Prisma client or transaction client
+ * @returns {Promise<{ items: Array<object>, total: number }>}
+ */
+export async function quoteSelectedExtras({ car, start, end, selections }, db = prisma) {
+  if (selections.length === 0) return { items: [], total: 0 };
+  const extras = await db.extra.findMany({ where: { id: { in: selections.map((s) => s.extraId) } } });
+  const quote = quoteExtras({ extras, selections, car, start, end });
+  if (quote.error) throw badRequest(quote.error);
+  return quote;
+}
+
+/**
+ * Serialises bookings of the given extras until the surrounding transaction ends.
+ * Locks in id order so two bookings with the same extras cannot deadlock.
+ * @param {object} tx - Prisma transaction client
+ * @param {number[]} extraIds
+ */
+export async function lockExtraStock(tx, extraIds) {
+  for (const extraId of [...new Set(extraIds)].sort((a, b) => a - b)) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${EXTRA_STOCK_LOCK}::int, ${extraId}::int)`;
+  }
+}
+
+/**
+ * Units of a stock-limited extra still free in a city over [start, end): its stock minus the peak
+ * number of units taken from the city at once (see src/lib/extras.js).
+ * @param {{ extraId: number, cityId: number, start: Date, end: Date, excludeContractId?: number|null }} input
+ * @param {object} [db] - Prisma client or transaction client
+ * @returns {Promise<number>}
+ */
+export async function availableExtraUnits({ extraId, cityId, start, end, excludeContractId = null }, db = prisma) {
+  const stock = await db.extraStock.findUnique({ where: { extraId_cityId: { extraId, cityId } } });
+  const booked = (await db.contractExtra.findMany({
+    where: {
+      extraId,
+      cityId,
+      contract: {
+        ...(excludeContractId != null ? { id: { not: excludeContractId } } : {}),
+        state: { in: CALENDAR_BLOCKING_STATES },
+        AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }],
+      },
+    },
+    select: { quantity: true, contract: { select: { startDate: true, endDate: true, dropoffCityId: true } } },
+  })) ?? [];
+  const inUse = peakExtraUsage(booked.map(({ quantity, contract }) => ({
+    quantity,
+    start: contract.startDate,
+    // dropped off elsewhere: the units do not come back within [start, end)
+    end: contract.dropoffCityId != null && contract.dropoffCityId !== cityId ? null : contract.endDate,
+  })), start, end);
+  return Math.max(0, (stock?.quantity ?? 0) - inUse);
+}
+
+/**
+ * Throws 400 when a stock-limited extra of `items` has fewer free units in the city than booked.
+ * Run it inside a transaction after lockExtraStock before writing the booking.
+ * @param {{ items: Array<{ extraId: number, name: string, quantity: number, stockLimited: boolean }>,
+ *           cityId: number, start: Date, end: Date, excludeContractId?: number|null }} input
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function assertExtrasAvailable({ items, cityId, start, end, excludeContractId = null }, db = prisma) {
+  for (const item of items.filter((i) => i.stockLimited)) {
+    const available = await availableExtraUnits({ extraId: item.extraId, cityId, start, end, excludeContractId }, db);
+    if (available < item.quantity) {
+      throw badRequest(`Not enough ${item.name} available for the selected dates`, {
+        extraId: item.extraId,
+        requested: item.quantity,
+        available,
+      });
+    }
+  }
+}
+
+/** ContractExtra rows to create for quoted items taken from `cityId`. */
+export const contractExtraRows = (items, cityId) => items.map(({ extraId, quantity, pricing, unitPrice, totalPrice }) => ({
+  extraId, cityId, quantity, pricing, unitPrice, totalPrice,
+}));
@@ -0,0 +1,31 @@
+import prisma from '../models/db.js';
+import { newDamages } from '../lib/inspections.js';
+import { openCarDamages } from './damageRecord.service.js';
+
+/** Damage markers with their photos and who inspected, shown with an inspection. */
+export const inspectionInclude = {
+  damages: { include: { photos: { orderBy: { id: 'asc' } } }, orderBy: { id: 'asc' } },
+  inspector: { select: { id: true, firstName: true, lastName: true } },
+};
+
+/**
+ * A contract's pickup and return inspections and the return damage not seen at pickup.
+ * Damage the car's register still lists as open from earlier rentals counts as seen. Without a
+ * return inspection there is no new damage.
+ * @param {{ id: number, carId: number }} contract
+ * @param {object} [db] - Prisma client or transaction client
+ * @returns {Promise<{ pickup: object|null, return: object|null, newDamages: Array<object> }>}
+ */
+export async function contractDamageDiff(contract, db = prisma) {
+  const inspections = (await db.inspection.findMany({ where: { contractId: contract.id }, include: inspectionInclude })) ?? [];
+  const pickup = inspections.find((i) => i.type === 'PICKUP') ?? null;
+  const ret = inspections.find((i) => i.type === 'RETURN') ?? null;
+  if (!ret) return { pickup, return: null, newDamages: [] };
+
+  const known = await openCarDamages(contract.carId, { exceptContractId: contract.id }, db);
+  return {
+    pickup,
+    return: ret,
+    newDamages: newDamages([...(pickup?.damages ?? []), ...known], ret.damages ?? []),
+  };
+}
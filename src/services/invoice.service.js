@@ -0,0 +1,76 @@
+import { DateTime } from 'luxon';
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { buildInvoice, formatInvoiceNumber } from '../lib/invoice.js';
+
+/** Invoice numbering follows the business's local calendar year. */
+const TZ = 'Europe/Vilnius';
+
+const invoiceInclude = { lines: { orderBy: { position: 'asc' } } };
+
+/**
+ * Issues the invoice of a just-completed contract. Call inside the completion transaction so the
+ * yearly sequence bump, the invoice and the contract update commit together.
+ * @param {object} tx - Prisma transaction client
+ * @param {number} contractId
+ * @param {Date} [issuedAt]
+ */
+export async function issueInvoice(tx, contractId, issuedAt = new Date()) {
+  const contract = await tx.contract.findUnique({
+    where: { id: contractId },
+    include: {
+      pricingSnapshot: { select: { customerMultiplier: true } },
+      amendments: { orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] },
+      extras: { include: { extra: { select: { name: true } } }, orderBy: { id: 'asc' } },
+      drivers: { include: { user: { select: { email: true, firstName: true, lastName: true } } }, orderBy: { id: 'asc' } },
+    },
+  });
+  const { lines, ...totals } = buildInvoice({
+    contract,
+    customerMultiplier: contract.pricingSnapshot?.customerMultiplier ?? null,
+    vatRate: config.vatRate,
+    amendments: contract.amendments ?? [],
+  });
+
+  const year = DateTime.fromJSDate(issuedAt).setZone(TZ).year;
+  const { lastNumber } = await tx.invoiceSequence.upsert({
+    where: { year },
+    create: { year, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+
+  return tx.invoice.create({
+    data: {
+      number: formatInvoiceNumber(year, lastNumber),
+      year,
+      sequence: lastNumber,
+      contractId,
+      userId: contract.userId,
+      ...totals,
+      issuedAt,
+      lines: { create: lines },
+    },
+    include: invoiceInclude,
+  });
+}
+
+/**
+ * Invoice of a contract with its lines, plus the car and customer shown on the printable version.
+ * @param {number} contractId
+ * @returns {Promise<object|null>}
+ */
+export async function getContractInvoice(contractId) {
+  const invoice = await prisma.invoice.findUnique({
+    where: { contractId },
+    include: {
+      ...invoiceInclude,
+      contract: { select: { id: true, startDate: true, endDate: true, car: { select: { make: true, model: true, numberPlate: true } } } },
+    },
+  });
+  if (!invoice) return null;
+  const customer = await prisma.user.findUnique({
+    where: { id: invoice.userId },
+    select: { id: true, email: true, firstName: true, lastName: true },
+  });
+  return { ...invoice, customer };
+}
@@ -0,0 +1,104 @@
+import prisma from '../models/db.js';
+import { badRequest } from '../errors.js';
+import { CALENDAR_BLOCKING_STATES } from '../lib/carCalendar.js';
+import {
+  MaintenanceTaskType,
+  OPEN_MAINTENANCE_STATUSES,
+  computeMaintenanceScore,
+  isMaintenanceDue,
+  lastCompletedByType,
+  nextMaintenanceDue,
+} from '../lib/maintenance.js';
+
+const carMaintenanceSelect = {
+  id: true,
+  odometerKm: true,
+  nextMaintenanceKm: true,
+  lastMaintenanceDate: true,
+  maintenanceScore: true,
+  createdAt: true,
+  maintenanceTasks: {
+    where: { status: { not: 'CANCELLED' } },
+    select: { id: true, type: true, status: true, odometerKm: true, completedAt: true },
+  },
+};
+
+/**
+ * Next trigger of every task type for a car loaded with carMaintenanceSelect.
+ * @param {object} car
+ */
+export function carMaintenanceDues(car) {
+  const last = lastCompletedByType(car.maintenanceTasks ?? []);
+  return MaintenanceTaskType.map((type) => nextMaintenanceDue(type, { car, lastCompleted: last[type] ?? null }));
+}
+
+/**
+ * Creates a DUE task for every type a car has reached (see src/lib/maintenance.js) unless one is
+ * already open, and stores the recomputed maintenanceScore. Runs for one car after its odometer
+ * changes, and daily for the whole fleet so date triggers fire.
+ * @param {{ carId?: number, now?: Date }} [options] - without carId every car not archived is checked
+ * @param {object} [db] - Prisma client or transaction client
+ * @returns {Promise<{ created: number[], rescored: number[] }>} task ids and car ids
+ */
+export async function createDueMaintenanceTasks({ carId = null, now = new Date() } = {}, db = prisma) {
+  const cars = (await db.car.findMany({
+    where: carId != null ? { id: carId } : { archivedAt: null },
+    select: carMaintenanceSelect,
+    orderBy: { id: 'asc' },
+  })) ?? [];
+
+  const created = [];
+  const rescored = [];
+  for (const car of cars) {
+    const at = { odometerKm: car.odometerKm, now };
+    const dues = carMaintenanceDues(car);
+    const open = new Set(
+      car.maintenanceTasks.filter((t) => OPEN_MAINTENANCE_STATUSES.includes(t.status)).map((t) => t.type)
+    );
+
+    for (const due of dues) {
+      if (open.has(due.type) || !isMaintenanceDue(due, at)) continue;
+      const task = await db.maintenanceTask.create({
+        data: { carId: car.id, type: due.type, dueKm: due.dueKm, dueDate: due.dueDate },
+      });
+      created.push(task.id);
+    }
+
+    const score = computeMaintenanceScore(dues, at);
+    if (score !== car.maintenanceScore) {
+      await db.car.update({ where: { id: car.id }, data: { maintenanceScore: score } });
+      rescored.push(car.id);
+    }
+  }
+  return { created, rescored };
+}
+
+/**
+ * Throws 400 when a workshop window overlaps a DRAFT/ACTIVE booking or another scheduled window
+ * of the car. Prep days may overlap; the car is off the road either way. Run it after
+ * lockCarCalendar inside the transaction that schedules the task.
+ * @param {number} carId
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number|null} excludeTaskId - task being rescheduled
+ * @param {object} [db]
+ */
+export async function assertMaintenanceWindowFree(carId, start, end, excludeTaskId = null, db = prisma) {
+  const overlaps = { AND: [{ startDate: { lt: end } }, { endDate: { gt: start } }] };
+  const booking = await db.contract.findFirst({
+    where: { carId, state: { in: CALENDAR_BLOCKING_STATES }, ...overlaps },
+    select: { id: true },
+  });
+  if (booking) throw badRequest(`The window overlaps booking ${booking.id}`);
+
+  const other = await db.maintenanceTask.findFirst({
+    where: {
+      carId,
+      status: 'SCHEDULED',
+      ...(excludeTaskId != null ? { id: { not: excludeTaskId } } : {}),
+      AND: [{ scheduledStart: { lt: end } }, { scheduledEnd: { gt: start } }],
+    },
+    select: { id: true },
+  });
+  if (other) throw badRequest(`The window overlaps maintenance task ${other.id}`);
+}
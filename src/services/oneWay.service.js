@@ -0,0 +1,83 @@
+import prisma from '../models/db.js';
+import { badRequest } from '../errors.js';
+import { CALENDAR_BLOCKING_STATES } from '../lib/carCalendar.js';
+import { carCityAt, planRoute } from '../lib/oneWay.js';
+
+/**
+ * Pickup/drop-off cities and one-way fee of a booking of `car` over [start, end).
+ * Looks at the car's neighbouring bookings, so call it after lockCarCalendar inside the
+ * booking's transaction. Throws 400 when the route does not fit the car's calendar or no
+ * active OneWayFee exists for the pair.
+ * @param {{
+ *   car: { id: number, cityId: number },
+ *   start: Date,
+ *   end: Date,
+ *   pickupCityId?: number|null,
+ *   dropoffCityId?: number|null,
+ *   excludeContractId?: number|null,
+ * }} booking - excludeContractId is the contract being edited
+ * @param {object} [db] - Prisma client or transaction client
+ * @returns {Promise<{ pickupCityId: number, dropoffCityId: number, oneWayFee: number }>}
+ */
+export async function planContractRoute(
+  { car, start, end, pickupCityId = null, dropoffCityId = null, excludeContractId = null },
+  db = prisma
+) {
+  const others = {
+    carId: car.id,
+    ...(excludeContractId != null ? { id: { not: excludeContractId } } : {}),
+    state: { in: CALENDAR_BLOCKING_STATES },
+  };
+  // same rule as findCarIdsInCityAt: the latest booking decides, see carCityAt
+  const previous = await db.contract.findFirst({
+    where: { ...others, endDate: { lte: start } },
+    orderBy: { endDate: 'desc' },
+    select: { pickupCityId: true, dropoffCityId: true },
+  });
+  const next = await db.contract.findFirst({
+    where: { ...others, startDate: { gte: end } },
+    orderBy: { startDate: 'asc' },
+    select: { pickupCityId: true },
+  });
+
+  const route = planRoute({
+    locationCityId: carCityAt(car, previous),
+    // bookings made before one-way rentals start from the car's own city
+    nextPickupCityId: next ? next.pickupCityId ?? car.cityId : null,
+    pickupCityId,
+    dropoffCityId,
+  });
+  if (route.error) throw badRequest(route.error);
+  if (!route.isOneWay) {
+    return { pickupCityId: route.pickupCityId, dropoffCityId: route.dropoffCityId, oneWayFee: 0 };
+  }
+
+  const fee = await db.oneWayFee.findUnique({
+    where: { fromCityId_toCityId: { fromCityId: route.pickupCityId, toCityId: route.dropoffCityId } },
+  });
+  if (!fee || !fee.isActive) throw badRequest('One-way rentals between these cities are not offered');
+  return { pickupCityId: route.pickupCityId, dropoffCityId: route.dropoffCityId, oneWayFee: fee.fee };
+}
+
+/**
+ * Ids of the cars matching `carWhere` that will be in `cityId` at `at`: where each car's latest
+ * booking ending by then leaves it, or its own city when it has none.
+ * @param {number} cityId
+ * @param {Date} at
+ * @param {object} [carWhere] - Prisma car filter for the candidates, without cityId
+ * @returns {Promise<number[]>}
+ */
+export async function findCarIdsInCityAt(cityId, at, carWhere = {}) {
+  const cars = await prisma.car.findMany({ where: carWhere, select: { id: true, cityId: true } });
+  if (cars.length === 0) return [];
+  const previous = await prisma.contract.findMany({
+    where: { carId: { in: cars.map((c) => c.id) }, state: { in: CALENDAR_BLOCKING_STATES }, endDate: { lte: at } },
+    orderBy: [{ carId: 'asc' }, { endDate: 'desc' }],
+    distinct: ['carId'],
+    select: { carId: true, pickupCityId: true, dropoffCityId: true },
+  });
+  const previousByCar = new Map(previous.map((c) => [c.carId, c]));
+  return cars
+    .filter((car) => carCityAt(car, previousByCar.get(car.id) ?? null) === cityId)
+    .map((car) => car.id);
+}
@@ -0,0 +1,62 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { CALENDAR_BLOCKING_STATES } from '../lib/carCalendar.js';
+import { overdueStatus } from '../lib/overdue.js';
+
+/**
+ * ACTIVE contracts past their endDate, most overdue first, each with the car's next booking
+ * and whether the late car endangers it (see src/lib/overdue.js).
+ * @param {Date} [now]
+ */
+export async function findOverdueContracts(now = new Date()) {
+  const contracts = await prisma.contract.findMany({
+    where: { state: 'ACTIVE', endDate: { lt: now } },
+    include: { car: { select: { id: true, make: true, model: true, numberPlate: true } } },
+    orderBy: { endDate: 'asc' },
+  });
+
+  return Promise.all(contracts.map(async (contract) => {
+    const nextBooking = await prisma.contract.findFirst({
+      where: {
+        carId: contract.carId,
+        id: { not: contract.id },
+        state: { in: CALENDAR_BLOCKING_STATES },
+        startDate: { gte: contract.endDate },
+      },
+      orderBy: { startDate: 'asc' },
+      select: { id: true, userId: true, state: true, startDate: true, endDate: true },
+    });
+    return {
+      ...contract,
+      ...overdueStatus({ contract, nextBooking, now, conflictWindowHours: config.overdueConflictHours }),
+      nextBooking,
+    };
+  }));
+}
+
+/**
+ * Sets overdueAt on newly overdue contracts and warns about late cars that endanger the
+ * next booking.
+ * @param {Date} [now]
+ * @returns {Promise<{ flagged: number[], conflicts: number[] }>} contract ids
+ */
+export async function flagOverdueContracts(now = new Date()) {
+  const overdue = await findOverdueContracts(now);
+
+  const flagged = overdue.filter((c) => c.overdueAt == null).map((c) => c.id);
+  if (flagged.length > 0) {
+    await prisma.contract.updateMany({
+      where: { id: { in: flagged }, overdueAt: null },
+      data: { overdueAt: now },
+    });
+  }
+
+  const conflicts = overdue.filter((c) => c.conflictsWithNextBooking);
+  for (const c of conflicts) {
+    console.warn(
+      `[Contract Jobs] Overdue contract ${c.id} (car ${c.carId}) conflicts with booking ${c.nextBooking.id} starting ${new Date(c.nextBooking.startDate).toISOString()}`
+    );
+  }
+
+  return { flagged, conflicts: conflicts.map((c) => c.id) };
+}
@@ -0,0 +1,217 @@
+import prisma from '../models/db.js';
+import { config } from '../config.js';
+import { HttpError, badRequest, conflict } from '../errors.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import {
+  PaymentType,
+  PaymentStatus,
+  computeContractBalance,
+  hasDeposit,
+  refundableAmount,
+} from '../lib/payments.js';
+
+const CURRENCY = 'EUR';
+/** Provider name stored on payments taken outside the gateway (cash, card terminal). */
+const MANUAL = 'manual';
+
+async function callProvider(fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    throw new HttpError(402, `Payment provider error: ${e.message}`);
+  }
+}
+
+/**
+ * @param {number} contractId
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function listContractPayments(contractId, db = prisma) {
+  return db.payment.findMany({
+    where: { contractId },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+}
+
+/**
+ * Payments of a contract plus its balance (see computeContractBalance).
+ * @param {{ id: number, totalPrice: number, extraFees?: number }} contract
+ */
+export async function getContractLedger(contract) {
+  const payments = await listContractPayments(contract.id);
+  return { payments, balance: computeContractBalance(contract, payments) };
+}
+
+/**
+ * Records a deposit hold or a charge. Without `reference` the configured provider is called;
+ * with one, the payment was taken elsewhere and is stored as a manual entry.
+ * @param {{ id: number }} contract
+ * @param {{ type: string, amount: number, reference?: string|null, note?: string|null, actorId?: number|null }} input
+ */
+export async function recordPayment(contract, { type, amount, reference = null, note = null, actorId = null }) {
+  // manual entries are recorded even while no gateway may take payments
+  const provider = reference == null ? getPaymentProvider() : null;
+  const isHold = type === PaymentType.DEPOSIT_HOLD;
+  const gatewayArgs = { amount, currency: CURRENCY, reference: `contract-${contract.id}` };
+
+  let providerRef = reference;
+  if (provider) {
+    ({ providerRef } = await callProvider(() => (isHold ? provider.authorize(gatewayArgs) : provider.charge(gatewayArgs))));
+  }
+
+  return prisma.payment.create({
+    data: {
+      contractId: contract.id,
+      type,
+      status: isHold ? PaymentStatus.AUTHORIZED : PaymentStatus.CAPTURED,
+      amount,
+      currency: CURRENCY,
+      provider: provider ? provider.name : MANUAL,
+      providerRef,
+      note,
+      createdById: actorId,
+      capturedAt: isHold ? null : new Date(),
+    },
+  });
+}
+
+/**
+ * Captures (part of) an authorized deposit hold; the rest of the hold is dropped.
+ * @param {object} payment
+ * @param {number} [amount] - defaults to the full held amount
+ */
+export async function captureDeposit(payment, amount = payment.amount) {
+  if (payment.type !== PaymentType.DEPOSIT_HOLD || payment.status !== PaymentStatus.AUTHORIZED) {
+    throw conflict('Only an authorized deposit hold can be captured');
+  }
+  if (!(amount > 0) || amount > payment.amount) {
+    throw badRequest(`amount must be greater than 0 and at most ${payment.amount}`);
+  }
+  if (payment.provider !== MANUAL) {
+    await callProvider(() => getPaymentProvider().capture({ providerRef: payment.providerRef, amount }));
+  }
+  return prisma.payment.update({
+    where: { id: payment.id },
+    data: { status: PaymentStatus.CAPTURED, amount, capturedAt: new Date() },
+  });
+}
+
+/**
+ * Drops an authorized deposit hold without charging it.
+ * @param {object} payment
+ */
+export async function releaseDeposit(payment) {
+  if (payment.type !== PaymentType.DEPOSIT_HOLD || payment.status !== PaymentStatus.AUTHORIZED) {
+    throw conflict('Only an authorized deposit hold can be released');
+  }
+  if (payment.provider !== MANUAL) {
+    await callProvider(() => getPaymentProvider().release({ providerRef: payment.providerRef }));
+  }
+  return prisma.payment.update({
+    where: { id: payment.id },
+    data: { status: PaymentStatus.RELEASED },
+  });
+}
+
+/**
+ * Refunds captured payments of a contract, up to `limit` in total. Used when a contract is
+ * cancelled, inside its transaction, so the gateway is not called here: manual payments are
+ * refunded and their holds released right away, gateway refunds are stored PENDING and gateway
+ * holds stay AUTHORIZED until settleCancelledPayments runs after the commit.
+ * @param {object} tx - Prisma transaction client
+ * @param {number} contractId
+ * @param {{ actorId?: number|null, note?: string|null, limit?: number }} [options] - limit defaults to everything captured
+ * @returns {Promise<object[]>} created REFUND payments
+ */
+export async function refundContractPayments(tx, contractId, { actorId = null, note = null, limit = Infinity } = {}) {
+  const payments = await listContractPayments(contractId, tx);
+  const refunds = [];
+  let remaining = limit;
+
+  for (const payment of payments) {
+    const manual = payment.provider === MANUAL;
+    if (payment.type === PaymentType.DEPOSIT_HOLD && payment.status === PaymentStatus.AUTHORIZED) {
+      if (manual) await tx.payment.update({ where: { id: payment.id }, data: { status: PaymentStatus.RELEASED } });
+      continue;
+    }
+    if (payment.type === PaymentType.REFUND || payment.status !== PaymentStatus.CAPTURED) continue;
+
+    const amount = Math.min(refundableAmount(payment, payments), remaining);
+    if (amount <= 0) continue;
+    remaining -= amount;
+
+    refunds.push(await tx.payment.create({
+      data: {
+        contractId,
+        type: PaymentType.REFUND,
+        status: manual ? PaymentStatus.CAPTURED : PaymentStatus.PENDING,
+        amount,
+        currency: payment.currency,
+        provider: payment.provider,
+        providerRef: null,
+        refundOfId: payment.id,
+        note,
+        createdById: actorId,
+        capturedAt: manual ? new Date() : null,
+      },
+    }));
+  }
+  return refunds;
+}
+
+/**
+ * Sends the PENDING refunds of a cancelled contract to the gateway and releases its open gateway
+ * holds. Call it after the cancelling transaction has committed. A refund or release the gateway
+ * rejects is marked FAILED with the error in its note, so staff can follow up; nothing is thrown.
+ * @param {number} contractId
+ */
+export async function settleCancelledPayments(contractId) {
+  let payments;
+  try {
+    payments = await listContractPayments(contractId);
+  } catch (e) {
+    console.error('[payments] could not load payments to settle', contractId, e);
+    return;
+  }
+  const byId = new Map(payments.map((p) => [p.id, p]));
+
+  for (const payment of payments) {
+    if (payment.provider === MANUAL) continue;
+    const isHold = payment.type === PaymentType.DEPOSIT_HOLD && payment.status === PaymentStatus.AUTHORIZED;
+    const isRefund = payment.type === PaymentType.REFUND && payment.status === PaymentStatus.PENDING;
+    if (!isHold && !isRefund) continue;
+
+    let data;
+    try {
+      if (isHold) {
+        await getPaymentProvider().release({ providerRef: payment.providerRef });
+        data = { status: PaymentStatus.RELEASED };
+      } else {
+        const charge = byId.get(payment.refundOfId);
+        const { providerRef } = await getPaymentProvider().refund({ providerRef: charge?.providerRef, amount: payment.amount });
+        data = { status: PaymentStatus.CAPTURED, providerRef, capturedAt: new Date() };
+      }
+    } catch (e) {
+      console.error(`[payments] ${isHold ? 'release' : 'refund'} failed`, payment.id, e);
+      data = { status: PaymentStatus.FAILED, note: `${isHold ? 'Release' : 'Refund'} failed: ${e.message}` };
+    }
+    try {
+      await prisma.payment.update({ where: { id: payment.id }, data });
+    } catch (e) {
+      console.error('[payments] could not record settlement', payment.id, e);
+    }
+  }
+}
+
+/**
+ * Throws 409 when REQUIRE_DEPOSIT_FOR_ACTIVATION is on and the contract has no deposit.
+ * @param {object} tx - Prisma client or transaction client
+ * @param {number} contractId
+ */
+export async function assertDepositForActivation(tx, contractId) {
+  if (!config.requireDepositForActivation) return;
+  const deposits = await tx.payment.findMany({ where: { contractId, type: PaymentType.DEPOSIT_HOLD } });
+  if (!hasDeposit(deposits)) {
+    throw conflict('A deposit must be recorded before the contract can be activated');
+  }
+}
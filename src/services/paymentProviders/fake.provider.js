@@ -0,0 +1,59 @@
+/**
+ * In-memory payment provider for local development and tests. Every call succeeds
+ * (non-positive amounts are rejected like a real gateway would) and is logged in `calls`.
+ */
+
+let counter = 0;
+
+/** @returns {import('./index.js').PaymentProvider & { calls: Array<object> }} */
+export function createFakeProvider() {
+  const calls = [];
+  const holds = new Map();
+
+  const nextRef = (prefix) => `fake_${prefix}_${++counter}`;
+  const assertAmount = (amount) => {
+    if (!(amount > 0)) throw new Error('Amount must be positive');
+  };
+
+  return {
+    name: 'fake',
+    calls,
+
+    async authorize({ amount, currency, reference }) {
+      assertAmount(amount);
+      const providerRef = nextRef('hold');
+      holds.set(providerRef, amount);
+      calls.push({ op: 'authorize', amount, currency, reference, providerRef });
+      return { providerRef };
+    },
+
+    async capture({ providerRef, amount }) {
+      assertAmount(amount);
+      const held = holds.get(providerRef);
+      if (held !== undefined && amount > held) throw new Error('Cannot capture more than the held amount');
+      holds.delete(providerRef);
+      calls.push({ op: 'capture', providerRef, amount });
+      return { providerRef };
+    },
+
+    async release({ providerRef }) {
+      holds.delete(providerRef);
+      calls.push({ op: 'release', providerRef });
+      return { providerRef };
+    },
+
+    async charge({ amount, currency, reference }) {
+      assertAmount(amount);
+      const providerRef = nextRef('charge');
+      calls.push({ op: 'charge', amount, currency, reference, providerRef });
+      return { providerRef };
+    },
+
+    async refund({ providerRef, amount }) {
+      assertAmount(amount);
+      const refundRef = nextRef('refund');
+      calls.push({ op: 'refund', providerRef, amount, refundRef });
+      return { providerRef: refundRef };
+    },
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Payment provider registry. The active provider is chosen by PAYMENT_PROVIDER (default "fake",
+ * which only takes payments in test and development or with ALLOW_FAKE_PAYMENTS=1); a real
+ * gateway adapter only has to implement the PaymentProvider methods below.
+ *
+ * @typedef {object} PaymentProvider
+ * @property {string} name
+ * @property {(args: { amount: number, currency: string, reference: string }) => Promise<{ providerRef: string }>} authorize
+ *   Place a hold (deposit) without charging.
+ * @property {(args: { providerRef: string, amount: number }) => Promise<{ providerRef: string }>} capture
+ *   Charge up to the held amount; the rest of the hold is dropped.
+ * @property {(args: { providerRef: string }) => Promise<{ providerRef: string }>} release
+ *   Drop a hold without charging.
+ * @property {(args: { amount: number, currency: string, reference: string }) => Promise<{ providerRef: string }>} charge
+ *   Charge immediately.
+ * @property {(args: { providerRef: string, amount: number }) => Promise<{ providerRef: string }>} refund
+ *   Refund (part of) a captured charge; returns the refund's own reference.
+ */
+
+import { config } from '../../config.js';
+import { HttpError } from '../../errors.js';
+import { createFakeProvider } from './fake.provider.js';
+
+const factories = {
+  fake: createFakeProvider,
+};
+
+let active = null;
+
+/**
+ * Throws when PAYMENT_PROVIDER names no adapter; called at startup.
+ * @returns {boolean} false when the fake provider is configured but may not take payments
+ */
+export function assertPaymentProviderConfigured() {
+  if (!factories[config.paymentProvider]) throw new Error(`Unknown payment provider: ${config.paymentProvider}`);
+  return config.paymentProvider !== 'fake' || config.fakePaymentsAllowed;
+}
+
+/**
+ * @returns {PaymentProvider}
+ * @throws {HttpError} 503 while only the fake provider is configured where it may not take payments
+ */
+export function getPaymentProvider() {
+  if (!active) {
+    if (!assertPaymentProviderConfigured()) {
+      throw new HttpError(503, 'Payments are disabled until a payment gateway is configured (PAYMENT_PROVIDER)');
+    }
+    active = factories[config.paymentProvider]();
+  }
+  return active;
+}
+
+/**
+ * Swap the active provider (tests, or wiring a gateway at startup).
+ * @param {PaymentProvider|null} provider - null resets to the configured one
+ */
+export function setPaymentProvider(provider) {
+  active = provider;
+}
@@ -0,0 +1,21 @@
+import prisma from '../models/db.js';
+import { selectReturnFeePolicy } from '../lib/returnFees.js';
+
+/**
+ * Return-fee policy that applies to a car: the most specific active policy scoped to it,
+ * its body type or its city, falling back to the built-in defaults.
+ * @param {{ id: number, bodyType: string, cityId: number }} car
+ */
+export async function resolveReturnFeePolicy(car) {
+  const policies = await prisma.returnFeePolicy.findMany({
+    where: {
+      isActive: true,
+      AND: [
+        { OR: [{ carId: null }, { carId: car.id }] },
+        { OR: [{ bodyType: null }, { bodyType: car.bodyType }] },
+        { OR: [{ cityId: null }, { cityId: car.cityId }] },
+      ],
+    },
+  });
+  return selectReturnFeePolicy(policies, car);
+}